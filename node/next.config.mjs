@@ -4,6 +4,9 @@ const nextConfig = {
   // output: "export",
 
   reactStrictMode: true,
+
+  // pdfkit reads its font metrics from disk at runtime, which breaks when bundled
+  serverExternalPackages: ["pdfkit"],
 };
 
 export default nextConfig;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."deals" ADD COLUMN     "editedFields" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "public"."competitors" ADD COLUMN     "editedFields" TEXT[] DEFAULT ARRAY[]::TEXT[];
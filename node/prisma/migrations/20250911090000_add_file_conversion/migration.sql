@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."deal_files" ADD COLUMN     "conversionError" TEXT,
+ADD COLUMN     "conversionStatus" TEXT,
+ADD COLUMN     "convertedUrl" TEXT,
+ADD COLUMN     "sourceFormat" TEXT;
+
+-- Existing uploads were all PDFs
+UPDATE "public"."deal_files" SET "sourceFormat" = 'pdf', "conversionStatus" = 'not-needed';
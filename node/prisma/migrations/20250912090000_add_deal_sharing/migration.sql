@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "public"."deals" ADD COLUMN     "visibility" TEXT NOT NULL DEFAULT 'private';
+
+-- CreateTable
+CREATE TABLE "public"."deal_collaborators" (
+    "id" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "dealId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "deal_collaborators_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "deal_collaborators_dealId_userId_key" ON "public"."deal_collaborators"("dealId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."deal_collaborators" ADD CONSTRAINT "deal_collaborators_dealId_fkey" FOREIGN KEY ("dealId") REFERENCES "public"."deals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."deal_collaborators" ADD CONSTRAINT "deal_collaborators_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'analyst';
+
+-- CreateTable
+CREATE TABLE "public"."invites" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'analyst',
+    "acceptedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "invitedById" TEXT NOT NULL,
+
+    CONSTRAINT "invites_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invites_email_key" ON "public"."invites"("email");
+
+-- AddForeignKey
+ALTER TABLE "public"."invites" ADD CONSTRAINT "invites_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Existing deployments need someone who can manage roles: promote the earliest user
+UPDATE "public"."users" SET "role" = 'admin'
+WHERE "id" = (SELECT "id" FROM "public"."users" ORDER BY "createdAt" ASC LIMIT 1);
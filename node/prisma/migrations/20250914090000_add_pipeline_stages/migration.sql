@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "public"."deals" ADD COLUMN     "passReason" TEXT,
+ADD COLUMN     "stage" TEXT NOT NULL DEFAULT 'sourced',
+ADD COLUMN     "stageChangedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "public"."deal_stage_transitions" (
+    "id" TEXT NOT NULL,
+    "fromStage" TEXT,
+    "toStage" TEXT NOT NULL,
+    "passReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dealId" TEXT NOT NULL,
+    "changedById" TEXT NOT NULL,
+
+    CONSTRAINT "deal_stage_transitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "deal_stage_transitions_dealId_createdAt_idx" ON "public"."deal_stage_transitions"("dealId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."deal_stage_transitions" ADD CONSTRAINT "deal_stage_transitions_dealId_fkey" FOREIGN KEY ("dealId") REFERENCES "public"."deals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."deal_stage_transitions" ADD CONSTRAINT "deal_stage_transitions_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Existing deals start their history where they are now
+UPDATE "public"."deals" SET "stageChangedAt" = "createdAt";
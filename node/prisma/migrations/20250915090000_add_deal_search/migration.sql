@@ -0,0 +1,12 @@
+-- Full-text search over deals. Prisma cannot model expression indexes, so this one
+-- lives only here; keep the expression in sync with src/lib/dealSearch.js.
+CREATE INDEX "deals_search_idx" ON "public"."deals" USING GIN (
+  to_tsvector('simple'::regconfig,
+    coalesce("companyName", '') || ' ' ||
+    coalesce("description", '') || ' ' ||
+    coalesce("uploadedText", '') || ' ' ||
+    coalesce(jsonb_path_query_array("foundingTeam", '$[*].name')::text, ''))
+);
+
+-- CreateIndex
+CREATE INDEX "deals_assignedToId_createdAt_idx" ON "public"."deals"("assignedToId", "createdAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."deals" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- Deals already in the trash start their retention window from their last update
+UPDATE "public"."deals" SET "deletedAt" = "updatedAt" WHERE "deleted" = true;
@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE "public"."analysis_runs" (
+    "id" TEXT NOT NULL,
+    "triggerRunId" TEXT NOT NULL,
+    "stage" TEXT NOT NULL,
+    "competitorType" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "error" TEXT,
+    "attempt" INTEGER NOT NULL DEFAULT 0,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dealId" TEXT NOT NULL,
+    "triggeredById" TEXT,
+
+    CONSTRAINT "analysis_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."analysis_run_stages" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "triggerRunId" TEXT,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "runId" TEXT NOT NULL,
+
+    CONSTRAINT "analysis_run_stages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "analysis_runs_triggerRunId_key" ON "public"."analysis_runs"("triggerRunId");
+
+-- CreateIndex
+CREATE INDEX "analysis_runs_dealId_createdAt_idx" ON "public"."analysis_runs"("dealId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "analysis_run_stages_runId_name_key" ON "public"."analysis_run_stages"("runId", "name");
+
+-- AddForeignKey
+ALTER TABLE "public"."analysis_runs" ADD CONSTRAINT "analysis_runs_dealId_fkey" FOREIGN KEY ("dealId") REFERENCES "public"."deals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."analysis_runs" ADD CONSTRAINT "analysis_runs_triggeredById_fkey" FOREIGN KEY ("triggeredById") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."analysis_run_stages" ADD CONSTRAINT "analysis_run_stages_runId_fkey" FOREIGN KEY ("runId") REFERENCES "public"."analysis_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
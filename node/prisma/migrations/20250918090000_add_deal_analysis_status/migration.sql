@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "public"."deals" ADD COLUMN     "analysisFailures" JSONB,
+ADD COLUMN     "analysisStatus" TEXT NOT NULL DEFAULT 'pending';
+
+-- Deals that were saved with the old placeholder values need a fresh deal extraction
+UPDATE "public"."deals"
+SET "analysisStatus" = 'incomplete',
+    "analysisFailures" = '[{"stage": "deal", "error": "Deal extraction failed before failures were recorded"}]'::jsonb
+WHERE "companyName" IN ('AI Analysis Failed', 'AI Analysis Incomplete');
+
+UPDATE "public"."deals"
+SET "analysisStatus" = 'complete'
+WHERE "analysisStatus" = 'pending' AND "companyName" <> 'Processing...';
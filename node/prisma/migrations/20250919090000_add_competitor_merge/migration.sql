@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."competitors" ADD COLUMN     "competitorSources" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "mergeLocked" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "mergedFrom" JSONB;
+
+-- Every existing competitor was found by exactly one search
+UPDATE "public"."competitors"
+SET "competitorSources" = ARRAY["competitorSource"]
+WHERE "competitorSource" IS NOT NULL;
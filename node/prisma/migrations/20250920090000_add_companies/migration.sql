@@ -0,0 +1,83 @@
+-- CreateTable
+CREATE TABLE "public"."companies" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "normalizedName" TEXT NOT NULL,
+    "domain" TEXT,
+    "website" TEXT,
+    "description" TEXT,
+    "fundingStage" TEXT,
+    "totalFunding" TEXT,
+    "editedFields" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "companies_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "public"."competitors" ADD COLUMN     "companyId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "companies_domain_key" ON "public"."companies"("domain");
+
+-- CreateIndex
+CREATE INDEX "companies_normalizedName_idx" ON "public"."companies"("normalizedName");
+
+-- CreateIndex
+CREATE INDEX "competitors_companyId_idx" ON "public"."competitors"("companyId");
+
+-- AddForeignKey
+ALTER TABLE "public"."competitors" ADD CONSTRAINT "competitors_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "public"."companies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: one company per website domain, or per normalized name for competitors without a website.
+-- Mirrors websiteDomain() and normalizeCompetitorName() in src/trigger/utils/competitors.ts,
+-- except that accents are not folded.
+CREATE TEMP TABLE "competitor_keys" AS
+SELECT
+    "id",
+    "name",
+    "website",
+    "description",
+    "updatedAt",
+    CASE WHEN "host" ~ '^[a-z0-9.-]+$' THEN "host" END AS "domain",
+    regexp_replace(
+        regexp_replace(lower(trim("name")), '[\s,]+(inc|incorporated|llc|ltd|limited|corp|corporation|co|gmbh|s\.?r\.?o|a\.?s|sa|ag|plc|bv|oy|ab)\.?$', ''),
+        '[^a-z0-9]+', '', 'g'
+    ) AS "normalizedName"
+FROM (
+    SELECT *, lower(regexp_replace(regexp_replace(trim("website"), '^(https?://)?(www\.)?', '', 'i'), '[/:?#].*$', '')) AS "host"
+    FROM "public"."competitors"
+) AS "hosts";
+
+-- Competitors without a website join a company with the same name that has one
+ALTER TABLE "competitor_keys" ADD COLUMN "companyKey" TEXT;
+UPDATE "competitor_keys" AS k
+SET "companyKey" = COALESCE(
+    'domain:' || k."domain",
+    (SELECT 'domain:' || d."domain" FROM "competitor_keys" AS d
+     WHERE d."domain" IS NOT NULL AND d."normalizedName" = k."normalizedName" AND k."normalizedName" <> ''
+     ORDER BY d."updatedAt" DESC LIMIT 1),
+    CASE WHEN k."normalizedName" <> '' THEN 'name:' || k."normalizedName" END
+);
+
+-- The most recently updated competitor provides the profile
+INSERT INTO "public"."companies" ("id", "name", "normalizedName", "domain", "website", "description", "updatedAt")
+SELECT DISTINCT ON ("companyKey")
+    md5("companyKey"),
+    "name",
+    "normalizedName",
+    CASE WHEN "companyKey" LIKE 'domain:%' THEN substring("companyKey" FROM 8) END,
+    "website",
+    "description",
+    CURRENT_TIMESTAMP
+FROM "competitor_keys"
+WHERE "companyKey" IS NOT NULL
+ORDER BY "companyKey", ("domain" IS NULL), "updatedAt" DESC;
+
+UPDATE "public"."competitors" AS c
+SET "companyId" = md5(k."companyKey")
+FROM "competitor_keys" AS k
+WHERE k."id" = c."id" AND k."companyKey" IS NOT NULL;
+
+DROP TABLE "competitor_keys";
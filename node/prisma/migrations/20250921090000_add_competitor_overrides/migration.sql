@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "public"."competitors" ADD COLUMN     "categoryOverride" TEXT,
+ADD COLUMN     "hidden" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "overriddenAt" TIMESTAMP(3),
+ADD COLUMN     "overriddenById" TEXT,
+ADD COLUMN     "overrideNote" TEXT,
+ADD COLUMN     "scoreOverride" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "public"."competitors" ADD CONSTRAINT "competitors_overriddenById_fkey" FOREIGN KEY ("overriddenById") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
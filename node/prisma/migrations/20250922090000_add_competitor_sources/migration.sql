@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."competitors" ADD COLUMN     "sources" JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "public"."deals" ADD COLUMN     "competitorTypes" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "public"."competitor_type_configs" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "promptGuidance" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "competitor_type_configs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "competitor_type_configs_slug_key" ON "public"."competitor_type_configs"("slug");
+
+-- Seed the types that were hardcoded until now, see DEFAULT_COMPETITOR_TYPES
+INSERT INTO "public"."competitor_type_configs" ("id", "slug", "name", "description", "sortOrder", "updatedAt") VALUES
+    (md5('yc-companies'), 'yc-companies', 'Y Combinator Companies', 'Current or former Y Combinator portfolio companies operating in the same or adjacent space, typically early to growth stage startups with YC backing', 0, CURRENT_TIMESTAMP),
+    (md5('open-source'), 'open-source', 'Open Source Solutions', 'Open source projects, tools, libraries, or platforms that provide similar functionality or solve similar problems, regardless of commercial backing', 1, CURRENT_TIMESTAMP),
+    (md5('early-stage-vc'), 'early-stage-vc', 'Early Stage VC-Backed Companies', 'Early-stage startups that have raised venture capital funding, typically pre-Series A to Series A, with less than $10M total raised', 2, CURRENT_TIMESTAMP),
+    (md5('well-funded-vc'), 'well-funded-vc', 'Well-Funded VC-Backed Companies', 'Well-funded startups that have raised significant venture capital, typically Series B and beyond, with $10M+ raised and established market presence', 3, CURRENT_TIMESTAMP),
+    (md5('incumbents'), 'incumbents', 'Incumbent Companies', 'Large established enterprises, public companies, or market leaders (e.g., Microsoft, Google, IBM) with existing products or divisions in this space', 4, CURRENT_TIMESTAMP);
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "public"."webhook_deliveries" (
+    "id" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "idempotencyKey" TEXT NOT NULL,
+    "externalId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'received',
+    "triggerRunId" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "webhook_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "webhook_deliveries_source_idempotencyKey_key" ON "public"."webhook_deliveries"("source", "idempotencyKey");
@@ -0,0 +1,76 @@
+-- AlterTable
+ALTER TABLE "public"."people" ADD COLUMN     "normalizedEmail" TEXT,
+ADD COLUMN     "normalizedLinkedinUrl" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."person_source_records" (
+    "id" TEXT NOT NULL,
+    "leadspickerId" INTEGER NOT NULL,
+    "sourceRobot" TEXT,
+    "profile" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "personId" TEXT NOT NULL,
+
+    CONSTRAINT "person_source_records_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."person_matches" (
+    "id" TEXT NOT NULL,
+    "reasons" TEXT[],
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "personId" TEXT NOT NULL,
+    "candidateId" TEXT NOT NULL,
+    "resolvedById" TEXT,
+
+    CONSTRAINT "person_matches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "people_leadspickerId_idx" ON "public"."people"("leadspickerId");
+
+-- CreateIndex
+CREATE INDEX "people_normalizedEmail_idx" ON "public"."people"("normalizedEmail");
+
+-- CreateIndex
+CREATE INDEX "people_normalizedLinkedinUrl_idx" ON "public"."people"("normalizedLinkedinUrl");
+
+-- CreateIndex
+CREATE INDEX "person_source_records_leadspickerId_idx" ON "public"."person_source_records"("leadspickerId");
+
+-- CreateIndex
+CREATE INDEX "person_source_records_personId_createdAt_idx" ON "public"."person_source_records"("personId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "person_matches_status_createdAt_idx" ON "public"."person_matches"("status", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "person_matches_personId_candidateId_key" ON "public"."person_matches"("personId", "candidateId");
+
+-- AddForeignKey
+ALTER TABLE "public"."person_source_records" ADD CONSTRAINT "person_source_records_personId_fkey" FOREIGN KEY ("personId") REFERENCES "public"."people"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."person_matches" ADD CONSTRAINT "person_matches_personId_fkey" FOREIGN KEY ("personId") REFERENCES "public"."people"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."person_matches" ADD CONSTRAINT "person_matches_candidateId_fkey" FOREIGN KEY ("candidateId") REFERENCES "public"."people"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."person_matches" ADD CONSTRAINT "person_matches_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Identity keys of existing people, computed like normalizeEmail and normalizeLinkedinUrl
+UPDATE "public"."people" SET
+    "normalizedEmail" = NULLIF(lower(trim("email")), ''),
+    "normalizedLinkedinUrl" = NULLIF(lower(regexp_replace(regexp_replace(regexp_replace(
+        regexp_replace(trim("linkedinUrl"), '^https?://', '', 'i'),
+        '^([a-z]{2,3}\.|www\.)?linkedin\.com', 'linkedin.com', 'i'),
+        '[?#].*$', ''),
+        '/+$', '')), '');
+
+-- Existing rows become each person's first source record
+INSERT INTO "public"."person_source_records" ("id", "leadspickerId", "sourceRobot", "profile", "createdAt", "personId")
+SELECT md5('source:' || "id"), "leadspickerId", "sourceRobot", '{}'::jsonb, "createdAt", "id"
+FROM "public"."people";
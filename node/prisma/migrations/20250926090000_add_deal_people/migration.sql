@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "public"."deal_people" (
+    "id" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "founderName" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "dealId" TEXT NOT NULL,
+    "personId" TEXT NOT NULL,
+    "addedById" TEXT,
+
+    CONSTRAINT "deal_people_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "deal_people_personId_idx" ON "public"."deal_people"("personId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "deal_people_dealId_personId_key" ON "public"."deal_people"("dealId", "personId");
+
+-- AddForeignKey
+ALTER TABLE "public"."deal_people" ADD CONSTRAINT "deal_people_dealId_fkey" FOREIGN KEY ("dealId") REFERENCES "public"."deals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."deal_people" ADD CONSTRAINT "deal_people_personId_fkey" FOREIGN KEY ("personId") REFERENCES "public"."people"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."deal_people" ADD CONSTRAINT "deal_people_addedById_fkey" FOREIGN KEY ("addedById") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
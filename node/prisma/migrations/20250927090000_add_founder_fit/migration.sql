@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "public"."people" ADD COLUMN     "fitRationale" TEXT,
+ADD COLUMN     "fitScore" INTEGER,
+ADD COLUMN     "fitScoredAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."sourcing_theses" (
+    "id" TEXT NOT NULL DEFAULT 'default',
+    "stages" TEXT NOT NULL,
+    "geographies" TEXT NOT NULL,
+    "sectors" TEXT NOT NULL,
+    "backgroundSignals" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "sourcing_theses_pkey" PRIMARY KEY ("id")
+);
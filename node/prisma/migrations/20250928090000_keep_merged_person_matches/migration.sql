@@ -0,0 +1,15 @@
+-- DropForeignKey
+ALTER TABLE "public"."person_matches" DROP CONSTRAINT "person_matches_personId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "public"."person_matches" DROP CONSTRAINT "person_matches_candidateId_fkey";
+
+-- AlterTable
+ALTER TABLE "public"."person_matches" ALTER COLUMN "personId" DROP NOT NULL,
+ALTER COLUMN "candidateId" DROP NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "public"."person_matches" ADD CONSTRAINT "person_matches_personId_fkey" FOREIGN KEY ("personId") REFERENCES "public"."people"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."person_matches" ADD CONSTRAINT "person_matches_candidateId_fkey" FOREIGN KEY ("candidateId") REFERENCES "public"."people"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- Sign-in now looks users up by lowercased email. Addresses that would collide with another
+-- user once lowercased are left alone rather than failing the unique constraint
+UPDATE "public"."users" AS "u"
+SET "email" = lower("u"."email")
+WHERE "u"."email" <> lower("u"."email")
+  AND NOT EXISTS (
+    SELECT 1 FROM "public"."users" AS "other"
+    WHERE lower("other"."email") = lower("u"."email") AND "other"."id" <> "u"."id"
+  );
@@ -0,0 +1,113 @@
+import { useState } from 'react'
+import { analysisStageLabel } from '../lib/analysisStages'
+import { competitorTypeName } from '../lib/competitors'
+
+const RUN_LABELS = {
+  all: 'Full analysis',
+  upload: 'Document upload',
+  deal: 'Deal re-analysis',
+  competitors: 'Competitor re-analysis',
+  evaluation: 'Competitor re-scoring',
+}
+
+const STATUS_COLORS = {
+  queued: 'var(--text-light)',
+  pending: 'var(--text-light)',
+  running: '#2563EB',
+  completed: '#059669',
+  failed: '#EF4444',
+  skipped: 'var(--text-light)',
+}
+
+function runName(run, typeNames) {
+  if (run.stage === 'competitors' && run.competitorType) {
+    return `${competitorTypeName(run.competitorType, typeNames)} re-analysis`
+  }
+  return RUN_LABELS[run.stage] || run.stage
+}
+
+function StatusText({ status }) {
+  return (
+    <span style={{ color: STATUS_COLORS[status] || 'var(--text-secondary)', fontWeight: '500' }}>
+      {status}
+    </span>
+  )
+}
+
+// Sidebar card listing recent orchestrator runs; each run expands into its stages
+export default function AnalysisRunHistory({ runs, typeNames }) {
+  const [expandedRunId, setExpandedRunId] = useState(null)
+
+  if (!runs?.length) return null
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid var(--border-light)',
+      borderRadius: '12px',
+      padding: '2rem',
+      marginTop: '1.5rem'
+    }}>
+      <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem' }}>Analysis Runs</h3>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+        {runs.map(run => {
+          const expanded = expandedRunId === run.id
+          return (
+            <div key={run.id} style={{ fontSize: '0.85rem' }}>
+              <button
+                onClick={() => setExpandedRunId(expanded ? null : run.id)}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  width: '100%',
+                  background: 'none',
+                  border: 'none',
+                  padding: 0,
+                  cursor: 'pointer',
+                  fontSize: '0.85rem',
+                  textAlign: 'left'
+                }}
+              >
+                <span style={{ fontWeight: '500' }}>{expanded ? '▾' : '▸'} {runName(run, typeNames)}</span>
+                <StatusText status={run.status} />
+              </button>
+              <div style={{ color: 'var(--text-light)' }}>
+                {new Date(run.createdAt).toLocaleString()}
+                {run.triggeredBy && ` · ${run.triggeredBy.name || run.triggeredBy.email}`}
+                {run.attempt > 1 && ` · attempt ${run.attempt}`}
+              </div>
+              {run.error && (
+                <div style={{ color: '#EF4444', marginTop: '0.25rem' }}>{run.error}</div>
+              )}
+              {expanded && (
+                <div style={{
+                  display: 'flex',
+                  flexDirection: 'column',
+                  gap: '0.35rem',
+                  marginTop: '0.5rem',
+                  paddingLeft: '0.75rem',
+                  borderLeft: '2px solid var(--border-light)'
+                }}>
+                  {run.stages.length === 0 && (
+                    <span style={{ color: 'var(--text-light)' }}>Waiting to start…</span>
+                  )}
+                  {run.stages.map(stage => (
+                    <div key={stage.id} title={stage.error || undefined}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                        <span>{analysisStageLabel(stage.name, typeNames)}</span>
+                        <StatusText status={stage.status} />
+                      </div>
+                      {stage.error && (
+                        <div style={{ color: '#EF4444', fontSize: '0.8rem' }}>{stage.error}</div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,240 @@
+import { useState } from 'react'
+import Link from 'next/link'
+import { sanitizeCitations } from '../trigger/utils/sanitize'
+import CompetitorEvidence from './CompetitorEvidence'
+import {
+  LANDSCAPE_AXES,
+  competitorSourceLabel,
+  competitorSourceList,
+  effectiveCategory,
+  effectiveScore,
+  isOverridden,
+  landscapePoints
+} from '../lib/competitors'
+
+const WIDTH = 760
+const LABEL_WIDTH = 130
+const UNSCORED_WIDTH = 50 // Column left of the axis for competitors without a usable score
+const ROW_HEIGHT = 90
+const TOP = 10
+const AXIS_HEIGHT = 40
+const POINT_SPACING = 18
+
+const ROW_COLORS = ['#EF4444', '#F59E0B', '#3B82F6', '#8B5CF6', '#10B981', '#9CA3AF']
+
+const plotLeft = LABEL_WIDTH + UNSCORED_WIDTH
+const plotWidth = WIDTH - plotLeft - 20
+
+function xForScore(score) {
+  if (score === null) return LABEL_WIDTH + UNSCORED_WIDTH / 2
+  return plotLeft + ((score - 1) / 9) * plotWidth
+}
+
+// Competitors sharing a row and score are stacked so none hide behind another
+function layout(points) {
+  const cells = {}
+  for (const point of points) {
+    const key = `${point.row}:${point.score}`
+    cells[key] = cells[key] || []
+    cells[key].push(point)
+  }
+  return Object.values(cells).flatMap(cell => cell.map((point, index) => ({
+    ...point,
+    x: xForScore(point.score),
+    y: TOP + point.row * ROW_HEIGHT + ROW_HEIGHT / 2 + (index - (cell.length - 1) / 2) * POINT_SPACING
+  })))
+}
+
+// Scatter of the deal's competitors: similarity score across, category or funding stage down.
+// Clicking a competitor opens its full evaluation below the chart
+export default function CompetitiveLandscape({ competitors, typeNames }) {
+  const [axis, setAxis] = useState('category')
+  const [sources, setSources] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+
+  const availableSources = [...new Set(
+    (competitors || []).filter(c => !c.hidden).flatMap(competitorSourceList)
+  )]
+  const { rows } = LANDSCAPE_AXES[axis]
+  const points = layout(landscapePoints(competitors, { axis, sources }))
+  const selected = points.find(point => point.competitor.id === selectedId)?.competitor || null
+  const height = TOP + rows.length * ROW_HEIGHT + AXIS_HEIGHT
+
+  const toggleSource = (source) => {
+    setSources(current => current.includes(source)
+      ? current.filter(s => s !== source)
+      : [...current, source])
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem', fontSize: '0.85rem' }}>
+        <select value={axis} onChange={(e) => setAxis(e.target.value)} style={selectStyle}>
+          {Object.entries(LANDSCAPE_AXES).map(([value, { label }]) => (
+            <option key={value} value={value}>By {label.toLowerCase()}</option>
+          ))}
+        </select>
+        {availableSources.map(source => (
+          <button
+            key={source}
+            onClick={() => toggleSource(source)}
+            style={{
+              ...chipStyle,
+              background: sources.includes(source) ? 'var(--credo-orange)' : 'rgba(0,0,0,0.05)',
+              color: sources.includes(source) ? 'white' : 'var(--text-secondary)'
+            }}
+          >
+            {competitorSourceLabel(source, typeNames)}
+          </button>
+        ))}
+        {sources.length > 0 && (
+          <button onClick={() => setSources([])} style={{ ...chipStyle, background: 'none', color: 'var(--text-secondary)' }}>
+            Show all
+          </button>
+        )}
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }} role="img" aria-label="Competitive landscape">
+        {rows.map((row, index) => (
+          <g key={row.label}>
+            <rect
+              x={LABEL_WIDTH}
+              y={TOP + index * ROW_HEIGHT}
+              width={WIDTH - LABEL_WIDTH}
+              height={ROW_HEIGHT}
+              fill={index % 2 === 0 ? '#F9FAFB' : 'white'}
+            />
+            <text
+              x={LABEL_WIDTH - 10}
+              y={TOP + index * ROW_HEIGHT + ROW_HEIGHT / 2}
+              textAnchor="end"
+              dominantBaseline="middle"
+              fontSize="12"
+              fill="var(--text-secondary)"
+              style={{ textTransform: 'capitalize' }}
+            >
+              {row.label}
+            </text>
+          </g>
+        ))}
+
+        {/* Score axis */}
+        <line x1={plotLeft} x2={plotLeft} y1={TOP} y2={height - AXIS_HEIGHT} stroke="var(--border-light)" />
+        {Array.from({ length: 10 }, (_, i) => i + 1).map(score => (
+          <text key={score} x={xForScore(score)} y={height - AXIS_HEIGHT + 16} textAnchor="middle" fontSize="11" fill="var(--text-light)">
+            {score}
+          </text>
+        ))}
+        <text x={xForScore(null)} y={height - AXIS_HEIGHT + 16} textAnchor="middle" fontSize="11" fill="var(--text-light)">?</text>
+        <text x={plotLeft + plotWidth / 2} y={height - 6} textAnchor="middle" fontSize="11" fill="var(--text-secondary)">
+          Similarity score (10 = near-identical)
+        </text>
+
+        {points.map(({ competitor, row, x, y }) => {
+          const isSelected = competitor.id === selectedId
+          return (
+            <g key={competitor.id} onClick={() => setSelectedId(isSelected ? null : competitor.id)} style={{ cursor: 'pointer' }}>
+              <circle
+                cx={x}
+                cy={y}
+                r={isSelected ? 8 : 6}
+                fill={ROW_COLORS[row % ROW_COLORS.length]}
+                stroke={isSelected ? 'var(--text-primary)' : 'white'}
+                strokeWidth="2"
+              />
+              <text x={x + 10} y={y} dominantBaseline="middle" fontSize="11" fontWeight={isSelected ? '600' : '400'} fill="var(--text-primary)">
+                {competitor.name}
+              </text>
+              <title>{competitor.name}</title>
+            </g>
+          )
+        })}
+      </svg>
+
+      {points.length === 0 && (
+        <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>No competitors match the selected sources.</p>
+      )}
+
+      {selected ? (
+        <CompetitorEvaluation competitor={selected} onClose={() => setSelectedId(null)} />
+      ) : points.length > 0 && (
+        <p style={{ color: 'var(--text-light)', fontSize: '0.85rem', marginTop: '0.5rem' }}>
+          Click a competitor to read its full evaluation.
+        </p>
+      )}
+    </div>
+  )
+}
+
+function CompetitorEvaluation({ competitor, onClose }) {
+  const short = sanitizeCitations(competitor.shortJustification)
+
+  return (
+    <div style={{ marginTop: '1rem', padding: '1.25rem', border: '1px solid var(--border-light)', borderRadius: '8px', background: '#F9FAFB' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+        <div>
+          <div style={{ fontWeight: '600', fontSize: '1.05rem' }}>
+            {competitor.name}
+            {competitor.website && (
+              <a href={competitor.website} target="_blank" rel="noopener noreferrer" style={{ marginLeft: '0.5rem', fontSize: '0.9rem', color: 'var(--credo-orange)', textDecoration: 'none' }}>
+                ↗
+              </a>
+            )}
+          </div>
+          <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginTop: '0.25rem', textTransform: 'capitalize' }}>
+            Score {effectiveScore(competitor) ?? '—'}
+            {effectiveCategory(competitor) && ` · ${effectiveCategory(competitor).replace('-', ' ')}`}
+            {isOverridden(competitor) && ` (AI: ${competitor.score ?? '—'}, ${competitor.competitorCategory?.replace('-', ' ') ?? 'none'})`}
+            {competitor.company && (
+              <>
+                {' · '}
+                <Link href={`/companies/${competitor.company.id}`} style={{ color: 'var(--credo-orange)', textTransform: 'none' }}>
+                  Company profile
+                </Link>
+              </>
+            )}
+          </div>
+        </div>
+        <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--text-secondary)', fontSize: '1.1rem' }}>
+          ×
+        </button>
+      </div>
+
+      {competitor.relevance && (
+        <EvaluationSection title="Why they are relevant">{competitor.relevance}</EvaluationSection>
+      )}
+      {short && <EvaluationSection title="Summary">{short}</EvaluationSection>}
+      <EvaluationSection title="Detailed evaluation">
+        <CompetitorEvidence competitor={competitor} />
+      </EvaluationSection>
+    </div>
+  )
+}
+
+function EvaluationSection({ title, children }) {
+  return (
+    <div style={{ marginTop: '1rem' }}>
+      <div style={{ fontSize: '0.75rem', fontWeight: '600', textTransform: 'uppercase', color: 'var(--text-light)', marginBottom: '0.25rem' }}>
+        {title}
+      </div>
+      <div style={{ fontSize: '0.9rem', lineHeight: 1.6, whiteSpace: 'pre-wrap' }}>{children}</div>
+    </div>
+  )
+}
+
+const selectStyle = {
+  padding: '0.3rem 0.5rem',
+  border: '1px solid var(--border-light)',
+  borderRadius: '6px',
+  fontSize: '0.85rem',
+  fontFamily: 'inherit',
+  background: 'white'
+}
+
+const chipStyle = {
+  border: 'none',
+  padding: '0.25rem 0.7rem',
+  borderRadius: '99px',
+  fontSize: '0.8rem',
+  cursor: 'pointer'
+}
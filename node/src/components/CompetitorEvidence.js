@@ -0,0 +1,54 @@
+import { sanitizeCitations } from '../trigger/utils/sanitize'
+
+const STAGE_LABELS = {
+  discovery: 'Found in search',
+  evaluation: 'Cited in evaluation'
+}
+
+function hostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '')
+  } catch {
+    return url
+  }
+}
+
+// Detailed justification of a competitor's score and the web pages the research cited
+export default function CompetitorEvidence({ competitor }) {
+  const detailed = sanitizeCitations(competitor.detailedJustification)
+  const sources = Array.isArray(competitor.sources) ? competitor.sources : []
+
+  return (
+    <div>
+      {detailed ? (
+        <div style={{ fontSize: '0.9rem', lineHeight: 1.6, whiteSpace: 'pre-wrap' }}>{detailed}</div>
+      ) : (
+        <p style={{ color: 'var(--text-light)', fontSize: '0.85rem', margin: 0 }}>
+          This competitor has not been evaluated yet.
+        </p>
+      )}
+
+      <div style={{ fontSize: '0.75rem', fontWeight: '600', textTransform: 'uppercase', color: 'var(--text-light)', margin: '1rem 0 0.35rem' }}>
+        Sources
+      </div>
+      {sources.length > 0 ? (
+        <ul style={{ margin: 0, paddingLeft: '1.1rem', display: 'flex', flexDirection: 'column', gap: '0.3rem', fontSize: '0.85rem' }}>
+          {sources.map(source => (
+            <li key={`${source.stage}:${source.url}`}>
+              <a href={source.url} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--credo-orange)' }}>
+                {source.title || hostname(source.url)}
+              </a>
+              <span style={{ color: 'var(--text-light)' }}>
+                {' · '}{hostname(source.url)} · {STAGE_LABELS[source.stage] || source.stage}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p style={{ color: 'var(--text-light)', fontSize: '0.85rem', margin: 0 }}>
+          No web sources were cited for this competitor.
+        </p>
+      )}
+    </div>
+  )
+}
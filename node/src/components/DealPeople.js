@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { DEAL_PERSON_ROLES, DEAL_PERSON_ROLE_LABELS } from '../lib/dealPeople'
+
+// People linked to the deal. Founders matched by analysis show up on their own; editors who may browse
+// the people directory can link anyone else and correct roles
+export default function DealPeople({ dealId, links, canEdit, canViewPeople, onChange }) {
+  const [adding, setAdding] = useState(false)
+  const [search, setSearch] = useState('')
+  const [results, setResults] = useState([])
+  const [role, setRole] = useState('founder')
+  const [error, setError] = useState('')
+
+  const canLink = canEdit && canViewPeople
+
+  // Debounced so typing does not send a request per keystroke
+  useEffect(() => {
+    if (!adding || !search.trim()) {
+      setResults([])
+      return
+    }
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/people?${new URLSearchParams({ q: search.trim(), limit: '5' })}`)
+        if (response.ok) setResults((await response.json()).people)
+      } catch (error) {
+        console.error('Error searching people:', error)
+      }
+    }, 300)
+    return () => clearTimeout(timeout)
+  }, [adding, search])
+
+  const request = async (url, options) => {
+    setError('')
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+      })
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setError(data.error || 'Failed to update people')
+        return null
+      }
+      return await response.json()
+    } catch (error) {
+      console.error('Error updating deal people:', error)
+      setError('Failed to update people')
+      return null
+    }
+  }
+
+  const linkPerson = async (personId) => {
+    const data = await request(`/api/deals/${dealId}/people`, {
+      method: 'POST',
+      body: JSON.stringify({ personId, role })
+    })
+    if (!data) return
+    onChange([...links, data.link])
+    setAdding(false)
+    setSearch('')
+  }
+
+  const changeRole = async (link, newRole) => {
+    const data = await request(`/api/deals/${dealId}/people/${link.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ role: newRole })
+    })
+    if (data) onChange(links.map(l => l.id === link.id ? data.link : l))
+  }
+
+  const unlink = async (link) => {
+    const data = await request(`/api/deals/${dealId}/people/${link.id}`, { method: 'DELETE' })
+    if (data) onChange(links.filter(l => l.id !== link.id))
+  }
+
+  if (links.length === 0 && !canLink) return null
+
+  const linkedIds = new Set(links.map(link => link.personId))
+
+  return (
+    <div style={{
+      background: 'white',
+      border: '1px solid var(--border-light)',
+      borderRadius: '12px',
+      padding: '2rem',
+      marginBottom: '2rem'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <h2 style={{ fontSize: '1.25rem', margin: 0 }}>People</h2>
+        {canLink && !adding && (
+          <button onClick={() => setAdding(true)} style={linkButtonStyle}>+ Link person</button>
+        )}
+      </div>
+
+      {links.length === 0 && !adding && (
+        <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', margin: 0 }}>
+          No known people are linked to this deal yet.
+        </p>
+      )}
+
+      <div style={{ display: 'grid', gap: '0.75rem' }}>
+        {links.map(link => (
+          <div key={link.id} style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            gap: '1rem',
+            padding: '0.75rem 1rem',
+            background: 'var(--border-light)',
+            borderRadius: '8px'
+          }}>
+            <div>
+              <div style={{ fontWeight: '600' }}>
+                {canViewPeople ? (
+                  <Link href={`/people/${link.person.id}`} style={{ color: 'var(--text-primary)' }}>
+                    {link.person.fullName || 'Unnamed'}
+                  </Link>
+                ) : (link.person.fullName || 'Unnamed')}
+              </div>
+              <div style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                {[link.person.position, link.person.companyName].filter(Boolean).join(' at ')}
+                {link.source === 'analysis' && (
+                  <span style={{ color: 'var(--text-light)' }}> · matched from the founding team</span>
+                )}
+              </div>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.85rem' }}>
+              {canEdit ? (
+                <>
+                  <select value={link.role} onChange={(e) => changeRole(link, e.target.value)} style={selectStyle}>
+                    {DEAL_PERSON_ROLES.map(value => (
+                      <option key={value} value={value}>{DEAL_PERSON_ROLE_LABELS[value]}</option>
+                    ))}
+                  </select>
+                  <button onClick={() => unlink(link)} style={{ ...linkButtonStyle, color: '#EF4444' }}>Remove</button>
+                </>
+              ) : (
+                <span style={{ color: 'var(--text-secondary)' }}>{DEAL_PERSON_ROLE_LABELS[link.role] || link.role}</span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {adding && (
+        <div style={{ marginTop: '1rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search people by name, email or company"
+              autoFocus
+              style={{ ...selectStyle, flex: 1, padding: '0.5rem 0.75rem', fontSize: '0.9rem' }}
+            />
+            <select value={role} onChange={(e) => setRole(e.target.value)} style={selectStyle}>
+              {DEAL_PERSON_ROLES.map(value => (
+                <option key={value} value={value}>{DEAL_PERSON_ROLE_LABELS[value]}</option>
+              ))}
+            </select>
+            <button onClick={() => { setAdding(false); setSearch('') }} style={{ ...linkButtonStyle, color: 'var(--text-secondary)' }}>
+              Cancel
+            </button>
+          </div>
+          {results.filter(person => !linkedIds.has(person.id)).map(person => (
+            <button
+              key={person.id}
+              onClick={() => linkPerson(person.id)}
+              style={{
+                textAlign: 'left',
+                padding: '0.5rem 0.75rem',
+                background: 'white',
+                border: '1px solid var(--border-light)',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontSize: '0.9rem',
+                fontFamily: 'inherit'
+              }}
+            >
+              <strong>{person.fullName || 'Unnamed'}</strong>
+              <span style={{ color: 'var(--text-secondary)' }}>
+                {[person.position, person.companyName].filter(Boolean).map(part => ` · ${part}`)}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <p style={{ color: '#EF4444', fontSize: '0.85rem', marginTop: '0.75rem' }}>{error}</p>}
+    </div>
+  )
+}
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--credo-orange)',
+  cursor: 'pointer',
+  fontSize: '0.85rem'
+}
+
+const selectStyle = {
+  padding: '0.3rem 0.5rem',
+  border: '1px solid var(--border-light)',
+  borderRadius: '6px',
+  fontSize: '0.85rem',
+  fontFamily: 'inherit',
+  background: 'white'
+}
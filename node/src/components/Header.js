@@ -2,6 +2,7 @@ import { useSession, signIn, signOut } from 'next-auth/react'
 import Link from 'next/link'
 import { useState } from 'react'
 import { useRouter } from 'next/router'
+import { can } from '../lib/roles'
 
 export default function Header() {
   const { data: session, status } = useSession()
@@ -41,6 +42,31 @@ export default function Header() {
             }}>
               Deep Research
             </Link>
+            <Link href="/companies" style={{
+              color: router.pathname.startsWith('/companies') ? 'var(--credo-orange)' : 'var(--text-primary)',
+              fontWeight: router.pathname.startsWith('/companies') ? '500' : 'normal',
+              fontSize: '0.9rem'
+            }}>
+              Companies
+            </Link>
+            {can(session?.user?.role, 'people:view') && (
+              <Link href="/people" style={{
+                color: router.pathname.startsWith('/people') ? 'var(--credo-orange)' : 'var(--text-primary)',
+                fontWeight: router.pathname.startsWith('/people') ? '500' : 'normal',
+                fontSize: '0.9rem'
+              }}>
+                People
+              </Link>
+            )}
+            {can(session?.user?.role, 'users:manage') && (
+              <Link href="/admin" style={{
+                color: router.pathname === '/admin' ? 'var(--credo-orange)' : 'var(--text-primary)',
+                fontWeight: router.pathname === '/admin' ? '500' : 'normal',
+                fontSize: '0.9rem'
+              }}>
+                Admin
+              </Link>
+            )}
           </div>
 
           <div style={{ 
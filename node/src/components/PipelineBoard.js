@@ -0,0 +1,98 @@
+import { useState } from 'react'
+import { PIPELINE_STAGES } from '../lib/pipeline'
+
+// Kanban view of the deal pipeline; cards are dragged between stage columns
+export default function PipelineBoard({ deals, onOpen, onMove, canMove }) {
+  const [draggedDealId, setDraggedDealId] = useState(null)
+  const [dropTarget, setDropTarget] = useState(null)
+
+  const handleDrop = (e, stage) => {
+    e.preventDefault()
+    setDropTarget(null)
+    const deal = deals.find(d => d.id === e.dataTransfer.getData('text/plain'))
+    if (deal && deal.stage !== stage) {
+      onMove(deal, stage)
+    }
+  }
+
+  return (
+    <div style={{
+      display: 'flex',
+      gap: '1rem',
+      overflowX: 'auto',
+      paddingBottom: '1rem'
+    }}>
+      {PIPELINE_STAGES.map(stage => {
+        const stageDeals = deals.filter(deal => deal.stage === stage.value)
+        return (
+          <div
+            key={stage.value}
+            onDragOver={(e) => {
+              e.preventDefault()
+              setDropTarget(stage.value)
+            }}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => handleDrop(e, stage.value)}
+            style={{
+              flex: '0 0 240px',
+              background: dropTarget === stage.value ? 'var(--credo-orange-light)' : '#F9FAFB',
+              border: '1px solid var(--border-light)',
+              borderRadius: '12px',
+              padding: '0.75rem',
+              minHeight: '400px',
+              transition: 'background 0.2s ease'
+            }}
+          >
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              marginBottom: '0.75rem',
+              paddingBottom: '0.5rem',
+              borderBottom: `2px solid ${stage.color}`
+            }}>
+              <span style={{ fontWeight: '600', fontSize: '0.9rem' }}>{stage.label}</span>
+              <span style={{ fontSize: '0.8rem', color: 'var(--text-light)' }}>{stageDeals.length}</span>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+              {stageDeals.map(deal => (
+                <div
+                  key={deal.id}
+                  draggable={canMove(deal)}
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData('text/plain', deal.id)
+                    e.dataTransfer.effectAllowed = 'move'
+                    setDraggedDealId(deal.id)
+                  }}
+                  onDragEnd={() => setDraggedDealId(null)}
+                  onClick={() => onOpen(deal)}
+                  style={{
+                    background: 'white',
+                    border: '1px solid var(--border-light)',
+                    borderRadius: '8px',
+                    padding: '0.75rem',
+                    cursor: canMove(deal) ? 'grab' : 'pointer',
+                    opacity: draggedDealId === deal.id ? 0.5 : 1
+                  }}
+                >
+                  <div style={{ fontWeight: '600', fontSize: '0.9rem', marginBottom: '0.25rem' }}>
+                    {deal.companyName}
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-light)' }}>
+                    In stage since {new Date(deal.stageChangedAt).toLocaleDateString()}
+                  </div>
+                  {deal.stage === 'passed' && deal.passReason && (
+                    <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '0.25rem' }}>
+                      {deal.passReason}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,24 @@
+import { prisma } from './prisma'
+import { uploadOrchestratorTask } from '../trigger/uploadOrchestrator'
+
+// Triggers the orchestrator and records a queued run right away, so the deal page
+// shows progress before the task starts. The orchestrator takes the row over by triggerRunId.
+export async function triggerDealAnalysis(payload) {
+  const handle = await uploadOrchestratorTask.trigger(payload, {
+    tags: [`deal:${payload.dealId}`],
+  })
+
+  await prisma.analysisRun.createMany({
+    data: [{
+      triggerRunId: handle.id,
+      dealId: payload.dealId,
+      triggeredById: payload.userId,
+      stage: payload.stage || 'all',
+      competitorType: payload.competitorType,
+      status: 'queued',
+    }],
+    skipDuplicates: true,
+  })
+
+  return handle
+}
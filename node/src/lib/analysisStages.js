@@ -0,0 +1,30 @@
+import { competitorTypeName } from './competitors'
+
+// Names match the stage rows the upload orchestrator records, see src/trigger/utils/analysisRuns.ts
+const STAGE_LABELS = {
+  ingest: 'Convert documents',
+  upload: 'Upload to OpenAI',
+  deal: 'Deal extraction',
+  evaluation: 'Competitor scoring',
+}
+
+const COMPETITOR_STAGE_PREFIX = 'competitors:'
+
+export function analysisStageLabel(name, typeNames = {}) {
+  if (name.startsWith(COMPETITOR_STAGE_PREFIX)) {
+    return competitorTypeName(name.slice(COMPETITOR_STAGE_PREFIX.length), typeNames)
+  }
+  return STAGE_LABELS[name] || name
+}
+
+// Body for POST /api/deals/[id]/reanalyze that re-runs just the given stage.
+// Documents that never reached OpenAI are re-sent by the full analysis.
+export function retryRequestForStage(name) {
+  if (name.startsWith(COMPETITOR_STAGE_PREFIX)) {
+    return { stage: 'competitors', competitorType: name.slice(COMPETITOR_STAGE_PREFIX.length) }
+  }
+  if (name === 'deal' || name === 'evaluation') {
+    return { stage: name }
+  }
+  return { stage: 'all' }
+}
@@ -0,0 +1,25 @@
+import { z } from 'zod'
+
+const optionalText = z.string().trim().max(2000).nullable()
+
+// Profile fields shared by every deal the company competes with
+export const CompanyUpdateSchema = z
+  .object({
+    name: z.string().trim().min(1, 'Company name cannot be empty').max(200),
+    website: z.string().trim().max(500).nullable(),
+    description: optionalText,
+    fundingStage: z.string().trim().max(100).nullable(),
+    totalFunding: z.string().trim().max(100).nullable(),
+  })
+  .partial()
+  .strict()
+
+export const COMPANY_EDITABLE_FIELDS = ['name', 'website', 'description', 'fundingStage', 'totalFunding']
+
+export const CompanyListQuerySchema = z
+  .object({
+    q: z.string().trim().max(200),
+    cursor: z.string().min(1),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+  })
+  .partial({ q: true, cursor: true })
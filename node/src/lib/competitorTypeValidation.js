@@ -0,0 +1,30 @@
+import { z } from 'zod'
+
+const CompetitorTypeFields = z.object({
+  name: z.string().trim().min(1, 'Name cannot be empty').max(100),
+  description: z.string().trim().min(1, 'Describe which companies the search should find').max(2000),
+  promptGuidance: z.string().trim().max(2000).nullable(),
+  active: z.boolean(),
+  sortOrder: z.number().int().min(0).max(1000),
+})
+
+// The slug is derived from the name when left out; it cannot change later, since
+// competitors and analysis stages refer to the type by it
+export const CompetitorTypeCreateSchema = CompetitorTypeFields
+  .partial({ promptGuidance: true, active: true, sortOrder: true })
+  .extend({
+    slug: z.string().trim().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Use lowercase letters, digits and dashes').max(60).optional(),
+  })
+  .strict()
+
+export const CompetitorTypeUpdateSchema = CompetitorTypeFields.partial().strict()
+
+export function competitorTypeSlug(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 60)
+    .replace(/^-+|-+$/g, '')
+}
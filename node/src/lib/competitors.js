@@ -0,0 +1,91 @@
+import { DEFAULT_COMPETITOR_TYPES, MANUAL_COMPETITOR_SOURCE } from '../trigger/config/competitorTypes'
+
+// Values from evaluateCompetitor's competitor_category, most established first
+export const COMPETITOR_CATEGORIES = ['incumbent', 'well-funded', 'early-stage']
+
+// An analyst's override wins; the AI value stays on the row for comparison
+export function effectiveScore(competitor) {
+  return competitor.scoreOverride ?? competitor.score ?? null
+}
+
+export function effectiveCategory(competitor) {
+  return competitor.categoryOverride || competitor.competitorCategory || null
+}
+
+export function isOverridden(competitor) {
+  return Boolean(competitor.scoreOverride || competitor.categoryOverride)
+}
+
+// Slug to name map of competitor types as returned by GET /api/competitor-types
+export function competitorTypeNames(types) {
+  return Object.fromEntries((types || []).map(type => [type.slug, type.name]))
+}
+
+// Names come from the admin-managed list when the page has loaded it; seeded types are known regardless
+export function competitorTypeName(slug, typeNames = {}) {
+  return typeNames[slug] || DEFAULT_COMPETITOR_TYPES.find(type => type.slug === slug)?.name || slug
+}
+
+export function competitorSourceLabel(source, typeNames = {}) {
+  if (source === MANUAL_COMPETITOR_SOURCE) return 'Added manually'
+  return competitorTypeName(source, typeNames)
+}
+
+// Every search that found the competitor; rows saved before merging only have competitorSource
+export function competitorSourceList(competitor) {
+  if (competitor.competitorSources?.length > 0) return competitor.competitorSources
+  return competitor.competitorSource ? [competitor.competitorSource] : []
+}
+
+// Funding stages are free text from research; the landscape buckets them from earliest to latest
+export const FUNDING_STAGE_BUCKETS = [
+  { value: 'seed', label: 'Pre-seed / Seed', pattern: /pre-?seed|seed|angel|bootstrap/i },
+  { value: 'series-a', label: 'Series A', pattern: /series\s*a\b/i },
+  { value: 'series-b', label: 'Series B', pattern: /series\s*b\b/i },
+  { value: 'growth', label: 'Series C+', pattern: /series\s*[c-z]\b|growth|late/i },
+  { value: 'public', label: 'Public / Acquired', pattern: /public|ipo|listed|acquired|subsidiary/i },
+]
+
+export function fundingStageBucket(fundingStage) {
+  if (!fundingStage) return null
+  return FUNDING_STAGE_BUCKETS.find(bucket => bucket.pattern.test(fundingStage))?.value || null
+}
+
+// Vertical axes of the landscape, top row first
+export const LANDSCAPE_AXES = {
+  category: {
+    label: 'Category',
+    rows: [
+      ...COMPETITOR_CATEGORIES.map(category => ({ value: category, label: category.replace('-', ' ') })),
+      { value: null, label: 'Uncategorized' },
+    ],
+    rowOf: competitor => effectiveCategory(competitor),
+  },
+  funding: {
+    label: 'Funding stage',
+    rows: [
+      ...[...FUNDING_STAGE_BUCKETS].reverse().map(({ value, label }) => ({ value, label })),
+      { value: null, label: 'Unknown' },
+    ],
+    rowOf: competitor => fundingStageBucket(competitor.company?.fundingStage),
+  },
+}
+
+// Visible competitors placed on the landscape: a row on the chosen axis and a numeric score,
+// null when the evaluation was uncertain or has not run. Only competitors found by one of the
+// selected sources are kept; no selection keeps them all
+export function landscapePoints(competitors, { axis = 'category', sources = [] } = {}) {
+  const { rows, rowOf } = LANDSCAPE_AXES[axis]
+  return (competitors || [])
+    .filter(competitor => !competitor.hidden)
+    .filter(competitor => sources.length === 0 || competitorSourceList(competitor).some(source => sources.includes(source)))
+    .map(competitor => {
+      const score = Number(effectiveScore(competitor))
+      const row = rows.findIndex(r => r.value === rowOf(competitor))
+      return {
+        competitor,
+        row: row === -1 ? rows.length - 1 : row, // Unknown values go to the last row
+        score: Number.isFinite(score) && score >= 1 && score <= 10 ? score : null,
+      }
+    })
+}
@@ -0,0 +1,59 @@
+import { prisma } from './prisma'
+
+// Ordered from least to most privileged
+export const DEAL_ROLES = ['viewer', 'editor', 'owner']
+export const COLLABORATOR_ROLES = ['viewer', 'editor']
+
+export function hasDealRole(role, minimumRole) {
+  return DEAL_ROLES.indexOf(role) >= DEAL_ROLES.indexOf(minimumRole)
+}
+
+// Prisma filter for every deal the user can at least view
+export function accessibleDealsWhere(userId) {
+  return {
+    OR: [
+      { assignedToId: userId },
+      { collaborators: { some: { userId } } },
+      { visibility: 'team' },
+    ],
+  }
+}
+
+// Prisma filter for competitor rows on deals the user can view, leaving out ones analysts hid.
+// Shared companies are only visible through these
+export function visibleCompetitorsWhere(userId) {
+  return {
+    hidden: false,
+    deal: {
+      deleted: false,
+      ...accessibleDealsWhere(userId),
+    },
+  }
+}
+
+export function dealRoleFor(deal, userId) {
+  if (deal.assignedToId === userId) return 'owner'
+  const collaborator = deal.collaborators?.find(c => c.userId === userId)
+  if (collaborator) return collaborator.role
+  if (deal.visibility === 'team') return 'viewer'
+  return null
+}
+
+// Loads a non-deleted deal together with the user's role on it; null when the user has no access
+export async function getDealAccess(dealId, userId, { include = {}, deleted = false } = {}) {
+  const deal = await prisma.deal.findFirst({
+    where: {
+      id: dealId,
+      deleted,
+      ...accessibleDealsWhere(userId),
+    },
+    include: {
+      ...include,
+      collaborators: include.collaborators || { select: { userId: true, role: true } },
+    },
+  })
+
+  if (!deal) return null
+
+  return { deal, role: dealRoleFor(deal, userId) }
+}
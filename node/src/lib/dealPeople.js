@@ -0,0 +1,15 @@
+// Parts a person can play in a deal, see DealPerson
+export const DEAL_PERSON_ROLES = ['founder', 'executive', 'referrer']
+
+export const DEAL_PERSON_ROLE_LABELS = {
+  founder: 'Founder',
+  executive: 'Executive',
+  referrer: 'Referrer'
+}
+
+// What a deal's people list shows of each linked person
+export const dealPersonInclude = {
+  person: {
+    select: { id: true, fullName: true, position: true, companyName: true, linkedinUrl: true }
+  }
+}
@@ -0,0 +1,86 @@
+import { Prisma } from '@prisma/client'
+import { prisma } from './prisma'
+
+// Must stay identical to the expression behind the deals_search_idx GIN index
+// (migration 20250915090000_add_deal_search) or Postgres will not use the index
+const searchDocument = Prisma.raw(`to_tsvector('simple'::regconfig,
+  coalesce("companyName", '') || ' ' ||
+  coalesce("description", '') || ' ' ||
+  coalesce("uploadedText", '') || ' ' ||
+  coalesce(jsonb_path_query_array("foundingTeam", '$[*].name')::text, ''))`)
+
+// "acme rob" -> "acme:* & rob:*" so results update while the user is still typing
+export function toPrefixTsQuery(text) {
+  const terms = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu)
+  if (!terms) return null
+  return terms.map(term => `${term}:*`).join(' & ')
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// mine: deals I own, shared: deals colleagues shared with me, team: everything I can see
+// (the SQL form of accessibleDealsWhere in lib/dealAccess.js)
+function scopeCondition(scope, userId) {
+  const sharedWithMe = Prisma.sql`EXISTS (SELECT 1 FROM "deal_collaborators" WHERE "deal_collaborators"."dealId" = "deals"."id" AND "deal_collaborators"."userId" = ${userId})`
+  if (scope === 'shared') return sharedWithMe
+  if (scope === 'team') {
+    return Prisma.sql`("assignedToId" = ${userId} OR ${sharedWithMe} OR "visibility" = 'team')`
+  }
+  return Prisma.sql`"assignedToId" = ${userId}`
+}
+
+// Ids of one page of the deal list, in order. Full-text search and competitor counts cannot be
+// expressed in Prisma, so scope, filters, ordering and the cursor all go into one query and only
+// the page itself comes back. Fetches up to `take` ids; callers ask for one more than they show
+// to learn whether another page follows.
+export async function findDealPageIds(userId, {
+  scope,
+  stage,
+  q,
+  ownerId,
+  createdFrom,
+  createdTo,
+  minCompetitors,
+  maxCompetitors,
+  sort,
+  order,
+  cursor,
+  take
+}) {
+  const conditions = [Prisma.sql`"deleted" = false`, scopeCondition(scope, userId)]
+
+  if (q) {
+    const tsQuery = toPrefixTsQuery(q)
+    if (!tsQuery) return []
+    conditions.push(Prisma.sql`${searchDocument} @@ to_tsquery('simple', ${tsQuery})`)
+  }
+  if (stage) conditions.push(Prisma.sql`"stage" IN (${Prisma.join(stage)})`)
+  if (ownerId) conditions.push(Prisma.sql`"assignedToId" = ${ownerId}`)
+  if (createdFrom) conditions.push(Prisma.sql`"createdAt" >= ${createdFrom}`)
+  if (createdTo) conditions.push(Prisma.sql`"createdAt" < ${new Date(createdTo.getTime() + DAY_MS)}`) // Whole end day
+
+  const competitorCount = Prisma.sql`(SELECT count(*) FROM "competitors" WHERE "competitors"."dealId" = "deals"."id" AND NOT "competitors"."hidden")`
+  if (minCompetitors !== undefined) {
+    conditions.push(Prisma.sql`${competitorCount} >= ${minCompetitors}`)
+  }
+  if (maxCompetitors !== undefined) {
+    conditions.push(Prisma.sql`${competitorCount} <= ${maxCompetitors}`)
+  }
+
+  // sort is one of DEAL_SORT_FIELDS, so it is safe to splice in. The id tie-breaker keeps
+  // pagination stable when sort values repeat
+  const sortColumn = Prisma.raw(`"${sort}"`)
+  const direction = Prisma.raw(order === 'asc' ? 'ASC' : 'DESC')
+  if (cursor) {
+    const after = Prisma.raw(order === 'asc' ? '>' : '<')
+    conditions.push(Prisma.sql`(${sortColumn}, "id") ${after} (SELECT ${sortColumn}, "id" FROM "deals" WHERE "id" = ${cursor})`)
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT "id" FROM "deals"
+    WHERE ${Prisma.join(conditions, ' AND ')}
+    ORDER BY ${sortColumn} ${direction}, "id" ${direction}
+    LIMIT ${take}
+  `
+  return rows.map(row => row.id)
+}
@@ -0,0 +1,107 @@
+import { z } from 'zod'
+import { DealAnalysisSchema } from '../trigger/analyzeDeal'
+import { CompetitorsSchema } from '../trigger/analyzeCompetitors'
+import { EvaluationSchema } from '../trigger/evaluateCompetitor'
+import { PIPELINE_STAGE_VALUES } from './pipeline'
+import { DEAL_PERSON_ROLES } from './dealPeople'
+
+// Manual edits accept the same shapes the AI analysis produces
+const competitorFields = CompetitorsSchema.shape.competitors.element
+
+export const CompetitorUpdateSchema = competitorFields
+  .extend({
+    name: competitorFields.shape.name.trim().min(1, 'Competitor name cannot be empty'),
+  })
+  .partial()
+  .extend({
+    id: z.string().min(1),
+  })
+  .strict()
+
+// Competitor an analyst adds by hand; it is evaluated like any discovered one
+export const CompetitorCreateSchema = z
+  .object({
+    name: competitorFields.shape.name.trim().min(1, 'Competitor name cannot be empty'),
+    website: z.string().trim().max(500).nullable().optional(),
+    description: z.string().trim().max(2000).nullable().optional(),
+  })
+  .strict()
+
+// null clears an override; setting one needs a note explaining it
+export const CompetitorManageSchema = z
+  .object({
+    hidden: z.boolean(),
+    scoreOverride: z.number().int().min(1).max(10).nullable(),
+    categoryOverride: EvaluationSchema.shape.competitor_category.nullable(),
+    overrideNote: z.string().trim().max(1000).nullable(),
+  })
+  .partial()
+  .strict()
+  .refine(
+    (body) => !(body.scoreOverride || body.categoryOverride) || body.overrideNote,
+    { message: 'A note is required when overriding the score or category', path: ['overrideNote'] }
+  )
+
+export const DealPersonCreateSchema = z
+  .object({
+    personId: z.string().min(1),
+    role: z.enum(DEAL_PERSON_ROLES),
+  })
+  .strict()
+
+export const DealPersonUpdateSchema = DealPersonCreateSchema.pick({ role: true })
+
+export const DealUpdateSchema = z
+  .object({
+    companyName: DealAnalysisSchema.shape.deal_name.trim().min(1, 'Company name cannot be empty'),
+    description: DealAnalysisSchema.shape.deal_description,
+    foundingTeam: DealAnalysisSchema.shape.deal_founding_team,
+    competitors: z.array(CompetitorUpdateSchema),
+  })
+  .partial()
+  .strict()
+
+export const DEAL_EDITABLE_FIELDS = ['companyName', 'description', 'foundingTeam']
+
+export const DealStageUpdateSchema = z
+  .object({
+    stage: z.enum(PIPELINE_STAGE_VALUES),
+    passReason: z.string().trim().min(1).optional(),
+  })
+  .strict()
+  .refine(
+    (body) => body.stage !== 'passed' || body.passReason,
+    { message: 'A reason is required when passing on a deal', path: ['passReason'] }
+  )
+
+export const DEAL_SORT_FIELDS = ['createdAt', 'updatedAt', 'companyName', 'stageChangedAt']
+
+// Query string of GET /api/deals; every filter is optional
+export const DealListQuerySchema = z
+  .object({
+    scope: z.enum(['mine', 'shared', 'team']).default('mine'),
+    stage: z
+      .string()
+      .transform((value) => value.split(','))
+      .pipe(z.array(z.enum(PIPELINE_STAGE_VALUES))),
+    q: z.string().trim().max(200),
+    ownerId: z.string().min(1),
+    createdFrom: z.coerce.date(), // Inclusive, YYYY-MM-DD
+    createdTo: z.coerce.date(), // Inclusive, YYYY-MM-DD
+    minCompetitors: z.coerce.number().int().min(0),
+    maxCompetitors: z.coerce.number().int().min(0),
+    sort: z.enum(DEAL_SORT_FIELDS).default('createdAt'),
+    order: z.enum(['asc', 'desc']).default('desc'),
+    cursor: z.string().min(1),
+    limit: z.coerce.number().int().min(1).max(100).default(24),
+  })
+  .partial({
+    stage: true,
+    q: true,
+    ownerId: true,
+    createdFrom: true,
+    createdTo: true,
+    minCompetitors: true,
+    maxCompetitors: true,
+    cursor: true,
+  })
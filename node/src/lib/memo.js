@@ -0,0 +1,212 @@
+import fs from 'fs/promises'
+import path from 'path'
+import PDFDocument from 'pdfkit'
+import { Document, HeadingLevel, Packer, Paragraph, TextRun } from 'docx'
+import { sanitizeCitations } from '../trigger/utils/sanitize'
+import { stageLabel } from './pipeline'
+import { effectiveCategory, effectiveScore } from './competitors'
+import { pdfFonts } from './pdfFonts'
+
+export const MEMO_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+}
+
+const CATEGORY_ORDER = ['incumbent', 'well-funded', 'early-stage']
+const CATEGORY_TITLES = {
+  'incumbent': 'Incumbents',
+  'well-funded': 'Well-funded startups',
+  'early-stage': 'Early-stage startups',
+  'uncategorized': 'Uncategorized',
+}
+
+export async function loadMemoTemplate() {
+  return fs.readFile(path.join(process.cwd(), 'prompts', 'memo.md'), 'utf-8')
+}
+
+// Keep user-provided text from breaking the memo's own Markdown structure
+function inline(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim()
+}
+
+function foundingTeamSection(foundingTeam) {
+  if (!Array.isArray(foundingTeam) || foundingTeam.length === 0) {
+    return 'No founding team information yet.'
+  }
+  return foundingTeam
+    .map(member => {
+      const role = member.role ? ` (${inline(member.role)})` : ''
+      const description = member.description ? ` - ${inline(member.description)}` : ''
+      return `- **${inline(member.name) || 'Unknown'}**${role}${description}`
+    })
+    .join('\n')
+}
+
+function competitorsSection(allCompetitors) {
+  // Hidden competitors were ruled out by an analyst
+  const competitors = allCompetitors?.filter(competitor => !competitor.hidden)
+  if (!competitors?.length) {
+    return 'No competitors identified yet.'
+  }
+
+  const groups = {}
+  for (const competitor of competitors) {
+    const category = CATEGORY_ORDER.includes(effectiveCategory(competitor)) ? effectiveCategory(competitor) : 'uncategorized'
+    groups[category] = groups[category] || []
+    groups[category].push(competitor)
+  }
+
+  return [...CATEGORY_ORDER, 'uncategorized']
+    .filter(category => groups[category])
+    .map(category => {
+      // Closest competitors first
+      const rows = groups[category]
+        .sort((a, b) => (Number(effectiveScore(b)) || 0) - (Number(effectiveScore(a)) || 0))
+        .map(competitor => {
+          const score = effectiveScore(competitor) ? ` - score ${effectiveScore(competitor)}/10` : ''
+          const website = competitor.website ? ` (${competitor.website})` : ''
+          const justification = sanitizeCitations(competitor.shortJustification)
+          return `- **${inline(competitor.name)}**${website}${score}${justification ? `: ${inline(justification)}` : ''}`
+        })
+      return `### ${CATEGORY_TITLES[category]}\n\n${rows.join('\n')}`
+    })
+    .join('\n\n')
+}
+
+function documentsSection(files) {
+  if (!files?.length) {
+    return 'No documents attached.'
+  }
+  return files.map(file => `- ${inline(file.originalName)} (${file.url})`).join('\n')
+}
+
+// Fills the template placeholders; unknown placeholders are left as they are
+export function renderMemoMarkdown(deal, template) {
+  const stage = deal.stage === 'passed' && deal.passReason
+    ? `${stageLabel(deal.stage)} (${inline(deal.passReason)})`
+    : stageLabel(deal.stage)
+
+  const values = {
+    companyName: inline(deal.companyName),
+    stage,
+    owner: inline(deal.assignedTo?.name || deal.assignedTo?.email),
+    date: new Date().toISOString().slice(0, 10),
+    description: deal.description?.trim() || 'No description yet.',
+    foundingTeam: foundingTeamSection(deal.foundingTeam),
+    competitors: competitorsSection(deal.competitors),
+    documents: documentsSection(deal.files),
+  }
+
+  return template
+    .replace(/<!--[\s\S]*?-->\s*/g, '')
+    .replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match))
+    .trim() + '\n'
+}
+
+// The small Markdown subset the template supports, as blocks for the DOCX and PDF renderers
+export function parseMemoMarkdown(markdown) {
+  const blocks = []
+  let paragraph = []
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') })
+      paragraph = []
+    }
+  }
+
+  for (const line of markdown.split('\n')) {
+    const heading = line.match(/^(#{1,3})\s+(.*)$/)
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/)
+
+    if (heading) {
+      flushParagraph()
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].trim() })
+    } else if (bullet) {
+      flushParagraph()
+      blocks.push({ type: 'bullet', text: bullet[1].trim() })
+    } else if (line.trim() === '') {
+      flushParagraph()
+    } else {
+      paragraph.push(line.trim())
+    }
+  }
+  flushParagraph()
+
+  return blocks
+}
+
+// "a **b** c" -> [{ text: 'a ' }, { text: 'b', bold: true }, { text: ' c' }]
+export function parseInlineRuns(text) {
+  return text
+    .split(/(\*\*[^*]+\*\*)/)
+    .filter(Boolean)
+    .map(part => (
+      part.startsWith('**') && part.endsWith('**')
+        ? { text: part.slice(2, -2), bold: true }
+        : { text: part, bold: false }
+    ))
+}
+
+const DOCX_HEADINGS = {
+  1: HeadingLevel.TITLE,
+  2: HeadingLevel.HEADING_1,
+  3: HeadingLevel.HEADING_2,
+}
+
+export async function renderMemoDocx(markdown) {
+  const children = parseMemoMarkdown(markdown).map(block => {
+    const runs = parseInlineRuns(block.text).map(run => new TextRun({ text: run.text, bold: run.bold }))
+    if (block.type === 'heading') {
+      return new Paragraph({ heading: DOCX_HEADINGS[block.level], children: runs })
+    }
+    if (block.type === 'bullet') {
+      return new Paragraph({ bullet: { level: 0 }, children: runs })
+    }
+    return new Paragraph({ children: runs, spacing: { after: 120 } })
+  })
+
+  const document = new Document({ sections: [{ children }] })
+  return Packer.toBuffer(document)
+}
+
+const PDF_HEADING_SIZES = { 1: 20, 2: 15, 3: 12 }
+
+export function renderMemoPdf(markdown) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50 })
+    const chunks = []
+    doc.on('data', chunk => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    const { regular: regularFont, bold: boldFont } = pdfFonts()
+
+    const writeRuns = (text, options = {}) => {
+      const runs = parseInlineRuns(text)
+      runs.forEach((run, index) => {
+        doc.font(run.bold ? boldFont : regularFont)
+          .text(run.text, { ...options, continued: index < runs.length - 1 })
+      })
+    }
+
+    for (const block of parseMemoMarkdown(markdown)) {
+      if (block.type === 'heading') {
+        doc.moveDown(block.level === 1 ? 0 : 0.5)
+        doc.font(boldFont).fontSize(PDF_HEADING_SIZES[block.level]).text(block.text.replace(/\*\*/g, ''))
+        doc.moveDown(0.3)
+      } else if (block.type === 'bullet') {
+        doc.fontSize(10)
+        writeRuns(`•  ${block.text}`, { indent: 10 })
+        doc.moveDown(0.2)
+      } else {
+        doc.fontSize(10)
+        writeRuns(block.text)
+        doc.moveDown(0.5)
+      }
+    }
+
+    doc.end()
+  })
+}
@@ -0,0 +1,11 @@
+import path from 'path'
+
+// pdfkit's standard fonts only cover WinAnsi, which has no ř, ů or ň, so generated PDFs use the
+// DejaVu Sans files shipped in fonts/. PDF_FONT_PATH swaps in another TTF, used for bold text too.
+export function pdfFonts() {
+  if (process.env.PDF_FONT_PATH) {
+    return { regular: process.env.PDF_FONT_PATH, bold: process.env.PDF_FONT_PATH }
+  }
+  const dir = path.join(process.cwd(), 'fonts')
+  return { regular: path.join(dir, 'DejaVuSans.ttf'), bold: path.join(dir, 'DejaVuSans-Bold.ttf') }
+}
@@ -0,0 +1,65 @@
+// Columns of the people CSV export, in order
+export const PEOPLE_CSV_COLUMNS = [
+  { key: 'fullName', label: 'Name' },
+  { key: 'position', label: 'Position' },
+  { key: 'email', label: 'Email' },
+  { key: 'linkedinUrl', label: 'LinkedIn' },
+  { key: 'followersCount', label: 'Followers' },
+  { key: 'companyName', label: 'Company' },
+  { key: 'companyWebsiteUrl', label: 'Company website' },
+  { key: 'companyLinkedinUrl', label: 'Company LinkedIn' },
+  { key: 'companyEmployeeCount', label: 'Employees' },
+  { key: 'country', label: 'Country' },
+  { key: 'sourceRobot', label: 'Source robot' },
+  { key: 'fitScore', label: 'Founder fit' },
+  { key: 'fitRationale', label: 'Fit rationale' },
+  { key: 'createdAt', label: 'Added' },
+]
+
+function range(min, max) {
+  if (min === undefined && max === undefined) return undefined
+  return {
+    ...(min !== undefined && { gte: min }),
+    ...(max !== undefined && { lte: max })
+  }
+}
+
+// Filters shared by the people list and its CSV export. A robot filter matches every robot that
+// ever found the person, not only the latest one.
+export function peopleWhere({ q, country, sourceRobot, minEmployees, maxEmployees, minFollowers, maxFollowers, minFit }) {
+  const employees = range(minEmployees, maxEmployees)
+  const followers = range(minFollowers, maxFollowers)
+
+  return {
+    AND: [
+      q && {
+        OR: ['fullName', 'email', 'position', 'companyName'].map(field => ({
+          [field]: { contains: q, mode: 'insensitive' }
+        }))
+      },
+      country && { country: { equals: country, mode: 'insensitive' } },
+      sourceRobot && { sourceRecords: { some: { sourceRobot } } },
+      employees && { companyEmployeeCount: employees },
+      followers && { followersCount: followers },
+      minFit !== undefined && { fitScore: { gte: minFit } },
+    ].filter(Boolean)
+  }
+}
+
+// Spreadsheet apps run cells starting with these as formulas, so they are prefixed with a quote
+const FORMULA_START = /^[=+\-@\t\r]/
+
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (FORMULA_START.test(text)) text = `'${text}`
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function peopleCsv(people) {
+  const rows = [
+    PEOPLE_CSV_COLUMNS.map(column => column.label),
+    ...people.map(person => PEOPLE_CSV_COLUMNS.map(column => person[column.key]))
+  ]
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
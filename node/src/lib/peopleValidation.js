@@ -0,0 +1,22 @@
+import { z } from 'zod'
+
+const count = z.coerce.number().int().min(0)
+
+// Filters shared by the people list and its CSV export
+export const PeopleFiltersSchema = z
+  .object({
+    q: z.string().trim().max(200),
+    country: z.string().trim().min(1).max(100),
+    sourceRobot: z.string().trim().min(1).max(200),
+    minEmployees: count,
+    maxEmployees: count,
+    minFollowers: count,
+    maxFollowers: count,
+    minFit: z.coerce.number().int().min(1).max(10),
+  })
+  .partial()
+
+export const PeopleListQuerySchema = PeopleFiltersSchema.extend({
+  cursor: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+})
@@ -0,0 +1,16 @@
+// Where a deal sits in our investment process, in board order
+export const PIPELINE_STAGES = [
+  { value: 'sourced', label: 'Sourced', color: '#6B7280' },
+  { value: 'screening', label: 'Screening', color: '#3B82F6' },
+  { value: 'first-meeting', label: 'First meeting', color: '#8B5CF6' },
+  { value: 'due-diligence', label: 'DD', color: '#F59E0B' },
+  { value: 'ic', label: 'IC', color: '#EC4899' },
+  { value: 'invested', label: 'Invested', color: '#10B981' },
+  { value: 'passed', label: 'Passed', color: '#EF4444' },
+]
+
+export const PIPELINE_STAGE_VALUES = PIPELINE_STAGES.map(stage => stage.value)
+
+export function stageLabel(value) {
+  return PIPELINE_STAGES.find(stage => stage.value === value)?.label || value
+}
@@ -0,0 +1,32 @@
+// Firm-wide user roles, ordered from least to most privileged
+export const USER_ROLES = ['analyst', 'partner', 'admin']
+
+// Which roles may perform each gated action
+export const PERMISSIONS = {
+  'deals:delete': ['admin', 'partner'],
+  'deals:reanalyze': ['admin', 'partner'],
+  'people:view': ['admin', 'partner'],
+  'people:merge': ['admin', 'partner'],
+  'users:manage': ['admin'],
+  'competitor-types:manage': ['admin'],
+  'sourcing-thesis:manage': ['admin'],
+}
+
+export function can(role, permission) {
+  return Boolean(PERMISSIONS[permission]?.includes(role))
+}
+
+// Comma-separated ALLOWED_EMAIL_DOMAINS; when unset, only invited addresses may sign in
+export function allowedEmailDomains() {
+  return (process.env.ALLOWED_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+export function isEmailDomainAllowed(email) {
+  const domains = allowedEmailDomains()
+  if (domains.length === 0) return false
+  const domain = email?.split('@')[1]?.toLowerCase()
+  return Boolean(domain && domains.includes(domain))
+}
@@ -0,0 +1,10 @@
+import { z } from 'zod'
+
+const thesisField = (message) => z.string().trim().min(1, message).max(2000)
+
+export const SourcingThesisSchema = z.object({
+  stages: thesisField('Describe the stages we invest in'),
+  geographies: thesisField('Describe the geographies we invest in'),
+  sectors: thesisField('Describe the sectors we invest in'),
+  backgroundSignals: thesisField('Describe the founder backgrounds we look for'),
+}).strict()
@@ -0,0 +1,96 @@
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3'
+import fs from 'fs'
+import { IncomingForm } from 'formidable'
+import { detectFileFormat, ConversionStatus, FileFormat } from '../trigger/config/fileFormats'
+
+const s3Client = new S3Client({
+  region: process.env.AWS_REGION,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+})
+
+export async function parseForm(req, uploadDir) {
+  return new Promise((resolve, reject) => {
+    const form = new IncomingForm({
+      maxFileSize: 150 * 1024 * 1024, // 150MB
+      uploadDir,
+      keepExtensions: true,
+      filename: (name, ext, part) => {
+        return part.originalFilename
+      },
+    })
+    form.parse(req, (err, fields, files) => {
+      if (err) return reject(err)
+      resolve({ fields, files })
+    })
+  })
+}
+
+// formidable returns a single file or an array depending on how many were sent
+export function getUploadedFiles(files) {
+  return Array.isArray(files.files)
+    ? files.files
+    : [files.files].filter((f) => f && f.size > 0)
+}
+
+export function isSupportedFile(file) {
+  return detectFileFormat(file.originalFilename, file.mimetype) !== null
+}
+
+// Names of the files in a batch we cannot process. Routes reject the whole batch before anything
+// is uploaded, so a bad file does not leave its neighbours orphaned in S3
+export function unsupportedFilenames(uploadedFiles) {
+  return uploadedFiles.filter(file => !isSupportedFile(file)).map(file => file.originalFilename)
+}
+
+export async function uploadToS3(file) {
+  const fileStream = fs.createReadStream(file.filepath)
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
+  const key = `${uniqueSuffix}-${file.originalFilename}`
+
+  console.log(`Attempting to upload to bucket: ${process.env.S3_BUCKET_NAME}`)
+
+  const command = new PutObjectCommand({
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: key,
+    Body: fileStream,
+    ContentType: file.mimetype,
+  })
+
+  await s3Client.send(command)
+
+  return `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`
+}
+
+// Push every uploaded file to S3, returning the payload shape the orchestrator expects. Formats are
+// checked with unsupportedFilenames first; conversion happens in the ingest-files task
+export async function uploadFilesToS3(uploadedFiles) {
+  return Promise.all(uploadedFiles.map(async (file) => {
+    const s3Url = await uploadToS3(file)
+    return {
+      s3Url,
+      originalFilename: file.originalFilename,
+      mimetype: file.mimetype,
+      size: file.size,
+    }
+  }))
+}
+
+export function toDealFileRecords(s3Results, dealId) {
+  return s3Results.map(file => {
+    const sourceFormat = detectFileFormat(file.originalFilename, file.mimetype)
+    return {
+      filename: file.originalFilename,
+      originalName: file.originalFilename,
+      mimeType: file.mimetype,
+      size: file.size,
+      url: file.s3Url,
+      openaiFileId: null, // Will be updated by the task
+      sourceFormat,
+      conversionStatus: sourceFormat === FileFormat.PDF ? ConversionStatus.NOT_NEEDED : ConversionStatus.PENDING,
+      dealId,
+    }
+  })
+}
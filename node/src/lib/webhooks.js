@@ -0,0 +1,60 @@
+import crypto from 'crypto'
+
+// Signed webhooks carry two headers, plus an optional delivery id:
+//   X-Webhook-Timestamp: unix seconds when the call was sent
+//   X-Webhook-Id: the sender's name for the delivery, used to spot redeliveries
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<id>.<raw body>" with the shared secret>,
+//     where <id> is empty when the call has no X-Webhook-Id
+// The timestamp is part of the signed content, so a captured call cannot be replayed
+// once it falls outside the tolerance window. The id is too, so within the window a replay
+// cannot pass as a new delivery by changing it.
+export const WEBHOOK_TOLERANCE_SECONDS = 5 * 60
+
+const REDACTED_HEADERS = ['authorization', 'cookie', 'x-api-key', 'x-webhook-signature']
+
+export function signWebhook(secret, timestamp, rawBody, deliveryId = '') {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${deliveryId}.${rawBody}`).digest('hex')
+  return `sha256=${digest}`
+}
+
+// Returns why the call is rejected, or null when it is authentic and fresh
+export function webhookRejection({ secret, headers, rawBody, now = Date.now() }) {
+  const timestamp = headers['x-webhook-timestamp']
+  const signature = headers['x-webhook-signature']
+  if (!timestamp || !signature) return 'Missing signature headers'
+
+  const sentAt = Number(timestamp)
+  if (!Number.isInteger(sentAt) || Math.abs(now / 1000 - sentAt) > WEBHOOK_TOLERANCE_SECONDS) {
+    return 'Timestamp outside the accepted window'
+  }
+
+  const expected = Buffer.from(signWebhook(secret, timestamp, rawBody, headers['x-webhook-id'] || ''))
+  const received = Buffer.from(String(signature))
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'Invalid signature'
+  }
+  return null
+}
+
+// Senders may name a delivery; otherwise identical bodies count as the same delivery
+export function webhookIdempotencyKey(headers, rawBody) {
+  const id = headers['x-webhook-id']
+  if (id) return String(id).slice(0, 200)
+  return `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`
+}
+
+// The signature covers the exact bytes sent, so the route reads the body itself
+export async function readRawBody(req) {
+  const chunks = []
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk)
+  }
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+export function redactHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    REDACTED_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value
+  ]))
+}
@@ -0,0 +1,510 @@
+import { useState, useEffect } from 'react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/router'
+import Header from '../components/Header'
+import { can, USER_ROLES } from '../lib/roles'
+
+const THESIS_FIELDS = [
+  { key: 'stages', label: 'Stage', placeholder: 'e.g. pre-seed and seed' },
+  { key: 'geographies', label: 'Geography', placeholder: 'e.g. Central and Eastern Europe' },
+  { key: 'sectors', label: 'Sectors', placeholder: 'e.g. B2B software, fintech' },
+  { key: 'backgroundSignals', label: 'Founder background', placeholder: 'e.g. repeat founders, technical backgrounds' }
+]
+
+export default function Admin() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [users, setUsers] = useState([])
+  const [invites, setInvites] = useState([])
+  const [newInvite, setNewInvite] = useState({ email: '', role: 'analyst' })
+  const [error, setError] = useState('')
+  const [competitorTypes, setCompetitorTypes] = useState([])
+  const [typeDraft, setTypeDraft] = useState(null) // Competitor type being added (no id) or edited
+  const [thesis, setThesis] = useState(null)
+  const [thesisSaved, setThesisSaved] = useState(false)
+
+  const isAdmin = can(session?.user?.role, 'users:manage')
+
+  useEffect(() => {
+    const fetchAdminData = async () => {
+      try {
+        const [usersResponse, invitesResponse, typesResponse, thesisResponse] = await Promise.all([
+          fetch('/api/admin/users'),
+          fetch('/api/admin/invites'),
+          fetch('/api/competitor-types'),
+          fetch('/api/sourcing-thesis')
+        ])
+        if (usersResponse.ok) setUsers(await usersResponse.json())
+        if (invitesResponse.ok) setInvites(await invitesResponse.json())
+        if (typesResponse.ok) setCompetitorTypes(await typesResponse.json())
+        if (thesisResponse.ok) setThesis(await thesisResponse.json())
+      } catch (error) {
+        console.error('Error fetching admin data:', error)
+        setError('Failed to load users')
+      }
+    }
+
+    if (isAdmin) {
+      fetchAdminData()
+    }
+  }, [isAdmin])
+
+  // Handle redirection as a side-effect
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/')
+    } else if (status === 'authenticated' && !isAdmin) {
+      router.push('/deep-research')
+    }
+  }, [status, isAdmin, router])
+
+  // Show loading spinner while session is loading or before redirecting non-admins
+  if (status !== 'authenticated' || !isAdmin) {
+    return (
+      <div style={{ minHeight: '80vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <div style={{
+          width: '40px',
+          height: '40px',
+          border: '3px solid var(--border-light)',
+          borderTop: '3px solid var(--credo-orange)',
+          borderRadius: '50%',
+          animation: 'spin 1s linear infinite'
+        }}></div>
+      </div>
+    )
+  }
+
+  const handleRoleChange = async (userId, role) => {
+    setError('')
+    try {
+      const response = await fetch('/api/admin/users', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId, role })
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setError(data.error || 'Failed to update role')
+        return
+      }
+
+      const updated = await response.json()
+      setUsers(prev => prev.map(user => user.id === updated.id ? updated : user))
+    } catch (error) {
+      console.error('Error updating role:', error)
+      setError('Failed to update role')
+    }
+  }
+
+  const handleInvite = async () => {
+    setError('')
+    try {
+      const response = await fetch('/api/admin/invites', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newInvite)
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setError(data.error || 'Failed to create invite')
+        return
+      }
+
+      const invite = await response.json()
+      setInvites(prev => [invite, ...prev.filter(i => i.id !== invite.id)])
+      setNewInvite({ email: '', role: 'analyst' })
+    } catch (error) {
+      console.error('Error creating invite:', error)
+      setError('Failed to create invite')
+    }
+  }
+
+  const handleRevokeInvite = async (inviteId) => {
+    try {
+      const response = await fetch(`/api/admin/invites?id=${inviteId}`, {
+        method: 'DELETE'
+      })
+
+      if (response.ok) {
+        setInvites(prev => prev.filter(invite => invite.id !== inviteId))
+      } else {
+        setError('Failed to revoke invite')
+      }
+    } catch (error) {
+      console.error('Error revoking invite:', error)
+    }
+  }
+
+  // Creates the type when the draft has no id, otherwise applies the changes
+  const saveCompetitorType = async (id, changes) => {
+    setError('')
+    try {
+      const response = await fetch(id ? `/api/competitor-types/${id}` : '/api/competitor-types', {
+        method: id ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setError(data.error || 'Failed to save competitor type')
+        return false
+      }
+
+      const saved = await response.json()
+      setCompetitorTypes(prev => id
+        ? prev.map(type => type.id === saved.id ? saved : type)
+        : [...prev, saved])
+      return true
+    } catch (error) {
+      console.error('Error saving competitor type:', error)
+      setError('Failed to save competitor type')
+      return false
+    }
+  }
+
+  const submitTypeDraft = async () => {
+    const { id, name, description, promptGuidance } = typeDraft
+    const saved = await saveCompetitorType(id, {
+      name: name.trim(),
+      description: description.trim(),
+      promptGuidance: promptGuidance.trim() || null
+    })
+    if (saved) setTypeDraft(null)
+  }
+
+  // Swaps positions with the neighbouring type
+  const moveCompetitorType = async (index, offset) => {
+    const type = competitorTypes[index]
+    const other = competitorTypes[index + offset]
+    if (!other) return
+    const moved = await saveCompetitorType(type.id, { sortOrder: other.sortOrder })
+    if (moved) await saveCompetitorType(other.id, { sortOrder: type.sortOrder })
+    setCompetitorTypes(prev => [...prev].sort((a, b) => a.sortOrder - b.sortOrder))
+  }
+
+  const saveThesis = async () => {
+    setError('')
+    setThesisSaved(false)
+    try {
+      const response = await fetch('/api/sourcing-thesis', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Object.fromEntries(THESIS_FIELDS.map(({ key }) => [key, thesis[key]])))
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setError(data.error || 'Failed to save the sourcing thesis')
+        return
+      }
+
+      setThesis(await response.json())
+      setThesisSaved(true)
+    } catch (error) {
+      console.error('Error saving sourcing thesis:', error)
+      setError('Failed to save the sourcing thesis')
+    }
+  }
+
+  return (
+    <div>
+      <Header />
+      <main className="container" style={{ padding: '2rem 0', minHeight: '80vh' }}>
+        <div style={{ marginBottom: '2rem' }}>
+          <h1 style={{ fontSize: '2.5rem', marginBottom: '0.5rem' }}>
+            Admin
+          </h1>
+          <p style={{ color: 'var(--text-secondary)', fontSize: '1.1rem' }}>
+            Manage who can access the portal and what they can do
+          </p>
+        </div>
+
+        {error && (
+          <p style={{ color: '#EF4444', fontSize: '0.9rem', marginBottom: '1rem' }}>
+            {error}
+          </p>
+        )}
+
+        {/* Users */}
+        <div style={cardStyle}>
+          <h2 style={{ fontSize: '1.25rem', marginBottom: '1rem' }}>Users</h2>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                <th style={cellStyle}>Name</th>
+                <th style={cellStyle}>Email</th>
+                <th style={cellStyle}>Role</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(user => (
+                <tr key={user.id} style={{ borderTop: '1px solid var(--border-light)' }}>
+                  <td style={cellStyle}>{user.name || '—'}</td>
+                  <td style={cellStyle}>{user.email}</td>
+                  <td style={cellStyle}>
+                    <RoleSelect value={user.role} onChange={(role) => handleRoleChange(user.id, role)} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Invites */}
+        <div style={cardStyle}>
+          <h2 style={{ fontSize: '1.25rem', marginBottom: '0.5rem' }}>Invites</h2>
+          <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: '1rem' }}>
+            Invited addresses can sign in even when they are outside the allowed email domains.
+          </p>
+
+          <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1.5rem' }}>
+            <input
+              type="email"
+              value={newInvite.email}
+              onChange={(e) => setNewInvite({ ...newInvite, email: e.target.value })}
+              placeholder="name@example.com"
+              style={{ ...inputStyle, flex: 1 }}
+            />
+            <RoleSelect value={newInvite.role} onChange={(role) => setNewInvite({ ...newInvite, role })} />
+            <button
+              onClick={handleInvite}
+              className="btn-primary"
+              disabled={!newInvite.email.trim()}
+              style={{ padding: '0.5rem 1rem', opacity: newInvite.email.trim() ? 1 : 0.5 }}
+            >
+              Invite
+            </button>
+          </div>
+
+          {invites.length === 0 ? (
+            <p style={{ color: 'var(--text-light)', fontSize: '0.9rem' }}>No invites yet.</p>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                  <th style={cellStyle}>Email</th>
+                  <th style={cellStyle}>Role</th>
+                  <th style={cellStyle}>Status</th>
+                  <th style={cellStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {invites.map(invite => (
+                  <tr key={invite.id} style={{ borderTop: '1px solid var(--border-light)' }}>
+                    <td style={cellStyle}>{invite.email}</td>
+                    <td style={{ ...cellStyle, textTransform: 'capitalize' }}>{invite.role}</td>
+                    <td style={cellStyle}>
+                      {invite.acceptedAt
+                        ? `Joined ${new Date(invite.acceptedAt).toLocaleDateString()}`
+                        : `Invited by ${invite.invitedBy?.name || invite.invitedBy?.email}`}
+                    </td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>
+                      <button
+                        onClick={() => handleRevokeInvite(invite.id)}
+                        style={{ background: 'none', border: 'none', color: '#EF4444', cursor: 'pointer', fontSize: '0.85rem' }}
+                      >
+                        Revoke
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Competitor types */}
+        <div style={cardStyle}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+            <h2 style={{ fontSize: '1.25rem', margin: 0 }}>Competitor searches</h2>
+            {!typeDraft && (
+              <button
+                onClick={() => setTypeDraft({ name: '', description: '', promptGuidance: '' })}
+                className="btn-secondary"
+                style={{ padding: '0.4rem 0.9rem', fontSize: '0.85rem' }}
+              >
+                + Add search
+              </button>
+            )}
+          </div>
+          <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: '1rem' }}>
+            Each search looks for one kind of competitor. Analysts pick which ones to run when they upload a deal.
+            Deactivated searches are no longer offered, but competitors they found keep their label.
+          </p>
+
+          {typeDraft && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '1.5rem', padding: '1rem', background: '#F9FAFB', borderRadius: '8px' }}>
+              <input
+                value={typeDraft.name}
+                onChange={(e) => setTypeDraft({ ...typeDraft, name: e.target.value })}
+                placeholder="Name, e.g. EU-only competitors"
+                style={inputStyle}
+              />
+              <textarea
+                value={typeDraft.description}
+                onChange={(e) => setTypeDraft({ ...typeDraft, description: e.target.value })}
+                placeholder="Which companies belong in this search"
+                style={{ ...inputStyle, minHeight: '60px', resize: 'vertical' }}
+              />
+              <textarea
+                value={typeDraft.promptGuidance}
+                onChange={(e) => setTypeDraft({ ...typeDraft, promptGuidance: e.target.value })}
+                placeholder="Extra instructions for the search (optional), e.g. only companies headquartered in the EU"
+                style={{ ...inputStyle, minHeight: '60px', resize: 'vertical' }}
+              />
+              <div style={{ display: 'flex', gap: '0.75rem' }}>
+                <button
+                  onClick={submitTypeDraft}
+                  className="btn-primary"
+                  disabled={!typeDraft.name.trim() || !typeDraft.description.trim()}
+                  style={{ padding: '0.4rem 1rem', fontSize: '0.85rem', opacity: typeDraft.name.trim() && typeDraft.description.trim() ? 1 : 0.5 }}
+                >
+                  Save
+                </button>
+                <button
+                  onClick={() => setTypeDraft(null)}
+                  style={{ background: 'none', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', fontSize: '0.85rem' }}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                <th style={cellStyle}>Search</th>
+                <th style={cellStyle}>Definition</th>
+                <th style={cellStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {competitorTypes.map((type, index) => (
+                <tr key={type.id} style={{ borderTop: '1px solid var(--border-light)', opacity: type.active ? 1 : 0.5, verticalAlign: 'top' }}>
+                  <td style={{ ...cellStyle, width: '25%' }}>
+                    <div style={{ fontWeight: '600' }}>{type.name}</div>
+                    <div style={{ color: 'var(--text-light)', fontSize: '0.8rem' }}>{type.slug}</div>
+                  </td>
+                  <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>
+                    {type.description}
+                    {type.promptGuidance && (
+                      <div style={{ marginTop: '0.25rem', fontSize: '0.85rem' }}>
+                        <strong>Guidance:</strong> {type.promptGuidance}
+                      </div>
+                    )}
+                  </td>
+                  <td style={{ ...cellStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+                    <button onClick={() => moveCompetitorType(index, -1)} disabled={index === 0} style={linkButtonStyle} title="Move up">↑</button>
+                    <button onClick={() => moveCompetitorType(index, 1)} disabled={index === competitorTypes.length - 1} style={linkButtonStyle} title="Move down">↓</button>
+                    <button
+                      onClick={() => setTypeDraft({
+                        id: type.id,
+                        name: type.name,
+                        description: type.description,
+                        promptGuidance: type.promptGuidance || ''
+                      })}
+                      style={linkButtonStyle}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => saveCompetitorType(type.id, { active: !type.active })}
+                      style={{ ...linkButtonStyle, color: type.active ? '#EF4444' : 'var(--credo-orange)' }}
+                    >
+                      {type.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Sourcing thesis */}
+        {thesis && (
+          <div style={cardStyle}>
+            <h2 style={{ fontSize: '1.25rem', marginBottom: '0.5rem' }}>Sourcing thesis</h2>
+            <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: '1rem' }}>
+              People imported from Leadspicker are scored against this for founder fit.
+              Changes apply to people imported from now on.
+            </p>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+              {THESIS_FIELDS.map(({ key, label, placeholder }) => (
+                <label key={key} style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                  {label}
+                  <textarea
+                    value={thesis[key]}
+                    onChange={(e) => { setThesis({ ...thesis, [key]: e.target.value }); setThesisSaved(false) }}
+                    placeholder={placeholder}
+                    style={{ ...inputStyle, minHeight: '50px', resize: 'vertical', color: 'var(--text-primary)' }}
+                  />
+                </label>
+              ))}
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                <button
+                  onClick={saveThesis}
+                  className="btn-primary"
+                  disabled={THESIS_FIELDS.some(({ key }) => !thesis[key].trim())}
+                  style={{ padding: '0.4rem 1rem', fontSize: '0.85rem', opacity: THESIS_FIELDS.some(({ key }) => !thesis[key].trim()) ? 0.5 : 1 }}
+                >
+                  Save thesis
+                </button>
+                {thesisSaved && <span style={{ color: 'var(--text-secondary)', fontSize: '0.85rem' }}>Saved</span>}
+                {!thesisSaved && !thesis.updatedAt && (
+                  <span style={{ color: 'var(--text-light)', fontSize: '0.85rem' }}>Using the default thesis</span>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+function RoleSelect({ value, onChange }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      style={{ ...inputStyle, width: 'auto', textTransform: 'capitalize' }}
+    >
+      {USER_ROLES.map(role => (
+        <option key={role} value={role}>{role}</option>
+      ))}
+    </select>
+  )
+}
+
+const cardStyle = {
+  background: 'white',
+  border: '1px solid var(--border-light)',
+  borderRadius: '12px',
+  padding: '2rem',
+  marginBottom: '2rem'
+}
+
+const cellStyle = {
+  padding: '0.75rem 0.5rem'
+}
+
+const inputStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid var(--border-light)',
+  borderRadius: '6px',
+  fontSize: '0.9rem',
+  fontFamily: 'inherit'
+}
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--credo-orange)',
+  cursor: 'pointer',
+  fontSize: '0.85rem',
+  marginLeft: '0.5rem'
+}
@@ -0,0 +1,84 @@
+import { z } from 'zod'
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../auth/[...nextauth]'
+import { prisma } from '../../../lib/prisma'
+import { can, USER_ROLES } from '../../../lib/roles'
+
+const InviteSchema = z.object({
+  email: z.string().trim().toLowerCase().email(),
+  role: z.enum(USER_ROLES).default('analyst'),
+}).strict()
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (!can(session.user.role, 'users:manage')) {
+      return res.status(403).json({ error: 'Only admins can manage invites' })
+    }
+
+    if (req.method === 'GET') {
+      const invites = await prisma.invite.findMany({
+        include: {
+          invitedBy: {
+            select: { name: true, email: true }
+          }
+        },
+        orderBy: {
+          createdAt: 'desc'
+        }
+      })
+
+      return res.status(200).json(invites)
+    }
+
+    if (req.method === 'POST') {
+      const parsed = InviteSchema.safeParse(req.body)
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'Invalid invite',
+          details: parsed.error.flatten()
+        })
+      }
+
+      const { email, role } = parsed.data
+
+      // Re-inviting an address resets it so the new role applies on next sign-in
+      const invite = await prisma.invite.upsert({
+        where: { email },
+        update: { role, acceptedAt: null, invitedById: session.user.id },
+        create: { email, role, invitedById: session.user.id },
+        include: {
+          invitedBy: {
+            select: { name: true, email: true }
+          }
+        }
+      })
+
+      return res.status(200).json(invite)
+    }
+
+    if (req.method === 'DELETE') {
+      const { id } = req.query
+
+      if (!id) {
+        return res.status(400).json({ error: 'Invite ID is required' })
+      }
+
+      const { count } = await prisma.invite.deleteMany({ where: { id } })
+      if (count === 0) {
+        return res.status(404).json({ error: 'Invite not found' })
+      }
+
+      return res.status(200).json({ success: true })
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Admin invites API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
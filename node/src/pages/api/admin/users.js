@@ -0,0 +1,85 @@
+import { z } from 'zod'
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../auth/[...nextauth]'
+import { prisma } from '../../../lib/prisma'
+import { can, USER_ROLES } from '../../../lib/roles'
+
+const RoleUpdateSchema = z.object({
+  userId: z.string().min(1),
+  role: z.enum(USER_ROLES),
+}).strict()
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (!can(session.user.role, 'users:manage')) {
+      return res.status(403).json({ error: 'Only admins can manage users' })
+    }
+
+    if (req.method === 'GET') {
+      const users = await prisma.user.findMany({
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          image: true,
+          role: true,
+          createdAt: true
+        },
+        orderBy: {
+          createdAt: 'asc'
+        }
+      })
+
+      return res.status(200).json(users)
+    }
+
+    if (req.method === 'PATCH') {
+      const parsed = RoleUpdateSchema.safeParse(req.body)
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'Invalid role update',
+          details: parsed.error.flatten()
+        })
+      }
+
+      const { userId, role } = parsed.data
+
+      // Never leave the portal without anyone able to manage roles
+      if (role !== 'admin') {
+        const target = await prisma.user.findUnique({ where: { id: userId } })
+        if (!target) {
+          return res.status(404).json({ error: 'User not found' })
+        }
+        const adminCount = await prisma.user.count({ where: { role: 'admin' } })
+        if (target.role === 'admin' && adminCount <= 1) {
+          return res.status(400).json({ error: 'At least one admin is required' })
+        }
+      }
+
+      const user = await prisma.user.update({
+        where: { id: userId },
+        data: { role },
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          image: true,
+          role: true,
+          createdAt: true
+        }
+      })
+
+      return res.status(200).json(user)
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Admin users API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -1,6 +1,11 @@
 import NextAuth from 'next-auth'
 import GoogleProvider from 'next-auth/providers/google'
 import { prisma } from '../../../lib/prisma'
+import { allowedEmailDomains, isEmailDomainAllowed } from '../../../lib/roles'
+
+if (allowedEmailDomains().length === 0) {
+  console.error('ALLOWED_EMAIL_DOMAINS is not set: nobody outside the invite list can sign in')
+}
 
 export const authOptions = {
   providers: [
@@ -11,12 +16,15 @@ export const authOptions = {
   ],
   callbacks: {
     async jwt({ token, user }) {
-      if (user?.email) {
+      // Re-read the user on every request so role changes apply without signing out
+      const email = (user?.email || token?.email)?.toLowerCase()
+      if (email) {
         const dbUser = await prisma.user.findUnique({
-          where: { email: user.email }
+          where: { email }
         })
         if (dbUser) {
           token.id = dbUser.id
+          token.role = dbUser.role
         }
       }
       return token
@@ -24,24 +32,50 @@ export const authOptions = {
     async session({ session, token }) {
       if (token?.id) {
         session.user.id = token.id
+        session.user.role = token.role
       }
       return session
     },
     async signIn({ user, account, profile }) {
       try {
+        // Google may capitalize an address differently between sign-ins; users and invites are stored lowercase
+        const email = user.email.toLowerCase()
+
+        // Only the allowed domains, plus individually invited addresses, may sign in
+        const invite = await prisma.invite.findUnique({
+          where: { email }
+        })
+        if (!isEmailDomainAllowed(email) && !invite) {
+          console.warn('Sign in rejected for email outside allowed domains')
+          return false
+        }
+
+        // The very first user has to be able to manage everyone else
+        const isFirstUser = (await prisma.user.count()) === 0
+        const pendingInvite = invite && !invite.acceptedAt ? invite : null
+
         // Create or update user in database
         await prisma.user.upsert({
-          where: { email: user.email },
+          where: { email },
           update: {
             name: user.name,
             image: user.image,
+            ...(pendingInvite && { role: pendingInvite.role }),
           },
           create: {
-            email: user.email,
+            email,
             name: user.name,
             image: user.image,
+            role: pendingInvite?.role || (isFirstUser ? 'admin' : 'analyst'),
           },
         })
+
+        if (pendingInvite) {
+          await prisma.invite.update({
+            where: { id: pendingInvite.id },
+            data: { acceptedAt: new Date() }
+          })
+        }
         return true
       } catch (error) {
         console.error('Sign in error:', error)
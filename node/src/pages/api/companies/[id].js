@@ -0,0 +1,118 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../auth/[...nextauth]'
+import { prisma } from '../../../lib/prisma'
+import { dealRoleFor, hasDealRole, visibleCompetitorsWhere } from '../../../lib/dealAccess'
+import { CompanyUpdateSchema, COMPANY_EDITABLE_FIELDS } from '../../../lib/companyValidation'
+import { mergeEditedFields } from '../../../trigger/utils/manualEdits'
+import { companyKeys } from '../../../trigger/utils/companies'
+
+// The company with every visible deal it competes in, plus the deal-specific assessment
+async function loadCompany(id, userId) {
+  const company = await prisma.company.findUnique({
+    where: { id },
+    include: {
+      competitors: {
+        where: visibleCompetitorsWhere(userId),
+        include: {
+          deal: {
+            select: {
+              id: true,
+              companyName: true,
+              stage: true,
+              assignedToId: true,
+              visibility: true,
+              collaborators: { select: { userId: true, role: true } }
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      }
+    }
+  })
+
+  // A company only known from deals the user cannot see is treated as missing
+  if (!company || company.competitors.length === 0) return null
+
+  return {
+    ...company,
+    competitors: company.competitors.map(({ deal: { collaborators, assignedToId, visibility, ...deal }, ...competitor }) => ({
+      ...competitor,
+      deal: {
+        ...deal,
+        accessRole: dealRoleFor({ collaborators, assignedToId, visibility }, userId)
+      }
+    }))
+  }
+}
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const { id } = req.query
+
+    if (req.method === 'GET') {
+      const company = await loadCompany(id, session.user.id)
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' })
+      }
+      return res.status(200).json(company)
+    }
+
+    if (req.method === 'PATCH') {
+      const parsed = CompanyUpdateSchema.safeParse(req.body)
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'Invalid company update',
+          details: parsed.error.flatten()
+        })
+      }
+
+      const company = await loadCompany(id, session.user.id)
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' })
+      }
+      // The profile is shared, so editing it takes edit rights on one of the deals it appears in
+      if (!company.competitors.some(c => hasDealRole(c.deal.accessRole, 'editor'))) {
+        return res.status(403).json({ error: 'You do not have permission to edit this company' })
+      }
+
+      const updates = parsed.data
+      const changedFields = COMPANY_EDITABLE_FIELDS.filter(field => field in updates)
+      if (changedFields.length === 0) {
+        return res.status(200).json(company)
+      }
+
+      const keys = companyKeys({
+        name: updates.name ?? company.name,
+        website: 'website' in updates ? updates.website : company.website
+      })
+      if (keys.domain && keys.domain !== company.domain) {
+        const taken = await prisma.company.findUnique({ where: { domain: keys.domain }, select: { id: true, name: true } })
+        if (taken) {
+          return res.status(409).json({ error: `${keys.domain} already belongs to ${taken.name}`, companyId: taken.id })
+        }
+      }
+
+      await prisma.company.update({
+        where: { id },
+        data: {
+          ...updates,
+          ...keys,
+          editedFields: mergeEditedFields(company.editedFields, changedFields)
+        }
+      })
+
+      return res.status(200).json(await loadCompany(id, session.user.id))
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Company API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
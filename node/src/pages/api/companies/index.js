@@ -0,0 +1,64 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../auth/[...nextauth]'
+import { prisma } from '../../../lib/prisma'
+import { visibleCompetitorsWhere } from '../../../lib/dealAccess'
+import { CompanyListQuerySchema } from '../../../lib/companyValidation'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const parsed = CompanyListQuerySchema.safeParse(req.query)
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid company filters',
+        details: parsed.error.flatten()
+      })
+    }
+
+    const { q, cursor, limit } = parsed.data
+    const visibleCompetitors = visibleCompetitorsWhere(session.user.id)
+
+    // Only companies that compete with at least one deal the user can see
+    const companies = await prisma.company.findMany({
+      where: {
+        competitors: { some: visibleCompetitors },
+        ...(q && {
+          OR: [
+            { name: { contains: q, mode: 'insensitive' } },
+            { domain: { contains: q, mode: 'insensitive' } }
+          ]
+        })
+      },
+      include: {
+        _count: {
+          select: { competitors: { where: visibleCompetitors } }
+        }
+      },
+      orderBy: [
+        { name: 'asc' },
+        { id: 'asc' }
+      ],
+      take: limit + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    })
+
+    const hasMore = companies.length > limit
+    const page = hasMore ? companies.slice(0, limit) : companies
+
+    return res.status(200).json({
+      companies: page,
+      nextCursor: hasMore ? page[page.length - 1].id : null
+    })
+  } catch (error) {
+    console.error('Companies API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
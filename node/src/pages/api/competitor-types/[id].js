@@ -0,0 +1,46 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../auth/[...nextauth]'
+import { prisma } from '../../../lib/prisma'
+import { can } from '../../../lib/roles'
+import { CompetitorTypeUpdateSchema } from '../../../lib/competitorTypeValidation'
+
+// Types are deactivated rather than deleted, so results they produced keep their label
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'PATCH') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+    if (!can(session.user.role, 'competitor-types:manage')) {
+      return res.status(403).json({ error: 'Only admins can manage competitor types' })
+    }
+
+    const parsed = CompetitorTypeUpdateSchema.safeParse(req.body)
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid competitor type',
+        details: parsed.error.flatten()
+      })
+    }
+
+    const { id } = req.query
+    const existing = await prisma.competitorTypeConfig.findUnique({ where: { id } })
+    if (!existing) {
+      return res.status(404).json({ error: 'Competitor type not found' })
+    }
+
+    const type = await prisma.competitorTypeConfig.update({
+      where: { id },
+      data: parsed.data
+    })
+
+    return res.status(200).json(type)
+  } catch (error) {
+    console.error('Competitor type API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
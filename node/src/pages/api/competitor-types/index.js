@@ -0,0 +1,65 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../auth/[...nextauth]'
+import { prisma } from '../../../lib/prisma'
+import { can } from '../../../lib/roles'
+import { CompetitorTypeCreateSchema, competitorTypeSlug } from '../../../lib/competitorTypeValidation'
+import { MANUAL_COMPETITOR_SOURCE } from '../../../trigger/config/competitorTypes'
+import { listCompetitorTypes } from '../../../trigger/utils/competitorTypes'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    // Everyone needs the list to pick searches at upload and to label past results;
+    // inactive types are included for the labels
+    if (req.method === 'GET') {
+      const types = await listCompetitorTypes({ includeInactive: true })
+      return res.status(200).json(types)
+    }
+
+    if (req.method === 'POST') {
+      if (!can(session.user.role, 'competitor-types:manage')) {
+        return res.status(403).json({ error: 'Only admins can manage competitor types' })
+      }
+
+      const parsed = CompetitorTypeCreateSchema.safeParse(req.body)
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'Invalid competitor type',
+          details: parsed.error.flatten()
+        })
+      }
+
+      const { slug: requestedSlug, ...fields } = parsed.data
+      const slug = requestedSlug || competitorTypeSlug(fields.name)
+      if (!slug || slug === MANUAL_COMPETITOR_SOURCE) {
+        return res.status(400).json({ error: 'Choose a different slug for this competitor type' })
+      }
+
+      if (await prisma.competitorTypeConfig.findUnique({ where: { slug } })) {
+        return res.status(409).json({ error: `A competitor type with the slug "${slug}" already exists` })
+      }
+
+      // New types go to the end of the list unless placed explicitly
+      const last = await prisma.competitorTypeConfig.aggregate({ _max: { sortOrder: true } })
+      const type = await prisma.competitorTypeConfig.create({
+        data: {
+          sortOrder: (last._max.sortOrder ?? -1) + 1,
+          ...fields,
+          slug
+        }
+      })
+
+      return res.status(201).json(type)
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Competitor types API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -1,6 +1,52 @@
 import { getServerSession } from 'next-auth/next'
 import { authOptions } from '../auth/[...nextauth]'
 import { prisma } from '../../../lib/prisma'
+import { DealUpdateSchema, DEAL_EDITABLE_FIELDS } from '../../../lib/dealValidation'
+import { mergeEditedFields } from '../../../trigger/utils/manualEdits'
+import { getDealAccess, hasDealRole } from '../../../lib/dealAccess'
+import { linkFoundersToPeople } from '../../../trigger/utils/dealPeople'
+import { dealPersonInclude } from '../../../lib/dealPeople'
+
+const dealInclude = {
+  files: true,
+  competitors: {
+    include: {
+      company: true, // Shared profile and funding facts
+      overriddenBy: {
+        select: { name: true, email: true }
+      }
+    }
+  },
+  stageTransitions: {
+    include: {
+      changedBy: {
+        select: { name: true, email: true }
+      }
+    },
+    orderBy: { createdAt: 'desc' }
+  },
+  people: {
+    include: dealPersonInclude,
+    orderBy: { createdAt: 'asc' }
+  },
+  analysisRuns: {
+    include: {
+      stages: { orderBy: { position: 'asc' } },
+      triggeredBy: {
+        select: { name: true, email: true }
+      }
+    },
+    orderBy: { createdAt: 'desc' },
+    take: 10
+  },
+  assignedTo: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+}
 
 export default async function handler(req, res) {
   try {
@@ -14,29 +60,95 @@ export default async function handler(req, res) {
 
     if (req.method === 'GET') {
       // Fetch single deal with files
-      const deal = await prisma.deal.findFirst({
-        where: {
-          id: id,
-          assignedToId: session.user.id,
-          deleted: false
-        },
+      const access = await getDealAccess(id, session.user.id, { include: dealInclude })
+
+      if (!access) {
+        return res.status(404).json({ error: 'Deal not found' })
+      }
+
+      return res.status(200).json({ ...access.deal, accessRole: access.role })
+    }
+
+    if (req.method === 'PATCH') {
+      const parsed = DealUpdateSchema.safeParse(req.body)
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'Invalid deal update',
+          details: parsed.error.flatten()
+        })
+      }
+
+      const { competitors: competitorUpdates = [], ...dealUpdates } = parsed.data
+
+      const access = await getDealAccess(id, session.user.id, {
         include: {
-          files: true,
-          competitors: true, // Include competitors
-          assignedTo: {
-            select: {
-              name: true,
-              email: true
-            }
+          competitors: {
+            select: { id: true, editedFields: true }
           }
         }
       })
 
-      if (!deal) {
+      if (!access) {
         return res.status(404).json({ error: 'Deal not found' })
       }
+      if (!hasDealRole(access.role, 'editor')) {
+        return res.status(403).json({ error: 'You do not have permission to edit this deal' })
+      }
+
+      const existingDeal = access.deal
+
+      const competitorsById = new Map(existingDeal.competitors.map(c => [c.id, c]))
+      const unknownCompetitor = competitorUpdates.find(c => !competitorsById.has(c.id))
+      if (unknownCompetitor) {
+        return res.status(400).json({ error: `Competitor ${unknownCompetitor.id} does not belong to this deal` })
+      }
+
+      // Every manually changed field is recorded so later analysis runs keep it
+      const changedDealFields = DEAL_EDITABLE_FIELDS.filter(field => field in dealUpdates)
+      const operations = []
+
+      if (changedDealFields.length > 0) {
+        operations.push(prisma.deal.update({
+          where: { id: id },
+          data: {
+            ...dealUpdates,
+            editedFields: mergeEditedFields(existingDeal.editedFields, changedDealFields)
+          }
+        }))
+      }
+
+      for (const { id: competitorId, ...fields } of competitorUpdates) {
+        const changedFields = Object.keys(fields)
+        if (changedFields.length === 0) continue
+
+        operations.push(prisma.competitor.update({
+          where: { id: competitorId },
+          data: {
+            ...fields,
+            editedFields: mergeEditedFields(competitorsById.get(competitorId).editedFields, changedFields)
+          }
+        }))
+      }
+
+      if (operations.length > 0) {
+        await prisma.$transaction(operations)
+      }
+      // A corrected founding team may name people we already know
+      // The edit is already saved, so a failed match is only logged
+      if ('foundingTeam' in dealUpdates) {
+        try {
+          await linkFoundersToPeople(id)
+        } catch (error) {
+          console.error('Failed to link founders to known people:', error)
+        }
+      }
+
+      const deal = await prisma.deal.findUnique({
+        where: { id: id },
+        include: dealInclude
+      })
 
-      return res.status(200).json(deal)
+      return res.status(200).json({ ...deal, accessRole: access.role })
     }
 
     return res.status(405).json({ error: 'Method not allowed' })
@@ -0,0 +1,80 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../../../auth/[...nextauth]'
+import { prisma } from '../../../../../../lib/prisma'
+import { getDealAccess, hasDealRole } from '../../../../../../lib/dealAccess'
+import { CompetitorManageSchema } from '../../../../../../lib/dealValidation'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (!['PATCH', 'DELETE'].includes(req.method)) {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const { id, competitorId } = req.query
+    const access = await getDealAccess(id, session.user.id, {
+      include: { competitors: { where: { id: competitorId } } }
+    })
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+    if (!hasDealRole(access.role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to edit this deal' })
+    }
+
+    const [competitor] = access.deal.competitors
+    if (!competitor) {
+      return res.status(404).json({ error: 'Competitor not found' })
+    }
+
+    // Deleted competitors can be found again by re-analysis; hiding keeps them out for good
+    if (req.method === 'DELETE') {
+      await prisma.competitor.delete({ where: { id: competitor.id } })
+      return res.status(200).json({ success: true })
+    }
+
+    const parsed = CompetitorManageSchema.safeParse(req.body || {})
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid competitor update',
+        details: parsed.error.flatten()
+      })
+    }
+
+    const { hidden, scoreOverride, categoryOverride, overrideNote } = parsed.data
+    const overrides = {
+      ...(scoreOverride !== undefined && { scoreOverride: scoreOverride === null ? null : String(scoreOverride) }),
+      ...(categoryOverride !== undefined && { categoryOverride }),
+      ...(overrideNote !== undefined && { overrideNote }),
+    }
+    const changesOverride = Object.keys(overrides).length > 0
+    const next = { ...competitor, ...overrides }
+    const stillOverridden = Boolean(next.scoreOverride || next.categoryOverride)
+
+    const updated = await prisma.competitor.update({
+      where: { id: competitor.id },
+      data: {
+        ...(hidden !== undefined && { hidden }),
+        ...overrides,
+        ...(changesOverride && (stillOverridden
+          ? { overriddenAt: new Date(), overriddenById: session.user.id }
+          // Clearing both overrides drops the note and who made them
+          : { overrideNote: null, overriddenAt: null, overriddenById: null })),
+      },
+      include: {
+        company: true,
+        overriddenBy: { select: { name: true, email: true } }
+      }
+    })
+
+    return res.status(200).json({ success: true, competitor: updated })
+  } catch (error) {
+    console.error('Competitor API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
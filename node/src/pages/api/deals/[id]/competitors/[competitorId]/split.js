@@ -0,0 +1,49 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../../../auth/[...nextauth]'
+import { getDealAccess, hasDealRole } from '../../../../../../lib/dealAccess'
+import { splitCompetitor } from '../../../../../../trigger/utils/competitorMerge'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const { id, competitorId } = req.query
+    const access = await getDealAccess(id, session.user.id, {
+      include: {
+        competitors: {
+          where: { id: competitorId },
+          select: { id: true, mergedFrom: true }
+        }
+      }
+    })
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+    if (!hasDealRole(access.role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to edit this deal' })
+    }
+
+    const [competitor] = access.deal.competitors
+    if (!competitor) {
+      return res.status(404).json({ error: 'Competitor not found' })
+    }
+    if (!Array.isArray(competitor.mergedFrom) || competitor.mergedFrom.length === 0) {
+      return res.status(400).json({ error: 'This competitor has no merged records to split' })
+    }
+
+    const competitors = await splitCompetitor(competitor.id)
+
+    return res.status(200).json({ success: true, competitors })
+  } catch (error) {
+    console.error('Competitor split API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
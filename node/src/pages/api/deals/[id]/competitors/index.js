@@ -0,0 +1,82 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../../auth/[...nextauth]'
+import { prisma } from '../../../../../lib/prisma'
+import { getDealAccess, hasDealRole } from '../../../../../lib/dealAccess'
+import { CompetitorCreateSchema } from '../../../../../lib/dealValidation'
+import { evaluateCompetitorTask } from '../../../../../trigger/evaluateCompetitor'
+import { isSameCompetitor } from '../../../../../trigger/utils/competitors'
+import { findOrCreateCompany } from '../../../../../trigger/utils/companies'
+import { MANUAL_COMPETITOR_SOURCE } from '../../../../../trigger/config/competitorTypes'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const parsed = CompetitorCreateSchema.safeParse(req.body || {})
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid competitor',
+        details: parsed.error.flatten()
+      })
+    }
+
+    const { id } = req.query
+    const access = await getDealAccess(id, session.user.id, {
+      include: { competitors: { select: { id: true, name: true, website: true, hidden: true } } }
+    })
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+    if (!hasDealRole(access.role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to edit this deal' })
+    }
+
+    const fields = {
+      name: parsed.data.name,
+      website: parsed.data.website || null,
+      description: parsed.data.description || null
+    }
+
+    const existing = access.deal.competitors.find(c => isSameCompetitor(c, fields))
+    if (existing) {
+      return res.status(409).json({
+        error: existing.hidden
+          ? `${existing.name} is already on this deal but hidden`
+          : `${existing.name} is already on this deal`,
+        competitorId: existing.id
+      })
+    }
+
+    const company = await findOrCreateCompany(fields)
+    const competitor = await prisma.competitor.create({
+      data: {
+        ...fields,
+        dealId: id,
+        companyId: company?.id,
+        competitorSource: MANUAL_COMPETITOR_SOURCE,
+        competitorSources: [MANUAL_COMPETITOR_SOURCE],
+        // What the analyst typed is kept over anything later analysis finds
+        editedFields: Object.keys(fields).filter(field => fields[field])
+      },
+      include: { company: true }
+    })
+
+    const handle = await evaluateCompetitorTask.trigger(
+      { competitorId: competitor.id },
+      { tags: [`deal:${id}`] }
+    )
+
+    return res.status(201).json({ success: true, competitor, taskId: handle.id })
+  } catch (error) {
+    console.error('Competitor create API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
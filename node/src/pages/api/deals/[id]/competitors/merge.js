@@ -0,0 +1,61 @@
+import { z } from 'zod'
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../../auth/[...nextauth]'
+import { getDealAccess, hasDealRole } from '../../../../../lib/dealAccess'
+import { mergeCompetitors } from '../../../../../trigger/utils/competitorMerge'
+
+const MergeSchema = z.object({
+  competitorIds: z.array(z.string().min(1)).min(2, 'Select at least two competitors to merge'),
+  primaryId: z.string().min(1).optional(),
+}).refine(
+  (body) => !body.primaryId || body.competitorIds.includes(body.primaryId),
+  { message: 'primaryId must be one of the merged competitors', path: ['primaryId'] }
+)
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const parsed = MergeSchema.safeParse(req.body || {})
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid merge request',
+        details: parsed.error.flatten()
+      })
+    }
+
+    const { id } = req.query
+    const access = await getDealAccess(id, session.user.id, {
+      include: { competitors: { select: { id: true } } }
+    })
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+    if (!hasDealRole(access.role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to edit this deal' })
+    }
+
+    const dealCompetitorIds = new Set(access.deal.competitors.map(c => c.id))
+    const unknownId = parsed.data.competitorIds.find(competitorId => !dealCompetitorIds.has(competitorId))
+    if (unknownId) {
+      return res.status(400).json({ error: `Competitor ${unknownId} does not belong to this deal` })
+    }
+
+    // The first selected competitor is kept unless the caller picks one
+    const { competitorIds, primaryId = competitorIds[0] } = parsed.data
+    const competitor = await mergeCompetitors(primaryId, competitorIds, { manual: true })
+
+    return res.status(200).json({ success: true, competitor })
+  } catch (error) {
+    console.error('Competitor merge API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
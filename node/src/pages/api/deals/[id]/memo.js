@@ -0,0 +1,62 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../auth/[...nextauth]'
+import { getDealAccess } from '../../../../lib/dealAccess'
+import {
+  MEMO_FORMATS,
+  loadMemoTemplate,
+  renderMemoMarkdown,
+  renderMemoDocx,
+  renderMemoPdf
+} from '../../../../lib/memo'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const { id, format = 'md' } = req.query
+    // A repeated ?format= arrives as an array; inherited keys like toString are not formats either
+    if (typeof format !== 'string' || !Object.hasOwn(MEMO_FORMATS, format)) {
+      return res.status(400).json({ error: `Unsupported memo format: ${format}. Use md, docx or pdf.` })
+    }
+    const memoFormat = MEMO_FORMATS[format]
+
+    const access = await getDealAccess(id, session.user.id, {
+      include: {
+        files: true,
+        competitors: true,
+        assignedTo: {
+          select: { name: true, email: true }
+        }
+      }
+    })
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+
+    const { deal } = access
+    const markdown = renderMemoMarkdown(deal, await loadMemoTemplate())
+
+    let body = markdown
+    if (format === 'docx') {
+      body = await renderMemoDocx(markdown)
+    } else if (format === 'pdf') {
+      body = await renderMemoPdf(markdown)
+    }
+
+    const filename = `${deal.companyName.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'deal'}-memo.${memoFormat.extension}`
+    res.setHeader('Content-Type', memoFormat.contentType)
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    return res.status(200).send(body)
+  } catch (error) {
+    console.error('Deal memo API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
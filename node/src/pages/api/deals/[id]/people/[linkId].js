@@ -0,0 +1,62 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../../auth/[...nextauth]'
+import { prisma } from '../../../../../lib/prisma'
+import { getDealAccess, hasDealRole } from '../../../../../lib/dealAccess'
+import { DealPersonUpdateSchema } from '../../../../../lib/dealValidation'
+import { dealPersonInclude } from '../../../../../lib/dealPeople'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (!['PATCH', 'DELETE'].includes(req.method)) {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const { id, linkId } = req.query
+    const access = await getDealAccess(id, session.user.id, {
+      include: { people: { where: { id: linkId } } }
+    })
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+    if (!hasDealRole(access.role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to edit this deal' })
+    }
+
+    const [link] = access.deal.people
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' })
+    }
+
+    // Founders linked by analysis may be linked again if a later analysis still names them
+    if (req.method === 'DELETE') {
+      await prisma.dealPerson.delete({ where: { id: link.id } })
+      return res.status(200).json({ success: true })
+    }
+
+    const parsed = DealPersonUpdateSchema.safeParse(req.body || {})
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid person link',
+        details: parsed.error.flatten()
+      })
+    }
+
+    // A corrected link is the analyst's from now on, so re-analysis leaves it in place
+    const updated = await prisma.dealPerson.update({
+      where: { id: link.id },
+      data: { role: parsed.data.role, source: 'manual' },
+      include: dealPersonInclude
+    })
+
+    return res.status(200).json({ success: true, link: updated })
+  } catch (error) {
+    console.error('Deal person API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
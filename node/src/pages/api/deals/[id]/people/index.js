@@ -0,0 +1,63 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../../auth/[...nextauth]'
+import { prisma } from '../../../../../lib/prisma'
+import { getDealAccess, hasDealRole } from '../../../../../lib/dealAccess'
+import { DealPersonCreateSchema } from '../../../../../lib/dealValidation'
+import { can } from '../../../../../lib/roles'
+import { dealPersonInclude } from '../../../../../lib/dealPeople'
+
+// Links a known person to the deal as a founder, executive or referrer
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const parsed = DealPersonCreateSchema.safeParse(req.body || {})
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid person link',
+        details: parsed.error.flatten()
+      })
+    }
+
+    const { id } = req.query
+    const access = await getDealAccess(id, session.user.id)
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+    // Picking a person means browsing the people directory
+    if (!hasDealRole(access.role, 'editor') || !can(session.user.role, 'people:view')) {
+      return res.status(403).json({ error: 'You do not have permission to link people to this deal' })
+    }
+
+    const { personId, role } = parsed.data
+    const person = await prisma.person.findUnique({ where: { id: personId }, select: { id: true } })
+    if (!person) {
+      return res.status(400).json({ error: 'Person not found' })
+    }
+
+    const existing = await prisma.dealPerson.findUnique({
+      where: { dealId_personId: { dealId: id, personId } }
+    })
+    if (existing) {
+      return res.status(409).json({ error: 'This person is already linked to the deal' })
+    }
+
+    const link = await prisma.dealPerson.create({
+      data: { dealId: id, personId, role, addedById: session.user.id },
+      include: dealPersonInclude
+    })
+
+    return res.status(201).json({ success: true, link })
+  } catch (error) {
+    console.error('Deal people API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,94 @@
+import { z } from 'zod'
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../auth/[...nextauth]'
+import { getDealAccess, hasDealRole } from '../../../../lib/dealAccess'
+import { can } from '../../../../lib/roles'
+import { ANALYSIS_STAGES } from '../../../../trigger/uploadOrchestrator'
+import { triggerDealAnalysis } from '../../../../lib/analysisRuns'
+import { prisma } from '../../../../lib/prisma'
+
+const ReanalyzeSchema = z.object({
+  stage: z.enum(ANALYSIS_STAGES).default('all'),
+  competitorType: z.string().trim().min(1).optional(),
+}).refine(
+  (body) => !body.competitorType || body.stage === 'competitors',
+  { message: 'competitorType can only be used with the competitors stage', path: ['competitorType'] }
+)
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+    if (!can(session.user.role, 'deals:reanalyze')) {
+      return res.status(403).json({ error: 'Your role does not allow re-running analysis' })
+    }
+
+    const parsed = ReanalyzeSchema.safeParse(req.body || {})
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid re-analysis request',
+        details: parsed.error.flatten()
+      })
+    }
+
+    const { id } = req.query
+    const access = await getDealAccess(id, session.user.id, { include: { files: true } })
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+    if (!hasDealRole(access.role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to re-analyze this deal' })
+    }
+
+    const { deal } = access
+    const { competitorType } = parsed.data
+
+    if (competitorType) {
+      const type = await prisma.competitorTypeConfig.findUnique({ where: { slug: competitorType } })
+      if (!type?.active) {
+        return res.status(400).json({ error: 'Unknown or inactive competitor type' })
+      }
+      // A search run by hand joins the deal's selection, so later full re-analyses repeat it
+      if (deal.competitorTypes.length > 0 && !deal.competitorTypes.includes(competitorType)) {
+        await prisma.deal.update({
+          where: { id: deal.id },
+          data: { competitorTypes: { push: competitorType } }
+        })
+      }
+    }
+
+    // Files that never made it to OpenAI get another upload attempt; the rest are reused
+    const s3Files = deal.files
+      .filter(file => !file.openaiFileId)
+      .map(file => ({
+        s3Url: file.url,
+        originalFilename: file.originalName,
+        mimetype: file.mimeType,
+        size: file.size,
+      }))
+
+    const orchestratorResult = await triggerDealAnalysis({
+      dealId: deal.id,
+      userId: session.user.id,
+      s3Files,
+      stage: parsed.data.stage,
+      competitorType,
+    })
+
+    return res.status(202).json({
+      success: true,
+      taskId: orchestratorResult.id,
+      message: 'Re-analysis started.',
+    })
+  } catch (error) {
+    console.error('Reanalyze API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
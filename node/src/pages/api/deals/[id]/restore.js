@@ -0,0 +1,42 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../auth/[...nextauth]'
+import { prisma } from '../../../../lib/prisma'
+import { getDealAccess } from '../../../../lib/dealAccess'
+import { can } from '../../../../lib/roles'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const { id } = req.query
+    const access = await getDealAccess(id, session.user.id, { deleted: true })
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found in trash' })
+    }
+    // Restoring undoes a delete, so it takes the same rights
+    if (access.role !== 'owner' || !can(session.user.role, 'deals:delete')) {
+      return res.status(403).json({ error: 'Only the deal owner can restore it' })
+    }
+
+    const deal = await prisma.deal.update({
+      where: { id },
+      data: {
+        deleted: false,
+        deletedAt: null
+      }
+    })
+
+    return res.status(200).json({ success: true, deal })
+  } catch (error) {
+    console.error('Deal restore API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,177 @@
+import { z } from 'zod'
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../auth/[...nextauth]'
+import { prisma } from '../../../../lib/prisma'
+import { getDealAccess, COLLABORATOR_ROLES } from '../../../../lib/dealAccess'
+
+const userSelect = {
+  id: true,
+  name: true,
+  email: true,
+  image: true
+}
+
+const CollaboratorSchema = z.object({
+  userId: z.string().min(1),
+  role: z.enum(COLLABORATOR_ROLES),
+}).strict()
+
+const SharingUpdateSchema = z.object({
+  visibility: z.enum(['private', 'team']),
+  ownerId: z.string().min(1),
+}).partial().strict()
+
+async function getSharing(dealId) {
+  const deal = await prisma.deal.findUnique({
+    where: { id: dealId },
+    select: {
+      visibility: true,
+      assignedTo: { select: userSelect },
+      collaborators: {
+        select: {
+          role: true,
+          user: { select: userSelect }
+        },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  })
+
+  return {
+    visibility: deal.visibility,
+    owner: deal.assignedTo,
+    collaborators: deal.collaborators.map(c => ({ ...c.user, role: c.role }))
+  }
+}
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const { id } = req.query
+    const access = await getDealAccess(id, session.user.id)
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json(await getSharing(id))
+    }
+
+    if (req.method === 'DELETE') {
+      const { userId } = req.query
+      if (typeof userId !== 'string' || !userId) {
+        return res.status(400).json({ error: 'Missing userId' })
+      }
+
+      // Owners manage the list; anyone else may only remove themselves
+      if (access.role !== 'owner' && userId !== session.user.id) {
+        return res.status(403).json({ error: 'Only the deal owner can manage collaborators' })
+      }
+
+      const collaborator = await prisma.dealCollaborator.findUnique({
+        where: { dealId_userId: { dealId: id, userId } }
+      })
+      if (!collaborator) {
+        return res.status(404).json({ error: 'Collaborator not found' })
+      }
+
+      await prisma.dealCollaborator.delete({
+        where: { dealId_userId: { dealId: id, userId } }
+      })
+
+      return res.status(200).json(await getSharing(id))
+    }
+
+    if (access.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the deal owner can manage sharing' })
+    }
+
+    if (req.method === 'POST') {
+      const parsed = CollaboratorSchema.safeParse(req.body)
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'Invalid collaborator',
+          details: parsed.error.flatten()
+        })
+      }
+
+      const { userId, role } = parsed.data
+      if (userId === access.deal.assignedToId) {
+        return res.status(400).json({ error: 'The owner already has full access' })
+      }
+
+      const user = await prisma.user.findUnique({ where: { id: userId } })
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' })
+      }
+
+      await prisma.dealCollaborator.upsert({
+        where: { dealId_userId: { dealId: id, userId } },
+        update: { role },
+        create: { dealId: id, userId, role }
+      })
+
+      return res.status(200).json(await getSharing(id))
+    }
+
+    if (req.method === 'PATCH') {
+      const parsed = SharingUpdateSchema.safeParse(req.body)
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'Invalid sharing update',
+          details: parsed.error.flatten()
+        })
+      }
+
+      const { visibility, ownerId } = parsed.data
+      const operations = []
+
+      if (visibility) {
+        operations.push(prisma.deal.update({
+          where: { id },
+          data: { visibility }
+        }))
+      }
+
+      // Handing over ownership keeps the previous owner on the deal as an editor
+      if (ownerId && ownerId !== access.deal.assignedToId) {
+        const newOwner = await prisma.user.findUnique({ where: { id: ownerId } })
+        if (!newOwner) {
+          return res.status(404).json({ error: 'User not found' })
+        }
+
+        operations.push(
+          prisma.deal.update({
+            where: { id },
+            data: { assignedToId: ownerId }
+          }),
+          prisma.dealCollaborator.deleteMany({
+            where: { dealId: id, userId: ownerId }
+          }),
+          prisma.dealCollaborator.upsert({
+            where: { dealId_userId: { dealId: id, userId: access.deal.assignedToId } },
+            update: { role: 'editor' },
+            create: { dealId: id, userId: access.deal.assignedToId, role: 'editor' }
+          })
+        )
+      }
+
+      if (operations.length > 0) {
+        await prisma.$transaction(operations)
+      }
+
+      return res.status(200).json(await getSharing(id))
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Deal sharing API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
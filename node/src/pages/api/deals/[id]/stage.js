@@ -0,0 +1,70 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../auth/[...nextauth]'
+import { prisma } from '../../../../lib/prisma'
+import { getDealAccess, hasDealRole } from '../../../../lib/dealAccess'
+import { DealStageUpdateSchema } from '../../../../lib/dealValidation'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const parsed = DealStageUpdateSchema.safeParse(req.body)
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid stage change',
+        details: parsed.error.flatten()
+      })
+    }
+
+    const { id } = req.query
+    const access = await getDealAccess(id, session.user.id)
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+    if (!hasDealRole(access.role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to move this deal' })
+    }
+
+    const { stage } = parsed.data
+    const passReason = stage === 'passed' ? parsed.data.passReason : null
+
+    if (stage === access.deal.stage && passReason === access.deal.passReason) {
+      return res.status(200).json(access.deal)
+    }
+
+    const changedAt = new Date()
+    const [deal] = await prisma.$transaction([
+      prisma.deal.update({
+        where: { id },
+        data: {
+          stage,
+          stageChangedAt: changedAt,
+          passReason
+        }
+      }),
+      prisma.dealStageTransition.create({
+        data: {
+          dealId: id,
+          fromStage: access.deal.stage,
+          toStage: stage,
+          passReason,
+          createdAt: changedAt,
+          changedById: session.user.id
+        }
+      })
+    ])
+
+    return res.status(200).json(deal)
+  } catch (error) {
+    console.error('Deal stage API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
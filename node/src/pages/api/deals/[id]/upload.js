@@ -0,0 +1,119 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../auth/[...nextauth]'
+import { prisma } from '../../../../lib/prisma'
+import { getDealAccess, hasDealRole } from '../../../../lib/dealAccess'
+import { can } from '../../../../lib/roles'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { parseForm, getUploadedFiles, unsupportedFilenames, uploadFilesToS3, toDealFileRecords } from '../../../../lib/uploads'
+import { triggerDealAnalysis } from '../../../../lib/analysisRuns'
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
+
+export default async function handler(req, res) {
+  const session = await getServerSession(req, res, authOptions)
+
+  if (!session) {
+    return res.status(401).json({ error: 'Unauthorized' })
+  }
+  if (!session.user?.id) {
+    return res.status(401).json({ error: 'User ID not found in session' })
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const { id } = req.query
+  let uploadDir
+  try {
+    const access = await getDealAccess(id, session.user.id)
+
+    if (!access) {
+      return res.status(404).json({ error: 'Deal not found' })
+    }
+    if (!hasDealRole(access.role, 'editor')) {
+      return res.status(403).json({ error: 'You do not have permission to add materials to this deal' })
+    }
+
+    const { deal } = access
+
+    uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'credo-upload-'))
+    const { fields, files } = await parseForm(req, uploadDir)
+    const notes = (fields.freeText?.[0] || '').trim()
+    const refreshAnalysis = fields.refreshAnalysis?.[0] === 'true'
+    const uploadedFiles = getUploadedFiles(files)
+
+    if (uploadedFiles.length === 0 && !notes) {
+      return res.status(400).json({ error: 'No files or text provided.' })
+    }
+
+    const rejected = unsupportedFilenames(uploadedFiles)
+    if (rejected.length > 0) {
+      return res.status(400).json({ error: `Unsupported file type. Rejected: ${rejected.join(', ')}`, rejected })
+    }
+
+    if (refreshAnalysis && !can(session.user.role, 'deals:reanalyze')) {
+      return res.status(403).json({ error: 'Your role does not allow re-running analysis' })
+    }
+
+    // Upload the validated files to S3
+    const s3Results = await uploadFilesToS3(uploadedFiles)
+
+    if (s3Results.length > 0) {
+      await prisma.dealFile.createMany({
+        data: toDealFileRecords(s3Results, deal.id),
+      })
+    }
+
+    // New notes are appended so the full context is available to later analysis runs
+    if (notes) {
+      await prisma.deal.update({
+        where: { id: deal.id },
+        data: {
+          uploadedText: [deal.uploadedText, notes].filter(Boolean).join('\n\n'),
+        },
+      })
+    }
+
+    // Only the new files are uploaded to OpenAI; a refresh then analyzes the combined set
+    let taskId = null
+    if (s3Results.length > 0 || refreshAnalysis) {
+      const orchestratorResult = await triggerDealAnalysis({
+        dealId: deal.id,
+        userId: session.user.id,
+        s3Files: s3Results,
+        stage: refreshAnalysis ? 'all' : 'upload',
+      })
+      taskId = orchestratorResult.id
+    }
+
+    const dealWithFiles = await prisma.deal.findUnique({
+      where: { id: deal.id },
+      include: { files: true },
+    })
+
+    return res.status(201).json({
+      success: true,
+      deal: dealWithFiles,
+      taskId,
+      message: refreshAnalysis
+        ? 'Materials added. Refreshing analysis in the background.'
+        : 'Materials added.',
+    })
+  } catch (error) {
+    console.error('Deal upload API error:', error)
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    })
+  } finally {
+    if (uploadDir) {
+      await fs.promises.rm(uploadDir, { recursive: true, force: true })
+    }
+  }
+}
@@ -1,6 +1,10 @@
 import { getServerSession } from 'next-auth/next'
 import { authOptions } from '../auth/[...nextauth]'
 import { prisma } from '../../../lib/prisma'
+import { dealRoleFor, getDealAccess } from '../../../lib/dealAccess'
+import { can } from '../../../lib/roles'
+import { DealListQuerySchema } from '../../../lib/dealValidation'
+import { findDealPageIds } from '../../../lib/dealSearch'
 
 export default async function handler(req, res) {
   try {
@@ -11,21 +15,45 @@ export default async function handler(req, res) {
     }
 
     if (req.method === 'GET') {
-      // Fetch all non-deleted deals for the user
-      const deals = await prisma.deal.findMany({
-        where: {
-          assignedToId: session.user.id,
-          deleted: false
-        },
+      const parsed = DealListQuerySchema.safeParse(req.query)
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'Invalid deal filters',
+          details: parsed.error.flatten()
+        })
+      }
+
+      const { limit } = parsed.data
+      const ids = await findDealPageIds(session.user.id, { ...parsed.data, take: limit + 1 })
+
+      const rows = await prisma.deal.findMany({
+        where: { id: { in: ids } },
         include: {
-          files: true
-        },
-        orderBy: {
-          createdAt: 'desc'
+          collaborators: {
+            select: { userId: true, role: true }
+          },
+          assignedTo: {
+            select: { id: true, name: true, email: true, image: true }
+          },
+          _count: {
+            select: { files: true, competitors: { where: { hidden: false } } }
+          }
         }
       })
+      // Keep the order the page query chose
+      const byId = new Map(rows.map(deal => [deal.id, deal]))
+      const deals = ids.map(id => byId.get(id)).filter(Boolean)
+
+      const hasMore = deals.length > limit
+      const page = hasMore ? deals.slice(0, limit) : deals
 
-      return res.status(200).json(deals)
+      return res.status(200).json({
+        deals: page.map(deal => ({
+          ...deal,
+          accessRole: dealRoleFor(deal, session.user.id)
+        })),
+        nextCursor: hasMore ? page[page.length - 1].id : null
+      })
     }
 
     if (req.method === 'POST') {
@@ -57,26 +85,27 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'Deal ID is required' })
       }
 
-      // First check if deal exists and belongs to user
-      const existingDeal = await prisma.deal.findFirst({
-        where: {
-          id: id,
-          assignedToId: session.user.id
-        }
-      })
+      // First check if deal exists and the user can see it
+      const access = await getDealAccess(id, session.user.id)
 
-      if (!existingDeal) {
+      if (!access) {
         return res.status(404).json({ error: 'Deal not found' })
       }
+      if (access.role !== 'owner') {
+        return res.status(403).json({ error: 'Only the deal owner can delete it' })
+      }
+      if (!can(session.user.role, 'deals:delete')) {
+        return res.status(403).json({ error: 'Your role does not allow deleting deals' })
+      }
 
-      // Soft delete the deal
+      // Soft delete the deal; it stays restorable from the trash until purged
       const deal = await prisma.deal.update({
         where: {
-          id: id,
-          assignedToId: session.user.id
+          id: id
         },
         data: {
-          deleted: true
+          deleted: true,
+          deletedAt: new Date()
         }
       })
 
@@ -0,0 +1,44 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../auth/[...nextauth]'
+import { prisma } from '../../../lib/prisma'
+import { purgeDateFor, DEAL_RETENTION_DAYS } from '../../../trigger/config/retention'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    // Only owners can delete deals, so the trash only holds the user's own
+    const deals = await prisma.deal.findMany({
+      where: {
+        assignedToId: session.user.id,
+        deleted: true
+      },
+      include: {
+        _count: {
+          select: { files: true, competitors: true }
+        }
+      },
+      orderBy: {
+        deletedAt: 'desc'
+      }
+    })
+
+    return res.status(200).json({
+      retentionDays: DEAL_RETENTION_DAYS,
+      deals: deals.map(deal => ({
+        ...deal,
+        purgeAt: deal.deletedAt ? purgeDateFor(deal.deletedAt) : null
+      }))
+    })
+  } catch (error) {
+    console.error('Deal trash API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,54 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../auth/[...nextauth]'
+import { prisma } from '../../../lib/prisma'
+import { can } from '../../../lib/roles'
+import { accessibleDealsWhere } from '../../../lib/dealAccess'
+
+// A person's full profile with every scrape that found them and the deals they are part of
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+    if (!can(session.user.role, 'people:view')) {
+      return res.status(403).json({ error: 'You do not have permission to view people' })
+    }
+
+    const { id } = req.query
+    const person = await prisma.person.findUnique({
+      where: { id },
+      include: {
+        sourceRecords: {
+          select: { id: true, leadspickerId: true, sourceRobot: true, createdAt: true },
+          orderBy: { createdAt: 'desc' }
+        },
+        // Only deals the user could open anyway
+        dealLinks: {
+          where: { deal: { deleted: false, ...accessibleDealsWhere(session.user.id) } },
+          include: {
+            deal: { select: { id: true, companyName: true, stage: true } }
+          },
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    })
+
+    if (!person) {
+      return res.status(404).json({ error: 'Person not found' })
+    }
+
+    const pendingMatches = await prisma.personMatch.count({
+      where: { status: 'pending', OR: [{ personId: id }, { candidateId: id }] }
+    })
+
+    return res.status(200).json({ ...person, pendingMatches })
+  } catch (error) {
+    console.error('Person API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,72 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../auth/[...nextauth]'
+import { prisma } from '../../../../lib/prisma'
+import { can } from '../../../../lib/roles'
+
+// Starts a deal from a lead: the person's company becomes the deal, owned by the caller, with the
+// person as its linked founder. Analysis runs once documents are uploaded to the deal
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+    if (!can(session.user.role, 'people:view')) {
+      return res.status(403).json({ error: 'You do not have permission to view people' })
+    }
+
+    const { id } = req.query
+    const person = await prisma.person.findUnique({ where: { id } })
+
+    if (!person) {
+      return res.status(404).json({ error: 'Person not found' })
+    }
+    if (!person.companyName) {
+      return res.status(400).json({ error: 'This lead has no company to start a deal for' })
+    }
+
+    // Locking the person makes a second request for the same lead wait, then see the founder link
+    const deal = await prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`SELECT 1 FROM "people" WHERE "id" = ${id} FOR UPDATE`
+      const existing = await tx.dealPerson.findFirst({
+        where: { personId: id, role: 'founder', deal: { deleted: false } }
+      })
+      if (existing) return null
+
+      return tx.deal.create({
+        data: {
+          companyName: person.companyName,
+          description: person.companyDescription || person.websiteTextSummary,
+          foundingTeam: [
+            {
+              name: person.fullName || 'Unknown',
+              role: person.position || 'Unknown Role',
+              description: person.pastExperiences || 'No description available',
+            },
+          ],
+          uploadedText: person.fitRationale ? `Founder fit ${person.fitScore}/10: ${person.fitRationale}` : null,
+          assignedToId: session.user.id,
+          people: {
+            create: { personId: id, role: 'founder', addedById: session.user.id }
+          },
+          stageTransitions: {
+            create: { fromStage: null, toStage: 'sourced', changedById: session.user.id }
+          }
+        }
+      })
+    })
+
+    if (!deal) {
+      return res.status(409).json({ error: 'This lead is already a founder on a deal' })
+    }
+
+    return res.status(201).json({ success: true, deal })
+  } catch (error) {
+    console.error('Person deal API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,58 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../auth/[...nextauth]'
+import { prisma } from '../../../lib/prisma'
+import { can } from '../../../lib/roles'
+import { PeopleFiltersSchema } from '../../../lib/peopleValidation'
+import { PEOPLE_CSV_COLUMNS, peopleCsv, peopleWhere } from '../../../lib/peopleSearch'
+
+const EXPORT_LIMIT = 10000
+
+// Everyone matching the people list filters as a CSV download
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+    if (!can(session.user.role, 'people:view')) {
+      return res.status(403).json({ error: 'You do not have permission to view people' })
+    }
+
+    const parsed = PeopleFiltersSchema.safeParse(req.query)
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid people filters',
+        details: parsed.error.flatten()
+      })
+    }
+
+    const where = peopleWhere(parsed.data)
+    const total = await prisma.person.count({ where })
+    if (total > EXPORT_LIMIT) {
+      return res.status(400).json({
+        error: `${total} people match these filters; narrow them to at most ${EXPORT_LIMIT} to export`
+      })
+    }
+
+    const people = await prisma.person.findMany({
+      where,
+      select: Object.fromEntries(PEOPLE_CSV_COLUMNS.map(column => [column.key, true])),
+      orderBy: [
+        { fullName: { sort: 'asc', nulls: 'last' } },
+        { id: 'asc' }
+      ]
+    })
+
+    const filename = `people-${new Date().toISOString().slice(0, 10)}.csv`
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    return res.status(200).send(peopleCsv(people))
+  } catch (error) {
+    console.error('People export API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,81 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../auth/[...nextauth]'
+import { prisma } from '../../../lib/prisma'
+import { can } from '../../../lib/roles'
+import { PeopleListQuerySchema } from '../../../lib/peopleValidation'
+import { peopleWhere } from '../../../lib/peopleSearch'
+
+// Values the filters offer, taken from the people we have
+async function filterOptions() {
+  const [countries, robots, pendingMatches] = await Promise.all([
+    prisma.person.groupBy({ by: ['country'], where: { country: { not: null } }, orderBy: { country: 'asc' } }),
+    prisma.personSourceRecord.groupBy({ by: ['sourceRobot'], where: { sourceRobot: { not: null } }, orderBy: { sourceRobot: 'asc' } }),
+    prisma.personMatch.count({ where: { status: 'pending' } })
+  ])
+  return {
+    countries: countries.map(row => row.country),
+    sourceRobots: robots.map(row => row.sourceRobot),
+    pendingMatches
+  }
+}
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+    if (!can(session.user.role, 'people:view')) {
+      return res.status(403).json({ error: 'You do not have permission to view people' })
+    }
+
+    const parsed = PeopleListQuerySchema.safeParse(req.query)
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid people filters',
+        details: parsed.error.flatten()
+      })
+    }
+
+    const { cursor, limit, ...filters } = parsed.data
+
+    const people = await prisma.person.findMany({
+      where: peopleWhere(filters),
+      select: {
+        id: true,
+        fullName: true,
+        position: true,
+        companyName: true,
+        companyEmployeeCount: true,
+        country: true,
+        followersCount: true,
+        sourceRobot: true,
+        fitScore: true,
+        createdAt: true
+      },
+      orderBy: [
+        { fullName: { sort: 'asc', nulls: 'last' } },
+        { id: 'asc' }
+      ],
+      take: limit + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    })
+
+    const hasMore = people.length > limit
+    const page = hasMore ? people.slice(0, limit) : people
+
+    return res.status(200).json({
+      people: page,
+      nextCursor: hasMore ? page[page.length - 1].id : null,
+      // Only the first page carries them; they do not change while paging
+      ...(!cursor && { filterOptions: await filterOptions() })
+    })
+  } catch (error) {
+    console.error('People API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,60 @@
+import { z } from 'zod'
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../auth/[...nextauth]'
+import { prisma } from '../../../../lib/prisma'
+import { can } from '../../../../lib/roles'
+import { dismissPersonMatch, mergePersonMatch } from '../../../../trigger/utils/people'
+
+const ResolveSchema = z.object({
+  action: z.enum(['merge', 'dismiss'])
+})
+
+// Resolves a possible duplicate: merge folds the newer person into the older one,
+// dismiss keeps both and stops the pair from being raised again
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+
+    const parsed = ResolveSchema.safeParse(req.body || {})
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid review decision',
+        details: parsed.error.flatten()
+      })
+    }
+
+    if (!can(session.user.role, 'people:merge')) {
+      return res.status(403).json({ error: 'You do not have permission to merge people' })
+    }
+
+    const { id } = req.query
+    const match = await prisma.personMatch.findUnique({ where: { id } })
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' })
+    }
+    if (match.status !== 'pending') {
+      return res.status(409).json({ error: 'This match was already reviewed' })
+    }
+
+    if (parsed.data.action === 'merge') {
+      const person = await mergePersonMatch(id, session.user.id)
+      if (!person) {
+        return res.status(409).json({ error: 'This match was already reviewed' })
+      }
+      return res.status(200).json({ success: true, person })
+    }
+
+    const dismissed = await dismissPersonMatch(id, session.user.id)
+    return res.status(200).json({ success: true, match: dismissed })
+  } catch (error) {
+    console.error('Person match review API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
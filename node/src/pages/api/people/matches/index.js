@@ -0,0 +1,48 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from '../../auth/[...nextauth]'
+import { prisma } from '../../../../lib/prisma'
+import { can } from '../../../../lib/roles'
+
+const PAGE_SIZE = 50
+
+const personForReview = {
+  include: {
+    sourceRecords: {
+      select: { id: true, leadspickerId: true, sourceRobot: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    }
+  }
+}
+
+// Possible duplicate people waiting for review, oldest first
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' })
+    }
+    if (!can(session.user.role, 'people:view')) {
+      return res.status(403).json({ error: 'You do not have permission to view people' })
+    }
+
+    const where = { status: 'pending' }
+    const [matches, total] = await Promise.all([
+      prisma.personMatch.findMany({
+        where,
+        include: { person: personForReview, candidate: personForReview },
+        orderBy: { createdAt: 'asc' },
+        take: PAGE_SIZE
+      }),
+      prisma.personMatch.count({ where })
+    ])
+
+    return res.status(200).json({ matches, total })
+  } catch (error) {
+    console.error('Person matches API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
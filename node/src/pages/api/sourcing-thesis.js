@@ -0,0 +1,48 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from './auth/[...nextauth]'
+import { prisma } from '../../lib/prisma'
+import { can } from '../../lib/roles'
+import { SourcingThesisSchema } from '../../lib/sourcingThesisValidation'
+import { SOURCING_THESIS_ID, getSourcingThesis } from '../../trigger/utils/sourcingThesis'
+
+// The thesis imported people are screened against. Saving it does not re-score people already screened
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json(await getSourcingThesis())
+    }
+
+    if (req.method === 'PUT') {
+      if (!can(session.user.role, 'sourcing-thesis:manage')) {
+        return res.status(403).json({ error: 'Only admins can change the sourcing thesis' })
+      }
+
+      const parsed = SourcingThesisSchema.safeParse(req.body)
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'Invalid sourcing thesis',
+          details: parsed.error.flatten()
+        })
+      }
+
+      const thesis = await prisma.sourcingThesis.upsert({
+        where: { id: SOURCING_THESIS_ID },
+        create: { id: SOURCING_THESIS_ID, ...parsed.data },
+        update: parsed.data
+      })
+
+      return res.status(200).json(thesis)
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Sourcing thesis API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -1,6 +1,7 @@
 import { getServerSession } from 'next-auth/next'
 import { authOptions } from '../auth/[...nextauth]'
 import { prisma } from '../../../lib/prisma'
+import { getDealAccess } from '../../../lib/dealAccess'
 import { auth } from '@trigger.dev/sdk/v3'
 
 export default async function handler(req, res) {
@@ -16,12 +17,16 @@ export default async function handler(req, res) {
     // If a runId is provided, we can create a token scoped to just that run.
     // We still check for the deal to ensure the user has permission.
     if (runId) {
-      const runDeal = await prisma.deal.findFirst({
-        where: { id: dealId, assignedToId: session.user.id, deleted: false },
-        select: { id: true },
-      })
-      if (!runDeal) return res.status(404).json({ error: 'Deal not found for run' })
-      
+      if (!dealId) return res.status(400).json({ error: 'Missing dealId for run' })
+
+      // Any role on the deal (including viewers) may follow its progress
+      const runAccess = await getDealAccess(dealId, session.user.id)
+      if (!runAccess) return res.status(404).json({ error: 'Deal not found for run' })
+
+      // Access to one deal must not open up another deal's run
+      const run = await prisma.analysisRun.findFirst({ where: { triggerRunId: runId, dealId } })
+      if (!run) return res.status(404).json({ error: 'Run not found for deal' })
+
       const token = await auth.createPublicToken({
         scopes: {
           read: {
@@ -32,13 +37,10 @@ export default async function handler(req, res) {
       return res.status(200).json({ token })
     }
 
-    // Ensure the deal belongs to the current user for tag-based tokens
+    // Ensure the current user can access the deal for tag-based tokens
     if (dealId) {
-      const deal = await prisma.deal.findFirst({
-        where: { id: dealId, assignedToId: session.user.id, deleted: false },
-        select: { id: true },
-      })
-      if (!deal) return res.status(404).json({ error: 'Deal not found' })
+      const access = await getDealAccess(dealId, session.user.id)
+      if (!access) return res.status(404).json({ error: 'Deal not found' })
 
       const token = await auth.createPublicToken({
         scopes: {
@@ -0,0 +1,35 @@
+import { getServerSession } from 'next-auth/next'
+import { authOptions } from './auth/[...nextauth]'
+import { prisma } from '../../lib/prisma'
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions)
+
+    if (!session) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    if (req.method === 'GET') {
+      // Colleagues that deals can be shared with or handed over to
+      const users = await prisma.user.findMany({
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          image: true
+        },
+        orderBy: {
+          name: 'asc'
+        }
+      })
+
+      return res.status(200).json(users)
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Users API error:', error)
+    return res.status(500).json({ error: 'Internal server error' })
+  }
+}
@@ -1,128 +1,130 @@
+import { z } from 'zod'
+import { prisma } from '../../../lib/prisma'
+import {
+  readRawBody,
+  redactHeaders,
+  webhookIdempotencyKey,
+  webhookRejection
+} from '../../../lib/webhooks'
+import { addPersonOrchestrator } from '../../../trigger/addPersonOrchestrator'
+
+// The signature is computed over the raw bytes, so Next.js must not parse the body
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
+
+const SOURCE = 'leadspicker'
+
+// A delivery still 'received' after this long lost its process before reaching Trigger.dev
+const STALE_DELIVERY_MS = 5 * 60 * 1000
+
+const PayloadSchema = z.object({
+  person: z.object({
+    id: z.coerce.number().int().positive()
+  }).passthrough()
+}).passthrough()
+
+// Leadspicker calls this when a person is added to a campaign. Calls must be signed with
+// LEADSPICKER_WEBHOOK_SECRET (see lib/webhooks.js); each delivery starts the person orchestrator once
 export default async function handler(req, res) {
-  // Only accept POST requests
   if (req.method !== 'POST') {
-    return res.status(405).json({ 
-      error: 'Method not allowed',
-      message: 'This endpoint only accepts POST requests' 
-    });
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const secret = process.env.LEADSPICKER_WEBHOOK_SECRET
+  if (!secret) {
+    console.error('Leadspicker webhook rejected: LEADSPICKER_WEBHOOK_SECRET is not set')
+    return res.status(500).json({ error: 'Webhook is not configured' })
   }
 
   try {
-    console.log('=== WEBHOOK: register-new-person ===');
-    console.log('Timestamp:', new Date().toISOString());
-    
-    // Log request headers
-    console.log('\n--- REQUEST HEADERS ---');
-    console.log('Headers:', JSON.stringify(req.headers, null, 2));
-    
-    // Log the raw body
-    console.log('\n--- RAW BODY ---');
-    console.log('Body type:', typeof req.body);
-    console.log('Body:', req.body);
-    
-    // Log stringified version for better visibility
-    console.log('\n--- STRINGIFIED BODY ---');
-    console.log('Body (stringified):', JSON.stringify(req.body, null, 2));
-    
-    // Log individual properties if it's an object
-    if (req.body && typeof req.body === 'object') {
-      console.log('\n--- BODY PROPERTIES ---');
-      const keys = Object.keys(req.body);
-      console.log('Number of properties:', keys.length);
-      console.log('Property names:', keys);
-      
-      keys.forEach(key => {
-        const value = req.body[key];
-        console.log(`\n${key}:`);
-        console.log('  Type:', typeof value);
-        console.log('  Value:', value);
-        
-        // If it's an object or array, log more details
-        if (typeof value === 'object' && value !== null) {
-          if (Array.isArray(value)) {
-            console.log('  Array length:', value.length);
-            console.log('  Array items:', JSON.stringify(value, null, 2));
-          } else {
-            console.log('  Object keys:', Object.keys(value));
-            console.log('  Object:', JSON.stringify(value, null, 2));
-          }
-        }
-      });
+    const rawBody = await readRawBody(req)
+
+    const rejection = webhookRejection({ secret, headers: req.headers, rawBody })
+    if (rejection) {
+      console.warn('Leadspicker webhook rejected:', rejection, redactHeaders(req.headers))
+      return res.status(401).json({ error: rejection })
     }
-    
-    // Log query parameters if any
-    console.log('\n--- QUERY PARAMETERS ---');
-    console.log('Query:', JSON.stringify(req.query, null, 2));
-    
-    // Log content type and other useful headers
-    console.log('\n--- USEFUL HEADERS ---');
-    console.log('Content-Type:', req.headers['content-type']);
-    console.log('Content-Length:', req.headers['content-length']);
-    console.log('User-Agent:', req.headers['user-agent']);
-    console.log('Authorization:', req.headers['authorization'] ? '[PRESENT]' : '[NOT PRESENT]');
-    
-    console.log('\n=== END WEBHOOK LOG ===\n');
 
-    // Trigger the person orchestrator task if we have a person ID
-    let triggerResult = null;
-    let triggerError = null;
+    let body
+    try {
+      body = JSON.parse(rawBody)
+    } catch {
+      return res.status(400).json({ error: 'Body is not valid JSON' })
+    }
 
-    if (req.body && req.body.person && req.body.person.id) {
-      const personId = req.body.person.id;
-      console.log('\n=== TRIGGERING PERSON ORCHESTRATOR ===');
-      console.log('Person ID:', personId);
-      
+    const parsed = PayloadSchema.safeParse(body)
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid payload', details: parsed.error.flatten() })
+    }
+    const personId = parsed.data.person.id
+
+    const idempotencyKey = webhookIdempotencyKey(req.headers, rawBody)
+    const existing = await prisma.webhookDelivery.findUnique({
+      where: { source_idempotencyKey: { source: SOURCE, idempotencyKey } }
+    })
+
+    // Redelivery of an event already handled; failed and stale deliveries are retried
+    const retryable = existing && (
+      existing.status === 'failed' ||
+      (existing.status === 'received' && Date.now() - existing.updatedAt.getTime() > STALE_DELIVERY_MS)
+    )
+    if (existing && !retryable) {
+      console.log('Leadspicker webhook duplicate:', { deliveryId: existing.id, personId })
+      return res.status(200).json({ success: true, deliveryId: existing.id, duplicate: true })
+    }
+
+    let delivery
+    if (existing) {
+      // Only one concurrent retry claims the delivery; the others see it as a duplicate
+      const { count } = await prisma.webhookDelivery.updateMany({
+        where: { id: existing.id, status: existing.status, updatedAt: existing.updatedAt },
+        data: { status: 'received', error: null }
+      })
+      if (count === 0) {
+        console.log('Leadspicker webhook duplicate:', { deliveryId: existing.id, personId })
+        return res.status(200).json({ success: true, deliveryId: existing.id, duplicate: true })
+      }
+      delivery = existing
+    } else {
       try {
-        // Import the trigger client dynamically
-        const { tasks } = await import("@trigger.dev/sdk/v3");
-        
-        // Trigger the orchestrator task
-        const result = await tasks.trigger("add-person-orchestrator", {
-          personId: personId
-        });
-        
-        triggerResult = result;
-        console.log('✅ Person orchestrator triggered successfully');
-        console.log('Trigger result:', JSON.stringify(result, null, 2));
-        
+        delivery = await prisma.webhookDelivery.create({
+          data: { source: SOURCE, idempotencyKey, externalId: String(personId) }
+        })
       } catch (error) {
-        triggerError = `Failed to trigger person orchestrator: ${error.message}`;
-        console.error('❌ Trigger Error:', triggerError);
-        console.error('Error stack:', error.stack);
+        // A concurrent redelivery recorded the same event first and starts the orchestrator
+        if (error.code !== 'P2002') throw error
+        const recorded = await prisma.webhookDelivery.findUnique({
+          where: { source_idempotencyKey: { source: SOURCE, idempotencyKey } }
+        })
+        console.log('Leadspicker webhook duplicate:', { deliveryId: recorded.id, personId })
+        return res.status(200).json({ success: true, deliveryId: recorded.id, duplicate: true })
       }
-    } else {
-      console.log('\n--- NO PERSON ID FOUND ---');
-      console.log('Cannot trigger person orchestrator - no person.id in payload');
     }
 
-    // Return success response
-    res.status(200).json({
-      success: true,
-      message: 'Webhook received and person orchestrator triggered',
-      timestamp: new Date().toISOString(),
-      receivedData: {
-        bodyType: typeof req.body,
-        hasBody: !!req.body,
-        bodyKeys: req.body && typeof req.body === 'object' ? Object.keys(req.body) : null,
-        queryParams: Object.keys(req.query).length > 0 ? req.query : null,
-        contentType: req.headers['content-type'],
-        personId: req.body?.person?.id || null,
-        orchestratorTriggered: !!triggerResult,
-        triggerError: triggerError
-      },
-      triggerResult: triggerResult
-    });
+    try {
+      const handle = await addPersonOrchestrator.trigger(
+        { personId },
+        { idempotencyKey: `${SOURCE}:${idempotencyKey}` }
+      )
+      await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'triggered', triggerRunId: handle.id }
+      })
+    } catch (error) {
+      await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'failed', error: error.message }
+      })
+      throw error
+    }
 
+    console.log('Leadspicker webhook accepted:', { deliveryId: delivery.id, personId })
+    return res.status(202).json({ success: true, deliveryId: delivery.id, duplicate: false })
   } catch (error) {
-    console.error('=== WEBHOOK ERROR ===');
-    console.error('Error processing webhook:', error);
-    console.error('Error stack:', error.stack);
-    console.error('=== END ERROR ===');
-    
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: 'Failed to process webhook request'
-    });
+    console.error('Leadspicker webhook error:', error.message)
+    return res.status(500).json({ error: 'Internal server error' })
   }
 }
@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/router'
+import Link from 'next/link'
+import Header from '../../components/Header'
+import { stageLabel } from '../../lib/pipeline'
+import { effectiveCategory, effectiveScore } from '../../lib/competitors'
+
+const PROFILE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'website', label: 'Website' },
+  { key: 'fundingStage', label: 'Funding stage' },
+  { key: 'totalFunding', label: 'Total funding' },
+  { key: 'description', label: 'Description', multiline: true },
+]
+
+export default function CompanyDetail() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const { id } = router.query
+  const [company, setCompany] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [draft, setDraft] = useState(null) // Profile being edited
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (id && session) {
+      fetch(`/api/companies/${id}`)
+        .then(res => res.ok ? res.json() : Promise.reject())
+        .then(data => setCompany(data))
+        .catch(() => router.push('/companies'))
+        .finally(() => setLoading(false))
+    }
+  }, [id, session, router])
+
+  // Handle redirection as a side-effect
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/')
+    }
+  }, [status, router])
+
+  if (status !== 'authenticated' || loading || !company) {
+    return (
+      <div style={{ minHeight: '80vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <div style={{
+          width: '40px',
+          height: '40px',
+          border: '3px solid var(--border-light)',
+          borderTop: '3px solid var(--credo-orange)',
+          borderRadius: '50%',
+          animation: 'spin 1s linear infinite'
+        }}></div>
+      </div>
+    )
+  }
+
+  const canEdit = company.competitors.some(c => ['owner', 'editor'].includes(c.deal.accessRole))
+
+  const startEditing = () => {
+    setDraft(Object.fromEntries(PROFILE_FIELDS.map(({ key }) => [key, company[key] || ''])))
+    setError('')
+  }
+
+  // Only changed fields are sent, so untouched ones stay open to later analysis
+  const saveProfile = async () => {
+    const changes = Object.fromEntries(
+      PROFILE_FIELDS
+        .filter(({ key }) => draft[key].trim() !== (company[key] || ''))
+        .map(({ key }) => [key, key === 'name' ? draft[key].trim() : draft[key].trim() || null])
+    )
+
+    setSaving(true)
+    setError('')
+    try {
+      const response = await fetch(`/api/companies/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setError(data.error || 'Failed to save changes')
+        return
+      }
+
+      setCompany(await response.json())
+      setDraft(null)
+    } catch (error) {
+      console.error('Error saving company:', error)
+      setError('Failed to save changes')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div>
+      <Header />
+      <main className="container" style={{ padding: '2rem 0', minHeight: '80vh' }}>
+        <button
+          onClick={() => router.push('/companies')}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: 'var(--text-primary)',
+            cursor: 'pointer',
+            fontSize: '1rem',
+            marginBottom: '2rem'
+          }}
+        >
+          ← Back to Companies
+        </button>
+
+        {/* Shared profile */}
+        <div style={cardStyle}>
+          {draft ? (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+              {PROFILE_FIELDS.map(({ key, label, multiline }) => (
+                <label key={key} style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                  {label}
+                  {multiline ? (
+                    <textarea
+                      value={draft[key]}
+                      onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+                      style={{ ...inputStyle, minHeight: '100px', resize: 'vertical', marginTop: '0.25rem' }}
+                    />
+                  ) : (
+                    <input
+                      value={draft[key]}
+                      onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+                      style={{ ...inputStyle, marginTop: '0.25rem' }}
+                    />
+                  )}
+                </label>
+              ))}
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                <button
+                  onClick={saveProfile}
+                  disabled={saving || !draft.name.trim()}
+                  className="btn-primary"
+                  style={{ padding: '0.4rem 1rem', fontSize: '0.85rem', opacity: saving ? 0.6 : 1 }}
+                >
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  onClick={() => setDraft(null)}
+                  disabled={saving}
+                  style={{ background: 'none', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', fontSize: '0.85rem' }}
+                >
+                  Cancel
+                </button>
+                {error && <span style={{ color: '#EF4444', fontSize: '0.85rem' }}>{error}</span>}
+              </div>
+            </div>
+          ) : (
+            <div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '0.5rem' }}>
+                <h1 style={{ fontSize: '2.5rem', margin: 0 }}>{company.name}</h1>
+                {canEdit && (
+                  <button onClick={startEditing} className="btn-secondary" style={{ padding: '0.4rem 1rem', fontSize: '0.85rem' }}>
+                    Edit profile
+                  </button>
+                )}
+              </div>
+              <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: '1rem' }}>
+                {company.website && (
+                  <a href={company.website} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--credo-orange)' }}>
+                    {company.domain || company.website}
+                  </a>
+                )}
+                {[company.fundingStage, company.totalFunding].filter(Boolean).map(fact => ` · ${fact}`)}
+              </div>
+              {company.description && (
+                <p style={{ lineHeight: 1.6 }}>{company.description}</p>
+              )}
+              {company.editedFields?.length > 0 && (
+                <p style={{ color: 'var(--text-light)', fontSize: '0.8rem', marginTop: '1rem' }}>
+                  Edited manually: {company.editedFields.join(', ')}. Analysis runs will not overwrite these.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Deals it competes with */}
+        <div style={cardStyle}>
+          <h2 style={{ fontSize: '1.25rem', marginBottom: '1rem' }}>
+            Competes with {company.competitors.length} deal{company.competitors.length !== 1 ? 's' : ''}
+          </h2>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+            {company.competitors.map(competitor => (
+              <div
+                key={competitor.id}
+                style={{
+                  padding: '1rem',
+                  background: '#F9FAFB',
+                  borderRadius: '8px',
+                  border: '1px solid var(--border-light)'
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+                  <Link href={`/deep-research/${competitor.deal.id}`} style={{ fontWeight: '600', color: 'var(--text-primary)' }}>
+                    {competitor.deal.companyName}
+                  </Link>
+                  <div style={{ display: 'flex', gap: '0.5rem', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                    <span>{stageLabel(competitor.deal.stage)}</span>
+                    {effectiveCategory(competitor) && <span>· {effectiveCategory(competitor).replace('-', ' ')}</span>}
+                    {effectiveScore(competitor) && <span style={{ fontWeight: '600' }}>· Score {effectiveScore(competitor)}</span>}
+                  </div>
+                </div>
+                {(competitor.shortJustification || competitor.relevance) && (
+                  <div style={{ color: 'var(--text-secondary)', marginTop: '0.5rem', fontSize: '0.9rem' }}>
+                    {competitor.shortJustification || competitor.relevance}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </main>
+    </div>
+  )
+}
+
+const cardStyle = {
+  background: 'white',
+  border: '1px solid var(--border-light)',
+  borderRadius: '12px',
+  padding: '2rem',
+  marginBottom: '2rem'
+}
+
+const inputStyle = {
+  display: 'block',
+  width: '100%',
+  padding: '0.5rem 0.75rem',
+  border: '1px solid var(--border-light)',
+  borderRadius: '6px',
+  fontSize: '0.9rem',
+  fontFamily: 'inherit',
+  color: 'var(--text-primary)',
+  background: 'white'
+}
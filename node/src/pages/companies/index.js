@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/router'
+import Link from 'next/link'
+import Header from '../../components/Header'
+
+export default function Companies() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [companies, setCompanies] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [search, setSearch] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const fetchCompanies = async ({ q, cursor } = {}) => {
+    setLoading(true)
+    setError('')
+    try {
+      const params = new URLSearchParams()
+      if (q) params.set('q', q)
+      if (cursor) params.set('cursor', cursor)
+
+      const response = await fetch(`/api/companies?${params}`)
+      if (!response.ok) {
+        setError('Failed to load companies')
+        return
+      }
+
+      const data = await response.json()
+      setCompanies(prev => cursor ? [...prev, ...data.companies] : data.companies)
+      setNextCursor(data.nextCursor)
+    } catch (error) {
+      console.error('Error fetching companies:', error)
+      setError('Failed to load companies')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Debounced so typing does not send a request per keystroke
+  useEffect(() => {
+    if (!session) return
+    const timeout = setTimeout(() => fetchCompanies({ q: search.trim() }), 300)
+    return () => clearTimeout(timeout)
+  }, [session, search])
+
+  // Handle redirection as a side-effect
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/')
+    }
+  }, [status, router])
+
+  // Show loading spinner while session is loading or for unauthenticated users before redirect
+  if (status !== 'authenticated') {
+    return (
+      <div style={{ minHeight: '80vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <div style={{
+          width: '40px',
+          height: '40px',
+          border: '3px solid var(--border-light)',
+          borderTop: '3px solid var(--credo-orange)',
+          borderRadius: '50%',
+          animation: 'spin 1s linear infinite'
+        }}></div>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <Header />
+      <main className="container" style={{ padding: '2rem 0', minHeight: '80vh' }}>
+        <div style={{ marginBottom: '2rem' }}>
+          <h1 style={{ fontSize: '2.5rem', marginBottom: '0.5rem' }}>
+            Companies
+          </h1>
+          <p style={{ color: 'var(--text-secondary)', fontSize: '1.1rem' }}>
+            Every competitor found across your deals, with the deals each one competes with
+          </p>
+        </div>
+
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name or website"
+          style={{ ...inputStyle, marginBottom: '1.5rem' }}
+        />
+
+        {error && (
+          <p style={{ color: '#EF4444', fontSize: '0.9rem', marginBottom: '1rem' }}>
+            {error}
+          </p>
+        )}
+
+        {!loading && companies.length === 0 ? (
+          <p style={{ color: 'var(--text-secondary)' }}>
+            {search.trim() ? 'No companies match your search.' : 'No competitors have been found yet.'}
+          </p>
+        ) : (
+          <div style={{ background: 'white', border: '1px solid var(--border-light)', borderRadius: '12px', padding: '1rem 2rem' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                  <th style={cellStyle}>Company</th>
+                  <th style={cellStyle}>Website</th>
+                  <th style={cellStyle}>Funding</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Deals</th>
+                </tr>
+              </thead>
+              <tbody>
+                {companies.map(company => (
+                  <tr key={company.id} style={{ borderTop: '1px solid var(--border-light)' }}>
+                    <td style={cellStyle}>
+                      <Link href={`/companies/${company.id}`} style={{ fontWeight: '600', color: 'var(--text-primary)' }}>
+                        {company.name}
+                      </Link>
+                    </td>
+                    <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>{company.domain || '—'}</td>
+                    <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>
+                      {[company.fundingStage, company.totalFunding].filter(Boolean).join(' · ') || '—'}
+                    </td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>{company._count.competitors}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {nextCursor && (
+          <div style={{ textAlign: 'center', marginTop: '1.5rem' }}>
+            <button
+              onClick={() => fetchCompanies({ q: search.trim(), cursor: nextCursor })}
+              disabled={loading}
+              className="btn-secondary"
+              style={{ padding: '0.5rem 1.25rem', opacity: loading ? 0.5 : 1 }}
+            >
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+const cellStyle = {
+  padding: '0.75rem 0.5rem'
+}
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.5rem 0.75rem',
+  border: '1px solid var(--border-light)',
+  borderRadius: '6px',
+  fontSize: '0.9rem',
+  fontFamily: 'inherit',
+  background: 'white'
+}
@@ -1,7 +1,11 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { useSession } from 'next-auth/react'
 import { useRouter } from 'next/router'
 import Header from "../components/Header"
+import PipelineBoard from '../components/PipelineBoard'
+import { ACCEPTED_FILE_EXTENSIONS } from '../trigger/config/fileFormats'
+import { can } from '../lib/roles'
+import { PIPELINE_STAGES, stageLabel } from '../lib/pipeline'
 
 export default function DeepResearch() {
   const { data: session, status } = useSession()
@@ -15,45 +19,103 @@ export default function DeepResearch() {
   const [uploadProgress, setUploadProgress] = useState(0)
   const [fileSizeError, setFileSizeError] = useState('')
   const [deletingDealId, setDeletingDealId] = useState(null)
+  const [scope, setScope] = useState('mine')
+  const [view, setView] = useState('grid') // 'grid' | 'board'
+  const [stageFilter, setStageFilter] = useState('')
+  const [pendingPass, setPendingPass] = useState(null) // Deal waiting for a pass reason
+  const [passReason, setPassReason] = useState('')
+  const [searchInput, setSearchInput] = useState('')
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [owners, setOwners] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [competitorTypes, setCompetitorTypes] = useState([]) // Active competitor searches offered at upload
+  const [selectedCompetitorTypes, setSelectedCompetitorTypes] = useState([])
 
-  // Fetch deals from database
+  // Debounce typing so every keystroke does not hit the search endpoint
   useEffect(() => {
-    const fetchDeals = async () => {
-      if (!session) {
-        return
-      }
+    const timeout = setTimeout(() => {
+      setFilters(prev => prev.q === searchInput.trim() ? prev : { ...prev, q: searchInput.trim() })
+    }, 300)
+    return () => clearTimeout(timeout)
+  }, [searchInput])
 
-      try {
-        const response = await fetch('/api/deals', {
-          method: 'GET',
-          // NextAuth automatically includes session cookies
-        })
+  // Fetch deals from database
+  const fetchDeals = useCallback(async (cursor) => {
+    // The board always shows every stage; the stage filter only narrows the grid
+    const query = buildDealsQuery({
+      scope,
+      stage: view === 'grid' ? stageFilter : '',
+      filters,
+      cursor,
+      limit: view === 'board' ? 100 : 24
+    })
+    const response = await fetch(`/api/deals?${query}`, {
+      method: 'GET',
+      // NextAuth automatically includes session cookies
+    })
 
-        if (response.ok) {
-          const dealsData = await response.json()
-          setDeals(dealsData.map(deal => ({
-            ...deal,
-            createdAt: new Date(deal.createdAt)
-          })))
-        }
-      } catch (error) {
-        console.error('Error fetching deals:', error)
-        // Fallback to mock data if API fails
-        setDeals([
-          {
-            id: 'mock1',
-            companyName: 'TechFlow AI',
-            description: 'AI-powered workflow automation for enterprises',
-            createdAt: new Date('2024-01-15')
-          }
-        ])
-      }
+    if (!response.ok) {
+      throw new Error('Failed to fetch deals')
     }
 
+    const data = await response.json()
+    setNextCursor(data.nextCursor)
+    return data.deals.map(deal => ({
+      ...deal,
+      createdAt: new Date(deal.createdAt)
+    }))
+  }, [scope, view, stageFilter, filters])
+
+  useEffect(() => {
     if (session) {
       fetchDeals()
+        .then(setDeals)
+        .catch(error => console.error('Error fetching deals:', error))
+    }
+  }, [session, fetchDeals])
+
+  // Every active competitor search is picked by default; the deal keeps the selection for re-analysis
+  useEffect(() => {
+    if (showUploadModal && competitorTypes.length === 0) {
+      fetch('/api/competitor-types')
+        .then(res => res.ok ? res.json() : [])
+        .then(types => {
+          const active = types.filter(type => type.active)
+          setCompetitorTypes(active)
+          setSelectedCompetitorTypes(active.map(type => type.slug))
+        })
+        .catch(error => console.error('Error fetching competitor types:', error))
     }
-  }, [session])
+  }, [showUploadModal, competitorTypes.length])
+
+  // Owner filter options for the shared and team views
+  useEffect(() => {
+    if (session && scope !== 'mine' && owners.length === 0) {
+      fetch('/api/users')
+        .then(res => res.ok ? res.json() : Promise.reject())
+        .then(setOwners)
+        .catch(() => {})
+    }
+  }, [session, scope, owners.length])
+
+  const loadMore = async () => {
+    setLoadingMore(true)
+    try {
+      const moreDeals = await fetchDeals(nextCursor)
+      setDeals(prev => [...prev, ...moreDeals])
+    } catch (error) {
+      console.error('Error fetching deals:', error)
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }))
+  }
+
+  const hasActiveFilters = Object.keys(EMPTY_FILTERS).some(key => filters[key] !== EMPTY_FILTERS[key])
 
   // Handle redirection as a side-effect
   useEffect(() => {
@@ -117,6 +179,46 @@ export default function DeepResearch() {
     }
   }
 
+  const moveDeal = async (deal, stage, reason) => {
+    // Passing on a deal always asks for the reason first
+    if (stage === 'passed' && !reason) {
+      setPendingPass(deal)
+      setPassReason('')
+      return
+    }
+
+    const previous = { stage: deal.stage, stageChangedAt: deal.stageChangedAt, passReason: deal.passReason }
+    const updateDeal = (changes) => setDeals(prev => prev.map(d => d.id === deal.id ? { ...d, ...changes } : d))
+    updateDeal({ stage, stageChangedAt: new Date().toISOString(), passReason: reason || null })
+
+    try {
+      const response = await fetch(`/api/deals/${deal.id}/stage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ stage, passReason: reason })
+      })
+
+      if (!response.ok) {
+        console.error('Failed to move deal')
+        updateDeal(previous)
+      }
+    } catch (error) {
+      console.error('Error moving deal:', error)
+      updateDeal(previous)
+    }
+  }
+
+  const confirmPass = () => {
+    const deal = pendingPass
+    setPendingPass(null)
+    moveDeal(deal, 'passed', passReason.trim())
+  }
+
+  // Needs material to analyze and, once the searches have loaded, at least one of them
+  const canSubmitUpload = (uploadedFiles.length > 0 || Boolean(freeText.trim())) &&
+    !fileSizeError &&
+    (competitorTypes.length === 0 || selectedCompetitorTypes.length > 0)
+
   const truncateText = (text, maxLength = 120) => {
     if (!text) return 'No description available'
     if (text.length <= maxLength) return text
@@ -143,6 +245,9 @@ export default function DeepResearch() {
       if (freeText) {
         formData.append('freeText', freeText)
       }
+      selectedCompetitorTypes.forEach((slug) => {
+        formData.append('competitorTypes', slug)
+      })
 
       setProcessingStep('Uploading files to OpenAI...')
       setUploadProgress(25)
@@ -257,110 +362,390 @@ export default function DeepResearch() {
           </button>
         </div>
 
-        {/* Deals Grid */}
+        {/* Pipeline Scope Tabs */}
         <div style={{
-          display: 'grid',
-          gridTemplateColumns: 'repeat(auto-fill, minmax(350px, 1fr))',
-          gap: '1.5rem'
+          display: 'flex',
+          gap: '0.5rem',
+          alignItems: 'center',
+          marginBottom: '1.5rem',
+          borderBottom: '1px solid var(--border-light)'
         }}>
-          {deals.map(deal => (
-            <div
-              key={deal.id}
-              style={{
-                background: 'white',
-                border: '1px solid var(--border-light)',
-                borderRadius: '12px',
-                padding: '1.5rem',
-                transition: 'all 0.2s ease',
-                cursor: 'pointer',
-                position: 'relative'
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.boxShadow = '0 4px 12px rgba(0,0,0,0.1)'
-                e.currentTarget.style.transform = 'translateY(-2px)'
+          {DEAL_SCOPES.map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => {
+                setScope(tab.value)
+                // Owner filter only exists outside "My deals"
+                if (tab.value === 'mine') updateFilter('ownerId', '')
               }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.boxShadow = 'none'
-                e.currentTarget.style.transform = 'translateY(0)'
-              }}
-              onClick={(e) => {
-                // Don't navigate if clicking delete button
-                if (e.target.closest('.delete-btn')) return
-                router.push(`/deep-research/${deal.id}`)
+              style={{
+                padding: '0.75rem 1rem',
+                background: 'none',
+                border: 'none',
+                borderBottom: scope === tab.value ? '2px solid var(--credo-orange)' : '2px solid transparent',
+                color: scope === tab.value ? 'var(--text-primary)' : 'var(--text-secondary)',
+                fontWeight: scope === tab.value ? '600' : '400',
+                fontSize: '0.95rem',
+                cursor: 'pointer'
               }}
             >
-              {/* Delete Button */}
-              <button
-                className="delete-btn"
-                onClick={(e) => {
-                  e.stopPropagation()
-                  setDeletingDealId(deal.id)
-                }}
+              {tab.label}
+            </button>
+          ))}
+
+          <div style={{ marginLeft: 'auto', display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+            {view === 'grid' && (
+              <select
+                value={stageFilter}
+                onChange={(e) => setStageFilter(e.target.value)}
                 style={{
-                  position: 'absolute',
-                  top: '1rem',
-                  right: '1rem',
-                  background: '#EF4444',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '50%',
-                  width: '28px',
-                  height: '28px',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  cursor: 'pointer',
-                  fontSize: '14px',
-                  zIndex: 10
+                  padding: '0.4rem 0.75rem',
+                  border: '1px solid var(--border-light)',
+                  borderRadius: '6px',
+                  fontSize: '0.9rem'
                 }}
               >
-                ×
+                <option value="">All stages</option>
+                {PIPELINE_STAGES.map(stage => (
+                  <option key={stage.value} value={stage.value}>{stage.label}</option>
+                ))}
+              </select>
+            )}
+            {['grid', 'board'].map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={view === option ? 'btn-primary' : 'btn-secondary'}
+                style={{ padding: '0.4rem 0.9rem', fontSize: '0.85rem' }}
+              >
+                {option === 'grid' ? 'Cards' : 'Board'}
+              </button>
+            ))}
+            {can(session.user.role, 'deals:delete') && (
+              <button
+                onClick={() => router.push('/deep-research/trash')}
+                style={{ background: 'none', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', fontSize: '0.9rem' }}
+              >
+                🗑️ Trash
               </button>
+            )}
+          </div>
+        </div>
 
-              <div style={{
-                display: 'flex',
-                justifyContent: 'space-between',
-                alignItems: 'flex-start',
-                marginBottom: '1rem',
-                paddingRight: '2rem' // Make room for delete button
-              }}>
-                <h3 style={{ fontSize: '1.25rem', fontWeight: '600' }}>
-                  {deal.companyName}
-                </h3>
-              </div>
+        {/* Search and Filters */}
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '0.5rem',
+          alignItems: 'center',
+          marginBottom: '1.5rem'
+        }}>
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search companies, descriptions, notes and founders..."
+            style={{ ...filterInputStyle, flex: '1 1 280px' }}
+          />
+          {scope !== 'mine' && (
+            <select
+              value={filters.ownerId}
+              onChange={(e) => updateFilter('ownerId', e.target.value)}
+              style={filterInputStyle}
+            >
+              <option value="">Any owner</option>
+              {owners.map(owner => (
+                <option key={owner.id} value={owner.id}>{owner.name || owner.email}</option>
+              ))}
+            </select>
+          )}
+          <label style={filterLabelStyle}>
+            From
+            <input
+              type="date"
+              value={filters.createdFrom}
+              onChange={(e) => updateFilter('createdFrom', e.target.value)}
+              style={filterInputStyle}
+            />
+          </label>
+          <label style={filterLabelStyle}>
+            To
+            <input
+              type="date"
+              value={filters.createdTo}
+              onChange={(e) => updateFilter('createdTo', e.target.value)}
+              style={filterInputStyle}
+            />
+          </label>
+          <label style={filterLabelStyle}>
+            Competitors
+            <input
+              type="number"
+              min="0"
+              value={filters.minCompetitors}
+              onChange={(e) => updateFilter('minCompetitors', e.target.value)}
+              placeholder="min"
+              style={{ ...filterInputStyle, width: '70px' }}
+            />
+            –
+            <input
+              type="number"
+              min="0"
+              value={filters.maxCompetitors}
+              onChange={(e) => updateFilter('maxCompetitors', e.target.value)}
+              placeholder="max"
+              style={{ ...filterInputStyle, width: '70px' }}
+            />
+          </label>
+          <select
+            value={filters.sort}
+            onChange={(e) => updateFilter('sort', e.target.value)}
+            style={filterInputStyle}
+          >
+            {DEAL_SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {(searchInput || hasActiveFilters) && (
+            <button
+              onClick={() => {
+                setSearchInput('')
+                setFilters(EMPTY_FILTERS)
+              }}
+              style={{ background: 'none', border: 'none', color: 'var(--credo-orange)', cursor: 'pointer', fontSize: '0.9rem' }}
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
 
-              <p style={{
-                color: 'var(--text-secondary)',
-                marginBottom: '1rem',
-                lineHeight: '1.5'
-              }}>
-                {truncateText(deal.description)}
-              </p>
+        {deals.length === 0 && (
+          <p style={{ color: 'var(--text-secondary)' }}>
+            {hasActiveFilters
+              ? 'No deals match these filters.'
+              : scope === 'shared' ? 'No deals have been shared with you yet.' : 'No deals yet.'}
+          </p>
+        )}
 
-              <div style={{
-                display: 'flex',
-                justifyContent: 'flex-end',
-                alignItems: 'center',
-                fontSize: '0.9rem',
-                color: 'var(--text-light)'
-              }}>
-                <div>
-                  {deal.createdAt.toLocaleDateString()}
+        {view === 'board' && (
+          <PipelineBoard
+            deals={deals}
+            onOpen={(deal) => router.push(`/deep-research/${deal.id}`)}
+            onMove={moveDeal}
+            canMove={(deal) => ['owner', 'editor'].includes(deal.accessRole)}
+          />
+        )}
+
+        {/* Deals Grid */}
+        {view === 'grid' && (
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fill, minmax(350px, 1fr))',
+            gap: '1.5rem'
+          }}>
+            {deals.map(deal => (
+              <div
+                key={deal.id}
+                style={{
+                  background: 'white',
+                  border: '1px solid var(--border-light)',
+                  borderRadius: '12px',
+                  padding: '1.5rem',
+                  transition: 'all 0.2s ease',
+                  cursor: 'pointer',
+                  position: 'relative'
+                }}
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.boxShadow = '0 4px 12px rgba(0,0,0,0.1)'
+                  e.currentTarget.style.transform = 'translateY(-2px)'
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.boxShadow = 'none'
+                  e.currentTarget.style.transform = 'translateY(0)'
+                }}
+                onClick={(e) => {
+                  // Don't navigate if clicking delete button
+                  if (e.target.closest('.delete-btn')) return
+                  router.push(`/deep-research/${deal.id}`)
+                }}
+              >
+                {/* Delete Button */}
+                {deal.accessRole === 'owner' && can(session.user.role, 'deals:delete') && (
+                  <button
+                    className="delete-btn"
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      setDeletingDealId(deal.id)
+                    }}
+                    style={{
+                      position: 'absolute',
+                      top: '1rem',
+                      right: '1rem',
+                      background: '#EF4444',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '50%',
+                      width: '28px',
+                      height: '28px',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      cursor: 'pointer',
+                      fontSize: '14px',
+                      zIndex: 10
+                    }}
+                  >
+                    ×
+                  </button>
+                )}
+
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'flex-start',
+                  marginBottom: '1rem',
+                  paddingRight: '2rem' // Make room for delete button
+                }}>
+                  <h3 style={{ fontSize: '1.25rem', fontWeight: '600' }}>
+                    {deal.companyName}
+                  </h3>
+                  <span style={{
+                    fontSize: '0.75rem',
+                    fontWeight: '500',
+                    padding: '0.2rem 0.6rem',
+                    borderRadius: '999px',
+                    color: 'white',
+                    whiteSpace: 'nowrap',
+                    background: PIPELINE_STAGES.find(stage => stage.value === deal.stage)?.color || 'var(--text-light)'
+                  }}>
+                    {stageLabel(deal.stage)}
+                  </span>
                 </div>
-              </div>
 
-              {deal.files && deal.files.length > 0 && (
+                <p style={{
+                  color: 'var(--text-secondary)',
+                  marginBottom: '1rem',
+                  lineHeight: '1.5'
+                }}>
+                  {truncateText(deal.description)}
+                </p>
+
+                {deal.analysisStatus === 'incomplete' && (
+                  <div style={{ fontSize: '0.8rem', color: '#B91C1C', marginBottom: '1rem' }}>
+                    ⚠ Analysis incomplete
+                  </div>
+                )}
+
                 <div style={{
-                  marginTop: '1rem',
-                  fontSize: '0.8rem',
+                  display: 'flex',
+                  justifyContent: scope === 'mine' ? 'flex-end' : 'space-between',
+                  alignItems: 'center',
+                  fontSize: '0.9rem',
                   color: 'var(--text-light)'
                 }}>
-                  📄 {deal.files.length} document{deal.files.length !== 1 ? 's' : ''}
+                  {scope !== 'mine' && (
+                    <div>
+                      {deal.accessRole === 'owner' ? 'You' : (deal.assignedTo?.name || deal.assignedTo?.email)}
+                      {deal.accessRole !== 'owner' && ` · ${deal.accessRole}`}
+                    </div>
+                  )}
+                  <div>
+                    {deal.createdAt.toLocaleDateString()}
+                  </div>
                 </div>
-              )}
+
+                {deal._count?.files > 0 && (
+                  <div style={{
+                    marginTop: '1rem',
+                    fontSize: '0.8rem',
+                    color: 'var(--text-light)'
+                  }}>
+                    📄 {deal._count.files} document{deal._count.files !== 1 ? 's' : ''}
+                    {deal._count.competitors > 0 && ` · ${deal._count.competitors} competitor${deal._count.competitors !== 1 ? 's' : ''}`}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {nextCursor && (
+          <div style={{ textAlign: 'center', marginTop: '2rem' }}>
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="btn-secondary"
+              style={{ padding: '0.75rem 2rem', opacity: loadingMore ? 0.5 : 1 }}
+            >
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+
+        {/* Pass Reason Modal */}
+        {pendingPass && (
+          <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+          }}>
+            <div style={{
+              background: 'white',
+              borderRadius: '12px',
+              padding: '2rem',
+              width: '90%',
+              maxWidth: '400px'
+            }}>
+              <h3 style={{ marginBottom: '1rem' }}>Pass on {pendingPass.companyName}</h3>
+              <textarea
+                value={passReason}
+                onChange={(e) => setPassReason(e.target.value)}
+                placeholder="Why are we passing?"
+                style={{
+                  width: '100%',
+                  minHeight: '100px',
+                  padding: '1rem',
+                  border: '1px solid var(--border-light)',
+                  borderRadius: '8px',
+                  fontSize: '0.9rem',
+                  fontFamily: 'inherit',
+                  resize: 'vertical',
+                  marginBottom: '1.5rem'
+                }}
+              />
+
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+                <button
+                  onClick={() => setPendingPass(null)}
+                  style={{
+                    padding: '0.75rem 1.5rem',
+                    background: 'var(--border-light)',
+                    border: 'none',
+                    borderRadius: '6px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={confirmPass}
+                  className="btn-primary"
+                  disabled={!passReason.trim()}
+                  style={{ padding: '0.75rem 1.5rem', opacity: passReason.trim() ? 1 : 0.5 }}
+                >
+                  Pass
+                </button>
+              </div>
             </div>
-          ))}
-        </div>
+          </div>
+        )}
 
         {/* Upload Modal */}
         {showUploadModal && (
@@ -422,7 +807,7 @@ export default function DeepResearch() {
                     <input
                       type="file"
                       multiple
-                      accept=".pdf"
+                      accept={ACCEPTED_FILE_EXTENSIONS}
                       onChange={handleFileUpload}
                       style={{ display: 'none' }}
                       id="file-upload"
@@ -439,7 +824,7 @@ export default function DeepResearch() {
                         Upload Documents
                       </p>
                       <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
-                        PDF only (max 150MB each)
+                        PDF, Word, PowerPoint, Excel, images or text (max 150MB each)
                       </p>
                       {fileSizeError && (
                         <p style={{
@@ -517,16 +902,44 @@ export default function DeepResearch() {
                     />
                   </div>
 
+                  {/* Competitor searches */}
+                  {competitorTypes.length > 0 && (
+                    <div style={{ marginBottom: '2rem' }}>
+                      <label style={{
+                        display: 'block',
+                        marginBottom: '0.5rem',
+                        fontSize: '0.9rem',
+                        fontWeight: '600'
+                      }}>
+                        Competitor Searches
+                      </label>
+                      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+                        {competitorTypes.map(type => (
+                          <label key={type.slug} title={type.description} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem', cursor: 'pointer' }}>
+                            <input
+                              type="checkbox"
+                              checked={selectedCompetitorTypes.includes(type.slug)}
+                              onChange={() => setSelectedCompetitorTypes(prev => prev.includes(type.slug)
+                                ? prev.filter(slug => slug !== type.slug)
+                                : [...prev, type.slug])}
+                            />
+                            {type.name}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Submit Button */}
                   <button
                     onClick={handleSubmit}
                     className="btn-primary"
-                    disabled={(uploadedFiles.length === 0 && !freeText.trim()) || !!fileSizeError}
+                    disabled={!canSubmitUpload}
                     style={{
                       width: '100%',
                       padding: '1rem',
                       fontSize: '1rem',
-                      opacity: ((uploadedFiles.length === 0 && !freeText.trim()) || !!fileSizeError) ? 0.5 : 1
+                      opacity: canSubmitUpload ? 1 : 0.5
                     }}
                   >
                     Continue
@@ -616,7 +1029,7 @@ export default function DeepResearch() {
             }}>
               <h3 style={{ marginBottom: '1rem' }}>Delete Deal</h3>
               <p style={{ color: 'var(--text-secondary)', marginBottom: '2rem' }}>
-                Are you sure you want to delete this deal? This action cannot be undone.
+                Are you sure you want to delete this deal? It moves to the trash, where you can restore it until it is permanently removed.
               </p>
 
               <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
@@ -652,4 +1065,58 @@ export default function DeepResearch() {
       </main>
     </div>
   )
-}
\ No newline at end of file
+}
+
+const DEAL_SCOPES = [
+  { value: 'mine', label: 'My deals' },
+  { value: 'shared', label: 'Shared with me' },
+  { value: 'team', label: 'Team pipeline' }
+]
+
+const DEAL_SORT_OPTIONS = [
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'updatedAt:desc', label: 'Recently updated' },
+  { value: 'stageChangedAt:desc', label: 'Recently moved' },
+  { value: 'companyName:asc', label: 'Company A–Z' },
+  { value: 'companyName:desc', label: 'Company Z–A' }
+]
+
+const EMPTY_FILTERS = {
+  q: '',
+  ownerId: '',
+  createdFrom: '',
+  createdTo: '',
+  minCompetitors: '',
+  maxCompetitors: '',
+  sort: DEAL_SORT_OPTIONS[0].value
+}
+
+// Only non-empty filters are sent; the API treats every filter as optional
+function buildDealsQuery({ scope, stage, filters, cursor, limit }) {
+  const [sort, order] = filters.sort.split(':')
+  const params = { scope, stage, ...filters, sort, order, cursor, limit }
+  const query = new URLSearchParams()
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== '' && value !== undefined && value !== null) {
+      query.set(key, value)
+    }
+  })
+  return query.toString()
+}
+
+const filterInputStyle = {
+  padding: '0.4rem 0.75rem',
+  border: '1px solid var(--border-light)',
+  borderRadius: '6px',
+  fontSize: '0.9rem',
+  fontFamily: 'inherit'
+}
+
+const filterLabelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.4rem',
+  fontSize: '0.85rem',
+  color: 'var(--text-secondary)'
+}
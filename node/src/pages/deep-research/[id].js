@@ -2,7 +2,17 @@ import { useState, useEffect } from 'react'
 import { useSession } from 'next-auth/react'
 import { useRouter } from 'next/router'
 import Header from "../../components/Header"
+import Link from 'next/link'
 import { useRealtimeRun } from '@trigger.dev/react-hooks'
+import { ACCEPTED_FILE_EXTENSIONS, FILE_FORMAT_CONFIGS } from '../../trigger/config/fileFormats'
+import { can } from '../../lib/roles'
+import { PIPELINE_STAGES, stageLabel } from '../../lib/pipeline'
+import AnalysisRunHistory from '../../components/AnalysisRunHistory'
+import CompetitiveLandscape from '../../components/CompetitiveLandscape'
+import CompetitorEvidence from '../../components/CompetitorEvidence'
+import DealPeople from '../../components/DealPeople'
+import { analysisStageLabel, retryRequestForStage } from '../../lib/analysisStages'
+import { COMPETITOR_CATEGORIES, competitorSourceLabel, competitorSourceList, competitorTypeNames, effectiveCategory, effectiveScore, isOverridden } from '../../lib/competitors'
 
 export default function DealDetail() {
   const { data: session, status } = useSession()
@@ -12,6 +22,35 @@ export default function DealDetail() {
   const [loading, setLoading] = useState(true)
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
   const [publicToken, setPublicToken] = useState(null)
+  const [editingSection, setEditingSection] = useState(null) // 'companyName' | 'description' | 'foundingTeam' | competitor id | 'override:' + competitor id
+  const [draft, setDraft] = useState(null)
+  const [savingEdit, setSavingEdit] = useState(false)
+  const [editError, setEditError] = useState('')
+  const [showReanalyzeMenu, setShowReanalyzeMenu] = useState(false)
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  const [reanalyzing, setReanalyzing] = useState(false)
+  const [showAddMaterials, setShowAddMaterials] = useState(false)
+  const [newFiles, setNewFiles] = useState([])
+  const [newNotes, setNewNotes] = useState('')
+  const [refreshAnalysis, setRefreshAnalysis] = useState(true)
+  const [addingMaterials, setAddingMaterials] = useState(false)
+  const [addMaterialsError, setAddMaterialsError] = useState('')
+  const [showShare, setShowShare] = useState(false)
+  const [sharing, setSharing] = useState(null)
+  const [colleagues, setColleagues] = useState([])
+  const [newCollaborator, setNewCollaborator] = useState({ userId: '', role: 'viewer' })
+  const [shareError, setShareError] = useState('')
+  const [passDraft, setPassDraft] = useState(null) // Pass reason being typed before moving to passed
+  const [changingStage, setChangingStage] = useState(false)
+  const [stageError, setStageError] = useState('')
+  const [selectedCompetitorIds, setSelectedCompetitorIds] = useState([]) // Picked for a manual merge
+  const [mergingCompetitors, setMergingCompetitors] = useState(false)
+  const [competitorError, setCompetitorError] = useState('')
+  const [newCompetitor, setNewCompetitor] = useState(null) // Draft of a competitor added by hand
+  const [showHiddenCompetitors, setShowHiddenCompetitors] = useState(false)
+  const [competitorView, setCompetitorView] = useState('list') // 'list' | 'landscape'
+  const [expandedCompetitorIds, setExpandedCompetitorIds] = useState([]) // Cards showing justification and sources
+  const [competitorTypes, setCompetitorTypes] = useState([]) // Admin-managed competitor searches, incl. inactive ones
 
   useEffect(() => {
     const fetchDeal = async () => {
@@ -47,21 +86,36 @@ export default function DealDetail() {
     }
   }, [id, taskId, session, router])
 
-  // Subscribe to the main orchestrator run if we have a taskId
-  const { run: orchestratorRun } = useRealtimeRun(taskId, {
+  // Names for competitor sources and stages, and the searches offered for re-analysis
+  useEffect(() => {
+    if (session) {
+      fetch('/api/competitor-types')
+        .then(res => res.ok ? res.json() : [])
+        .then(setCompetitorTypes)
+        .catch(error => console.error('Error fetching competitor types:', error))
+    }
+  }, [session])
+
+  // Without a taskId in the URL, follow whichever recorded run is still in flight
+  const activeRun = deal?.analysisRuns?.find(run => ACTIVE_RUN_STATUSES.includes(run.status)) || null
+  const runId = taskId || activeRun?.triggerRunId
+
+  // Subscribe to the main orchestrator run; the deal-tag token covers runs found via the deal
+  const { run: orchestratorRun } = useRealtimeRun(runId, {
     accessToken: publicToken || undefined,
-    enabled: Boolean(publicToken && taskId),
+    enabled: Boolean(publicToken && runId),
   })
 
   const orchestratorStatus = orchestratorRun?.metadata?.status || null
+  const orchestratorFinished = TERMINAL_RUN_STATUSES.includes(orchestratorRun?.status)
 
-  // Check if we should show progress bar - either orchestrator is running or we have placeholder content
-  const shouldShowProgressBar = (orchestratorRun && orchestratorRun.status !== 'COMPLETED') || 
-    (deal && (deal.companyName === 'Processing...' || deal.companyName?.includes('Processing')))
+  // Live status wins once subscribed; until then the recorded run decides
+  const shouldShowProgressBar = orchestratorRun ? !orchestratorFinished : Boolean(activeRun)
 
   // Debug logging
   console.log('Debug info:', {
     taskId,
+    activeRunId: activeRun?.id,
     orchestratorRun: orchestratorRun ? {
       id: orchestratorRun.id,
       status: orchestratorRun.status,
@@ -72,15 +126,15 @@ export default function DealDetail() {
     publicToken: !!publicToken
   })
 
-  // When orchestrator run completes, refetch the deal to load saved data
+  // When orchestrator run finishes, refetch the deal to load saved data and the run outcome
   useEffect(() => {
-    if (orchestratorRun?.status === 'COMPLETED' && id && session) {
+    if (orchestratorFinished && id && session) {
       fetch(`/api/deals/${id}`)
         .then(res => res.ok ? res.json() : Promise.reject())
         .then(data => setDeal(data))
         .catch(() => {})
     }
-  }, [orchestratorRun?.status, id, session])
+  }, [orchestratorFinished, id, session])
 
   // Handle redirection as a side-effect
   useEffect(() => {
@@ -149,9 +203,10 @@ export default function DealDetail() {
     )
   }
 
-  // Group competitors by category
-  const groupedCompetitors = deal.competitors?.reduce((acc, competitor) => {
-    const category = competitor.competitorCategory || 'Uncategorized';
+  // Group competitors by category; hidden ones are listed separately
+  const hiddenCompetitors = deal.competitors?.filter(competitor => competitor.hidden) || [];
+  const groupedCompetitors = deal.competitors?.filter(competitor => !competitor.hidden).reduce((acc, competitor) => {
+    const category = effectiveCategory(competitor) || 'Uncategorized';
     if (!acc[category]) {
       acc[category] = [];
     }
@@ -159,7 +214,166 @@ export default function DealDetail() {
     return acc;
   }, {});
 
-  const categoryOrder = ['incumbent', 'well-funded', 'early-stage', 'Uncategorized'];
+  const categoryOrder = [...COMPETITOR_CATEGORIES, 'Uncategorized'];
+
+  const canEdit = ['owner', 'editor'].includes(deal.accessRole)
+  const typeNames = competitorTypeNames(competitorTypes)
+  const isOwner = deal.accessRole === 'owner'
+  const canReanalyze = canEdit && can(session.user.role, 'deals:reanalyze')
+  const canDelete = isOwner && can(session.user.role, 'deals:delete')
+
+  const openSharing = async () => {
+    setShowShare(true)
+    setShareError('')
+    try {
+      const [sharingResponse, usersResponse] = await Promise.all([
+        fetch(`/api/deals/${id}/sharing`),
+        fetch('/api/users')
+      ])
+      if (sharingResponse.ok) setSharing(await sharingResponse.json())
+      if (usersResponse.ok) setColleagues(await usersResponse.json())
+    } catch (error) {
+      console.error('Error loading sharing settings:', error)
+      setShareError('Failed to load sharing settings')
+    }
+  }
+
+  const updateSharing = async (method, body, query = '') => {
+    setShareError('')
+    try {
+      const response = await fetch(`/api/deals/${id}/sharing${query}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setShareError(data.error || 'Failed to update sharing')
+        return
+      }
+
+      setSharing(await response.json())
+      // Ownership or self-removal may change what this user can do on the deal
+      if (body?.ownerId || query) {
+        const dealResponse = await fetch(`/api/deals/${id}`)
+        if (dealResponse.ok) {
+          setDeal(await dealResponse.json())
+        } else {
+          router.push('/deep-research')
+        }
+      }
+    } catch (error) {
+      console.error('Error updating sharing:', error)
+      setShareError('Failed to update sharing')
+    }
+  }
+
+  const handleAddCollaborator = async () => {
+    await updateSharing('POST', newCollaborator)
+    setNewCollaborator({ userId: '', role: 'viewer' })
+  }
+
+  const changeStage = async (stage, passReason) => {
+    // Passing on a deal always asks for the reason first
+    if (stage === 'passed' && passReason === undefined) {
+      setPassDraft('')
+      setStageError('')
+      return
+    }
+
+    setChangingStage(true)
+    setStageError('')
+    try {
+      const response = await fetch(`/api/deals/${id}/stage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ stage, passReason })
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setStageError(data.error || 'Failed to change stage')
+        return
+      }
+
+      setPassDraft(null)
+      // Reload so the pipeline history includes this move
+      const dealResponse = await fetch(`/api/deals/${id}`)
+      if (dealResponse.ok) setDeal(await dealResponse.json())
+    } catch (error) {
+      console.error('Error changing stage:', error)
+      setStageError('Failed to change stage')
+    } finally {
+      setChangingStage(false)
+    }
+  }
+
+  const toggleCompetitorSelection = (competitorId) => {
+    setSelectedCompetitorIds(ids => ids.includes(competitorId)
+      ? ids.filter(selectedId => selectedId !== competitorId)
+      : [...ids, competitorId])
+  }
+
+  const toggleCompetitorDetails = (competitorId) => {
+    setExpandedCompetitorIds(ids => ids.includes(competitorId)
+      ? ids.filter(expandedId => expandedId !== competitorId)
+      : [...ids, competitorId])
+  }
+
+  // Every competitor action goes through the competitors API and reloads the deal afterwards.
+  // Resolves true on success so callers can close their forms
+  const updateCompetitors = async (path, body, method = 'POST') => {
+    setMergingCompetitors(true)
+    setCompetitorError('')
+    try {
+      const response = await fetch(`/api/deals/${id}/competitors${path ? `/${path}` : ''}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: method === 'DELETE' ? undefined : JSON.stringify(body || {})
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setCompetitorError(data.error || 'Failed to update competitors')
+        return false
+      }
+
+      setSelectedCompetitorIds([])
+      const dealResponse = await fetch(`/api/deals/${id}`)
+      if (dealResponse.ok) setDeal(await dealResponse.json())
+      return true
+    } catch (error) {
+      console.error('Error updating competitors:', error)
+      setCompetitorError('Failed to update competitors')
+      return false
+    } finally {
+      setMergingCompetitors(false)
+    }
+  }
+
+  const addCompetitor = async () => {
+    const added = await updateCompetitors('', {
+      name: newCompetitor.name.trim(),
+      website: newCompetitor.website.trim() || null,
+      description: newCompetitor.description.trim() || null
+    })
+    if (added) setNewCompetitor(null)
+  }
+
+  const deleteCompetitor = async (competitor) => {
+    if (!window.confirm(`Delete ${competitor.name}? A later re-analysis may find it again; hide it to keep it out.`)) return
+    await updateCompetitors(competitor.id, null, 'DELETE')
+  }
+
+  const saveOverride = async (competitorId) => {
+    const saved = await updateCompetitors(competitorId, {
+      scoreOverride: draft.scoreOverride ? Number(draft.scoreOverride) : null,
+      categoryOverride: draft.categoryOverride || null,
+      overrideNote: draft.overrideNote.trim() || null
+    }, 'PATCH')
+    if (saved) cancelEditing()
+  }
 
   const handleDelete = async () => {
     try {
@@ -177,6 +391,136 @@ export default function DealDetail() {
     }
   }
 
+  const startEditing = (section, value) => {
+    setEditingSection(section)
+    setDraft(value)
+    setEditError('')
+  }
+
+  const cancelEditing = () => {
+    setEditingSection(null)
+    setDraft(null)
+    setEditError('')
+  }
+
+  // Persist manual corrections; the API marks these fields so re-analysis keeps them
+  const saveDealChanges = async (changes) => {
+    setSavingEdit(true)
+    setEditError('')
+    try {
+      const response = await fetch(`/api/deals/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setEditError(data.error || 'Failed to save changes')
+        return
+      }
+
+      setDeal(await response.json())
+      setEditingSection(null)
+      setDraft(null)
+    } catch (error) {
+      console.error('Error saving deal changes:', error)
+      setEditError('Failed to save changes')
+    } finally {
+      setSavingEdit(false)
+    }
+  }
+
+  const handleReanalyze = async (stage, competitorType) => {
+    setShowReanalyzeMenu(false)
+    setReanalyzing(true)
+    try {
+      const response = await fetch(`/api/deals/${id}/reanalyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ stage, competitorType })
+      })
+
+      if (response.ok) {
+        const { taskId: newTaskId } = await response.json()
+        // Switching the taskId subscribes the progress bar to the new run
+        router.push(`/deep-research/${id}?taskId=${newTaskId}`)
+      } else {
+        console.error('Failed to start re-analysis')
+      }
+    } catch (error) {
+      console.error('Error starting re-analysis:', error)
+    } finally {
+      setReanalyzing(false)
+    }
+  }
+
+  const handleNewFiles = (event) => {
+    const files = Array.from(event.target.files)
+    const maxFileSize = 150 * 1024 * 1024 // 150MB in bytes
+
+    const oversizedFiles = files.filter(file => file.size > maxFileSize)
+    if (oversizedFiles.length > 0) {
+      setAddMaterialsError(`File "${oversizedFiles[0].name}" is too large. Maximum file size is 150MB.`)
+      return
+    }
+
+    setAddMaterialsError('')
+    setNewFiles(prev => [...prev, ...files])
+  }
+
+  const closeAddMaterials = () => {
+    setShowAddMaterials(false)
+    setNewFiles([])
+    setNewNotes('')
+    setAddMaterialsError('')
+  }
+
+  const handleAddMaterials = async () => {
+    setAddingMaterials(true)
+    setAddMaterialsError('')
+    try {
+      const formData = new FormData()
+      newFiles.forEach((file) => {
+        formData.append('files', file)
+      })
+      if (newNotes.trim()) {
+        formData.append('freeText', newNotes)
+      }
+      formData.append('refreshAnalysis', String(refreshAnalysis && canReanalyze))
+
+      const response = await fetch(`/api/deals/${id}/upload`, {
+        method: 'POST',
+        body: formData
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setAddMaterialsError(data.message || data.error || 'Upload failed')
+        return
+      }
+
+      const result = await response.json()
+      closeAddMaterials()
+
+      if (result.taskId) {
+        router.push(`/deep-research/${id}?taskId=${result.taskId}`)
+      } else {
+        const dealResponse = await fetch(`/api/deals/${id}`)
+        if (dealResponse.ok) {
+          setDeal(await dealResponse.json())
+        }
+      }
+    } catch (error) {
+      console.error('Error adding materials:', error)
+      setAddMaterialsError('Upload failed')
+    } finally {
+      setAddingMaterials(false)
+    }
+  }
+
+  const isEdited = (field) => deal.editedFields?.includes(field)
+
   const formatAmount = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -249,6 +593,46 @@ export default function DealDetail() {
         </div>
       )}
 
+      {/* Failed stages of the latest analysis, each with its own retry */}
+      {!shouldShowProgressBar && deal.analysisStatus === 'incomplete' && deal.analysisFailures?.length > 0 && (
+        <div style={{
+          background: '#FEF2F2',
+          borderBottom: '1px solid #FCA5A5',
+          padding: '1rem 0'
+        }}>
+          <div className="container">
+            <div style={{ fontWeight: '600', color: '#991B1B', marginBottom: '0.5rem' }}>
+              Analysis incomplete
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+              {deal.analysisFailures.map(failure => (
+                <div
+                  key={failure.stage}
+                  style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', fontSize: '0.9rem' }}
+                >
+                  <div style={{ color: '#7F1D1D' }}>
+                    <strong>{analysisStageLabel(failure.stage, typeNames)}</strong> failed: {failure.error}
+                  </div>
+                  {canReanalyze && (
+                    <button
+                      onClick={() => {
+                        const { stage, competitorType } = retryRequestForStage(failure.stage)
+                        handleReanalyze(stage, competitorType)
+                      }}
+                      disabled={reanalyzing}
+                      className="btn-secondary"
+                      style={{ fontSize: '0.8rem', padding: '0.35rem 0.75rem', whiteSpace: 'nowrap', opacity: reanalyzing ? 0.5 : 1 }}
+                    >
+                      Retry
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       <main style={{ padding: '2rem 0', minHeight: '80vh' }}>
         <div className="container" style={{ maxWidth: '1200px' }}>
           {/* Header with back button */}
@@ -274,20 +658,121 @@ export default function DealDetail() {
               ← Back to Deals
             </button>
 
-            <button
-              onClick={() => setShowDeleteConfirm(true)}
-              style={{
-                background: '#EF4444',
-                color: 'white',
-                border: 'none',
-                padding: '0.5rem 1rem',
-                borderRadius: '6px',
-                cursor: 'pointer',
-                fontSize: '0.9rem'
-              }}
-            >
-              Delete Deal
-            </button>
+            <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center' }}>
+              <div style={{ position: 'relative' }}>
+                <button
+                  onClick={() => setShowExportMenu(!showExportMenu)}
+                  className="btn-secondary"
+                  style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
+                >
+                  Export memo ▾
+                </button>
+
+                {showExportMenu && (
+                  <div style={{
+                    position: 'absolute',
+                    top: '100%',
+                    right: 0,
+                    marginTop: '0.5rem',
+                    background: 'white',
+                    border: '1px solid var(--border-light)',
+                    borderRadius: '8px',
+                    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+                    minWidth: '180px',
+                    zIndex: 10,
+                    padding: '0.25rem 0'
+                  }}>
+                    {[['pdf', 'PDF'], ['docx', 'Word (.docx)'], ['md', 'Markdown']].map(([format, label]) => (
+                      <MenuItem
+                        key={format}
+                        onClick={() => {
+                          setShowExportMenu(false)
+                          window.location.href = `/api/deals/${id}/memo?format=${format}`
+                        }}
+                      >
+                        {label}
+                      </MenuItem>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <button
+                onClick={openSharing}
+                className="btn-secondary"
+                style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
+              >
+                Share
+              </button>
+
+              {canReanalyze && (
+                <div style={{ position: 'relative' }}>
+                  <button
+                    onClick={() => setShowReanalyzeMenu(!showReanalyzeMenu)}
+                    disabled={reanalyzing || shouldShowProgressBar}
+                    className="btn-secondary"
+                    style={{
+                      padding: '0.5rem 1rem',
+                      fontSize: '0.9rem',
+                      opacity: (reanalyzing || shouldShowProgressBar) ? 0.5 : 1
+                    }}
+                  >
+                    {reanalyzing ? 'Starting...' : 'Re-analyze ▾'}
+                  </button>
+
+                  {showReanalyzeMenu && (
+                    <div style={{
+                      position: 'absolute',
+                      top: '100%',
+                      right: 0,
+                      marginTop: '0.5rem',
+                      background: 'white',
+                      border: '1px solid var(--border-light)',
+                      borderRadius: '8px',
+                      boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+                      minWidth: '260px',
+                      zIndex: 10,
+                      padding: '0.25rem 0'
+                    }}>
+                      <MenuItem onClick={() => handleReanalyze('all')}>Full re-analysis</MenuItem>
+                      <MenuItem onClick={() => handleReanalyze('deal')}>Deal extraction only</MenuItem>
+                      <MenuItem onClick={() => handleReanalyze('evaluation')}>Re-score existing competitors</MenuItem>
+                      <div style={{
+                        padding: '0.5rem 1rem 0.25rem',
+                        fontSize: '0.75rem',
+                        color: 'var(--text-light)',
+                        borderTop: '1px solid var(--border-light)',
+                        marginTop: '0.25rem'
+                      }}>
+                        Competitor search
+                      </div>
+                      {competitorTypes.filter(type => type.active).map(type => (
+                        <MenuItem key={type.slug} onClick={() => handleReanalyze('competitors', type.slug)}>
+                          {type.name}
+                        </MenuItem>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {canDelete && (
+                <button
+                  onClick={() => setShowDeleteConfirm(true)}
+                  style={{
+                    background: '#EF4444',
+                    color: 'white',
+                    border: 'none',
+                    padding: '0.5rem 1rem',
+                    borderRadius: '6px',
+                    cursor: 'pointer',
+                    fontSize: '0.9rem'
+                  }}
+                >
+                  Delete Deal
+                </button>
+              )}
+            </div>
           </div>
 
           {/* Deal Header */}
@@ -304,11 +789,69 @@ export default function DealDetail() {
               alignItems: 'flex-start',
               marginBottom: '1rem'
             }}>
-              <div>
-                <h1 style={{ fontSize: '2rem', marginBottom: '0.5rem' }}>
-                  {deal.companyName}
-                </h1>
-                <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}></div>
+              <div style={{ flex: 1 }}>
+                {editingSection === 'companyName' ? (
+                  <div style={{ marginBottom: '0.5rem' }}>
+                    <input
+                      value={draft}
+                      onChange={(e) => setDraft(e.target.value)}
+                      style={{ ...inputStyle, fontSize: '1.5rem', fontWeight: '600' }}
+                    />
+                    <EditActions
+                      saving={savingEdit}
+                      error={editError}
+                      onSave={() => saveDealChanges({ companyName: draft })}
+                      onCancel={cancelEditing}
+                    />
+                  </div>
+                ) : (
+                  <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', marginBottom: '0.5rem' }}>
+                    <h1 style={{ fontSize: '2rem' }}>
+                      {deal.companyName}
+                    </h1>
+                    {isEdited('companyName') && <EditedBadge />}
+                    {canEdit && <EditButton onClick={() => startEditing('companyName', deal.companyName)} />}
+                  </div>
+                )}
+                <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+                  <select
+                    value={passDraft !== null ? 'passed' : deal.stage}
+                    onChange={(e) => changeStage(e.target.value)}
+                    disabled={!canEdit || changingStage}
+                    style={{ ...inputStyle, width: 'auto' }}
+                  >
+                    {PIPELINE_STAGES.map(stage => (
+                      <option key={stage.value} value={stage.value}>{stage.label}</option>
+                    ))}
+                  </select>
+                  {deal.stage === 'passed' && deal.passReason && passDraft === null && (
+                    <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                      Passed: {deal.passReason}
+                    </span>
+                  )}
+                </div>
+                {passDraft !== null && (
+                  <div style={{ marginTop: '0.75rem', maxWidth: '500px' }}>
+                    <textarea
+                      value={passDraft}
+                      onChange={(e) => setPassDraft(e.target.value)}
+                      placeholder="Why are we passing?"
+                      style={{ ...inputStyle, minHeight: '80px', resize: 'vertical' }}
+                    />
+                    <EditActions
+                      saving={changingStage}
+                      error={stageError}
+                      onSave={() => passDraft.trim() && changeStage('passed', passDraft.trim())}
+                      onCancel={() => {
+                        setPassDraft(null)
+                        setStageError('')
+                      }}
+                    />
+                  </div>
+                )}
+                {stageError && passDraft === null && (
+                  <p style={{ color: '#EF4444', fontSize: '0.85rem', marginTop: '0.5rem' }}>{stageError}</p>
+                )}
               </div>
 
               
@@ -331,8 +874,95 @@ export default function DealDetail() {
                 padding: '2rem',
                 marginBottom: '2rem'
               }}>
-                <h2 style={{ fontSize: '1.25rem', marginBottom: '1rem' }}>Competitors</h2>
-                {deal.competitors && deal.competitors.length > 0 ? (
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '1rem' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                    <h2 style={{ fontSize: '1.25rem', margin: 0 }}>Competitors</h2>
+                    {deal.competitors?.length > hiddenCompetitors.length && (
+                      <div style={{ display: 'flex', border: '1px solid var(--border-light)', borderRadius: '6px', overflow: 'hidden', fontSize: '0.8rem' }}>
+                        {[['list', 'List'], ['landscape', 'Landscape']].map(([view, label]) => (
+                          <button
+                            key={view}
+                            onClick={() => setCompetitorView(view)}
+                            style={{
+                              border: 'none',
+                              padding: '0.25rem 0.7rem',
+                              cursor: 'pointer',
+                              background: competitorView === view ? 'var(--credo-orange)' : 'white',
+                              color: competitorView === view ? 'white' : 'var(--text-secondary)'
+                            }}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  {canEdit && selectedCompetitorIds.length === 0 && !newCompetitor && (
+                    <button
+                      onClick={() => setNewCompetitor({ name: '', website: '', description: '' })}
+                      className="btn-secondary"
+                      style={{ fontSize: '0.85rem', padding: '0.4rem 0.9rem' }}
+                    >
+                      + Add competitor
+                    </button>
+                  )}
+                  {canEdit && selectedCompetitorIds.length > 0 && (
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <button
+                        onClick={() => updateCompetitors('merge', { competitorIds: selectedCompetitorIds })}
+                        disabled={mergingCompetitors || selectedCompetitorIds.length < 2}
+                        className="btn-primary"
+                        title="The first selected competitor is kept"
+                        style={{ fontSize: '0.85rem', padding: '0.4rem 0.9rem' }}
+                      >
+                        {mergingCompetitors ? 'Merging...' : `Merge ${selectedCompetitorIds.length} selected`}
+                      </button>
+                      <button
+                        onClick={() => setSelectedCompetitorIds([])}
+                        className="btn-secondary"
+                        style={{ fontSize: '0.85rem', padding: '0.4rem 0.9rem' }}
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  )}
+                </div>
+                {competitorError && (
+                  <div style={{ color: '#DC2626', fontSize: '0.85rem', marginBottom: '1rem' }}>{competitorError}</div>
+                )}
+                {newCompetitor && (
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '1.5rem', padding: '1rem', background: '#F9FAFB', borderRadius: '8px', border: '1px solid var(--border-light)' }}>
+                    <input
+                      value={newCompetitor.name}
+                      onChange={(e) => setNewCompetitor({ ...newCompetitor, name: e.target.value })}
+                      placeholder="Name"
+                      style={inputStyle}
+                    />
+                    <input
+                      value={newCompetitor.website}
+                      onChange={(e) => setNewCompetitor({ ...newCompetitor, website: e.target.value })}
+                      placeholder="Website (optional)"
+                      style={inputStyle}
+                    />
+                    <textarea
+                      value={newCompetitor.description}
+                      onChange={(e) => setNewCompetitor({ ...newCompetitor, description: e.target.value })}
+                      placeholder="What they do (optional)"
+                      style={{ ...inputStyle, minHeight: '60px', resize: 'vertical' }}
+                    />
+                    <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                      The competitor is scored against this deal right after it is added.
+                    </div>
+                    <EditActions
+                      saving={mergingCompetitors}
+                      onSave={() => newCompetitor.name.trim() && addCompetitor()}
+                      onCancel={() => setNewCompetitor(null)}
+                    />
+                  </div>
+                )}
+                {deal.competitors && deal.competitors.length > hiddenCompetitors.length && competitorView === 'landscape' ? (
+                  <CompetitiveLandscape competitors={deal.competitors} typeNames={typeNames} />
+                ) : deal.competitors && deal.competitors.length > hiddenCompetitors.length ? (
                   <div style={{ display: 'flex', flexDirection: 'column', gap: '2rem' }}>
                     {categoryOrder.map(category => (
                       groupedCompetitors[category] && (
@@ -341,8 +971,8 @@ export default function DealDetail() {
                             {category.replace('-', ' ')}
                           </h3>
                           <div style={{ display: 'grid', gap: '1rem' }}>
-                            {groupedCompetitors[category].map((c, idx) => (
-                              <div key={idx} style={{
+                            {groupedCompetitors[category].map((c) => (
+                              <div key={c.id} style={{
                                 position: 'relative',
                                 padding: '1rem',
                                 background: '#F9FAFB',
@@ -359,28 +989,178 @@ export default function DealDetail() {
                                     borderRadius: '99px',
                                     fontSize: '0.8rem',
                                     fontWeight: '600'
-                                }}>
-                                  Score: {c.score}
+                                }} title={isOverridden(c) && c.score ? `AI score: ${c.score}` : undefined}>
+                                  Score: {effectiveScore(c) ?? '—'}{c.scoreOverride && ' ✎'}
                                 </div>
-                                <div>
-                                  <div style={{ fontWeight: 600, display: 'flex', alignItems: 'center', gap: '0.5rem', paddingRight: '80px' }}>
-                                    {c.name}
-                                    {c.website && (
-                                      <a href={c.website} target="_blank" rel="noopener noreferrer" style={{ fontSize: '0.9rem', color: 'var(--credo-orange)', textDecoration: 'none' }}>
-                                        ↗
-                                      </a>
-                                    )}
+                                {editingSection === `override:${c.id}` ? (
+                                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', paddingRight: '80px' }}>
+                                    <div style={{ fontWeight: 600 }}>Override assessment for {c.name}</div>
+                                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                      <select
+                                        value={draft.scoreOverride}
+                                        onChange={(e) => setDraft({ ...draft, scoreOverride: e.target.value })}
+                                        style={inputStyle}
+                                      >
+                                        <option value="">AI score ({c.score ?? 'none'})</option>
+                                        {Array.from({ length: 10 }, (_, i) => 10 - i).map(score => (
+                                          <option key={score} value={score}>{score}</option>
+                                        ))}
+                                      </select>
+                                      <select
+                                        value={draft.categoryOverride}
+                                        onChange={(e) => setDraft({ ...draft, categoryOverride: e.target.value })}
+                                        style={{ ...inputStyle, textTransform: 'capitalize' }}
+                                      >
+                                        <option value="">AI category ({c.competitorCategory?.replace('-', ' ') ?? 'none'})</option>
+                                        {COMPETITOR_CATEGORIES.map(category => (
+                                          <option key={category} value={category}>{category.replace('-', ' ')}</option>
+                                        ))}
+                                      </select>
+                                    </div>
+                                    <textarea
+                                      value={draft.overrideNote}
+                                      onChange={(e) => setDraft({ ...draft, overrideNote: e.target.value })}
+                                      placeholder="Why the AI assessment is off (required for an override)"
+                                      style={{ ...inputStyle, minHeight: '60px', resize: 'vertical' }}
+                                    />
+                                    <EditActions
+                                      saving={mergingCompetitors}
+                                      onSave={() => saveOverride(c.id)}
+                                      onCancel={cancelEditing}
+                                    />
+                                  </div>
+                                ) : editingSection === c.id ? (
+                                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', paddingRight: '80px' }}>
+                                    <input
+                                      value={draft.name}
+                                      onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                                      placeholder="Name"
+                                      style={inputStyle}
+                                    />
+                                    <input
+                                      value={draft.website}
+                                      onChange={(e) => setDraft({ ...draft, website: e.target.value })}
+                                      placeholder="Website"
+                                      style={inputStyle}
+                                    />
+                                    <textarea
+                                      value={draft.description}
+                                      onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                                      placeholder="Description"
+                                      style={{ ...inputStyle, minHeight: '80px', resize: 'vertical' }}
+                                    />
+                                    <EditActions
+                                      saving={savingEdit}
+                                      error={editError}
+                                      onSave={() => saveDealChanges({
+                                        competitors: [{
+                                          id: c.id,
+                                          name: draft.name,
+                                          website: draft.website.trim() || null,
+                                          description: draft.description.trim() || null
+                                        }]
+                                      })}
+                                      onCancel={cancelEditing}
+                                    />
                                   </div>
-                                  {c.shortJustification && (
-                                    <div style={{ color: 'var(--text-secondary)', marginTop: '0.25rem', fontSize: '0.9rem' }}>
-                                      {c.shortJustification
-                                        .replace(/[\uE000-\uF8FF]/g, '')
-                                        .replace(/\bturn\d+(?:search|news)\d+\b/gi, '')
-                                        .replace(/\b(?:cite|citation|citations)\b/gi, '')
-                                        .replace(/\[(?:\d+(?:-\d+)?)\]/g, '')}
+                                ) : (
+                                  <div>
+                                    <div style={{ fontWeight: 600, display: 'flex', alignItems: 'center', gap: '0.5rem', paddingRight: '80px' }}>
+                                      {canEdit && (
+                                        <input
+                                          type="checkbox"
+                                          checked={selectedCompetitorIds.includes(c.id)}
+                                          onChange={() => toggleCompetitorSelection(c.id)}
+                                          title="Select to merge"
+                                        />
+                                      )}
+                                      {c.name}
+                                      {c.website && (
+                                        <a href={c.website} target="_blank" rel="noopener noreferrer" style={{ fontSize: '0.9rem', color: 'var(--credo-orange)', textDecoration: 'none' }}>
+                                          ↗
+                                        </a>
+                                      )}
+                                      {c.editedFields?.length > 0 && <EditedBadge />}
+                                      {canEdit && (
+                                        <EditButton onClick={() => startEditing(c.id, {
+                                          name: c.name,
+                                          website: c.website || '',
+                                          description: c.description || ''
+                                        })} />
+                                      )}
                                     </div>
-                                  )}
-                                </div>
+                                    <CompetitorSources
+                                      competitor={c}
+                                      typeNames={typeNames}
+                                      onSplit={canEdit && !mergingCompetitors ? () => updateCompetitors(`${c.id}/split`) : null}
+                                    />
+                                    {c.description && (
+                                      <div style={{ color: 'var(--text-secondary)', marginTop: '0.25rem', fontSize: '0.9rem' }}>
+                                        {c.description}
+                                      </div>
+                                    )}
+                                    {c.shortJustification && (
+                                      <div style={{ color: 'var(--text-secondary)', marginTop: '0.25rem', fontSize: '0.9rem' }}>
+                                        {c.shortJustification
+                                          .replace(/[\uE000-\uF8FF]/g, '')
+                                          .replace(/\bturn\d+(?:search|news)\d+\b/gi, '')
+                                          .replace(/\b(?:cite|citation|citations)\b/gi, '')
+                                          .replace(/\[(?:\d+(?:-\d+)?)\]/g, '')}
+                                      </div>
+                                    )}
+                                    {isOverridden(c) && (
+                                      <div style={{ marginTop: '0.5rem', padding: '0.5rem 0.75rem', background: 'var(--credo-orange-light)', borderRadius: '6px', fontSize: '0.85rem' }}>
+                                        <strong>Analyst override</strong>
+                                        {c.overriddenBy && ` by ${c.overriddenBy.name || c.overriddenBy.email}`}
+                                        {c.overrideNote && `: ${c.overrideNote}`}
+                                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem', marginTop: '0.25rem' }}>
+                                          AI assessment: score {c.score ?? 'none'}, {c.competitorCategory?.replace('-', ' ') ?? 'no category'}
+                                        </div>
+                                      </div>
+                                    )}
+                                    {expandedCompetitorIds.includes(c.id) && (
+                                      <div style={{ marginTop: '0.75rem', paddingTop: '0.75rem', borderTop: '1px solid var(--border-light)' }}>
+                                        <CompetitorEvidence competitor={c} />
+                                      </div>
+                                    )}
+                                    <div style={{ display: 'flex', gap: '1rem', marginTop: '0.5rem' }}>
+                                      <button
+                                        onClick={() => toggleCompetitorDetails(c.id)}
+                                        style={linkButtonStyle}
+                                      >
+                                        {expandedCompetitorIds.includes(c.id) ? 'Hide details' : `Details${c.sources?.length ? ` (${c.sources.length} source${c.sources.length !== 1 ? 's' : ''})` : ''}`}
+                                      </button>
+                                      {canEdit && (
+                                        <>
+                                          <button
+                                            onClick={() => startEditing(`override:${c.id}`, {
+                                              scoreOverride: c.scoreOverride || '',
+                                              categoryOverride: c.categoryOverride || '',
+                                              overrideNote: c.overrideNote || ''
+                                            })}
+                                            style={linkButtonStyle}
+                                          >
+                                            Override
+                                          </button>
+                                          <button
+                                            onClick={() => updateCompetitors(c.id, { hidden: true }, 'PATCH')}
+                                            disabled={mergingCompetitors}
+                                            style={{ ...linkButtonStyle, color: 'var(--text-secondary)' }}
+                                          >
+                                            Hide
+                                          </button>
+                                          <button
+                                            onClick={() => deleteCompetitor(c)}
+                                            disabled={mergingCompetitors}
+                                            style={{ ...linkButtonStyle, color: '#EF4444' }}
+                                          >
+                                            Delete
+                                          </button>
+                                        </>
+                                      )}
+                                    </div>
+                                  </div>
+                                )}
                               </div>
                             ))}
                           </div>
@@ -391,9 +1171,46 @@ export default function DealDetail() {
                 ) : (
                   <span style={{ color: 'var(--text-secondary)' }}>No competitors found yet.</span>
                 )}
+                {hiddenCompetitors.length > 0 && (
+                  <div style={{ marginTop: '1.5rem', fontSize: '0.9rem' }}>
+                    <button
+                      onClick={() => setShowHiddenCompetitors(!showHiddenCompetitors)}
+                      style={{ ...linkButtonStyle, color: 'var(--text-secondary)' }}
+                    >
+                      {showHiddenCompetitors ? '▾' : '▸'} {hiddenCompetitors.length} hidden competitor{hiddenCompetitors.length !== 1 ? 's' : ''}
+                    </button>
+                    {showHiddenCompetitors && (
+                      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginTop: '0.75rem' }}>
+                        {hiddenCompetitors.map(c => (
+                          <div key={c.id} style={{ display: 'flex', alignItems: 'center', gap: '1rem', color: 'var(--text-secondary)' }}>
+                            <span style={{ flex: 1 }}>{c.name}</span>
+                            {canEdit && (
+                              <>
+                                <button
+                                  onClick={() => updateCompetitors(c.id, { hidden: false }, 'PATCH')}
+                                  disabled={mergingCompetitors}
+                                  style={linkButtonStyle}
+                                >
+                                  Show
+                                </button>
+                                <button
+                                  onClick={() => deleteCompetitor(c)}
+                                  disabled={mergingCompetitors}
+                                  style={{ ...linkButtonStyle, color: '#EF4444' }}
+                                >
+                                  Delete
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
               {/* Description */}
-              {deal.description && (
+              {(deal.description || editingSection === 'description') && (
                 <div style={{
                   background: 'white',
                   border: '1px solid var(--border-light)',
@@ -401,10 +1218,30 @@ export default function DealDetail() {
                   padding: '2rem',
                   marginBottom: '2rem'
                 }}>
-                  <h2 style={{ fontSize: '1.25rem', marginBottom: '1rem' }}>Description</h2>
-                  <p style={{ lineHeight: '1.6', color: 'var(--text-secondary)' }}>
-                    {deal.description}
-                  </p>
+                  <SectionTitle
+                    title="Description"
+                    edited={isEdited('description')}
+                    onEdit={!canEdit || editingSection === 'description' ? null : () => startEditing('description', deal.description)}
+                  />
+                  {editingSection === 'description' ? (
+                    <>
+                      <textarea
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        style={{ ...inputStyle, minHeight: '160px', resize: 'vertical', lineHeight: '1.6' }}
+                      />
+                      <EditActions
+                        saving={savingEdit}
+                        error={editError}
+                        onSave={() => saveDealChanges({ description: draft })}
+                        onCancel={cancelEditing}
+                      />
+                    </>
+                  ) : (
+                    <p style={{ lineHeight: '1.6', color: 'var(--text-secondary)' }}>
+                      {deal.description}
+                    </p>
+                  )}
                 </div>
               )}
 
@@ -424,15 +1261,90 @@ export default function DealDetail() {
                 </div>
               )}
 
+              {/* Linked people */}
+              <DealPeople
+                dealId={deal.id}
+                links={deal.people || []}
+                canEdit={canEdit}
+                canViewPeople={can(session.user.role, 'people:view')}
+                onChange={(people) => setDeal(prev => ({ ...prev, people }))}
+              />
+
               {/* Founding Team */}
-              {deal.foundingTeam && Array.isArray(deal.foundingTeam) && deal.foundingTeam.length > 0 && (
+              {editingSection === 'foundingTeam' ? (
                 <div style={{
                   background: 'white',
                   border: '1px solid var(--border-light)',
                   borderRadius: '12px',
                   padding: '2rem'
                 }}>
-                  <h2 style={{ fontSize: '1.25rem', marginBottom: '1rem' }}>Founding Team</h2>
+                  <SectionTitle title="Founding Team" edited={isEdited('foundingTeam')} />
+                  <div style={{ display: 'grid', gap: '1rem' }}>
+                    {draft.map((member, index) => (
+                      <div key={index} style={{
+                        display: 'flex',
+                        flexDirection: 'column',
+                        gap: '0.5rem',
+                        padding: '1rem',
+                        background: 'var(--border-light)',
+                        borderRadius: '8px'
+                      }}>
+                        <input
+                          value={member.name}
+                          onChange={(e) => setDraft(draft.map((m, i) => i === index ? { ...m, name: e.target.value } : m))}
+                          placeholder="Name"
+                          style={inputStyle}
+                        />
+                        <input
+                          value={member.role}
+                          onChange={(e) => setDraft(draft.map((m, i) => i === index ? { ...m, role: e.target.value } : m))}
+                          placeholder="Role"
+                          style={inputStyle}
+                        />
+                        <textarea
+                          value={member.description}
+                          onChange={(e) => setDraft(draft.map((m, i) => i === index ? { ...m, description: e.target.value } : m))}
+                          placeholder="Background"
+                          style={{ ...inputStyle, minHeight: '60px', resize: 'vertical' }}
+                        />
+                        <button
+                          onClick={() => setDraft(draft.filter((_, i) => i !== index))}
+                          style={{ ...linkButtonStyle, alignSelf: 'flex-end', color: '#EF4444' }}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => setDraft([...draft, { name: '', role: '', description: '' }])}
+                      style={{ ...linkButtonStyle, alignSelf: 'flex-start' }}
+                    >
+                      + Add team member
+                    </button>
+                  </div>
+                  <EditActions
+                    saving={savingEdit}
+                    error={editError}
+                    onSave={() => saveDealChanges({ foundingTeam: draft })}
+                    onCancel={cancelEditing}
+                  />
+                </div>
+              ) : deal.foundingTeam && Array.isArray(deal.foundingTeam) && deal.foundingTeam.length > 0 && (
+                <div style={{
+                  background: 'white',
+                  border: '1px solid var(--border-light)',
+                  borderRadius: '12px',
+                  padding: '2rem'
+                }}>
+                  <SectionTitle
+                    title="Founding Team"
+                    edited={isEdited('foundingTeam')}
+                    onEdit={canEdit ? () => startEditing('foundingTeam', deal.foundingTeam.map(member => ({
+                      name: member.name || '',
+                      role: member.role || '',
+                      description: member.description || ''
+                    }))) : null}
+                  />
                   <div style={{ display: 'grid', gap: '1rem' }}>
                     {deal.foundingTeam.map((member, index) => (
                       <div key={index} style={{
@@ -459,14 +1371,21 @@ export default function DealDetail() {
             {/* Sidebar */}
             <div>
               {/* Files */}
-              {deal.files && deal.files.length > 0 && (
-                <div style={{
-                  background: 'white',
-                  border: '1px solid var(--border-light)',
-                  borderRadius: '12px',
-                  padding: '2rem'
-                }}>
-                  <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem' }}>Documents</h3>
+              <div style={{
+                background: 'white',
+                border: '1px solid var(--border-light)',
+                borderRadius: '12px',
+                padding: '2rem'
+              }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+                  <h3 style={{ fontSize: '1.1rem' }}>Documents</h3>
+                  {canEdit && (
+                    <button onClick={() => setShowAddMaterials(true)} style={linkButtonStyle}>
+                      + Add
+                    </button>
+                  )}
+                </div>
+                {deal.files && deal.files.length > 0 ? (
                   <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
                     {deal.files.map((file) => (
                       <a
@@ -488,10 +1407,45 @@ export default function DealDetail() {
                           textDecoration: 'none'
                         }}
                       >
-                        📄 {file.originalName}
+                        <div>📄 {file.originalName}</div>
+                        <FileConversionStatus file={file} />
                       </a>
                     ))}
                   </div>
+                ) : (
+                  <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>No documents yet.</span>
+                )}
+              </div>
+
+              <AnalysisRunHistory runs={deal.analysisRuns} typeNames={typeNames} />
+
+              {/* Pipeline History */}
+              {deal.stageTransitions?.length > 0 && (
+                <div style={{
+                  background: 'white',
+                  border: '1px solid var(--border-light)',
+                  borderRadius: '12px',
+                  padding: '2rem',
+                  marginTop: '1.5rem'
+                }}>
+                  <h3 style={{ fontSize: '1.1rem', marginBottom: '1rem' }}>Pipeline History</h3>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+                    {deal.stageTransitions.map(transition => (
+                      <div key={transition.id} style={{ fontSize: '0.85rem' }}>
+                        <div style={{ fontWeight: '500' }}>
+                          {transition.fromStage ? `${stageLabel(transition.fromStage)} → ` : ''}{stageLabel(transition.toStage)}
+                        </div>
+                        <div style={{ color: 'var(--text-light)' }}>
+                          {new Date(transition.createdAt).toLocaleString()} · {transition.changedBy?.name || transition.changedBy?.email}
+                        </div>
+                        {transition.passReason && (
+                          <div style={{ color: 'var(--text-secondary)', marginTop: '0.25rem' }}>
+                            {transition.passReason}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
                 </div>
               )}
             </div>
@@ -499,6 +1453,272 @@ export default function DealDetail() {
         </div>
       </main>
 
+      {/* Add Materials Modal */}
+      {showAddMaterials && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0,0,0,0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}>
+          <div style={{
+            background: 'white',
+            borderRadius: '16px',
+            padding: '2rem',
+            width: '90%',
+            maxWidth: '600px',
+            maxHeight: '90vh',
+            overflow: 'auto'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+              <h2 style={{ fontSize: '1.5rem', fontWeight: '600' }}>Add Documents & Notes</h2>
+              <button
+                onClick={closeAddMaterials}
+                style={{ background: 'none', border: 'none', fontSize: '1.5rem', cursor: 'pointer', color: 'var(--text-light)' }}
+              >
+                ×
+              </button>
+            </div>
+
+            <div style={{
+              border: '2px dashed var(--border-light)',
+              borderRadius: '12px',
+              padding: '1.5rem',
+              textAlign: 'center',
+              marginBottom: '1rem',
+              background: 'var(--credo-orange-light)'
+            }}>
+              <input
+                type="file"
+                multiple
+                accept={ACCEPTED_FILE_EXTENSIONS}
+                onChange={handleNewFiles}
+                style={{ display: 'none' }}
+                id="add-materials-upload"
+              />
+              <label htmlFor="add-materials-upload" style={{ cursor: 'pointer', display: 'block' }}>
+                <p style={{ fontWeight: '500', marginBottom: '0.25rem' }}>Upload Documents</p>
+                <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>PDF, Word, PowerPoint, Excel, images or text (max 150MB each)</p>
+              </label>
+            </div>
+
+            {newFiles.map((file, index) => (
+              <div
+                key={index}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  padding: '0.75rem',
+                  background: 'var(--border-light)',
+                  borderRadius: '8px',
+                  marginBottom: '0.5rem'
+                }}
+              >
+                <span style={{ fontSize: '0.9rem' }}>{file.name}</span>
+                <button
+                  onClick={() => setNewFiles(prev => prev.filter((_, i) => i !== index))}
+                  style={{ background: 'none', border: 'none', color: 'var(--text-light)', cursor: 'pointer' }}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+
+            <textarea
+              value={newNotes}
+              onChange={(e) => setNewNotes(e.target.value)}
+              placeholder="Notes from calls, updated metrics, or any additional context..."
+              style={{ ...inputStyle, minHeight: '100px', padding: '1rem', resize: 'vertical', margin: '0.5rem 0 1rem' }}
+            />
+
+            {canReanalyze && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem', marginBottom: '1.5rem' }}>
+                <input
+                  type="checkbox"
+                  checked={refreshAnalysis}
+                  onChange={(e) => setRefreshAnalysis(e.target.checked)}
+                />
+                Refresh the analysis with all documents
+              </label>
+            )}
+
+            {addMaterialsError && (
+              <p style={{ color: '#EF4444', fontSize: '0.9rem', marginBottom: '1rem' }}>
+                {addMaterialsError}
+              </p>
+            )}
+
+            <button
+              onClick={handleAddMaterials}
+              className="btn-primary"
+              disabled={addingMaterials || (newFiles.length === 0 && !newNotes.trim())}
+              style={{
+                width: '100%',
+                padding: '1rem',
+                opacity: (addingMaterials || (newFiles.length === 0 && !newNotes.trim())) ? 0.5 : 1
+              }}
+            >
+              {addingMaterials ? 'Uploading...' : 'Add to Deal'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Share Modal */}
+      {showShare && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0,0,0,0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}>
+          <div style={{
+            background: 'white',
+            borderRadius: '16px',
+            padding: '2rem',
+            width: '90%',
+            maxWidth: '560px',
+            maxHeight: '90vh',
+            overflow: 'auto'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+              <h2 style={{ fontSize: '1.5rem', fontWeight: '600' }}>Share Deal</h2>
+              <button
+                onClick={() => setShowShare(false)}
+                style={{ background: 'none', border: 'none', fontSize: '1.5rem', cursor: 'pointer', color: 'var(--text-light)' }}
+              >
+                ×
+              </button>
+            </div>
+
+            {!sharing ? (
+              <p style={{ color: 'var(--text-secondary)' }}>Loading...</p>
+            ) : (
+              <>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem', marginBottom: '1.5rem' }}>
+                  <input
+                    type="checkbox"
+                    checked={sharing.visibility === 'team'}
+                    disabled={!isOwner}
+                    onChange={(e) => updateSharing('PATCH', { visibility: e.target.checked ? 'team' : 'private' })}
+                  />
+                  Visible to the whole team in the team pipeline
+                </label>
+
+                <h4 style={{ fontSize: '0.9rem', fontWeight: '600', marginBottom: '0.75rem' }}>People with access</h4>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', marginBottom: '1.5rem' }}>
+                  <div style={collaboratorRowStyle}>
+                    <span style={{ fontSize: '0.9rem' }}>{sharing.owner.name || sharing.owner.email}</span>
+                    <span style={{ fontSize: '0.85rem', color: 'var(--text-light)' }}>Owner</span>
+                  </div>
+                  {sharing.collaborators.map(collaborator => (
+                    <div key={collaborator.id} style={collaboratorRowStyle}>
+                      <span style={{ fontSize: '0.9rem' }}>{collaborator.name || collaborator.email}</span>
+                      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                        {isOwner ? (
+                          <select
+                            value={collaborator.role}
+                            onChange={(e) => updateSharing('POST', { userId: collaborator.id, role: e.target.value })}
+                            style={{ ...inputStyle, width: 'auto', padding: '0.25rem 0.5rem' }}
+                          >
+                            <option value="viewer">Viewer</option>
+                            <option value="editor">Editor</option>
+                          </select>
+                        ) : (
+                          <span style={{ fontSize: '0.85rem', color: 'var(--text-light)', textTransform: 'capitalize' }}>
+                            {collaborator.role}
+                          </span>
+                        )}
+                        {(isOwner || collaborator.id === session.user.id) && (
+                          <button
+                            onClick={() => updateSharing('DELETE', null, `?userId=${collaborator.id}`)}
+                            style={{ ...linkButtonStyle, color: '#EF4444' }}
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {isOwner && (
+                  <>
+                    <h4 style={{ fontSize: '0.9rem', fontWeight: '600', marginBottom: '0.75rem' }}>Add a colleague</h4>
+                    <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1.5rem' }}>
+                      <select
+                        value={newCollaborator.userId}
+                        onChange={(e) => setNewCollaborator({ ...newCollaborator, userId: e.target.value })}
+                        style={{ ...inputStyle, flex: 1 }}
+                      >
+                        <option value="">Select a colleague...</option>
+                        {colleagues
+                          .filter(user => user.id !== sharing.owner.id && !sharing.collaborators.some(c => c.id === user.id))
+                          .map(user => (
+                            <option key={user.id} value={user.id}>{user.name || user.email}</option>
+                          ))}
+                      </select>
+                      <select
+                        value={newCollaborator.role}
+                        onChange={(e) => setNewCollaborator({ ...newCollaborator, role: e.target.value })}
+                        style={{ ...inputStyle, width: 'auto' }}
+                      >
+                        <option value="viewer">Viewer</option>
+                        <option value="editor">Editor</option>
+                      </select>
+                      <button
+                        onClick={handleAddCollaborator}
+                        className="btn-primary"
+                        disabled={!newCollaborator.userId}
+                        style={{ padding: '0.5rem 1rem', opacity: newCollaborator.userId ? 1 : 0.5 }}
+                      >
+                        Add
+                      </button>
+                    </div>
+
+                    <h4 style={{ fontSize: '0.9rem', fontWeight: '600', marginBottom: '0.75rem' }}>Transfer ownership</h4>
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && updateSharing('PATCH', { ownerId: e.target.value })}
+                      style={inputStyle}
+                    >
+                      <option value="">Reassign to...</option>
+                      {colleagues
+                        .filter(user => user.id !== sharing.owner.id)
+                        .map(user => (
+                          <option key={user.id} value={user.id}>{user.name || user.email}</option>
+                        ))}
+                    </select>
+                    <p style={{ fontSize: '0.8rem', color: 'var(--text-light)', marginTop: '0.5rem' }}>
+                      You will stay on the deal as an editor.
+                    </p>
+                  </>
+                )}
+              </>
+            )}
+
+            {shareError && (
+              <p style={{ color: '#EF4444', fontSize: '0.9rem', marginTop: '1rem' }}>
+                {shareError}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteConfirm && (
         <div style={{
@@ -522,7 +1742,7 @@ export default function DealDetail() {
           }}>
             <h3 style={{ marginBottom: '1rem' }}>Delete Deal</h3>
             <p style={{ color: 'var(--text-secondary)', marginBottom: '2rem' }}>
-              Are you sure you want to delete this deal? This action cannot be undone.
+              Are you sure you want to delete this deal? It moves to the trash, where you can restore it until it is permanently removed.
             </p>
 
             <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
@@ -565,3 +1785,197 @@ export default function DealDetail() {
     </div>
   )
 }
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.5rem 0.75rem',
+  border: '1px solid var(--border-light)',
+  borderRadius: '6px',
+  fontSize: '0.9rem',
+  fontFamily: 'inherit',
+  background: 'white'
+}
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--credo-orange)',
+  cursor: 'pointer',
+  fontSize: '0.85rem',
+  padding: 0
+}
+
+const collaboratorRowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  padding: '0.75rem',
+  background: 'var(--border-light)',
+  borderRadius: '8px'
+}
+
+// Orchestrator statuses as stored on AnalysisRun and reported by Trigger.dev realtime
+const ACTIVE_RUN_STATUSES = ['queued', 'running']
+const TERMINAL_RUN_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'CRASHED', 'SYSTEM_FAILURE', 'TIMED_OUT', 'EXPIRED']
+
+const conversionStatusLabels = {
+  'pending': { text: 'Converting…', color: 'var(--text-light)' },
+  'converted': { text: 'Converted to PDF', color: '#059669' },
+  'failed': { text: 'Conversion failed - not analyzed', color: '#EF4444' }
+}
+
+function FileConversionStatus({ file }) {
+  const formatLabel = FILE_FORMAT_CONFIGS[file.sourceFormat]?.label || 'Unknown format'
+  const status = conversionStatusLabels[file.conversionStatus]
+
+  return (
+    <div
+      title={file.conversionError || undefined}
+      style={{ fontSize: '0.75rem', color: 'var(--text-light)', marginTop: '0.25rem' }}
+    >
+      {formatLabel}
+      {status && (
+        <span style={{ color: status.color }}> · {status.text}</span>
+      )}
+    </div>
+  )
+}
+
+function MenuItem({ onClick, children }) {
+  return (
+    <button
+      onClick={onClick}
+      style={{
+        display: 'block',
+        width: '100%',
+        padding: '0.6rem 1rem',
+        border: 'none',
+        background: 'transparent',
+        textAlign: 'left',
+        fontSize: '0.9rem',
+        color: 'var(--text-primary)',
+        cursor: 'pointer'
+      }}
+      onMouseEnter={(e) => {
+        e.target.style.background = 'var(--credo-orange-light)'
+      }}
+      onMouseLeave={(e) => {
+        e.target.style.background = 'transparent'
+      }}
+    >
+      {children}
+    </button>
+  )
+}
+
+function EditButton({ onClick }) {
+  return (
+    <button onClick={onClick} style={{ ...linkButtonStyle, fontWeight: 'normal' }}>
+      Edit
+    </button>
+  )
+}
+
+// Which competitor searches found this company, its shared profile, and how many duplicates were folded into it
+function CompetitorSources({ competitor, typeNames, onSplit }) {
+  const sources = competitorSourceList(competitor)
+  const mergedCount = Array.isArray(competitor.mergedFrom) ? competitor.mergedFrom.length : 0
+
+  if (sources.length === 0 && mergedCount === 0 && !competitor.company) return null
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.35rem', marginTop: '0.35rem' }}>
+      {sources.map(source => (
+        <span
+          key={source}
+          style={{
+            background: 'rgba(0,0,0,0.05)',
+            color: 'var(--text-secondary)',
+            padding: '0.1rem 0.5rem',
+            borderRadius: '99px',
+            fontSize: '0.7rem'
+          }}
+        >
+          {competitorSourceLabel(source, typeNames)}
+        </span>
+      ))}
+      {competitor.company && (
+        <Link
+          href={`/companies/${competitor.company.id}`}
+          title="Shared profile and the other deals this company competes with"
+          style={{ fontSize: '0.75rem', color: 'var(--credo-orange)' }}
+        >
+          {[competitor.company.fundingStage, competitor.company.totalFunding].filter(Boolean).join(' · ') || 'Company profile'}
+        </Link>
+      )}
+      {mergedCount > 0 && (
+        <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+          Merged from {mergedCount + 1} records
+          {onSplit && (
+            <button
+              onClick={onSplit}
+              style={{
+                marginLeft: '0.35rem',
+                background: 'none',
+                border: 'none',
+                padding: 0,
+                color: 'var(--credo-orange)',
+                cursor: 'pointer',
+                fontSize: '0.75rem'
+              }}
+            >
+              Split
+            </button>
+          )}
+        </span>
+      )}
+    </div>
+  )
+}
+
+function EditedBadge() {
+  return (
+    <span
+      title="Edited manually - re-analysis will not overwrite this"
+      style={{
+        background: 'var(--credo-orange-light)',
+        color: 'var(--credo-orange)',
+        padding: '0.1rem 0.5rem',
+        borderRadius: '99px',
+        fontSize: '0.7rem',
+        fontWeight: '600'
+      }}
+    >
+      Edited
+    </span>
+  )
+}
+
+function SectionTitle({ title, edited, onEdit }) {
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem' }}>
+      <h2 style={{ fontSize: '1.25rem' }}>{title}</h2>
+      {edited && <EditedBadge />}
+      {onEdit && <EditButton onClick={onEdit} />}
+    </div>
+  )
+}
+
+function EditActions({ saving, error, onSave, onCancel }) {
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginTop: '0.75rem' }}>
+      <button
+        onClick={onSave}
+        disabled={saving}
+        className="btn-primary"
+        style={{ padding: '0.4rem 1rem', fontSize: '0.85rem', opacity: saving ? 0.6 : 1 }}
+      >
+        {saving ? 'Saving...' : 'Save'}
+      </button>
+      <button onClick={onCancel} disabled={saving} style={{ ...linkButtonStyle, color: 'var(--text-secondary)' }}>
+        Cancel
+      </button>
+      {error && <span style={{ color: '#EF4444', fontSize: '0.85rem' }}>{error}</span>}
+    </div>
+  )
+}
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/router'
+import Header from '../../components/Header'
+
+export default function DealTrash() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [deals, setDeals] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [restoringDealId, setRestoringDealId] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (session) {
+      fetch('/api/deals/trash')
+        .then(res => res.ok ? res.json() : Promise.reject())
+        .then(data => {
+          setDeals(data.deals)
+          setRetentionDays(data.retentionDays)
+        })
+        .catch(() => setError('Failed to load the trash'))
+    }
+  }, [session])
+
+  // Handle redirection as a side-effect
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/')
+    }
+  }, [status, router])
+
+  // Show loading spinner while session is loading or for unauthenticated users before redirect
+  if (status !== 'authenticated') {
+    return (
+      <div style={{ minHeight: '80vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <div style={{
+          width: '40px',
+          height: '40px',
+          border: '3px solid var(--border-light)',
+          borderTop: '3px solid var(--credo-orange)',
+          borderRadius: '50%',
+          animation: 'spin 1s linear infinite'
+        }}></div>
+      </div>
+    )
+  }
+
+  const handleRestore = async (dealId) => {
+    setRestoringDealId(dealId)
+    setError('')
+    try {
+      const response = await fetch(`/api/deals/${dealId}/restore`, {
+        method: 'POST'
+      })
+
+      if (response.ok) {
+        setDeals(prev => prev.filter(deal => deal.id !== dealId))
+      } else {
+        const data = await response.json().catch(() => ({}))
+        setError(data.error || 'Failed to restore deal')
+      }
+    } catch (error) {
+      console.error('Error restoring deal:', error)
+      setError('Failed to restore deal')
+    } finally {
+      setRestoringDealId(null)
+    }
+  }
+
+  return (
+    <div>
+      <Header />
+      <main className="container" style={{ padding: '2rem 0', minHeight: '80vh' }}>
+        <button
+          onClick={() => router.push('/deep-research')}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: 'var(--text-primary)',
+            cursor: 'pointer',
+            fontSize: '1rem',
+            marginBottom: '2rem'
+          }}
+        >
+          ← Back to Deals
+        </button>
+
+        <div style={{ marginBottom: '2rem' }}>
+          <h1 style={{ fontSize: '2.5rem', marginBottom: '0.5rem' }}>
+            Trash
+          </h1>
+          <p style={{ color: 'var(--text-secondary)', fontSize: '1.1rem' }}>
+            {retentionDays
+              ? `Deleted deals are permanently removed, with their documents, ${retentionDays} days after deletion.`
+              : 'Deleted deals can be restored until they are permanently removed.'}
+          </p>
+        </div>
+
+        {error && (
+          <p style={{ color: '#EF4444', fontSize: '0.9rem', marginBottom: '1rem' }}>
+            {error}
+          </p>
+        )}
+
+        {deals.length === 0 ? (
+          <p style={{ color: 'var(--text-secondary)' }}>The trash is empty.</p>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+            {deals.map(deal => (
+              <div
+                key={deal.id}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  background: 'white',
+                  border: '1px solid var(--border-light)',
+                  borderRadius: '12px',
+                  padding: '1.25rem 1.5rem'
+                }}
+              >
+                <div>
+                  <div style={{ fontWeight: '600', marginBottom: '0.25rem' }}>{deal.companyName}</div>
+                  <div style={{ fontSize: '0.85rem', color: 'var(--text-light)' }}>
+                    {deal.deletedAt && `Deleted ${new Date(deal.deletedAt).toLocaleDateString()}`}
+                    {deal.purgeAt && ` · Removed for good on ${new Date(deal.purgeAt).toLocaleDateString()}`}
+                    {deal._count.files > 0 && ` · ${deal._count.files} document${deal._count.files !== 1 ? 's' : ''}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRestore(deal.id)}
+                  disabled={restoringDealId === deal.id}
+                  className="btn-secondary"
+                  style={{ padding: '0.5rem 1rem', fontSize: '0.9rem', opacity: restoringDealId === deal.id ? 0.5 : 1 }}
+                >
+                  {restoringDealId === deal.id ? 'Restoring...' : 'Restore'}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
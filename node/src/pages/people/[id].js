@@ -0,0 +1,253 @@
+import { useState, useEffect } from 'react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/router'
+import Link from 'next/link'
+import Header from '../../components/Header'
+import { can } from '../../lib/roles'
+import { stageLabel } from '../../lib/pipeline'
+import { DEAL_PERSON_ROLE_LABELS } from '../../lib/dealPeople'
+
+export default function PersonDetail() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const { id } = router.query
+  const [person, setPerson] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [creatingDeal, setCreatingDeal] = useState(false)
+  const [dealError, setDealError] = useState('')
+
+  const canView = can(session?.user?.role, 'people:view')
+
+  useEffect(() => {
+    if (id && canView) {
+      fetch(`/api/people/${id}`)
+        .then(res => res.ok ? res.json() : Promise.reject())
+        .then(data => setPerson(data))
+        .catch(() => router.push('/people'))
+        .finally(() => setLoading(false))
+    }
+  }, [id, canView, router])
+
+  // Handle redirection as a side-effect
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/')
+    } else if (status === 'authenticated' && !canView) {
+      router.push('/deep-research')
+    }
+  }, [status, canView, router])
+
+  if (status !== 'authenticated' || !canView || loading || !person) {
+    return (
+      <div style={{ minHeight: '80vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <div style={{
+          width: '40px',
+          height: '40px',
+          border: '3px solid var(--border-light)',
+          borderTop: '3px solid var(--credo-orange)',
+          borderRadius: '50%',
+          animation: 'spin 1s linear infinite'
+        }}></div>
+      </div>
+    )
+  }
+
+  const headline = [person.position, person.companyName].filter(Boolean).join(' at ')
+
+  const createDeal = async () => {
+    setCreatingDeal(true)
+    setDealError('')
+    try {
+      const response = await fetch(`/api/people/${person.id}/deal`, { method: 'POST' })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        setDealError(data.error || 'Failed to create the deal')
+        return
+      }
+      router.push(`/deep-research/${data.deal.id}`)
+    } catch (error) {
+      console.error('Error creating deal from lead:', error)
+      setDealError('Failed to create the deal')
+    } finally {
+      setCreatingDeal(false)
+    }
+  }
+
+  return (
+    <div>
+      <Header />
+      <main className="container" style={{ padding: '2rem 0', minHeight: '80vh' }}>
+        <button
+          onClick={() => router.push('/people')}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: 'var(--text-primary)',
+            cursor: 'pointer',
+            fontSize: '1rem',
+            marginBottom: '2rem'
+          }}
+        >
+          ← Back to People
+        </button>
+
+        {/* Contact */}
+        <div style={cardStyle}>
+          <h1 style={{ fontSize: '2.5rem', marginBottom: '0.5rem' }}>{person.fullName || 'Unnamed'}</h1>
+          {headline && (
+            <p style={{ fontSize: '1.1rem', marginBottom: '0.75rem' }}>{headline}</p>
+          )}
+          <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', display: 'flex', flexWrap: 'wrap', gap: '0.5rem 1.5rem' }}>
+            {person.email && <a href={`mailto:${person.email}`} style={{ color: 'var(--credo-orange)' }}>{person.email}</a>}
+            {person.linkedinUrl && (
+              <a href={person.linkedinUrl} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--credo-orange)' }}>
+                LinkedIn
+              </a>
+            )}
+            {person.country && <span>{person.country}</span>}
+            {person.followersCount !== null && <span>{person.followersCount} followers</span>}
+          </div>
+          {person.pendingMatches > 0 && (
+            <p style={{ fontSize: '0.85rem', marginTop: '1rem' }}>
+              <Link href="/people/review" style={{ color: 'var(--credo-orange)' }}>
+                May be a duplicate of someone else; review it
+              </Link>
+            </p>
+          )}
+        </div>
+
+        {/* Founder fit */}
+        <div style={cardStyle}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+            <div>
+              <h2 style={{ fontSize: '1.25rem', marginBottom: '0.5rem' }}>
+                Founder fit{person.fitScore !== null && <span style={{ color: 'var(--credo-orange)' }}> {person.fitScore}/10</span>}
+              </h2>
+              {person.fitScoredAt && (
+                <p style={{ color: 'var(--text-light)', fontSize: '0.8rem', margin: 0 }}>
+                  Screened against the sourcing thesis on {new Date(person.fitScoredAt).toLocaleDateString()}
+                </p>
+              )}
+            </div>
+            {person.companyName && (
+              <button
+                onClick={createDeal}
+                disabled={creatingDeal}
+                className="btn-primary"
+                style={{ padding: '0.5rem 1.25rem', fontSize: '0.9rem', opacity: creatingDeal ? 0.6 : 1 }}
+              >
+                {creatingDeal ? 'Creating...' : 'Create deal from lead'}
+              </button>
+            )}
+          </div>
+          {person.fitRationale ? (
+            <p style={{ fontSize: '0.95rem', lineHeight: 1.6, marginTop: '1rem', marginBottom: 0 }}>{person.fitRationale}</p>
+          ) : (
+            <p style={{ color: 'var(--text-light)', fontSize: '0.9rem', marginTop: '1rem', marginBottom: 0 }}>Not screened yet.</p>
+          )}
+          {dealError && <p style={{ color: '#EF4444', fontSize: '0.85rem', marginTop: '0.75rem', marginBottom: 0 }}>{dealError}</p>}
+        </div>
+
+        {/* Deals */}
+        {person.dealLinks.length > 0 && (
+          <div style={cardStyle}>
+            <h2 style={{ fontSize: '1.25rem', marginBottom: '1rem' }}>Deals</h2>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+              <tbody>
+                {person.dealLinks.map(link => (
+                  <tr key={link.id} style={{ borderTop: '1px solid var(--border-light)' }}>
+                    <td style={cellStyle}>
+                      <Link href={`/deep-research/${link.deal.id}`} style={{ fontWeight: '600', color: 'var(--text-primary)' }}>
+                        {link.deal.companyName || 'Untitled deal'}
+                      </Link>
+                    </td>
+                    <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>{DEAL_PERSON_ROLE_LABELS[link.role] || link.role}</td>
+                    <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>{stageLabel(link.deal.stage)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Background */}
+        <div style={cardStyle}>
+          <Section title="Past experiences">{person.pastExperiences}</Section>
+          <Section title="Education">{person.educationSummary}</Section>
+        </div>
+
+        {/* Company */}
+        {person.companyName && (
+          <div style={cardStyle}>
+            <h2 style={{ fontSize: '1.25rem', marginBottom: '0.5rem' }}>{person.companyName}</h2>
+            <div style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', display: 'flex', flexWrap: 'wrap', gap: '0.5rem 1.5rem', marginBottom: '1rem' }}>
+              {person.companyWebsiteUrl && (
+                <a href={person.companyWebsiteUrl} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--credo-orange)' }}>
+                  Website
+                </a>
+              )}
+              {person.companyLinkedinUrl && (
+                <a href={person.companyLinkedinUrl} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--credo-orange)' }}>
+                  LinkedIn
+                </a>
+              )}
+              {person.companyEmployeeCount !== null && <span>{person.companyEmployeeCount} employees</span>}
+            </div>
+            {person.companyDescription && <Section title="About">{person.companyDescription}</Section>}
+            {person.websiteTextSummary && <Section title="Website summary">{person.websiteTextSummary}</Section>}
+          </div>
+        )}
+
+        {/* Source history */}
+        <div style={cardStyle}>
+          <h2 style={{ fontSize: '1.25rem', marginBottom: '1rem' }}>Found by</h2>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                <th style={cellStyle}>Robot</th>
+                <th style={cellStyle}>Leadspicker record</th>
+                <th style={cellStyle}>Date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {person.sourceRecords.map(record => (
+                <tr key={record.id} style={{ borderTop: '1px solid var(--border-light)' }}>
+                  <td style={cellStyle}>{record.sourceRobot || 'Unknown robot'}</td>
+                  <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>#{record.leadspickerId}</td>
+                  <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>{new Date(record.createdAt).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </main>
+    </div>
+  )
+}
+
+function Section({ title, children }) {
+  return (
+    <div style={{ marginBottom: '1.25rem' }}>
+      <div style={{ fontSize: '0.75rem', fontWeight: '600', textTransform: 'uppercase', color: 'var(--text-light)', marginBottom: '0.35rem' }}>
+        {title}
+      </div>
+      {children ? (
+        <div style={{ fontSize: '0.95rem', lineHeight: 1.6, whiteSpace: 'pre-wrap' }}>{children}</div>
+      ) : (
+        <p style={{ color: 'var(--text-light)', fontSize: '0.9rem', margin: 0 }}>Not available.</p>
+      )}
+    </div>
+  )
+}
+
+const cardStyle = {
+  background: 'white',
+  border: '1px solid var(--border-light)',
+  borderRadius: '12px',
+  padding: '2rem',
+  marginBottom: '2rem'
+}
+
+const cellStyle = {
+  padding: '0.6rem 0.5rem'
+}
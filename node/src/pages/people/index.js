@@ -0,0 +1,269 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/router'
+import Link from 'next/link'
+import Header from '../../components/Header'
+import { can } from '../../lib/roles'
+
+const EMPTY_FILTERS = {
+  country: '',
+  sourceRobot: '',
+  minEmployees: '',
+  maxEmployees: '',
+  minFollowers: '',
+  maxFollowers: '',
+  minFit: ''
+}
+
+export default function People() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [people, setPeople] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [filterOptions, setFilterOptions] = useState({ countries: [], sourceRobots: [], pendingMatches: 0 })
+  const [search, setSearch] = useState('')
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const canView = can(session?.user?.role, 'people:view')
+
+  // Shared by the list request and the CSV export link
+  const queryParams = useCallback(() => {
+    const params = new URLSearchParams()
+    if (search.trim()) params.set('q', search.trim())
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== '') params.set(key, value)
+    })
+    return params
+  }, [search, filters])
+
+  const fetchPeople = useCallback(async ({ cursor } = {}) => {
+    setLoading(true)
+    setError('')
+    try {
+      const params = queryParams()
+      if (cursor) params.set('cursor', cursor)
+
+      const response = await fetch(`/api/people?${params}`)
+      if (!response.ok) {
+        setError('Failed to load people')
+        return
+      }
+
+      const data = await response.json()
+      setPeople(prev => cursor ? [...prev, ...data.people] : data.people)
+      setNextCursor(data.nextCursor)
+      if (data.filterOptions) setFilterOptions(data.filterOptions)
+    } catch (error) {
+      console.error('Error fetching people:', error)
+      setError('Failed to load people')
+    } finally {
+      setLoading(false)
+    }
+  }, [queryParams])
+
+  // Debounced so typing does not send a request per keystroke
+  useEffect(() => {
+    if (!canView) return
+    const timeout = setTimeout(() => fetchPeople(), 300)
+    return () => clearTimeout(timeout)
+  }, [canView, fetchPeople])
+
+  // Handle redirection as a side-effect
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/')
+    } else if (status === 'authenticated' && !canView) {
+      router.push('/deep-research')
+    }
+  }, [status, canView, router])
+
+  if (status !== 'authenticated' || !canView) {
+    return (
+      <div style={{ minHeight: '80vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <div style={{
+          width: '40px',
+          height: '40px',
+          border: '3px solid var(--border-light)',
+          borderTop: '3px solid var(--credo-orange)',
+          borderRadius: '50%',
+          animation: 'spin 1s linear infinite'
+        }}></div>
+      </div>
+    )
+  }
+
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }))
+  const filtered = search.trim() || Object.values(filters).some(value => value !== '')
+
+  return (
+    <div>
+      <Header />
+      <main className="container" style={{ padding: '2rem 0', minHeight: '80vh' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end', gap: '1rem', marginBottom: '2rem' }}>
+          <div>
+            <h1 style={{ fontSize: '2.5rem', marginBottom: '0.5rem' }}>
+              People
+            </h1>
+            <p style={{ color: 'var(--text-secondary)', fontSize: '1.1rem' }}>
+              Founders and leads delivered by Leadspicker
+            </p>
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+            {filterOptions.pendingMatches > 0 && (
+              <Link href="/people/review" style={{ color: 'var(--credo-orange)', fontSize: '0.9rem' }}>
+                {filterOptions.pendingMatches} possible duplicate{filterOptions.pendingMatches !== 1 ? 's' : ''} to review
+              </Link>
+            )}
+            <a
+              href={`/api/people/export?${queryParams()}`}
+              className="btn-secondary"
+              style={{ padding: '0.5rem 1.25rem', fontSize: '0.9rem' }}
+            >
+              Export CSV
+            </a>
+          </div>
+        </div>
+
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name, email, position or company"
+          style={{ ...inputStyle, marginBottom: '0.75rem' }}
+        />
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', marginBottom: '1.5rem', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+          <select value={filters.country} onChange={(e) => setFilter('country', e.target.value)} style={filterStyle}>
+            <option value="">All countries</option>
+            {filterOptions.countries.map(country => (
+              <option key={country} value={country}>{country}</option>
+            ))}
+          </select>
+          <select value={filters.sourceRobot} onChange={(e) => setFilter('sourceRobot', e.target.value)} style={filterStyle}>
+            <option value="">All robots</option>
+            {filterOptions.sourceRobots.map(robot => (
+              <option key={robot} value={robot}>{robot}</option>
+            ))}
+          </select>
+          <select value={filters.minFit} onChange={(e) => setFilter('minFit', e.target.value)} style={filterStyle}>
+            <option value="">Any founder fit</option>
+            {[8, 6, 4].map(score => (
+              <option key={score} value={score}>Fit {score}+</option>
+            ))}
+          </select>
+          <RangeFilter label="Employees" min={filters.minEmployees} max={filters.maxEmployees}
+            onMin={(value) => setFilter('minEmployees', value)} onMax={(value) => setFilter('maxEmployees', value)} />
+          <RangeFilter label="Followers" min={filters.minFollowers} max={filters.maxFollowers}
+            onMin={(value) => setFilter('minFollowers', value)} onMax={(value) => setFilter('maxFollowers', value)} />
+          {filtered && (
+            <button
+              onClick={() => { setSearch(''); setFilters(EMPTY_FILTERS) }}
+              style={{ background: 'none', border: 'none', color: 'var(--credo-orange)', cursor: 'pointer', fontSize: '0.85rem' }}
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <p style={{ color: '#EF4444', fontSize: '0.9rem', marginBottom: '1rem' }}>
+            {error}
+          </p>
+        )}
+
+        {!loading && people.length === 0 ? (
+          <p style={{ color: 'var(--text-secondary)' }}>
+            {filtered ? 'No people match your filters.' : 'Leadspicker has not delivered anyone yet.'}
+          </p>
+        ) : (
+          <div style={{ background: 'white', border: '1px solid var(--border-light)', borderRadius: '12px', padding: '1rem 2rem' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                  <th style={cellStyle}>Name</th>
+                  <th style={cellStyle}>Company</th>
+                  <th style={cellStyle}>Country</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Followers</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Fit</th>
+                  <th style={cellStyle}>Found by</th>
+                </tr>
+              </thead>
+              <tbody>
+                {people.map(person => (
+                  <tr key={person.id} style={{ borderTop: '1px solid var(--border-light)' }}>
+                    <td style={cellStyle}>
+                      <Link href={`/people/${person.id}`} style={{ fontWeight: '600', color: 'var(--text-primary)' }}>
+                        {person.fullName || 'Unnamed'}
+                      </Link>
+                      {person.position && (
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>{person.position}</div>
+                      )}
+                    </td>
+                    <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>
+                      {person.companyName || '—'}
+                      {person.companyEmployeeCount !== null && (
+                        <span style={{ color: 'var(--text-light)' }}> · {person.companyEmployeeCount} employees</span>
+                      )}
+                    </td>
+                    <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>{person.country || '—'}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>{person.followersCount ?? '—'}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right', fontWeight: '600' }}>{person.fitScore ?? '—'}</td>
+                    <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>{person.sourceRobot || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {nextCursor && (
+          <div style={{ textAlign: 'center', marginTop: '1.5rem' }}>
+            <button
+              onClick={() => fetchPeople({ cursor: nextCursor })}
+              disabled={loading}
+              className="btn-secondary"
+              style={{ padding: '0.5rem 1.25rem', opacity: loading ? 0.5 : 1 }}
+            >
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+function RangeFilter({ label, min, max, onMin, onMax }) {
+  return (
+    <span style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+      {label}
+      <input type="number" min="0" value={min} onChange={(e) => onMin(e.target.value)} placeholder="min" style={{ ...filterStyle, width: '5.5rem' }} />
+      –
+      <input type="number" min="0" value={max} onChange={(e) => onMax(e.target.value)} placeholder="max" style={{ ...filterStyle, width: '5.5rem' }} />
+    </span>
+  )
+}
+
+const cellStyle = {
+  padding: '0.75rem 0.5rem'
+}
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.5rem 0.75rem',
+  border: '1px solid var(--border-light)',
+  borderRadius: '6px',
+  fontSize: '0.9rem',
+  fontFamily: 'inherit',
+  background: 'white'
+}
+
+const filterStyle = {
+  padding: '0.35rem 0.5rem',
+  border: '1px solid var(--border-light)',
+  borderRadius: '6px',
+  fontSize: '0.85rem',
+  fontFamily: 'inherit',
+  background: 'white'
+}
@@ -0,0 +1,256 @@
+import { useState, useEffect } from 'react'
+import { useSession } from 'next-auth/react'
+import { useRouter } from 'next/router'
+import Header from '../../components/Header'
+import { can } from '../../lib/roles'
+
+const REASON_LABELS = {
+  'leadspicker-id': 'Same Leadspicker record',
+  email: 'Same email',
+  linkedin: 'Same LinkedIn profile',
+  'name-company': 'Same name and company',
+  'email-differs': 'Different emails',
+  'linkedin-differs': 'Different LinkedIn profiles'
+}
+
+const COMPARED_FIELDS = [
+  { key: 'fullName', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'linkedinUrl', label: 'LinkedIn' },
+  { key: 'position', label: 'Position' },
+  { key: 'companyName', label: 'Company' },
+  { key: 'country', label: 'Country' }
+]
+
+export default function PeopleReview() {
+  const { data: session, status } = useSession()
+  const router = useRouter()
+  const [matches, setMatches] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [resolvingId, setResolvingId] = useState(null)
+  const [error, setError] = useState('')
+
+  const canView = can(session?.user?.role, 'people:view')
+  const canMerge = can(session?.user?.role, 'people:merge')
+
+  const fetchMatches = async () => {
+    setLoading(true)
+    try {
+      const response = await fetch('/api/people/matches')
+      if (!response.ok) {
+        setError('Failed to load possible duplicates')
+        return
+      }
+      const data = await response.json()
+      setMatches(data.matches)
+      setTotal(data.total)
+    } catch (error) {
+      console.error('Error fetching person matches:', error)
+      setError('Failed to load possible duplicates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (canView) fetchMatches()
+  }, [canView])
+
+  // Handle redirection as a side-effect
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/')
+    } else if (status === 'authenticated' && !canView) {
+      router.push('/deep-research')
+    }
+  }, [status, canView, router])
+
+  const resolveMatch = async (match, action) => {
+    setResolvingId(match.id)
+    setError('')
+    try {
+      const response = await fetch(`/api/people/matches/${match.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action })
+      })
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setError(data.error || 'Failed to save the decision')
+        return
+      }
+
+      // A merge moves the duplicate's other open matches onto the kept person
+      if (action === 'merge') {
+        await fetchMatches()
+      } else {
+        setMatches(prev => prev.filter(m => m.id !== match.id))
+        setTotal(prev => prev - 1)
+      }
+    } catch (error) {
+      console.error('Error resolving person match:', error)
+      setError('Failed to save the decision')
+    } finally {
+      setResolvingId(null)
+    }
+  }
+
+  if (status !== 'authenticated' || !canView) {
+    return (
+      <div style={{ minHeight: '80vh', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <div style={{
+          width: '40px',
+          height: '40px',
+          border: '3px solid var(--border-light)',
+          borderTop: '3px solid var(--credo-orange)',
+          borderRadius: '50%',
+          animation: 'spin 1s linear infinite'
+        }}></div>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <Header />
+      <main className="container" style={{ padding: '2rem 0', minHeight: '80vh' }}>
+        <button
+          onClick={() => router.push('/people')}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: 'var(--text-primary)',
+            cursor: 'pointer',
+            fontSize: '1rem',
+            marginBottom: '2rem'
+          }}
+        >
+          ← Back to People
+        </button>
+
+        <div style={{ marginBottom: '2rem' }}>
+          <h1 style={{ fontSize: '2.5rem', marginBottom: '0.5rem' }}>
+            Possible duplicate people
+          </h1>
+          <p style={{ color: 'var(--text-secondary)', fontSize: '1.1rem' }}>
+            Scraped contacts that look like someone we already have, but not certainly enough to merge them automatically
+          </p>
+        </div>
+
+        {error && (
+          <div style={{ color: '#EF4444', marginBottom: '1rem' }}>{error}</div>
+        )}
+
+        {!loading && matches.length === 0 && (
+          <div style={{ ...cardStyle, color: 'var(--text-secondary)', textAlign: 'center' }}>
+            Nothing to review.
+          </div>
+        )}
+
+        {total > matches.length && (
+          <p style={{ color: 'var(--text-light)', fontSize: '0.85rem', marginBottom: '1rem' }}>
+            Showing the oldest {matches.length} of {total}.
+          </p>
+        )}
+
+        {matches.map(match => (
+          <div key={match.id} style={cardStyle}>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '1rem' }}>
+              {match.reasons.map(reason => (
+                <span
+                  key={reason}
+                  style={{
+                    padding: '0.2rem 0.6rem',
+                    borderRadius: '99px',
+                    fontSize: '0.8rem',
+                    background: reason.endsWith('-differs') ? '#FEF2F2' : 'rgba(0,0,0,0.05)',
+                    color: reason.endsWith('-differs') ? '#B91C1C' : 'var(--text-secondary)'
+                  }}
+                >
+                  {REASON_LABELS[reason] || reason}
+                </span>
+              ))}
+            </div>
+
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                  <th style={{ ...cellStyle, width: '15%' }}></th>
+                  <th style={cellStyle}>Existing person (kept)</th>
+                  <th style={cellStyle}>Newer record</th>
+                </tr>
+              </thead>
+              <tbody>
+                {COMPARED_FIELDS.map(({ key, label }) => {
+                  const differs = match.candidate[key] && match.person[key] && match.candidate[key] !== match.person[key]
+                  return (
+                    <tr key={key} style={{ borderTop: '1px solid var(--border-light)' }}>
+                      <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>{label}</td>
+                      <td style={{ ...cellStyle, fontWeight: differs ? '600' : 'normal' }}>{match.candidate[key] || '—'}</td>
+                      <td style={{ ...cellStyle, fontWeight: differs ? '600' : 'normal' }}>{match.person[key] || '—'}</td>
+                    </tr>
+                  )
+                })}
+                <tr style={{ borderTop: '1px solid var(--border-light)', verticalAlign: 'top' }}>
+                  <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>Found by</td>
+                  <td style={cellStyle}><SourceList records={match.candidate.sourceRecords} /></td>
+                  <td style={cellStyle}><SourceList records={match.person.sourceRecords} /></td>
+                </tr>
+              </tbody>
+            </table>
+
+            {canMerge && (
+              <div style={{ display: 'flex', gap: '0.75rem', marginTop: '1rem' }}>
+                <button
+                  onClick={() => resolveMatch(match, 'merge')}
+                  disabled={resolvingId === match.id}
+                  className="btn-primary"
+                  style={{ padding: '0.4rem 1rem', fontSize: '0.85rem', opacity: resolvingId === match.id ? 0.6 : 1 }}
+                >
+                  Merge into existing
+                </button>
+                <button
+                  onClick={() => resolveMatch(match, 'dismiss')}
+                  disabled={resolvingId === match.id}
+                  className="btn-secondary"
+                  style={{ padding: '0.4rem 1rem', fontSize: '0.85rem' }}
+                >
+                  Different people
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </main>
+    </div>
+  )
+}
+
+function SourceList({ records }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.2rem', fontSize: '0.85rem' }}>
+      {records.map(record => (
+        <div key={record.id}>
+          {record.sourceRobot || 'Unknown robot'}
+          <span style={{ color: 'var(--text-light)' }}>
+            {' · '}#{record.leadspickerId} · {new Date(record.createdAt).toLocaleDateString()}
+          </span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+const cardStyle = {
+  background: 'white',
+  border: '1px solid var(--border-light)',
+  borderRadius: '12px',
+  padding: '2rem',
+  marginBottom: '2rem'
+}
+
+const cellStyle = {
+  padding: '0.6rem 0.5rem'
+}
@@ -1,55 +1,73 @@
-import { task, wait } from "@trigger.dev/sdk/v3";
+import { batch, task, wait } from "@trigger.dev/sdk/v3";
 import { fetchPersonDetails } from "./fetchPersonDetails";
+import { scorePersonFitTask } from "./scorePersonFit";
+import { childRunFailure, errorMessage } from "./utils/results";
 
 export const addPersonOrchestrator = task({
   id: "add-person-orchestrator",
   run: async (payload: { personId: number }) => {
     console.log("🚀 Starting person orchestration for ID:", payload.personId);
-    
+    const steps: Array<{ step: string; status: string; error?: string; timestamp: string }> = [];
+    const record = (step: string, status: string, error?: string) =>
+      steps.push({ step, status, ...(error && { error }), timestamp: new Date().toISOString() });
+
     try {
       // Step 1: Wait for 1 minute before processing
       console.log("⏰ Waiting 1 minute before fetching person details...");
       await wait.for({ minutes: 1 });
       console.log("✅ Wait completed, proceeding with person details fetch");
-      
+      record("wait_1_minute", "completed");
+
       // Step 2: Fetch detailed person information from Leadspicker
       console.log("📡 Fetching person details from Leadspicker API...");
-      const personDetails = await fetchPersonDetails.triggerByTaskAndWait({ 
-        personId: payload.personId 
-      });
-      
+      const { runs: [fetchRun] } = await batch.triggerByTaskAndWait([
+        { task: fetchPersonDetails, payload: { personId: payload.personId } },
+      ]);
+      if (!fetchRun.ok) {
+        record("fetch_person_details", "failed", errorMessage((fetchRun as any).error));
+        throw new Error(`Fetching person details failed: ${errorMessage((fetchRun as any).error)}`);
+      }
+      const personDetails = fetchRun.output;
+      record("fetch_person_details", "completed");
+
       console.log("✅ Person details fetched successfully");
       console.log("Person details keys:", Object.keys(personDetails || {}));
-      
-      // TODO: Add more orchestration steps here as needed:
-      // - Save to database
-      // - Send notifications
-      // - Update CRM
-      // - Generate reports
-      // etc.
-      
+
+      // Step 3: Screen the saved person against the sourcing thesis. A failed screening leaves
+      // the person unscored but does not fail the import
+      const savedPersonId = personDetails.savedPerson?.id;
+      if (savedPersonId) {
+        console.log("🎯 Screening founder fit...");
+        const { runs: [fitRun] } = await batch.triggerByTaskAndWait([
+          { task: scorePersonFitTask, payload: { personId: savedPersonId } },
+        ]);
+        const fitFailure = childRunFailure(fitRun);
+        if (fitFailure) {
+          console.log("⚠️ Founder-fit screening failed:", fitFailure);
+          record("score_founder_fit", "failed", fitFailure);
+        } else {
+          record("score_founder_fit", "completed");
+        }
+      } else {
+        record("score_founder_fit", "skipped", "The person was not saved");
+      }
+
       return {
         success: true,
         personId: payload.personId,
         personDetails,
-        steps: [
-          { step: "wait_1_minute", status: "completed", timestamp: new Date().toISOString() },
-          { step: "fetch_person_details", status: "completed", timestamp: new Date().toISOString() }
-        ],
+        steps,
         message: "Person orchestration completed successfully"
       };
-      
+
     } catch (error) {
       console.error("❌ Error in person orchestration:", error);
-      
+
       return {
         success: false,
         personId: payload.personId,
         error: error instanceof Error ? error.message : "Unknown error",
-        steps: [
-          { step: "wait_1_minute", status: "completed", timestamp: new Date().toISOString() },
-          { step: "fetch_person_details", status: "failed", timestamp: new Date().toISOString() }
-        ],
+        steps,
         message: "Person orchestration failed"
       };
     }
@@ -1,17 +1,18 @@
 import { logger, task, metadata } from "@trigger.dev/sdk/v3";
-import OpenAI from "openai";
 import { z } from "zod";
-import { zodTextFormat } from "openai/helpers/zod";
 import { prisma } from "../lib/prisma";
 import { evaluateCompetitorTask } from "./evaluateCompetitor";
-import { sanitizeCitations, CompetitorType, COMPETITOR_TYPE_CONFIGS } from "./utils/sanitize";
+import { sanitizeCitations } from "./utils/sanitize";
+import { isSameCompetitor } from "./utils/competitors";
+import { competitorSourcesOf } from "./utils/competitorMerge";
+import { findOrCreateCompany } from "./utils/companies";
+import { citationsPerItem, mergeCompetitorSources, sourcesFromCitations } from "./utils/citations";
+import { withoutEditedFields } from "./utils/manualEdits";
+import { StageResult, stageFailure, stageSuccess } from "./utils/results";
+import { getLlmProvider } from "./llm";
+import { LlmTask, llmTaskConfig } from "./config/llm";
 
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: 60*60*1000 // 1 hour
-});
-
 // Structured output Zod schema for competitor analysis
 export const CompetitorsSchema = z.object({
   competitors: z
@@ -35,16 +36,18 @@ export const CompetitorsSchema = z.object({
     .describe("Array of competitor profiles"),
 });
 
+export type CompetitorsAnalysis = z.infer<typeof CompetitorsSchema> & { competitorIds: string[] };
+
 type AnalyzeCompetitorsPayload = {
   dealId: string;
-  competitorType: CompetitorType; // Target competitor type to search for
+  competitorType: string; // Slug of the competitor type to search for, see CompetitorTypeConfig
 };
 
 export const analyzeCompetitorsTask = task({
   id: "analyze-competitors",
   // Keep generous but bounded runtime
   maxDuration: 10000,
-  run: async (payload: AnalyzeCompetitorsPayload) => {
+  run: async (payload: AnalyzeCompetitorsPayload): Promise<StageResult<CompetitorsAnalysis>> => {
     console.log("🚀 Starting competitor analysis task");
     console.log("📋 Payload received:");
     console.log("  🎯 Deal ID:", payload?.dealId);
@@ -69,7 +72,7 @@ export const analyzeCompetitorsTask = task({
     console.log("🔍 Querying database for deal...");
     const deal = await prisma.deal.findUnique({
       where: { id: payload.dealId },
-      include: { files: true },
+      include: { files: true, competitors: true },
     });
 
     console.log("📥 Database query completed");
@@ -123,30 +126,33 @@ export const analyzeCompetitorsTask = task({
 
     if (openaiFileIds.length === 0) {
       console.log("⚠️ No OpenAI file IDs found for this deal");
-      console.log("🔄 Saving empty competitor results and exiting early");
+      console.log("🔄 Reporting failure and exiting early");
       
-      logger.log("No OpenAI file IDs found for this deal; saving empty competitors.");
-      const empty = { competitors: [] };
+      logger.log("No OpenAI file IDs found for this deal; nothing to analyze.");
       metadata.set("status", { label: "No documents found, nothing to analyze", progress: 100 });
-      
-      console.log("💾 Updating deal record with empty competitors...");
-      await prisma.deal.update({
-        where: { id: payload.dealId },
-        data: { competitors: empty },
-      });
-      console.log("✅ Empty competitor results saved");
-      return empty;
+      return stageFailure("No uploaded documents available for competitor analysis");
     }
 
     console.log("🔧 Setting up competitor analysis configuration...");
-    // Get competitor type configuration
-    const competitorConfig = COMPETITOR_TYPE_CONFIGS[payload.competitorType];
+    // Competitor types are managed by admins, so the definition is read at run time
+    const competitorConfig = await prisma.competitorTypeConfig.findUnique({
+      where: { slug: payload.competitorType },
+    });
+    if (!competitorConfig) {
+      console.error("❌ Unknown competitor type:", payload.competitorType);
+      metadata.set("status", { label: "Unknown competitor type", progress: 100 });
+      return stageFailure(`Unknown competitor type: ${payload.competitorType}`);
+    }
     const categoryFocus = competitorConfig.name;
     const categoryDescription = competitorConfig.description;
     
     console.log("📊 Competitor analysis configuration:");
     console.log("  🎯 Category focus:", categoryFocus);
     console.log("  📝 Category description:", categoryDescription);
+    console.log("  🧭 Prompt guidance:", competitorConfig.promptGuidance || "None");
+
+    // Admin-written guidance for this type, e.g. regions or business models to focus on
+    const guidance = competitorConfig.promptGuidance ? `\n- ${competitorConfig.promptGuidance}` : "";
 
     const systemPrompt = `You are a world-class venture capital analyst. Your mission is to conduct deep-dive competitive research for the company described in the attached documents.
 
@@ -157,7 +163,7 @@ STRICT INSTRUCTIONS:
 - Category definition: ${categoryDescription}
 - If unsure whether a company fits this category, prefer precision over recall and exclude ambiguous companies.
 - Exclude companies that do not clearly fit the "${categoryFocus}" category definition.
-- Prefer US/EU/CEE competitors when quality is comparable.
+- Prefer US/EU/CEE competitors when quality is comparable.${guidance}
 - Do not include citation markers (e.g., cite, turnXsearchY, turnXnewsY, [1]); return clean prose only.
 
 OUTPUT: Return only the fields described by the structured schema.`;
@@ -170,65 +176,48 @@ OUTPUT: Return only the fields described by the structured schema.`;
 
 Favor up-to-date sources and practical operator relevance over superficial overlaps.`;
 
-      console.log("📎 Building file attachments for AI analysis...");
-      const attachments = (openaiFileIds || [])
-      .filter(Boolean)
-      .map((fileId) => ({
-        type: "input_file" as const,
-        file_id: fileId,
-      }));
+    const llm = getLlmProvider();
+    const { model } = llmTaskConfig(LlmTask.COMPETITOR_DISCOVERY);
 
     console.log("📊 AI request setup complete:");
     console.log("  📁 Number of file attachments:", openaiFileIds.length);
     console.log("  🏢 Competitor type:", payload.competitorType);
     console.log("  🔗 File IDs for analysis:", openaiFileIds);
 
-    logger.log("Requesting OpenAI structured competitors analysis", {
+    logger.log("Requesting structured competitors analysis", {
       numFiles: openaiFileIds.length,
       competitorType: payload.competitorType,
+      provider: llm.name,
+      model,
     });
     metadata.set("status", { label: `Analyzing competitors (${payload.competitorType})`, progress: 40 });
 
-    console.log("🚀 Sending competitor analysis request to OpenAI GPT-5...");
+    console.log(`🚀 Sending competitor analysis request to ${llm.name} (${model})...`);
     try {
-      const response = await openai.responses.parse({
-        // === GPT-5 Thinking ===
-        model: "gpt-5",
-        reasoning: { effort: "medium" }, // “hard thinking”
-
-        // Hosted tools: web + file search
-        tools: [
-          { type: "web_search_preview" }
-        ],
-        // Your prompts + (optional) input_file previews
-        input: [
-          { role: "system", content: systemPrompt },
-          {
-            role: "user",
-            content: [
-              ...attachments,
-              {
-                type: "input_text", 
-                text: userPrompt,
-              },
-            ],
-          },
-        ],
-
-        // Let the model decide when to use tools
-        tool_choice: "auto",
-
-        // Structured output (Zod)
-        text: { format: zodTextFormat(CompetitorsSchema, "competitor_analysis") },
+      // Discovery searches the web; see LLM_TASK_CONFIGS for model, effort and tools
+      const response = await llm.parse({
+        task: LlmTask.COMPETITOR_DISCOVERY,
+        system: systemPrompt,
+        prompt: userPrompt,
+        fileIds: openaiFileIds,
+        schema: CompetitorsSchema,
+        schemaName: "competitor_analysis",
+        fixtureKey: payload.competitorType,
       });
 
-
-      console.log("📥 Received response from OpenAI");
+      console.log("📥 Received response from the model");
       console.log("🔍 Processing AI response...");
 
-      const parsed = response.output_parsed;
+      const parsed = response.parsed;
+      if (!parsed) {
+        console.error("❌ Failed to parse competitor response");
+        logger.error("Failed to parse competitor response", { competitorType: payload.competitorType });
+        metadata.set("status", { label: "AI response could not be parsed", progress: 100 });
+        // Existing competitors of this type are left untouched
+        return stageFailure("The model response could not be parsed into a competitor list");
+      }
       console.log("✅ AI response parsed successfully");
-      const competitorsResult = parsed ?? { competitors: [] };
+      const competitorsResult = parsed;
 
       console.log("📊 Competitor analysis results:");
       console.log("  🏢 Competitors found:", competitorsResult.competitors?.length ?? 0);
@@ -248,56 +237,100 @@ Favor up-to-date sources and practical operator relevance over superficial overl
       });
       metadata.set("status", { label: "Saving results", progress: 80 });
 
+      // Competitors already on the deal (e.g. from an earlier run) are updated in place, not duplicated
+      const existingCompetitors = [...(deal.competitors || [])];
       const createdCompetitorIds: string[] = [];
+      let createdCount = 0;
+      let updatedCount = 0;
+
       if (competitorsResult.competitors && competitorsResult.competitors.length > 0) {
-        console.log(`🔄 Creating ${competitorsResult.competitors.length} competitor records...`);
-        let createdCount = 0;
-        
-        for (const c of competitorsResult.competitors) {
+        console.log(`🔄 Saving ${competitorsResult.competitors.length} competitor records...`);
+        // Web pages the model cited, attributed to the competitor whose entry they appear in
+        const citations = citationsPerItem(
+          response.outputText,
+          response.citations,
+          "name",
+          competitorsResult.competitors.length
+        );
+        console.log(`🔗 Web citations in response: ${response.citations.length}`);
+
+        for (const [index, c] of competitorsResult.competitors.entries()) {
+          const sources = sourcesFromCitations(citations[index], "discovery");
+          const fields = {
+            name: c.name,
+            description: sanitizeCitations(c.description) ?? c.description,
+            website: c.website,
+            relevance: sanitizeCitations(c.relevance) ?? c.relevance,
+          };
+
+          const existing = existingCompetitors.find((e) => isSameCompetitor(e, c));
+          if (existing) {
+            if (createdCompetitorIds.includes(existing.id)) {
+              console.log(`ℹ️ Skipping duplicate in model output: ${c.name}`);
+              continue;
+            }
+            console.log(`🔁 Updating existing competitor record: ${c.name} (ID: ${existing.id})`);
+            const company = existing.companyId ? null : await findOrCreateCompany(fields);
+            await prisma.competitor.update({
+              where: { id: existing.id },
+              data: {
+                ...withoutEditedFields(fields, existing.editedFields),
+                ...(company && { companyId: company.id }),
+                ...(sources.length > 0 && { sources: mergeCompetitorSources(existing.sources, sources, "discovery") }),
+                // Pushed rather than rewritten, since other competitor types may be tagging the same record
+                ...(!competitorSourcesOf(existing).includes(payload.competitorType) && {
+                  competitorSources: { push: payload.competitorType },
+                }),
+              },
+            });
+            createdCompetitorIds.push(existing.id);
+            updatedCount++;
+            continue;
+          }
+
           console.log(`💾 Creating competitor record: ${c.name}`);
+          // Companies are shared across deals, so a company seen in another deal is reused
+          const company = await findOrCreateCompany(fields);
           const competitor = await prisma.competitor.create({
             data: {
               dealId: payload.dealId,
-              name: c.name,
-              description: sanitizeCitations(c.description) ?? c.description,
-              website: c.website,
-              relevance: sanitizeCitations(c.relevance) ?? c.relevance,
+              companyId: company?.id,
+              ...fields,
+              sources,
               competitorSource: payload.competitorType,
+              competitorSources: [payload.competitorType],
             },
           });
+          existingCompetitors.push(competitor);
           createdCompetitorIds.push(competitor.id);
           createdCount++;
           console.log(`✅ Created competitor: ${c.name} (ID: ${competitor.id})`);
         }
         
-        console.log(`🎉 Successfully created ${createdCount} competitor records`);
+        console.log(`🎉 Successfully saved competitors (${createdCount} created, ${updatedCount} updated)`);
       } else {
         console.log("ℹ️ No competitors to save to database");
       }
 
       console.log("📊 Final competitor analysis summary:");
       console.log("  🏢 Competitors analyzed:", competitorsResult.competitors?.length ?? 0);
-      console.log("  💾 Records created:", createdCompetitorIds.length);
-      console.log("  🆔 Created IDs:", createdCompetitorIds);
+      console.log("  💾 Records created:", createdCount);
+      console.log("  🔁 Records updated:", updatedCount);
+      console.log("  🆔 Competitor IDs:", createdCompetitorIds);
 
       metadata.set("status", { label: "Completed", progress: 100 });
       console.log("🎉 Competitor analysis completed successfully!");
-      return { ...competitorsResult, competitorIds: createdCompetitorIds } as any;
+      return stageSuccess({ ...competitorsResult, competitorIds: createdCompetitorIds });
     } catch (error: any) {
       console.error("❌ Fatal error in competitor analysis:", error);
       console.error("🔍 Error type:", error instanceof Error ? error.constructor.name : typeof error);
       console.error("📚 Error details:", error instanceof Error ? error.message : String(error));
       console.error("🔬 Error stack:", error instanceof Error ? error.stack : "No stack trace");
       
-      logger.error("OpenAI competitor analysis failed", { error: String(error) });
+      logger.error("LLM competitor analysis failed", { error: String(error) });
       metadata.set("status", { label: "AI analysis failed", progress: 100, error: String(error) });
 
-      const fallback = {
-        competitors: [],
-      } as z.infer<typeof CompetitorsSchema>;
-
-      console.log("🔄 Returning empty competitor results due to error");
-      return fallback;
+      return stageFailure(error);
     }
   },
 });
@@ -1,14 +1,11 @@
 import { logger, task, metadata } from "@trigger.dev/sdk/v3";
-import OpenAI from 'openai';
 import { z } from 'zod';
-import { zodTextFormat } from 'openai/helpers/zod';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { StageResult, stageFailure, stageSuccess } from "./utils/results";
+import { getLlmProvider } from "./llm";
+import { LlmTask, llmTaskConfig } from "./config/llm";
 
 // Structured output Zod schema for deal analysis
-const DealAnalysisSchema = z.object({
+export const DealAnalysisSchema = z.object({
   deal_name: z.string().describe("The company or deal name, or 'Unknown' if not found"),
   deal_description: z
     .string()
@@ -32,6 +29,8 @@ const DealAnalysisSchema = z.object({
     .describe('Array of founding team members'),
 });
 
+export type DealAnalysis = z.infer<typeof DealAnalysisSchema>;
+
 export type AnalyzeDealPayload = {
   openaiFileIds: string[];
   freeText?: string;
@@ -40,7 +39,7 @@ export type AnalyzeDealPayload = {
 export const analyzeDealTask = task({
   id: "analyze-deal",
   maxDuration: 300, // 5 minutes
-  run: async (payload: AnalyzeDealPayload) => {
+  run: async (payload: AnalyzeDealPayload): Promise<StageResult<DealAnalysis>> => {
     console.log("🚀 Starting deal analysis task");
     console.log("📋 Payload received:");
     console.log("  📁 File count:", payload.openaiFileIds?.length || 0);
@@ -54,26 +53,15 @@ export const analyzeDealTask = task({
 
     metadata.set("status", { label: "Starting deal analysis", progress: 10 });
 
-    // If no files and no free text, return default values
+    // Without files or free text there is nothing to extract from
     console.log("🔍 Checking for content to analyze...");
     if ((!payload.openaiFileIds || payload.openaiFileIds.length === 0) && !payload.freeText) {
       console.log("⚠️ No files or text provided for analysis");
-      console.log("🔄 Returning default values");
       
       logger.log("No files or text provided for analysis");
       metadata.set("status", { label: "No content to analyze", progress: 100 });
       
-      return {
-        deal_name: 'Unknown',
-        deal_description: 'No documents or text provided for analysis',
-        deal_founding_team: [
-          {
-            name: 'Unknown',
-            role: 'Unknown',
-            description: 'Unknown',
-          },
-        ],
-      };
+      return stageFailure("No documents or text available for deal analysis");
     }
     
     console.log("✅ Content found for analysis, proceeding...");
@@ -89,53 +77,39 @@ export const analyzeDealTask = task({
         ? `Please analyze the uploaded documents for a potential investment deal.\n\nAdditional context provided: ${payload.freeText}`
         : 'Please analyze the uploaded documents for a potential investment deal.';
 
-      console.log("📎 Building file attachments for AI...");
-      // Build attachments from OpenAI file IDs
-      const attachments = (payload.openaiFileIds || [])
-        .filter(Boolean)
-        .map((fileId) => ({
-          type: "input_file" as const,
-          file_id: fileId,
-        }));
+      const fileIds = (payload.openaiFileIds || []).filter(Boolean);
+      const llm = getLlmProvider();
+      const { model } = llmTaskConfig(LlmTask.DEAL_ANALYSIS);
 
       console.log("📊 AI request configuration:");
-      console.log("  📁 Number of attachments:", attachments.length);
+      console.log("  📁 Number of attachments:", fileIds.length);
       console.log("  📝 Has additional context:", !!payload.freeText);
-      console.log("  🔗 File IDs:", attachments.map(a => a.file_id));
+      console.log("  🔗 File IDs:", fileIds);
 
-      logger.log("Requesting OpenAI structured analysis", {
-        numFiles: attachments.length,
+      logger.log("Requesting structured deal analysis", {
+        numFiles: fileIds.length,
         hasFreeText: !!payload.freeText,
+        provider: llm.name,
+        model,
       });
 
       metadata.set("status", { label: "Processing with AI model", progress: 60 });
-      console.log("🚀 Sending request to OpenAI GPT-5...");
-
-      const response = await openai.responses.parse({
-        model: 'gpt-5',
-        input: [
-          { role: 'system', content: systemPrompt },
-          {
-            role: "user",
-            content: [
-              ...attachments,
-              {
-                type: "input_text", 
-                text: userPrompt
-              }
-            ]
-          }
-        ],
-        text: {
-          format: zodTextFormat(DealAnalysisSchema, 'analyze_deal'),
-        },
+      console.log(`🚀 Sending request to ${llm.name} (${model})...`);
+
+      const response = await llm.parse({
+        task: LlmTask.DEAL_ANALYSIS,
+        system: systemPrompt,
+        prompt: userPrompt,
+        fileIds,
+        schema: DealAnalysisSchema,
+        schemaName: 'analyze_deal',
       });
 
-      console.log("📥 Received response from OpenAI");
+      console.log("📥 Received response from the model");
       metadata.set("status", { label: "Processing AI response", progress: 85 });
 
       console.log("🔍 Parsing AI response...");
-      const analysisResult = response.output_parsed;
+      const analysisResult = response.parsed;
       if (analysisResult) {
         console.log("✅ AI response parsed successfully!");
         console.log("📊 Analysis results:");
@@ -157,25 +131,14 @@ export const analyzeDealTask = task({
         
         metadata.set("status", { label: "Deal analysis completed", progress: 100 });
         console.log("🎉 Deal analysis completed successfully!");
-        return analysisResult;
+        return stageSuccess(analysisResult);
       }
 
-      // Fallback if parsing failed
-      console.log("⚠️ AI response parsing failed, using fallback");
-      logger.log('AI analysis parsing failed, using fallback');
-      metadata.set("status", { label: "Analysis completed with fallback", progress: 100 });
+      console.log("⚠️ AI response parsing failed");
+      logger.error('AI analysis parsing failed');
+      metadata.set("status", { label: "Analysis response could not be parsed", progress: 100 });
       
-      return {
-        deal_name: 'AI Analysis Incomplete',
-        deal_description: 'Analysis completed but parsing failed',
-        deal_founding_team: [
-          {
-            name: 'Unknown',
-            role: 'Unknown',
-            description: 'Unknown',
-          },
-        ],
-      };
+      return stageFailure("The model response could not be parsed into a deal analysis");
 
     } catch (error) {
       console.error("❌ Fatal error in deal analysis:", error);
@@ -183,25 +146,14 @@ export const analyzeDealTask = task({
       console.error("📚 Error details:", error instanceof Error ? error.message : String(error));
       console.error("🔬 Error stack:", error instanceof Error ? error.stack : "No stack trace");
       
-      logger.error('OpenAI deal analysis failed', { error: String(error) });
+      logger.error('LLM deal analysis failed', { error: String(error) });
       metadata.set("status", { 
         label: "Analysis failed", 
         progress: 100, 
         error: String(error) 
       });
 
-      console.log("🔄 Returning fallback analysis results");
-      return {
-        deal_name: 'AI Analysis Failed',
-        deal_description: 'Unable to analyze documents at this time',
-        deal_founding_team: [
-          {
-            name: 'Unknown',
-            role: 'Unknown',
-            description: 'Unknown',
-          },
-        ],
-      };
+      return stageFailure(error);
     }
   },
 });
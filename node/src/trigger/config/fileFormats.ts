@@ -0,0 +1,77 @@
+export enum FileFormat {
+  PDF = "pdf",
+  DOCX = "docx",
+  PPTX = "pptx",
+  XLSX = "xlsx",
+  IMAGE = "image",
+  TEXT = "text"
+}
+
+export enum ConversionStatus {
+  PENDING = "pending",
+  NOT_NEEDED = "not-needed", // Already a PDF, analysis reads it directly
+  CONVERTED = "converted",
+  FAILED = "failed"
+}
+
+export interface FileFormatConfig {
+  format: FileFormat;
+  label: string;
+  extensions: string[];
+  mimeTypes: string[];
+}
+
+export const FILE_FORMAT_CONFIGS: Record<FileFormat, FileFormatConfig> = {
+  [FileFormat.PDF]: {
+    format: FileFormat.PDF,
+    label: "PDF",
+    extensions: [".pdf"],
+    mimeTypes: ["application/pdf"]
+  },
+  [FileFormat.DOCX]: {
+    format: FileFormat.DOCX,
+    label: "Word document",
+    extensions: [".docx"],
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"]
+  },
+  [FileFormat.PPTX]: {
+    format: FileFormat.PPTX,
+    label: "PowerPoint deck",
+    extensions: [".pptx"],
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.presentationml.presentation"]
+  },
+  [FileFormat.XLSX]: {
+    format: FileFormat.XLSX,
+    label: "Excel workbook",
+    extensions: [".xlsx"],
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"]
+  },
+  [FileFormat.IMAGE]: {
+    format: FileFormat.IMAGE,
+    label: "Image",
+    extensions: [".png", ".jpg", ".jpeg"],
+    mimeTypes: ["image/png", "image/jpeg"]
+  },
+  [FileFormat.TEXT]: {
+    format: FileFormat.TEXT,
+    label: "Plain text",
+    extensions: [".txt", ".md", ".csv"],
+    mimeTypes: ["text/plain", "text/markdown", "text/csv"]
+  }
+};
+
+// Extension wins over MIME type because browsers often send a generic or empty type
+export function detectFileFormat(filename?: string | null, mimeType?: string | null): FileFormat | null {
+  const name = (filename || "").toLowerCase();
+  const configs = Object.values(FILE_FORMAT_CONFIGS);
+
+  const byExtension = configs.find((config) => config.extensions.some((ext) => name.endsWith(ext)));
+  if (byExtension) return byExtension.format;
+
+  const byMimeType = configs.find((config) => mimeType && config.mimeTypes.includes(mimeType));
+  return byMimeType ? byMimeType.format : null;
+}
+
+export const ACCEPTED_FILE_EXTENSIONS = Object.values(FILE_FORMAT_CONFIGS)
+  .flatMap((config) => config.extensions)
+  .join(",");
@@ -0,0 +1,65 @@
+// Every model call in the pipeline goes through the provider layer in src/trigger/llm,
+// which reads its settings from here by task
+export enum LlmTask {
+  DEAL_ANALYSIS = "deal-analysis",
+  COMPETITOR_DISCOVERY = "competitor-discovery",
+  COMPETITOR_EVALUATION = "competitor-evaluation",
+  FOUNDER_FIT = "founder-fit"
+}
+
+export enum LlmProviderName {
+  OPENAI = "openai",
+  FIXTURE = "fixture" // Canned responses from fixtures/llm, no network or API key needed
+}
+
+export type ReasoningEffort = "minimal" | "low" | "medium" | "high";
+
+export interface LlmTaskConfig {
+  model: string;
+  reasoningEffort?: ReasoningEffort; // Provider default when unset
+  timeoutMs: number;
+  webSearch: boolean; // Lets the model search the web while answering
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const LLM_TASK_CONFIGS: Record<LlmTask, LlmTaskConfig> = {
+  [LlmTask.DEAL_ANALYSIS]: {
+    model: "gpt-5",
+    timeoutMs: 10 * 60 * 1000,
+    webSearch: false,
+  },
+  [LlmTask.COMPETITOR_DISCOVERY]: {
+    model: "gpt-5",
+    reasoningEffort: "medium",
+    timeoutMs: HOUR_MS,
+    webSearch: true,
+  },
+  [LlmTask.COMPETITOR_EVALUATION]: {
+    model: "gpt-5",
+    reasoningEffort: "low",
+    timeoutMs: HOUR_MS,
+    webSearch: true,
+  },
+  [LlmTask.FOUNDER_FIT]: {
+    model: "gpt-5",
+    reasoningEffort: "low",
+    timeoutMs: 10 * 60 * 1000,
+    webSearch: false,
+  },
+};
+
+// The model can be swapped per task without a deploy, e.g. LLM_MODEL_COMPETITOR_EVALUATION=gpt-5-mini
+export function llmTaskConfig(task: LlmTask): LlmTaskConfig {
+  const config = LLM_TASK_CONFIGS[task];
+  const envModel = process.env[`LLM_MODEL_${task.toUpperCase().replace(/-/g, "_")}`];
+  return envModel ? { ...config, model: envModel } : config;
+}
+
+export function configuredLlmProvider(): LlmProviderName {
+  const name = (process.env.LLM_PROVIDER || LlmProviderName.OPENAI) as LlmProviderName;
+  if (!Object.values(LlmProviderName).includes(name)) {
+    throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+  }
+  return name;
+}
@@ -0,0 +1,6 @@
+// Days a soft-deleted deal stays in the trash before it is purged for good
+export const DEAL_RETENTION_DAYS = Number(process.env.DEAL_RETENTION_DAYS) || 30;
+
+export function purgeDateFor(deletedAt: Date): Date {
+  return new Date(deletedAt.getTime() + DEAL_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
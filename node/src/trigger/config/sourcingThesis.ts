@@ -0,0 +1,14 @@
+export interface SourcingThesisFields {
+  stages: string;
+  geographies: string;
+  sectors: string;
+  backgroundSignals: string;
+}
+
+// Thesis people are screened against until an admin saves one to the sourcing_theses table
+export const DEFAULT_SOURCING_THESIS: SourcingThesisFields = {
+  stages: "Pre-seed and seed, occasionally Series A",
+  geographies: "Central and Eastern Europe, and founders from the region building abroad",
+  sectors: "B2B software, AI and machine learning, developer tools, fintech",
+  backgroundSignals: "Repeat founders, early employees or engineering leads at fast-growing startups, deep technical or research backgrounds, strong universities",
+};
@@ -1,24 +1,27 @@
 import { logger, task } from "@trigger.dev/sdk/v3";
-import OpenAI from "openai";
 import { z } from "zod";
-import { zodTextFormat } from "openai/helpers/zod";
 import { prisma } from "../lib/prisma";
 import { sanitizeCitations } from "./utils/sanitize";
+import { withoutEditedFields } from "./utils/manualEdits";
+import { updateCompanyFacts } from "./utils/companies";
+import { mergeCompetitorSources, sourcesFromCitations } from "./utils/citations";
+import { StageResult, stageFailure, stageSuccess } from "./utils/results";
+import { getLlmProvider } from "./llm";
+import { LlmTask, llmTaskConfig } from "./config/llm";
 import fs from "fs/promises";
 import path from "path";
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: 60*60*1000 // 1 hour
-});
-
 export const EvaluationSchema = z.object({
   score: z.union([z.number(), z.literal("UNCERTAIN")]),
   competitor_category: z.enum(["early-stage", "well-funded", "incumbent"]),
   short_justification: z.string(),
   detailed_justification: z.string(),
+  funding_stage: z.string().nullable().describe("Latest funding stage of the competitor, e.g. Seed, Series B, Public"),
+  total_funding: z.string().nullable().describe("Total funding raised by the competitor as reported, e.g. $45M"),
 });
 
+export type CompetitorEvaluation = z.infer<typeof EvaluationSchema>;
+
 type EvaluateCompetitorPayload = {
   competitorId: string;
 };
@@ -26,7 +29,7 @@ type EvaluateCompetitorPayload = {
 export const evaluateCompetitorTask = task({
   id: "evaluate-competitor",
   maxDuration: 300,
-  run: async (payload: EvaluateCompetitorPayload, { ctx }) => {
+  run: async (payload: EvaluateCompetitorPayload, { ctx }): Promise<StageResult<CompetitorEvaluation>> => {
     console.log("🚀 Starting competitor evaluation task");
     console.log("📋 Payload received:");
     console.log("  🏢 Competitor ID:", payload?.competitorId);
@@ -50,6 +53,7 @@ export const evaluateCompetitorTask = task({
             files: true,
           },
         },
+        company: true,
       },
     });
 
@@ -93,10 +97,12 @@ export const evaluateCompetitorTask = task({
       description: companyADescription,
     };
 
+    // The shared company profile is preferred, so every deal compares against the same facts
     const companyB = {
       name: competitor.name,
-      description: competitor.description,
-      website: competitor.website,
+      description: competitor.company?.description || competitor.description,
+      website: competitor.company?.website || competitor.website,
+      funding: [competitor.company?.fundingStage, competitor.company?.totalFunding].filter(Boolean).join(", "),
     };
     
     console.log("📊 Company comparison setup:");
@@ -128,57 +134,39 @@ ${companyB.name} (the competitor):
 Name: ${companyB.name}
 Description: ${companyB.description}
 Website: ${companyB.website}
+Known funding: ${companyB.funding || "Unknown"}
 
 Please evaluate the competition between them using the following rules:
 ---
 ${competitionPromptTemplate}
 ---
+
+Also report ${companyB.name}'s latest funding stage and total funding raised, or null for either if you cannot verify it.
 `;
     console.log("✅ Evaluation prompt built successfully");
     console.log("📏 Final prompt length:", userPrompt.length, "characters");
 
-    console.log("📎 Building file attachments for AI evaluation...");
-    const attachments = openaiFileIds.map((fileId) => ({
-      type: "input_file" as const,
-      file_id: fileId,
-    }));
-    console.log("📊 Attachment setup complete:");
-    console.log("  📁 Number of attachments:", attachments.length);
-    console.log("  🔗 Attachment file IDs:", attachments.map(a => a.file_id));
+    const llm = getLlmProvider();
+    const { model } = llmTaskConfig(LlmTask.COMPETITOR_EVALUATION);
+    console.log("📊 Request setup complete:");
+    console.log("  📁 Number of attachments:", openaiFileIds.length);
+    console.log("  🔗 Attachment file IDs:", openaiFileIds);
 
     console.log("🚀 Starting AI-powered competitor evaluation...");
     try {
-      console.log("📤 Sending evaluation request to OpenAI GPT-5...");
-      const response = await openai.responses.parse({
-        model: "gpt-5",
-        reasoning: { effort: "low" },
-        tools: [{ type: "web_search_preview" }],
-        input: [
-          {
-            role: "system",
-            content:
-              `You are a world-class venture capital analyst. Your mission is to evaluate the competitive landscape between two companies. Use file_search to read the attached documents about ${companyA.name}, and use web_search to find information about the competitor (${companyB.name}). Be thorough and meticulous in your research. Do not include citation markers (e.g., cite, turnXsearchY, turnXnewsY, [1]) in your prose. Return clean text only.`,
-          },
-          {
-            role: "user",
-            content: [
-              ...attachments,
-              {
-                type: "input_text",
-                text: userPrompt,
-              },
-            ],
-          },
-        ],
-        tool_choice: "auto",
-        text: {
-          format: zodTextFormat(EvaluationSchema, "competitor_evaluation"),
-        },
+      console.log(`📤 Sending evaluation request to ${llm.name} (${model})...`);
+      const response = await llm.parse({
+        task: LlmTask.COMPETITOR_EVALUATION,
+        system: `You are a world-class venture capital analyst. Your mission is to evaluate the competitive landscape between two companies. Use file_search to read the attached documents about ${companyA.name}, and use web_search to find information about the competitor (${companyB.name}). Be thorough and meticulous in your research. Do not include citation markers (e.g., cite, turnXsearchY, turnXnewsY, [1]) in your prose. Return clean text only.`,
+        prompt: userPrompt,
+        fileIds: openaiFileIds,
+        schema: EvaluationSchema,
+        schemaName: "competitor_evaluation",
       });
 
-      console.log("📥 Received evaluation response from OpenAI");
+      console.log("📥 Received evaluation response from the model");
       console.log("🔍 Parsing evaluation results...");
-      const parsed = response.output_parsed;
+      const parsed = response.parsed;
       
       if (parsed) {
         console.log("✅ Evaluation results parsed successfully!");
@@ -187,36 +175,56 @@ ${competitionPromptTemplate}
         console.log("  🏢 Category:", parsed.competitor_category);
         console.log("  📝 Short justification length:", parsed.short_justification?.length || 0, "characters");
         console.log("  📖 Detailed justification length:", parsed.detailed_justification?.length || 0, "characters");
+        console.log("  🔗 Web citations:", response.citations.length);
         
         console.log("💾 Saving evaluation results to database...");
         await prisma.competitor.update({
           where: { id: payload.competitorId },
           data: {
-            score: String(parsed.score),
-            competitorCategory: parsed.competitor_category,
-            shortJustification: sanitizeCitations(parsed.short_justification) ?? parsed.short_justification,
-            detailedJustification: sanitizeCitations(parsed.detailed_justification) ?? parsed.detailed_justification,
+            ...withoutEditedFields(
+              {
+                score: String(parsed.score),
+                competitorCategory: parsed.competitor_category,
+                shortJustification: sanitizeCitations(parsed.short_justification) ?? parsed.short_justification,
+                detailedJustification: sanitizeCitations(parsed.detailed_justification) ?? parsed.detailed_justification,
+              },
+              competitor.editedFields
+            ),
+            // Citation markers are stripped from the prose above; the cited pages are kept here instead
+            sources: mergeCompetitorSources(
+              competitor.sources,
+              sourcesFromCitations(response.citations, "evaluation"),
+              "evaluation"
+            ),
           },
         });
+        if (competitor.companyId) {
+          await updateCompanyFacts(competitor.companyId, {
+            fundingStage: parsed.funding_stage,
+            totalFunding: parsed.total_funding,
+          });
+        }
         console.log("✅ Evaluation results saved to database successfully!");
         
         logger.log("Saved competitor evaluation to DB", { competitorId: payload.competitorId });
         console.log("🎉 Competitor evaluation completed successfully!");
-        return parsed;
-      } else {
-        console.error("❌ Failed to parse OpenAI evaluation response");
-        logger.error("Failed to parse OpenAI response", { competitorId: payload.competitorId });
+        return stageSuccess(parsed);
       }
 
+      console.error("❌ Failed to parse evaluation response");
+      logger.error("Failed to parse evaluation response", { competitorId: payload.competitorId });
+      return stageFailure("The model response could not be parsed into an evaluation");
+
     } catch (error: any) {
       console.error("❌ Fatal error in competitor evaluation:", error);
       console.error("🔍 Error type:", error instanceof Error ? error.constructor.name : typeof error);
       console.error("📚 Error details:", error instanceof Error ? error.message : String(error));
       console.error("🔬 Error stack:", error instanceof Error ? error.stack : "No stack trace");
       
-      logger.error("OpenAI competitor evaluation failed", {
+      logger.error("LLM competitor evaluation failed", {
         error: String(error),
       });
+      return stageFailure(error);
     }
   },
 });
@@ -1,8 +1,5 @@
 import { task } from "@trigger.dev/sdk/v3";
-import { PrismaClient } from "@prisma/client";
-
-// Initialize Prisma client for database operations
-const prisma = new PrismaClient();
+import { personProfileFromLeadspicker, resolvePerson } from "./utils/people";
 
 export const fetchPersonDetails = task({
   id: "fetch-person-details",
@@ -58,32 +55,12 @@ export const fetchPersonDetails = task({
       // Save person to database
       console.log("💾 Saving person to database...");
       try {
-        const savedPerson = await prisma.person.create({
-          data: {
-            leadspickerId: personDetails.id,
-            fullName: personDetails.contact_data?.full_name?.value || null,
-            firstName: personDetails.contact_data?.first_name?.value || null,
-            lastName: personDetails.contact_data?.last_name?.value || null,
-            email: personDetails.contact_data?.email?.value || null,
-            position: personDetails.contact_data?.position?.value || null,
-            linkedinUrl: personDetails.contact_data?.linkedin?.value || null,
-            followersCount: personDetails.contact_data?.followers_count?.value ? 
-              parseInt(personDetails.contact_data.followers_count.value) : null,
-            companyName: personDetails.contact_data?.company_name?.value || null,
-            companyLinkedinUrl: personDetails.contact_data?.company_linkedin?.value || null,
-            companyWebsiteUrl: personDetails.contact_data?.company_website?.value || null,
-            companyEmployeeCount: personDetails.contact_data?.company_employee_count?.value ? 
-              parseInt(personDetails.contact_data.company_employee_count.value) : null,
-            companyDescription: personDetails.contact_data?.linkedin_company_description?.value || null,
-            websiteTextSummary: personDetails.contact_data?.website_text_summary?.value || null,
-            pastExperiences: personDetails.contact_data?.past_experiences?.value || null,
-            educationSummary: personDetails.contact_data?.education_summary?.value || null,
-            country: personDetails.contact_data?.country?.value || null,
-            sourceRobot: personDetails.contact_data?.source_robot?.value || null,
-          }
-        });
+        const { person: savedPerson, outcome, possibleDuplicates } = await resolvePerson(
+          personProfileFromLeadspicker(personDetails)
+        );
         
-        console.log("✅ Person saved to database successfully");
+        console.log(outcome === "updated" ? "✅ Existing person updated" : "✅ New person saved to database");
+        if (possibleDuplicates > 0) console.log("🔍 Possible duplicates queued for review:", possibleDuplicates);
         console.log("🆔 Database ID:", savedPerson.id);
         console.log("🔗 Leadspicker ID:", savedPerson.leadspickerId);
         console.log("👤 Name:", savedPerson.fullName);
@@ -91,6 +68,7 @@ export const fetchPersonDetails = task({
         console.log("✅ Person details fetch and save completed successfully");
         return {
           personDetails,
+          outcome,
           savedPerson: {
             id: savedPerson.id,
             leadspickerId: savedPerson.leadspickerId,
@@ -119,10 +97,6 @@ export const fetchPersonDetails = task({
       
       console.log("🔄 Re-throwing error for orchestrator handling...");
       throw error;
-    } finally {
-      // Clean up Prisma connection
-      await prisma.$disconnect();
-      console.log("🔌 Prisma client disconnected");
     }
   },
 });
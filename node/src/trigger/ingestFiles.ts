@@ -0,0 +1,136 @@
+import { logger, task, metadata } from "@trigger.dev/sdk/v3";
+import path from "path";
+import { ConversionStatus, FileFormat, detectFileFormat } from "./config/fileFormats";
+import { convertToPdf } from "./utils/converters";
+import { uploadBufferToS3 } from "./utils/s3";
+
+export type IngestFilesPayload = {
+  s3Files: Array<{
+    s3Url: string;
+    originalFilename: string;
+    mimetype: string;
+    size: number;
+  }>;
+};
+
+export type IngestFileResult = {
+  s3Url: string; // Original upload, identifies the DealFile row
+  originalFilename: string;
+  sourceFormat: FileFormat | null;
+  conversionStatus: ConversionStatus;
+  convertedUrl: string | null; // PDF the analysis tasks should read instead of the original
+  error?: string;
+};
+
+export const ingestFilesTask = task({
+  id: "ingest-files",
+  maxDuration: 600, // 10 minutes
+  run: async (payload: IngestFilesPayload): Promise<IngestFileResult[]> => {
+    console.log("🚀 Starting file ingestion task");
+    console.log("📋 Payload received:");
+    console.log("  📁 File count:", payload.s3Files?.length || 0);
+
+    if (!payload.s3Files || payload.s3Files.length === 0) {
+      console.error("❌ No S3 files provided for ingestion");
+      throw new Error("No S3 files provided for ingestion");
+    }
+
+    logger.log("Starting file ingestion", { fileCount: payload.s3Files.length });
+    metadata.set("status", { label: "Detecting file types", progress: 5 });
+
+    const results: IngestFileResult[] = [];
+    const totalFiles = payload.s3Files.length;
+
+    for (let i = 0; i < payload.s3Files.length; i++) {
+      const file = payload.s3Files[i];
+      const sourceFormat = detectFileFormat(file.originalFilename, file.mimetype);
+
+      console.log(`🔍 File ${i + 1}/${totalFiles}: ${file.originalFilename} -> ${sourceFormat || "unsupported"}`);
+      metadata.set("status", {
+        label: `Preparing ${file.originalFilename}`,
+        progress: Math.round(((i + 1) / totalFiles) * 100),
+        currentFile: i + 1,
+        totalFiles: totalFiles
+      });
+
+      if (!sourceFormat) {
+        console.log("⚠️ Unsupported file type, skipping conversion");
+        results.push({
+          s3Url: file.s3Url,
+          originalFilename: file.originalFilename,
+          sourceFormat: null,
+          conversionStatus: ConversionStatus.FAILED,
+          convertedUrl: null,
+          error: `Unsupported file type: ${file.mimetype || path.extname(file.originalFilename)}`,
+        });
+        continue;
+      }
+
+      if (sourceFormat === FileFormat.PDF) {
+        console.log("✅ PDF can be analyzed directly, no conversion needed");
+        results.push({
+          s3Url: file.s3Url,
+          originalFilename: file.originalFilename,
+          sourceFormat,
+          conversionStatus: ConversionStatus.NOT_NEEDED,
+          convertedUrl: null,
+        });
+        continue;
+      }
+
+      try {
+        console.log("📥 Downloading file from S3...");
+        const response = await fetch(file.s3Url);
+        if (!response.ok) {
+          throw new Error(`Failed to download file from S3: ${response.statusText}`);
+        }
+        const buffer = Buffer.from(await response.arrayBuffer());
+
+        console.log(`🔄 Converting ${sourceFormat} to PDF...`);
+        const pdf = await convertToPdf(sourceFormat, file.originalFilename, buffer);
+
+        const convertedName = `${path.parse(file.originalFilename).name}.pdf`;
+        const convertedUrl = await uploadBufferToS3(convertedName, pdf, "application/pdf");
+        console.log("✅ Converted file uploaded to S3:", convertedUrl);
+
+        logger.log(`Converted ${file.originalFilename} to PDF`, { sourceFormat, size: pdf.length });
+        results.push({
+          s3Url: file.s3Url,
+          originalFilename: file.originalFilename,
+          sourceFormat,
+          conversionStatus: ConversionStatus.CONVERTED,
+          convertedUrl,
+        });
+      } catch (error) {
+        console.error(`❌ Failed to convert ${file.originalFilename}`);
+        console.error("📚 Error details:", error instanceof Error ? error.message : String(error));
+
+        logger.error(`Failed to convert ${file.originalFilename}`, {
+          error: String(error),
+          sourceFormat,
+        });
+
+        // A failed conversion only drops this file from analysis; the rest continue
+        results.push({
+          s3Url: file.s3Url,
+          originalFilename: file.originalFilename,
+          sourceFormat,
+          conversionStatus: ConversionStatus.FAILED,
+          convertedUrl: null,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+
+    const failed = results.filter((r) => r.conversionStatus === ConversionStatus.FAILED).length;
+    console.log("📊 Ingestion summary:");
+    console.log("  📁 Total files:", results.length);
+    console.log("  🔄 Converted:", results.filter((r) => r.conversionStatus === ConversionStatus.CONVERTED).length);
+    console.log("  ❌ Failed:", failed);
+
+    logger.log("File ingestion completed", { total: results.length, failed });
+    metadata.set("status", { label: "File ingestion completed", progress: 100 });
+
+    return results;
+  },
+});
@@ -0,0 +1,70 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { z } from "zod";
+import { Citation, LlmProvider, StructuredRequest, StructuredResponse, UploadedFile } from "./types";
+
+type FixtureCitation = { url: string; title?: string; quote?: string };
+
+function locateCitation(outputText: string, { url, title, quote }: FixtureCitation): Citation {
+  // The quote is searched for as it appears inside a JSON string
+  const start = quote ? outputText.indexOf(JSON.stringify(quote).slice(1, -1)) : -1;
+  if (start === -1) return { url, title: title ?? null, startIndex: 0, endIndex: outputText.length };
+  return { url, title: title ?? null, startIndex: start, endIndex: start + JSON.stringify(quote).length - 2 };
+}
+
+// Deterministic stand-in for a real model. Responses are read from
+// <dir>/<task>/<fixtureKey>.json, falling back to <dir>/<task>.json.
+// A fixture of the form { "$error": "message" } makes the call throw, to exercise failure paths.
+// Web citations are listed under "$citations" as { url, title?, quote? }; a citation covers the first
+// occurrence of its quote in the output, or the whole output without one.
+export class FixtureProvider implements LlmProvider {
+  readonly name = "fixture";
+  private dir: string;
+
+  constructor(dir = process.env.LLM_FIXTURE_DIR || path.join(process.cwd(), "fixtures", "llm")) {
+    this.dir = dir;
+  }
+
+  private async readFixture(task: string, fixtureKey?: string): Promise<unknown> {
+    const candidates = [
+      ...(fixtureKey ? [path.join(this.dir, task, `${fixtureKey}.json`)] : []),
+      path.join(this.dir, `${task}.json`),
+    ];
+    for (const candidate of candidates) {
+      try {
+        return JSON.parse(await fs.readFile(candidate, "utf-8"));
+      } catch (error: any) {
+        if (error?.code !== "ENOENT") throw error;
+      }
+    }
+    throw new Error(`No LLM fixture for ${task}${fixtureKey ? ` (${fixtureKey})` : ""} in ${this.dir}`);
+  }
+
+  async parse<S extends z.ZodTypeAny>(request: StructuredRequest<S>): Promise<StructuredResponse<z.infer<S>>> {
+    const fixture = (await this.readFixture(request.task, request.fixtureKey)) as any;
+    if (fixture && typeof fixture === "object" && "$error" in fixture) {
+      throw new Error(String(fixture.$error));
+    }
+    const { $citations, ...fields } = fixture && typeof fixture === "object" && !Array.isArray(fixture) ? fixture : {};
+    const output = $citations === undefined ? fixture : fields;
+    const outputText = JSON.stringify(output);
+    const result = request.schema.safeParse(output);
+    return {
+      parsed: result.success ? result.data : null,
+      outputText,
+      citations: (Array.isArray($citations) ? ($citations as FixtureCitation[]) : []).map((citation) =>
+        locateCitation(outputText, citation)
+      ),
+    };
+  }
+
+  async uploadFile(file: { body: Response; filename: string }): Promise<UploadedFile> {
+    const digest = crypto.createHash("sha256").update(file.filename).digest("hex");
+    return { id: `fixture-file-${digest.slice(0, 24)}` };
+  }
+
+  async deleteFile(fileId: string): Promise<boolean> {
+    return true;
+  }
+}
@@ -0,0 +1,24 @@
+import { LlmProviderName, configuredLlmProvider } from "../config/llm";
+import { FixtureProvider } from "./fixture";
+import { OpenAIProvider } from "./openai";
+import { LlmProvider } from "./types";
+
+export * from "./types";
+
+let provider: LlmProvider | null = null;
+
+// Built on first use so the fixture provider never needs an OpenAI key
+export function getLlmProvider(): LlmProvider {
+  if (!provider) {
+    provider = configuredLlmProvider() === LlmProviderName.FIXTURE
+      ? new FixtureProvider()
+      : new OpenAIProvider();
+  }
+  return provider;
+}
+
+// Replaces the provider for the rest of the process; tests use this to inject failures.
+// Passing null goes back to the one selected by LLM_PROVIDER.
+export function setLlmProvider(next: LlmProvider | null): void {
+  provider = next;
+}
@@ -0,0 +1,91 @@
+import OpenAI, { toFile } from "openai";
+import { z } from "zod";
+import { zodTextFormat } from "openai/helpers/zod";
+import { llmTaskConfig } from "../config/llm";
+import { Citation, LlmProvider, StructuredRequest, StructuredResponse, UploadedFile } from "./types";
+
+export class OpenAIProvider implements LlmProvider {
+  readonly name = "openai";
+  private client: OpenAI;
+
+  constructor(apiKey = process.env.OPENAI_API_KEY) {
+    this.client = new OpenAI({ apiKey });
+  }
+
+  async parse<S extends z.ZodTypeAny>(request: StructuredRequest<S>): Promise<StructuredResponse<z.infer<S>>> {
+    const config = llmTaskConfig(request.task);
+    const attachments = (request.fileIds || []).filter(Boolean).map((fileId) => ({
+      type: "input_file" as const,
+      file_id: fileId,
+    }));
+
+    const response = await this.client.responses.parse(
+      {
+        model: config.model,
+        ...(config.reasoningEffort && { reasoning: { effort: config.reasoningEffort } }),
+        ...(config.webSearch && {
+          tools: [{ type: "web_search_preview" as const }],
+          tool_choice: "auto" as const,
+        }),
+        input: [
+          { role: "system", content: request.system },
+          {
+            role: "user",
+            content: [...attachments, { type: "input_text", text: request.prompt }],
+          },
+        ],
+        text: { format: zodTextFormat(request.schema, request.schemaName) },
+      },
+      { timeout: config.timeoutMs }
+    );
+
+    return {
+      parsed: response.output_parsed ?? null,
+      outputText: response.output_text,
+      citations: urlCitations(response.output),
+    };
+  }
+
+  async uploadFile(file: { body: Response; filename: string }): Promise<UploadedFile> {
+    // Without a name the SDK would take the URL-encoded S3 key, upload prefix included
+    const uploaded = await this.client.files.create({
+      file: await toFile(file.body, file.filename),
+      purpose: "assistants",
+    });
+    return { id: uploaded.id };
+  }
+
+  async deleteFile(fileId: string): Promise<boolean> {
+    try {
+      await this.client.files.delete(fileId);
+      return true;
+    } catch (error) {
+      if (error instanceof OpenAI.NotFoundError) return false;
+      throw error;
+    }
+  }
+}
+
+// Web search results are reported as url_citation annotations on each output_text part. Their indices
+// are relative to the part, so they are shifted to match output_text, which joins all parts.
+function urlCitations(output: OpenAI.Responses.ResponseOutputItem[]): Citation[] {
+  const citations: Citation[] = [];
+  let offset = 0;
+  for (const item of output) {
+    if (item.type !== "message") continue;
+    for (const part of item.content) {
+      if (part.type !== "output_text") continue;
+      for (const annotation of part.annotations) {
+        if (annotation.type !== "url_citation") continue;
+        citations.push({
+          url: annotation.url,
+          title: annotation.title || null,
+          startIndex: offset + annotation.start_index,
+          endIndex: offset + annotation.end_index,
+        });
+      }
+      offset += part.text.length;
+    }
+  }
+  return citations;
+}
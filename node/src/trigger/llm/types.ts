@@ -0,0 +1,38 @@
+import { z } from "zod";
+import { LlmTask } from "../config/llm";
+
+export type StructuredRequest<S extends z.ZodTypeAny> = {
+  task: LlmTask;
+  system: string;
+  prompt: string;
+  fileIds?: string[]; // Files previously returned by uploadFile, attached as inputs
+  schema: S;
+  schemaName: string;
+  fixtureKey?: string; // Picks a variant in the fixture provider, e.g. the competitor type
+};
+
+// A web page the model cited while answering; the indices delimit the cited span of outputText
+export type Citation = {
+  url: string;
+  title: string | null;
+  startIndex: number;
+  endIndex: number;
+};
+
+export type StructuredResponse<T> = {
+  parsed: T | null; // null when the output did not match the schema
+  outputText: string; // Raw JSON text the structured output was parsed from
+  citations: Citation[];
+};
+
+export type UploadedFile = {
+  id: string;
+};
+
+export interface LlmProvider {
+  readonly name: string;
+  parse<S extends z.ZodTypeAny>(request: StructuredRequest<S>): Promise<StructuredResponse<z.infer<S>>>;
+  uploadFile(file: { body: Response; filename: string }): Promise<UploadedFile>;
+  // Resolves false when the file no longer exists on the provider's side
+  deleteFile(fileId: string): Promise<boolean>;
+}
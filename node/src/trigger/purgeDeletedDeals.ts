@@ -0,0 +1,81 @@
+import { logger, schedules, metadata } from "@trigger.dev/sdk/v3";
+import { prisma } from "../lib/prisma";
+import { deleteS3Object } from "./utils/s3";
+import { DEAL_RETENTION_DAYS } from "./config/retention";
+import { getLlmProvider } from "./llm";
+
+export type PurgeDeletedDealsResult = {
+  purgedDealIds: string[];
+  failedDealIds: string[];
+};
+
+// Permanently removes deals that sat in the trash longer than the retention window,
+// together with everything they left behind in S3 and OpenAI
+export const purgeDeletedDealsTask = schedules.task({
+  id: "purge-deleted-deals",
+  cron: "0 3 * * *", // Daily at 03:00 UTC
+  maxDuration: 900, // 15 minutes
+  run: async (payload): Promise<PurgeDeletedDealsResult> => {
+    const cutoff = new Date(payload.timestamp.getTime() - DEAL_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    console.log("🚀 Starting deleted deal purge");
+    console.log("  🗓️ Retention days:", DEAL_RETENTION_DAYS);
+    console.log("  ✂️ Deleted before:", cutoff.toISOString());
+
+    const deals = await prisma.deal.findMany({
+      where: {
+        deleted: true,
+        deletedAt: { lt: cutoff },
+      },
+      include: { files: true },
+    });
+
+    logger.log("Found deals to purge", { count: deals.length, cutoff: cutoff.toISOString() });
+    metadata.set("status", { label: `Purging ${deals.length} deals`, progress: 5 });
+
+    const purgedDealIds: string[] = [];
+    const failedDealIds: string[] = [];
+
+    for (let i = 0; i < deals.length; i++) {
+      const deal = deals[i];
+      console.log(`🗑️ Purging deal ${i + 1}/${deals.length}: ${deal.id}`);
+
+      try {
+        for (const file of deal.files) {
+          const urls = [file.url, file.convertedUrl].filter((url): url is string => Boolean(url));
+          for (const url of urls) {
+            await deleteS3Object(url);
+          }
+
+          // Already gone on OpenAI's side is fine; any other error keeps the deal for the next run
+          if (file.openaiFileId && !(await getLlmProvider().deleteFile(file.openaiFileId))) {
+            console.log("⚠️ OpenAI file already deleted:", file.openaiFileId);
+          }
+        }
+
+        // Files, competitors, collaborators and stage history cascade with the deal
+        await prisma.deal.delete({ where: { id: deal.id } });
+        purgedDealIds.push(deal.id);
+        console.log("✅ Deal purged:", deal.id);
+      } catch (error) {
+        console.error(`❌ Failed to purge deal ${deal.id}`);
+        console.error("📚 Error details:", error instanceof Error ? error.message : String(error));
+        logger.error(`Failed to purge deal ${deal.id}`, { error: String(error) });
+        failedDealIds.push(deal.id);
+      }
+
+      metadata.set("status", {
+        label: `Purged ${i + 1} of ${deals.length} deals`,
+        progress: Math.round(((i + 1) / deals.length) * 100),
+      });
+    }
+
+    console.log("📊 Purge summary:");
+    console.log("  ✅ Purged:", purgedDealIds.length);
+    console.log("  ❌ Failed:", failedDealIds.length);
+
+    logger.log("Deleted deal purge completed", { purged: purgedDealIds.length, failed: failedDealIds.length });
+    metadata.set("status", { label: "Purge completed", progress: 100 });
+
+    return { purgedDealIds, failedDealIds };
+  },
+});
@@ -0,0 +1,111 @@
+import { logger, task } from "@trigger.dev/sdk/v3";
+import { z } from "zod";
+import { prisma } from "../lib/prisma";
+import { getSourcingThesis } from "./utils/sourcingThesis";
+import { StageResult, stageFailure, stageSuccess } from "./utils/results";
+import { getLlmProvider } from "./llm";
+import { LlmTask, llmTaskConfig } from "./config/llm";
+
+export const FounderFitSchema = z.object({
+  score: z.number().describe("How well the person fits the sourcing thesis, from 1 (not at all) to 10 (a founder we should meet)"),
+  rationale: z.string().describe("Two to four sentences citing the evidence from the profile behind the score"),
+});
+
+export type FounderFit = z.infer<typeof FounderFitSchema>;
+
+// The profile fields the screening reads; without any of them there is nothing to judge
+const PROFILE_SECTIONS = [
+  { field: "pastExperiences", label: "Past experience" },
+  { field: "educationSummary", label: "Education" },
+  { field: "companyDescription", label: "Current company" },
+  { field: "websiteTextSummary", label: "Company website" },
+] as const;
+
+export function clampFitScore(score: number): number {
+  return Math.min(10, Math.max(1, Math.round(score)));
+}
+
+export const scorePersonFitTask = task({
+  id: "score-person-fit",
+  maxDuration: 300,
+  run: async (payload: { personId: string }): Promise<StageResult<FounderFit>> => {
+    console.log("🚀 Starting founder-fit screening for person:", payload?.personId);
+
+    if (!payload?.personId) {
+      console.error("❌ Missing personId in payload");
+      throw new Error("personId is required");
+    }
+
+    const person = await prisma.person.findUnique({ where: { id: payload.personId } });
+    if (!person) {
+      console.error("❌ Person not found:", payload.personId);
+      throw new Error(`Person not found: ${payload.personId}`);
+    }
+
+    const sections = PROFILE_SECTIONS
+      .filter(({ field }) => person[field]?.trim())
+      .map(({ field, label }) => `${label}:\n${person[field]!.trim()}`);
+    if (sections.length === 0) {
+      console.log("⚠️ No background or company information to screen, skipping");
+      return stageFailure("The profile has no background or company information to screen");
+    }
+
+    const thesis = await getSourcingThesis();
+    console.log("📋 Screening against thesis last saved:", thesis.updatedAt?.toISOString() || "never (default)");
+
+    const prompt = `
+Our sourcing thesis:
+Stage: ${thesis.stages}
+Geography: ${thesis.geographies}
+Sectors: ${thesis.sectors}
+Founder background we look for: ${thesis.backgroundSignals}
+
+The person:
+Name: ${person.fullName || "Unknown"}
+Position: ${[person.position, person.companyName].filter(Boolean).join(" at ") || "Unknown"}
+Country: ${person.country || "Unknown"}
+Company size: ${person.companyEmployeeCount ?? "Unknown"} employees
+
+${sections.join("\n\n")}
+
+Score from 1 to 10 how well this person fits the thesis as a founder we should reach out to, considering their company's stage, geography and sector as well as their own background. Judge only from the profile above and say so when it is too thin to be confident.
+`;
+
+    const llm = getLlmProvider();
+    const { model } = llmTaskConfig(LlmTask.FOUNDER_FIT);
+
+    try {
+      console.log(`📤 Sending screening request to ${llm.name} (${model})...`);
+      const response = await llm.parse({
+        task: LlmTask.FOUNDER_FIT,
+        system: "You are a venture capital associate screening inbound leads against the fund's sourcing thesis. Be calibrated: most people are a weak fit, and a high score needs clear evidence. Return clean text only.",
+        prompt,
+        schema: FounderFitSchema,
+        schemaName: "founder_fit",
+      });
+
+      const parsed = response.parsed;
+      if (!parsed) {
+        console.error("❌ Failed to parse screening response");
+        logger.error("Failed to parse founder-fit response", { personId: payload.personId });
+        return stageFailure("The model response could not be parsed into a founder-fit score");
+      }
+
+      const fit = {
+        score: clampFitScore(parsed.score),
+        rationale: parsed.rationale.trim(),
+      };
+      await prisma.person.update({
+        where: { id: payload.personId },
+        data: { fitScore: fit.score, fitRationale: fit.rationale, fitScoredAt: new Date() },
+      });
+
+      console.log("✅ Founder fit saved:", fit.score, "/ 10");
+      return stageSuccess(fit);
+    } catch (error) {
+      console.error("❌ Founder-fit screening failed:", error);
+      logger.error("LLM founder-fit screening failed", { error: String(error) });
+      return stageFailure(error);
+    }
+  },
+});
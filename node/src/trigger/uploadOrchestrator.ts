@@ -1,10 +1,30 @@
 import { logger, task, metadata, batch } from "@trigger.dev/sdk/v3";
 import { prisma } from "../lib/prisma";
 import { uploadToOpenAITask } from "./uploadToOpenAI";
+import { ingestFilesTask, IngestFileResult } from "./ingestFiles";
+import { ConversionStatus } from "./config/fileFormats";
 import { analyzeDealTask } from "./analyzeDeal";
 import { analyzeCompetitorsTask } from "./analyzeCompetitors";
-import { ALL_COMPETITOR_TYPES } from "./utils/sanitize";
+import { selectedCompetitorTypes } from "./utils/competitorTypes";
 import { evaluateCompetitorTask } from "./evaluateCompetitor";
+import { withoutEditedFields } from "./utils/manualEdits";
+import {
+  AnalysisRunStatus,
+  AnalysisStageStatus,
+  competitorStageName,
+  finishAnalysisRun,
+  startAnalysisRun,
+  updateAnalysisStage,
+} from "./utils/analysisRuns";
+import { childRunFailure, errorMessage } from "./utils/results";
+import { matchUploadedFileIds } from "./utils/fileIds";
+import { mergeDuplicateCompetitors, removeStaleCompetitors } from "./utils/competitorMerge";
+import { linkFoundersToPeople } from "./utils/dealPeople";
+
+// Which part of the pipeline to run; "all" is the full first-time analysis,
+// "upload" only sends new files to OpenAI without analyzing anything
+export const ANALYSIS_STAGES = ["all", "upload", "deal", "competitors", "evaluation"] as const;
+export type AnalysisStage = (typeof ANALYSIS_STAGES)[number];
 
 export type UploadOrchestratorPayload = {
   dealId: string; // Now we work with an existing deal
@@ -16,18 +36,23 @@ export type UploadOrchestratorPayload = {
     size: number;
   }>;
   freeText?: string;
+  stage?: AnalysisStage; // Defaults to "all"
+  competitorType?: string; // Limits the "competitors" stage to a single type
 };
 
 export const uploadOrchestratorTask = task({
   id: "upload-orchestrator",
   maxDuration: 1800, // 30 minutes
-  run: async (payload: UploadOrchestratorPayload) => {
+  run: async (payload: UploadOrchestratorPayload, { ctx }) => {
     console.log("🚀 Starting upload orchestration process");
+    const stage: AnalysisStage = payload.stage || "all";
     console.log("📋 Payload received:", {
       dealId: payload.dealId,
       userId: payload.userId,
       fileCount: payload.s3Files?.length || 0,
-      hasFreeText: !!payload.freeText
+      hasFreeText: !!payload.freeText,
+      stage,
+      competitorType: payload.competitorType,
     });
     
     console.log("🔍 Validating payload requirements...");
@@ -40,43 +65,149 @@ export const uploadOrchestratorTask = task({
       throw new Error("userId is required");
     }
 
+    if (!ANALYSIS_STAGES.includes(stage)) {
+      console.error("❌ Unknown stage in payload:", stage);
+      throw new Error(`Unknown analysis stage: ${stage}`);
+    }
+
+    const existingDeal = await prisma.deal.findUnique({
+      where: { id: payload.dealId },
+      include: { files: true },
+    });
+    if (!existingDeal) {
+      console.error("❌ Deal not found in database:", payload.dealId);
+      throw new Error(`Deal not found: ${payload.dealId}`);
+    }
+
+    // Re-analysis runs reuse the deal's existing files and notes
+    const freeText = payload.freeText || existingDeal.uploadedText || undefined;
+
     if (!payload.s3Files || payload.s3Files.length === 0) {
-      if (!payload.freeText) {
-        console.error("❌ Neither s3Files nor freeText provided");
+      if (!freeText && existingDeal.files.length === 0) {
+        console.error("❌ Neither s3Files, existing files nor freeText provided");
         throw new Error("Either s3Files or freeText must be provided");
       }
     }
 
+    const runDealStage = stage === "all" || stage === "deal";
+    const competitorTypes: string[] =
+      stage === "competitors" && payload.competitorType ? [payload.competitorType]
+        : stage === "all" || stage === "competitors" ? await selectedCompetitorTypes(existingDeal.competitorTypes)
+        : [];
+
     console.log("✅ Payload validation successful");
     console.log("📊 Processing details:");
     console.log("  🎯 Deal ID:", payload.dealId);
     console.log("  👤 User ID:", payload.userId);
-    console.log("  📁 File count:", payload.s3Files?.length || 0);
-    console.log("  📝 Has free text:", !!payload.freeText);
+    console.log("  📁 New file count:", payload.s3Files?.length || 0);
+    console.log("  📁 Existing file count:", existingDeal.files.length);
+    console.log("  📝 Has free text:", !!freeText);
+    console.log("  🧭 Stage:", stage);
 
     logger.log("Starting upload orchestration", {
       dealId: payload.dealId,
       userId: payload.userId,
       fileCount: payload.s3Files?.length || 0,
-      hasFreeText: !!payload.freeText,
+      hasFreeText: !!freeText,
+      stage,
+      competitorTypes,
     });
 
+    const hasNewFiles = Boolean(payload.s3Files && payload.s3Files.length > 0);
+    const runEvaluationStage = competitorTypes.length > 0 || stage === "evaluation";
+    const analysisRunId = await startAnalysisRun({
+      triggerRunId: ctx.run.id,
+      attempt: ctx.attempt.number,
+      dealId: payload.dealId,
+      userId: payload.userId,
+      stage,
+      competitorType: payload.competitorType,
+      plannedStages: [
+        ...(hasNewFiles ? ["ingest", "upload"] : []),
+        ...(runDealStage ? ["deal"] : []),
+        ...competitorTypes.map(competitorStageName),
+        ...(runEvaluationStage ? ["evaluation"] : []),
+      ],
+    });
+    console.log("🗂️ Recording analysis run:", analysisRunId);
+
     metadata.set("status", { label: "Initializing upload process", progress: 5 });
 
+    // Step 0: Detect file formats and convert non-PDF materials into PDFs the analysis can read
+    console.log("🧾 Step 0: Ingesting uploaded files...");
+    let ingestResults: IngestFileResult[] = [];
+
+    if (hasNewFiles) {
+      metadata.set("status", { label: "Converting documents", progress: 10 });
+      await updateAnalysisStage(analysisRunId, "ingest", AnalysisStageStatus.RUNNING);
+
+      const ingestRuns = await batch.triggerByTaskAndWait([
+        {
+          task: ingestFilesTask,
+          payload: { s3Files: payload.s3Files },
+        },
+      ]);
+      const [ingestRun] = ingestRuns.runs;
+
+      if (!ingestRun.ok) {
+        console.error("❌ File ingestion task failed");
+        logger.error("File ingestion failed", { error: (ingestRun as any).error });
+        await updateAnalysisStage(analysisRunId, "ingest", AnalysisStageStatus.FAILED, {
+          triggerRunId: ingestRun.id,
+          error: errorMessage((ingestRun as any).error),
+        });
+        throw new Error(`File ingestion failed: ${errorMessage((ingestRun as any).error)}`);
+      }
+      await updateAnalysisStage(analysisRunId, "ingest", AnalysisStageStatus.COMPLETED, { triggerRunId: ingestRun.id });
+
+      ingestResults = ingestRun.output;
+      for (const result of ingestResults) {
+        await prisma.dealFile.updateMany({
+          where: {
+            dealId: payload.dealId,
+            url: result.s3Url,
+          },
+          data: {
+            sourceFormat: result.sourceFormat,
+            conversionStatus: result.conversionStatus,
+            convertedUrl: result.convertedUrl,
+            conversionError: result.error ?? null,
+          },
+        });
+      }
+
+      console.log("✅ File ingestion complete:", ingestResults.map(r => `${r.originalFilename}: ${r.conversionStatus}`));
+    } else {
+      console.log("ℹ️ No new files to ingest, skipping ingestion step");
+    }
+
+    // Files that could not be converted are left out of analysis; the rest go to OpenAI as PDFs
+    const filesToUpload = (payload.s3Files || []).filter((file) => {
+      const ingested = ingestResults.find((r) => r.s3Url === file.s3Url);
+      return ingested?.conversionStatus !== ConversionStatus.FAILED;
+    });
+    const openaiUploadFiles = filesToUpload.map((file) => {
+      const convertedUrl = ingestResults.find((r) => r.s3Url === file.s3Url)?.convertedUrl;
+      return convertedUrl
+        ? { ...file, s3Url: convertedUrl, mimetype: "application/pdf" }
+        : file;
+    });
+
     // Step 1: Upload files to OpenAI (S3 upload already done in API)
     console.log("📤 Step 1: Preparing OpenAI file uploads...");
     let openaiResults: any[] = [];
 
-    if (payload.s3Files && payload.s3Files.length > 0) {
+    if (openaiUploadFiles.length > 0) {
       console.log("🔄 Files detected, starting OpenAI upload process");
-      console.log("📊 Files to upload:", payload.s3Files.map(f => f.originalFilename));
+      console.log("📊 Files to upload:", openaiUploadFiles.map(f => f.originalFilename));
       metadata.set("status", { label: "Uploading files to OpenAI", progress: 15 });
+      await updateAnalysisStage(analysisRunId, "upload", AnalysisStageStatus.RUNNING);
 
       console.log("🚀 Triggering OpenAI upload task...");
       const uploadResults = await batch.triggerByTaskAndWait([
         {
           task: uploadToOpenAITask,
-          payload: { s3Files: payload.s3Files },
+          payload: { s3Files: openaiUploadFiles },
         },
       ]);
 
@@ -86,8 +217,13 @@ export const uploadOrchestratorTask = task({
       if (!openaiRun.ok) {
         console.error("❌ OpenAI upload task failed");
         logger.error("OpenAI upload failed", { error: (openaiRun as any).error });
-        throw new Error(`OpenAI upload failed: ${(openaiRun as any).error}`);
+        await updateAnalysisStage(analysisRunId, "upload", AnalysisStageStatus.FAILED, {
+          triggerRunId: openaiRun.id,
+          error: errorMessage((openaiRun as any).error),
+        });
+        throw new Error(`OpenAI upload failed: ${errorMessage((openaiRun as any).error)}`);
       }
+      await updateAnalysisStage(analysisRunId, "upload", AnalysisStageStatus.COMPLETED, { triggerRunId: openaiRun.id });
 
       openaiResults = openaiRun.output;
       console.log("✅ OpenAI upload successful!");
@@ -107,41 +243,28 @@ export const uploadOrchestratorTask = task({
 
     // Step 2: Update file records with OpenAI file IDs FIRST
     console.log("🔄 Step 2: Processing OpenAI upload results...");
-    const openaiFileIds = openaiResults.map(result => result.openaiFileId).filter(Boolean);
-    
-    console.log("📊 OpenAI file ID extraction complete:");
-    console.log("  📁 Total upload results:", openaiResults.length);
-    console.log("  ✅ Valid file IDs:", openaiFileIds.length);
-    console.log("  🔗 File IDs:", openaiFileIds);
-    
-    logger.log("Prepared OpenAI file IDs for analysis", {
-      totalResults: openaiResults.length,
-      validFileIds: openaiFileIds.length,
-      fileIds: openaiFileIds
-    });
-
-    if (payload.s3Files && payload.s3Files.length > 0 && openaiResults.length > 0) {
+    if (filesToUpload.length > 0 && openaiResults.length > 0) {
       console.log("💾 Updating database records with OpenAI file IDs...");
       let updatedCount = 0;
       
-      for (let i = 0; i < payload.s3Files.length; i++) {
-        const file = payload.s3Files[i];
-        const openaiResult = openaiResults[i];
-        
-        if (openaiResult?.openaiFileId) {
-          console.log(`🔗 Updating file record: ${file.originalFilename} -> ${openaiResult.openaiFileId}`);
-          await prisma.dealFile.updateMany({
-            where: {
-              dealId: payload.dealId,
-              originalName: file.originalFilename,
-              url: file.s3Url,
-            },
-            data: {
-              openaiFileId: openaiResult.openaiFileId,
-            },
-          });
-          updatedCount++;
-        } else {
+      // Rows are matched on the original S3 URL, not the converted PDF that was uploaded
+      const matches = matchUploadedFileIds(filesToUpload, openaiResults);
+      for (const match of matches) {
+        console.log(`🔗 Updating file record: ${match.originalFilename} -> ${match.openaiFileId}`);
+        await prisma.dealFile.updateMany({
+          where: {
+            dealId: payload.dealId,
+            originalName: match.originalFilename,
+            url: match.s3Url,
+          },
+          data: {
+            openaiFileId: match.openaiFileId,
+          },
+        });
+        updatedCount++;
+      }
+      for (const file of filesToUpload) {
+        if (!matches.some((match) => match.s3Url === file.s3Url)) {
           console.log(`⚠️ No OpenAI file ID for: ${file.originalFilename}`);
         }
       }
@@ -156,117 +279,262 @@ export const uploadOrchestratorTask = task({
       console.log("ℹ️ No file records to update, skipping database update step");
     }
 
+    // Analysis always runs against every file on the deal, not just this run's uploads
+    const dealFiles = await prisma.dealFile.findMany({
+      where: { dealId: payload.dealId },
+      select: { openaiFileId: true },
+    });
+    const openaiFileIds = dealFiles
+      .map((file) => file.openaiFileId)
+      .filter((fileId): fileId is string => Boolean(fileId));
+
+    console.log("📊 OpenAI file ID extraction complete:");
+    console.log("  📁 Total upload results:", openaiResults.length);
+    console.log("  ✅ Valid file IDs on deal:", openaiFileIds.length);
+    console.log("  🔗 File IDs:", openaiFileIds);
+    
+    logger.log("Prepared OpenAI file IDs for analysis", {
+      totalResults: openaiResults.length,
+      validFileIds: openaiFileIds.length,
+      fileIds: openaiFileIds
+    });
+
     metadata.set("status", { label: "Starting document analysis", progress: 50 });
 
     // Step 3: Analyze deal documents and competitors in parallel
     console.log("🔍 Step 3: Starting comprehensive document analysis...");
     console.log("📊 Analysis tasks to run:");
-    console.log("  📝 Deal analysis task");
-    console.log("  🏢 Competitor analysis tasks:", ALL_COMPETITOR_TYPES.length);
-    console.log("  🎯 Competitor types:", ALL_COMPETITOR_TYPES);
-    
-    console.log("🚀 Triggering parallel analysis tasks...");
-    const analysisResults = await batch.triggerByTaskAndWait([
-      {
-        task: analyzeDealTask,
-        payload: {
-          openaiFileIds,
-          freeText: payload.freeText,
-        },
-      },
-      ...ALL_COMPETITOR_TYPES.map((competitorType) => ({
-        task: analyzeCompetitorsTask,
-        payload: {
-          dealId: payload.dealId,
-          competitorType,
-        },
-      })),
-    ]);
+    console.log("  📝 Deal analysis task:", runDealStage);
+    console.log("  🏢 Competitor analysis tasks:", competitorTypes.length);
+    console.log("  🎯 Competitor types:", competitorTypes);
+
+    let dealAnalysis: any = null;
+    const competitorIds: string[] = [];
+    // Stages that failed without stopping the run; the deal is marked incomplete and keeps its previous values
+    const failedStages: string[] = [];
 
-    console.log("📥 Analysis tasks completed, processing results...");
-    const [dealAnalysisRun, ...competitorAnalysisRuns] = analysisResults.runs;
+    if (runDealStage || competitorTypes.length > 0) {
+      console.log("🚀 Triggering parallel analysis tasks...");
+      if (runDealStage) {
+        await updateAnalysisStage(analysisRunId, "deal", AnalysisStageStatus.RUNNING);
+      }
+      for (const competitorType of competitorTypes) {
+        await updateAnalysisStage(analysisRunId, competitorStageName(competitorType), AnalysisStageStatus.RUNNING);
+      }
+      const analysisResults = await batch.triggerByTaskAndWait([
+        ...(runDealStage
+          ? [{
+              task: analyzeDealTask,
+              payload: {
+                openaiFileIds,
+                freeText,
+              },
+            }]
+          : []),
+        ...competitorTypes.map((competitorType) => ({
+          task: analyzeCompetitorsTask,
+          payload: {
+            dealId: payload.dealId,
+            competitorType,
+          },
+        })),
+      ]);
 
-    console.log("🔍 Checking deal analysis results...");
-    if (!dealAnalysisRun.ok) {
-      console.error("❌ Deal analysis task failed");
-      logger.error("Deal analysis failed", { error: (dealAnalysisRun as any).error });
-      throw new Error(`Deal analysis failed: ${(dealAnalysisRun as any).error}`);
-    }
-    console.log("✅ Deal analysis completed successfully");
+      console.log("📥 Analysis tasks completed, processing results...");
+      const runs = [...analysisResults.runs];
+      const dealAnalysisRun = runDealStage ? runs.shift() : null;
+      const competitorAnalysisRuns = runs;
 
-    console.log("🏢 Processing competitor analysis results...");
-    const competitorIds: string[] = [];
-    let successfulCompetitorRuns = 0;
-    let failedCompetitorRuns = 0;
-    
-    for (const run of competitorAnalysisRuns) {
-      if (!run.ok) {
-        console.error("❌ Competitor analysis run failed:", (run as any).error);
-        logger.error("Competitor analysis failed", { error: (run as any).error });
-        failedCompetitorRuns++;
-        continue;
+      if (dealAnalysisRun) {
+        console.log("🔍 Checking deal analysis results...");
+        const failure = childRunFailure(dealAnalysisRun);
+        if (failure) {
+          console.error("❌ Deal analysis failed:", failure);
+          logger.error("Deal analysis failed", { error: failure });
+          await updateAnalysisStage(analysisRunId, "deal", AnalysisStageStatus.FAILED, {
+            triggerRunId: dealAnalysisRun.id,
+            error: failure,
+          });
+          failedStages.push("deal");
+        } else {
+          console.log("✅ Deal analysis completed successfully");
+          await updateAnalysisStage(analysisRunId, "deal", AnalysisStageStatus.COMPLETED, { triggerRunId: dealAnalysisRun.id });
+          dealAnalysis = (dealAnalysisRun as any).output.data;
+        }
+      }
+
+      console.log("🏢 Processing competitor analysis results...");
+      let successfulCompetitorRuns = 0;
+      let failedCompetitorRuns = 0;
+      // Competitors each finished type returned; types that failed keep their earlier results
+      const foundByType: Record<string, string[]> = {};
+      
+      // Batch results come back in the order the competitor types were triggered
+      for (const [index, run] of competitorAnalysisRuns.entries()) {
+        const stageName = competitorStageName(competitorTypes[index]);
+        const failure = childRunFailure(run);
+        if (failure) {
+          console.error("❌ Competitor analysis run failed:", failure);
+          logger.error("Competitor analysis failed", { competitorType: competitorTypes[index], error: failure });
+          await updateAnalysisStage(analysisRunId, stageName, AnalysisStageStatus.FAILED, {
+            triggerRunId: run.id,
+            error: failure,
+          });
+          failedStages.push(stageName);
+          failedCompetitorRuns++;
+          continue;
+        }
+        await updateAnalysisStage(analysisRunId, stageName, AnalysisStageStatus.COMPLETED, { triggerRunId: run.id });
+        const out = (run as any).output.data;
+        foundByType[competitorTypes[index]] = Array.isArray(out?.competitorIds) ? out.competitorIds : [];
+        if (out?.competitorIds && Array.isArray(out.competitorIds)) {
+          console.log(`✅ Found ${out.competitorIds.length} competitors from this analysis`);
+          competitorIds.push(...out.competitorIds);
+          successfulCompetitorRuns++;
+        } else {
+          console.log("ℹ️ No competitors found in this analysis run");
+          successfulCompetitorRuns++;
+        }
       }
-      const out = run.output as any;
-      if (out?.competitorIds && Array.isArray(out.competitorIds)) {
-        console.log(`✅ Found ${out.competitorIds.length} competitors from this analysis`);
-        competitorIds.push(...out.competitorIds);
-        successfulCompetitorRuns++;
-      } else {
-        console.log("ℹ️ No competitors found in this analysis run");
-        successfulCompetitorRuns++;
+      
+      console.log("📊 Competitor analysis summary:");
+      console.log("  ✅ Successful runs:", successfulCompetitorRuns);
+      console.log("  ❌ Failed runs:", failedCompetitorRuns);
+      console.log("  🏢 Total competitors found:", competitorIds.length);
+
+      // Cleaned up only after every type has finished, since the searches run in parallel and
+      // one may be matching a record another no longer returns
+      if (successfulCompetitorRuns > 0) {
+        try {
+          const removed = await removeStaleCompetitors(payload.dealId, foundByType);
+          if (removed > 0) console.log(`🧹 Removed ${removed} stale competitors from a previous run`);
+        } catch (error) {
+          // Stale records only linger until the next run, so the analysis goes on
+          console.error("⚠️ Failed to remove stale competitors:", error);
+          logger.error("Failed to remove stale competitors", { error: errorMessage(error) });
+        }
       }
+    } else {
+      console.log("ℹ️ No analysis tasks for this stage, skipping analysis step");
+    }
+
+    // Re-scoring evaluates every competitor already on the deal, except hidden ones
+    if (stage === "evaluation") {
+      const existingCompetitors = await prisma.competitor.findMany({
+        where: { dealId: payload.dealId, hidden: false },
+        select: { id: true },
+      });
+      competitorIds.push(...existingCompetitors.map((c) => c.id));
     }
-    
-    console.log("📊 Competitor analysis summary:");
-    console.log("  ✅ Successful runs:", successfulCompetitorRuns);
-    console.log("  ❌ Failed runs:", failedCompetitorRuns);
-    console.log("  🏢 Total competitors found:", competitorIds.length);
 
-    const dealAnalysis = dealAnalysisRun.output;
-    const competitorAnalysis = null; // Results are saved directly per-competitor; nothing to aggregate here
+    // Parallel competitor searches often find the same company; fold duplicates together so each
+    // company is evaluated once and keeps every search that found it
+    if (runEvaluationStage) {
+      try {
+        const mergedInto = await mergeDuplicateCompetitors(payload.dealId);
+        if (mergedInto.size > 0) {
+          console.log(`🔗 Merged ${mergedInto.size} duplicate competitors`);
+          logger.log("Merged duplicate competitors", { merged: Object.fromEntries(mergedInto) });
+        }
+        const uniqueIds = new Set(competitorIds.map((id) => mergedInto.get(id) || id));
+        competitorIds.splice(0, competitorIds.length, ...uniqueIds);
+      } catch (error) {
+        // Duplicates are only wasteful, so evaluation still goes ahead
+        console.error("⚠️ Failed to merge duplicate competitors:", error);
+        logger.error("Failed to merge duplicate competitors", { error: errorMessage(error) });
+        competitorIds.splice(0, competitorIds.length, ...new Set(competitorIds));
+      }
+    }
 
     // Step 4: Evaluate all created competitors in parallel
     console.log("⚖️ Step 4: Starting competitor evaluations...");
     if (competitorIds.length > 0) {
       console.log(`🚀 Triggering ${competitorIds.length} competitor evaluation tasks`);
       console.log("🏢 Competitor IDs to evaluate:", competitorIds);
+      metadata.set("status", { label: "Evaluating competitors", progress: 65 });
       
       logger.log("Triggering competitor evaluations", { count: competitorIds.length });
-      await batch.triggerByTaskAndWait(
+      await updateAnalysisStage(analysisRunId, "evaluation", AnalysisStageStatus.RUNNING);
+      const evaluationResults = await batch.triggerByTaskAndWait(
         competitorIds.map((competitorId) => ({
           task: evaluateCompetitorTask,
           payload: { competitorId },
         }))
       );
+      const failedEvaluations = evaluationResults.runs.filter((run) => childRunFailure(run)).length;
+      await updateAnalysisStage(
+        analysisRunId,
+        "evaluation",
+        failedEvaluations > 0 ? AnalysisStageStatus.FAILED : AnalysisStageStatus.COMPLETED,
+        failedEvaluations > 0
+          ? { error: `${failedEvaluations} of ${competitorIds.length} competitor evaluations failed` }
+          : {}
+      );
       console.log("✅ All competitor evaluations completed");
+      if (failedEvaluations > 0) {
+        console.log("  ❌ Failed evaluations:", failedEvaluations);
+        failedStages.push("evaluation");
+      }
     } else {
       console.log("ℹ️ No competitors found to evaluate, skipping evaluation step");
     }
 
-    metadata.set("status", { label: "Updating deal with extracted information", progress: 80 });
-
     // Step 5: Update existing deal record with extracted data
-    console.log("💾 Step 5: Updating deal record with extracted information...");
-    console.log("📊 Deal analysis results to save:");
-    console.log("  🏢 Company name:", dealAnalysis.deal_name);
-    console.log("  📝 Description length:", dealAnalysis.deal_description?.length || 0, "characters");
-    console.log("  👥 Founding team members:", dealAnalysis.deal_founding_team?.length || 0);
-    
-    const deal = await prisma.deal.update({
-      where: { id: payload.dealId },
-      data: {
-        companyName: dealAnalysis.deal_name,
-        description: dealAnalysis.deal_description,
-        foundingTeam: dealAnalysis.deal_founding_team,
-      },
-    });
+    if (dealAnalysis) {
+      metadata.set("status", { label: "Updating deal with extracted information", progress: 80 });
 
-    console.log("✅ Deal record updated successfully!");
-    console.log("🎯 Updated deal ID:", deal.id);
-    
-    logger.log("Deal updated with extracted information", { dealId: deal.id });
+      console.log("💾 Step 5: Updating deal record with extracted information...");
+      console.log("📊 Deal analysis results to save:");
+      console.log("  🏢 Company name:", dealAnalysis.deal_name);
+      console.log("  📝 Description length:", dealAnalysis.deal_description?.length || 0, "characters");
+      console.log("  👥 Founding team members:", dealAnalysis.deal_founding_team?.length || 0);
 
-    metadata.set("status", { label: "Upload orchestration completed", progress: 100 });
+      // Re-read edited fields; an analyst may have corrected something while this run was going
+      const latestDeal = await prisma.deal.findUnique({
+        where: { id: payload.dealId },
+        select: { editedFields: true },
+      });
+      if (latestDeal?.editedFields?.length) {
+        console.log("✋ Keeping manually edited fields:", latestDeal.editedFields);
+      }
+
+      const deal = await prisma.deal.update({
+        where: { id: payload.dealId },
+        data: withoutEditedFields(
+          {
+            companyName: dealAnalysis.deal_name,
+            description: dealAnalysis.deal_description,
+            foundingTeam: dealAnalysis.deal_founding_team,
+          },
+          latestDeal?.editedFields
+        ),
+      });
+
+      console.log("✅ Deal record updated successfully!");
+      console.log("🎯 Updated deal ID:", deal.id);
+
+      try {
+        const linkedFounders = await linkFoundersToPeople(deal.id);
+        console.log("🔗 Founders linked to known people:", linkedFounders);
+      } catch (error) {
+        // The extracted deal is saved; founders can still be linked by hand
+        console.error("⚠️ Failed to link founders to known people:", error);
+        logger.error("Failed to link founders to known people", { dealId: deal.id, error: errorMessage(error) });
+      }
+      
+      logger.log("Deal updated with extracted information", { dealId: deal.id });
+    } else {
+      console.log("ℹ️ Deal extraction not part of this run, keeping existing deal fields");
+    }
+
+    if (failedStages.length > 0) {
+      console.log("⚠️ Analysis incomplete, failed stages:", failedStages);
+      logger.warn("Analysis completed with failed stages", { failedStages });
+      metadata.set("status", { label: "Analysis incomplete", progress: 100, failedStages });
+    } else {
+      metadata.set("status", { label: "Upload orchestration completed", progress: 100 });
+    }
+    await finishAnalysisRun(ctx.run.id, AnalysisRunStatus.COMPLETED);
 
     // Return the updated deal with files
     console.log("📋 Fetching final deal data with files...");
@@ -282,8 +550,13 @@ export const uploadOrchestratorTask = task({
     console.log("  🏢 Competitors found:", competitorIds.length);
 
     return {
-      success: true,
+      success: failedStages.length === 0,
+      failedStages,
       deal: dealWithFiles,
     };
   },
+  // Runs once retries are exhausted; whatever was in flight is recorded as failed
+  onFailure: async ({ ctx, error }) => {
+    await finishAnalysisRun(ctx.run.id, AnalysisRunStatus.FAILED, errorMessage(error));
+  },
 });
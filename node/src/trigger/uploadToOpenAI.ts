@@ -1,10 +1,5 @@
 import { logger, task, metadata } from "@trigger.dev/sdk/v3";
-import OpenAI from 'openai';
-
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { getLlmProvider } from "./llm";
 
 export type UploadToOpenAIPayload = {
   s3Files: Array<{
@@ -81,12 +76,12 @@ export const uploadToOpenAITask = task({
         }
         console.log("✅ File downloaded from S3 successfully");
 
-        console.log("📤 Uploading file to OpenAI...");
-        const openaiFile = await openai.files.create({
-          file: response,
-          purpose: 'assistants',
+        console.log("📤 Uploading file to the LLM provider...");
+        const openaiFile = await getLlmProvider().uploadFile({
+          body: response,
+          filename: file.originalFilename,
         });
-        console.log("✅ File uploaded to OpenAI successfully!");
+        console.log("✅ File uploaded successfully!");
         console.log("🆔 OpenAI file ID:", openaiFile.id);
 
         results.push({
@@ -0,0 +1,166 @@
+import { prisma } from "../../lib/prisma";
+
+export enum AnalysisRunStatus {
+  QUEUED = "queued",
+  RUNNING = "running",
+  COMPLETED = "completed",
+  FAILED = "failed"
+}
+
+export enum AnalysisStageStatus {
+  PENDING = "pending",
+  RUNNING = "running",
+  COMPLETED = "completed",
+  FAILED = "failed",
+  SKIPPED = "skipped"
+}
+
+export enum DealAnalysisStatus {
+  PENDING = "pending",
+  COMPLETE = "complete",
+  INCOMPLETE = "incomplete"
+}
+
+// Entry of Deal.analysisFailures
+export type AnalysisFailure = {
+  stage: string;
+  error: string;
+  failedAt: string;
+};
+
+const FINISHED_STAGE_STATUSES = [
+  AnalysisStageStatus.COMPLETED,
+  AnalysisStageStatus.FAILED,
+  AnalysisStageStatus.SKIPPED,
+];
+
+export function competitorStageName(competitorType: string): string {
+  return `competitors:${competitorType}`;
+}
+
+// Upserts on the orchestrator's Trigger.dev run id: the API may already have recorded the run
+// as queued, and a retried attempt starts over with a fresh set of stages
+export async function startAnalysisRun(params: {
+  triggerRunId: string;
+  attempt: number;
+  dealId: string;
+  userId: string;
+  stage: string;
+  competitorType?: string;
+  plannedStages: string[];
+}): Promise<string> {
+  const now = new Date();
+  const run = await prisma.analysisRun.upsert({
+    where: { triggerRunId: params.triggerRunId },
+    create: {
+      triggerRunId: params.triggerRunId,
+      dealId: params.dealId,
+      triggeredById: params.userId,
+      stage: params.stage,
+      competitorType: params.competitorType ?? null,
+      status: AnalysisRunStatus.RUNNING,
+      attempt: params.attempt,
+      startedAt: now,
+    },
+    update: {
+      status: AnalysisRunStatus.RUNNING,
+      attempt: params.attempt,
+      startedAt: now,
+      finishedAt: null,
+      error: null,
+    },
+  });
+
+  await prisma.analysisRunStage.deleteMany({ where: { runId: run.id } });
+  await prisma.analysisRunStage.createMany({
+    data: params.plannedStages.map((name, position) => ({ runId: run.id, name, position })),
+  });
+
+  return run.id;
+}
+
+export async function updateAnalysisStage(
+  runId: string,
+  name: string,
+  status: AnalysisStageStatus,
+  details: { triggerRunId?: string; error?: string } = {}
+): Promise<void> {
+  const now = new Date();
+  await prisma.analysisRunStage.updateMany({
+    where: { runId, name },
+    data: {
+      status,
+      ...(status === AnalysisStageStatus.RUNNING && { startedAt: now }),
+      ...(FINISHED_STAGE_STATUSES.includes(status) && { finishedAt: now }),
+      ...(details.triggerRunId && { triggerRunId: details.triggerRunId }),
+      ...(details.error && { error: details.error }),
+    },
+  });
+}
+
+// Stages that never started are marked skipped; a failed run also fails whatever was in flight
+export async function finishAnalysisRun(
+  triggerRunId: string,
+  status: AnalysisRunStatus.COMPLETED | AnalysisRunStatus.FAILED,
+  error?: string
+): Promise<void> {
+  const run = await prisma.analysisRun.findUnique({ where: { triggerRunId } });
+  if (!run) return;
+
+  const now = new Date();
+  await prisma.$transaction([
+    prisma.analysisRunStage.updateMany({
+      where: { runId: run.id, status: AnalysisStageStatus.PENDING },
+      data: { status: AnalysisStageStatus.SKIPPED, finishedAt: now },
+    }),
+    prisma.analysisRunStage.updateMany({
+      where: { runId: run.id, status: AnalysisStageStatus.RUNNING },
+      data: {
+        status: status === AnalysisRunStatus.FAILED ? AnalysisStageStatus.FAILED : AnalysisStageStatus.COMPLETED,
+        finishedAt: now,
+      },
+    }),
+    prisma.analysisRun.update({
+      where: { id: run.id },
+      data: { status, finishedAt: now, error: error ?? null },
+    }),
+  ]);
+
+  await recordDealAnalysisOutcome(run.id, run.dealId);
+}
+
+// A stage that finished in this run replaces whatever an earlier run recorded for it,
+// so a targeted retry clears only its own failure; skipped stages keep their old state
+async function recordDealAnalysisOutcome(runId: string, dealId: string): Promise<void> {
+  const [deal, stages] = await Promise.all([
+    prisma.deal.findUnique({ where: { id: dealId }, select: { analysisFailures: true } }),
+    prisma.analysisRunStage.findMany({
+      where: {
+        runId,
+        status: { in: [AnalysisStageStatus.COMPLETED, AnalysisStageStatus.FAILED] },
+      },
+    }),
+  ]);
+  if (!deal) return;
+
+  const finishedNames = stages.map((stage) => stage.name);
+  const previousFailures = (deal.analysisFailures as AnalysisFailure[] | null) ?? [];
+  const failures: AnalysisFailure[] = [
+    ...previousFailures.filter((failure) => !finishedNames.includes(failure.stage)),
+    ...stages
+      .filter((stage) => stage.status === AnalysisStageStatus.FAILED)
+      .map((stage) => ({
+        stage: stage.name,
+        error: stage.error || "Unknown error",
+        failedAt: (stage.finishedAt ?? new Date()).toISOString(),
+      })),
+  ];
+
+  await prisma.deal.update({
+    where: { id: dealId },
+    data: {
+      analysisStatus: failures.length > 0 ? DealAnalysisStatus.INCOMPLETE : DealAnalysisStatus.COMPLETE,
+      analysisFailures: failures,
+    },
+  });
+}
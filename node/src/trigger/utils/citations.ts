@@ -0,0 +1,56 @@
+import { Citation } from "../llm/types";
+
+export type CompetitorSourceStage = "discovery" | "evaluation";
+
+// Entry of Competitor.sources
+export type CompetitorSource = {
+  url: string;
+  title: string | null;
+  stage: CompetitorSourceStage;
+};
+
+// Web search appends tracking parameters to cited links; they are dropped so the same page is stored once
+export function cleanCitationUrl(url: string): string {
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.delete("utm_source");
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+export function sourcesFromCitations(citations: Citation[], stage: CompetitorSourceStage): CompetitorSource[] {
+  const sources = new Map<string, CompetitorSource>();
+  for (const citation of citations) {
+    const url = cleanCitationUrl(citation.url);
+    if (!sources.has(url)) sources.set(url, { url, title: citation.title, stage });
+  }
+  return [...sources.values()];
+}
+
+// Splits citations of a structured list between its items. Each item of the output array starts with
+// the given key, so the cited span's position tells which item it supports. Citations before the first
+// item cannot be attributed and are dropped.
+export function citationsPerItem(outputText: string, citations: Citation[], firstKey: string, itemCount: number): Citation[][] {
+  const pattern = new RegExp(`(?<!\\\\)"${firstKey}"\\s*:`, "g");
+  const starts = [...outputText.matchAll(pattern)].map((match) => match.index ?? 0).slice(0, itemCount);
+  const items: Citation[][] = Array.from({ length: itemCount }, () => []);
+
+  for (const citation of citations) {
+    let item = -1;
+    while (item + 1 < starts.length && starts[item + 1] <= citation.startIndex) item++;
+    if (item >= 0) items[item].push(citation);
+  }
+  return items;
+}
+
+// Discovery sources accumulate, since several competitor type searches may find the same company.
+// Evaluation sources belong to the latest justification and replace the previous ones.
+export function mergeCompetitorSources(existing: unknown, incoming: CompetitorSource[], stage: CompetitorSourceStage): CompetitorSource[] {
+  const kept = (Array.isArray(existing) ? (existing as CompetitorSource[]) : []).filter(
+    (source) => stage === "discovery" || source.stage !== stage
+  );
+  const urls = new Set(kept.filter((source) => source.stage === stage).map((source) => source.url));
+  return [...kept, ...incoming.filter((source) => !urls.has(source.url))];
+}
@@ -0,0 +1,98 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "../../lib/prisma";
+import { normalizeCompetitorName, websiteDomain } from "./competitors";
+import { withoutEditedFields } from "./manualEdits";
+
+type CompanyProfile = {
+  name: string;
+  website?: string | null;
+  description?: string | null;
+};
+
+export type CompanyFacts = {
+  fundingStage?: string | null;
+  totalFunding?: string | null;
+};
+
+// Identity keys stored on Company so lookups stay in SQL
+export function companyKeys(profile: Pick<CompanyProfile, "name" | "website">) {
+  return {
+    normalizedName: normalizeCompetitorName(profile.name),
+    domain: websiteDomain(profile.website),
+  };
+}
+
+// A website domain is decisive. Without one on either side, the normalized name decides, so two
+// companies with the same name but different websites stay apart.
+async function findCompany(db: Prisma.TransactionClient, profile: CompanyProfile) {
+  const { normalizedName, domain } = companyKeys(profile);
+  if (domain) {
+    const byDomain = await db.company.findUnique({ where: { domain } });
+    if (byDomain) return byDomain;
+  }
+  if (!normalizedName) return null;
+  return db.company.findFirst({
+    where: { normalizedName, ...(domain && { domain: null }) },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+// Returns the canonical company for a competitor found during analysis, creating it on first sight.
+// An existing profile is only completed, never rewritten, so one deal's wording does not replace another's.
+export async function findOrCreateCompany(profile: CompanyProfile) {
+  const { normalizedName, domain } = companyKeys(profile);
+  if (!normalizedName && !domain) return null;
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // Competitor searches run in parallel and companies without a website have no unique key, so
+      // lookups for the same name take turns; the second one finds the row the first one created
+      if (normalizedName) {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${normalizedName}))`;
+      }
+
+      const existing = await findCompany(tx, profile);
+      if (existing) {
+        const missing = withoutEditedFields(
+          {
+            ...(!existing.domain && domain && { domain, website: profile.website }),
+            ...(!existing.description && profile.description && { description: profile.description }),
+          },
+          existing.editedFields
+        );
+        if (Object.keys(missing).length === 0) return existing;
+        return tx.company.update({ where: { id: existing.id }, data: missing });
+      }
+
+      return tx.company.create({
+        data: {
+          name: profile.name,
+          normalizedName,
+          domain,
+          website: profile.website,
+          description: profile.description,
+        },
+      });
+    });
+  } catch (error) {
+    // A company under another name may have just claimed the same domain
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002" && domain) {
+      return prisma.company.findUniqueOrThrow({ where: { domain } });
+    }
+    throw error;
+  }
+}
+
+// Funding and similar facts come from the latest research and overwrite older values,
+// except where an analyst has corrected them
+export async function updateCompanyFacts(companyId: string, facts: CompanyFacts) {
+  const company = await prisma.company.findUnique({ where: { id: companyId } });
+  if (!company) return null;
+
+  const data = withoutEditedFields(
+    Object.fromEntries(Object.entries(facts).filter(([, value]) => value)) as CompanyFacts,
+    company.editedFields
+  );
+  if (Object.keys(data).length === 0) return company;
+  return prisma.company.update({ where: { id: companyId }, data });
+}
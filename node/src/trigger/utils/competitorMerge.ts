@@ -0,0 +1,259 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "../../lib/prisma";
+import { isSameCompetitor } from "./competitors";
+
+// Fields a merged record takes from its duplicates when it has no value of its own
+export const MERGEABLE_FIELDS = [
+  "name",
+  "description",
+  "website",
+  "relevance",
+  "score",
+  "competitorCategory",
+  "shortJustification",
+  "detailedJustification",
+  "companyId",
+  "scoreOverride",
+  "categoryOverride",
+  "overrideNote",
+] as const;
+type MergeableField = (typeof MERGEABLE_FIELDS)[number];
+
+export type MergeCandidate = {
+  id: string;
+  name: string;
+  website?: string | null;
+  competitorSource?: string | null;
+  competitorSources?: string[] | null;
+  editedFields?: string[] | null;
+  mergeLocked?: boolean | null;
+  mergedFrom?: unknown;
+  createdAt?: Date | string | null;
+} & Partial<Record<MergeableField, string | null>>;
+
+// Entry of Competitor.mergedFrom: the duplicate as it was, plus what it contributed to the kept record
+export type MergedCompetitorSnapshot = {
+  competitor: Omit<MergeCandidate, "mergedFrom" | "mergeLocked">;
+  addedSources: string[];
+  filledFields: string[];
+  mergedAt: string;
+};
+
+export function competitorSourcesOf(competitor: Pick<MergeCandidate, "competitorSource" | "competitorSources">): string[] {
+  if (competitor.competitorSources && competitor.competitorSources.length > 0) return competitor.competitorSources;
+  return competitor.competitorSource ? [competitor.competitorSource] : [];
+}
+
+// Groups competitors that describe the same company. Matching is transitive, so a record that shares
+// a domain with one duplicate and a name with another pulls all three together.
+// Records split by hand are never grouped automatically.
+export function groupDuplicateCompetitors<T extends MergeCandidate>(competitors: T[]): T[][] {
+  const candidates = competitors.filter((c) => !c.mergeLocked);
+  const parent = candidates.map((_, index) => index);
+  const root = (index: number): number => {
+    while (parent[index] !== index) index = parent[index] = parent[parent[index]];
+    return index;
+  };
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      if (isSameCompetitor(candidates[i], candidates[j])) parent[root(j)] = root(i);
+    }
+  }
+
+  const groups = new Map<number, T[]>();
+  candidates.forEach((candidate, index) => {
+    const key = root(index);
+    groups.set(key, [...(groups.get(key) || []), candidate]);
+  });
+  return [...groups.values()].filter((group) => group.length > 1);
+}
+
+// Hand-edited records win, then ones that were already evaluated, then the oldest
+export function pickPrimaryCompetitor<T extends MergeCandidate>(group: T[]): T {
+  const rank = (c: T) => [c.editedFields?.length ? 0 : 1, c.score ? 0 : 1, new Date(c.createdAt || 0).getTime()];
+  return [...group].sort((a, b) => {
+    const [ra, rb] = [rank(a), rank(b)];
+    return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2];
+  })[0];
+}
+
+// Works out the kept record's values. For each field a hand edit wins over AI output, and the
+// primary's own value wins over a duplicate's. Returns what each duplicate contributed so a split can undo it.
+export function mergeCompetitorFields(primary: MergeCandidate, duplicates: MergeCandidate[]) {
+  const data: Partial<Record<MergeableField, string | null>> = {};
+  const filledFields: Record<string, string[]> = Object.fromEntries(duplicates.map((d) => [d.id, []]));
+  const editedFields = new Set(primary.editedFields || []);
+
+  for (const field of MERGEABLE_FIELDS) {
+    if (editedFields.has(field)) continue;
+    const source =
+      duplicates.find((d) => d.editedFields?.includes(field) && d[field]) ||
+      (primary[field] ? null : duplicates.find((d) => d[field]));
+    if (!source) continue;
+    data[field] = source[field];
+    filledFields[source.id].push(field);
+    if (source.editedFields?.includes(field)) editedFields.add(field);
+  }
+
+  const sources = [...competitorSourcesOf(primary)];
+  const addedSources: Record<string, string[]> = {};
+  for (const duplicate of duplicates) {
+    addedSources[duplicate.id] = competitorSourcesOf(duplicate).filter((source) => !sources.includes(source));
+    sources.push(...addedSources[duplicate.id]);
+  }
+
+  return {
+    data: { ...data, competitorSources: sources, editedFields: [...editedFields] },
+    filledFields,
+    addedSources,
+  };
+}
+
+function snapshotsOf(mergedFrom: unknown): MergedCompetitorSnapshot[] {
+  return Array.isArray(mergedFrom) ? (mergedFrom as MergedCompetitorSnapshot[]) : [];
+}
+
+// Folds the duplicates into the primary record and deletes them
+export async function mergeCompetitors(primaryId: string, duplicateIds: string[], options: { manual?: boolean } = {}) {
+  const ids = [primaryId, ...duplicateIds.filter((id) => id !== primaryId)];
+  const records = await prisma.competitor.findMany({ where: { id: { in: ids } } });
+  const primary = records.find((c) => c.id === primaryId);
+  if (!primary) throw new Error(`Competitor not found: ${primaryId}`);
+  const duplicates = records.filter((c) => c.id !== primaryId);
+  if (duplicates.some((c) => c.dealId !== primary.dealId)) {
+    throw new Error("Only competitors of the same deal can be merged");
+  }
+  if (duplicates.length === 0) return primary;
+
+  const { data, filledFields, addedSources } = mergeCompetitorFields(primary, duplicates);
+  const mergedAt = new Date().toISOString();
+  const snapshots: MergedCompetitorSnapshot[] = [
+    ...snapshotsOf(primary.mergedFrom),
+    ...duplicates.flatMap((duplicate) => {
+      const { mergedFrom, mergeLocked, dealId, updatedAt, ...competitor } = duplicate;
+      // Records merged earlier travel along, so a split restores every original record
+      return [
+        ...snapshotsOf(mergedFrom),
+        { competitor, addedSources: addedSources[duplicate.id], filledFields: filledFields[duplicate.id], mergedAt },
+      ];
+    }),
+  ];
+
+  const [merged] = await prisma.$transaction([
+    prisma.competitor.update({
+      where: { id: primary.id },
+      data: {
+        ...data,
+        mergedFrom: snapshots as unknown as Prisma.InputJsonValue,
+        // An explicit merge also lifts an earlier manual split
+        ...(options.manual && { mergeLocked: false }),
+      },
+    }),
+    prisma.competitor.deleteMany({ where: { id: { in: duplicates.map((c) => c.id) } } }),
+  ]);
+  return merged;
+}
+
+// Merges every group of duplicates on the deal. Returns a map from each removed id to the id it was
+// merged into, so callers holding competitor ids can follow them.
+export async function mergeDuplicateCompetitors(dealId: string): Promise<Map<string, string>> {
+  const competitors = await prisma.competitor.findMany({ where: { dealId }, orderBy: { createdAt: "asc" } });
+  const mergedInto = new Map<string, string>();
+
+  for (const group of groupDuplicateCompetitors(competitors)) {
+    const primary = pickPrimaryCompetitor(group);
+    const duplicateIds = group.filter((c) => c.id !== primary.id).map((c) => c.id);
+    await mergeCompetitors(primary.id, duplicateIds);
+    duplicateIds.forEach((id) => mergedInto.set(id, primary.id));
+  }
+
+  return mergedInto;
+}
+
+// Restores every record folded into this one. All resulting records are locked against automatic
+// merging, since an analyst has decided they are different companies.
+export async function splitCompetitor(competitorId: string) {
+  const competitor = await prisma.competitor.findUnique({ where: { id: competitorId } });
+  if (!competitor) throw new Error(`Competitor not found: ${competitorId}`);
+  const snapshots = snapshotsOf(competitor.mergedFrom);
+  if (snapshots.length === 0) return [competitor];
+
+  const removedSources = new Set(snapshots.flatMap((s) => s.addedSources));
+  const editedFields = new Set(competitor.editedFields);
+  const resetFields = Object.fromEntries(
+    snapshots
+      .flatMap((s) => s.filledFields)
+      .filter((field) => field !== "name" && !editedFields.has(field))
+      .map((field) => [field, null])
+  );
+
+  return prisma.$transaction([
+    prisma.competitor.update({
+      where: { id: competitor.id },
+      data: {
+        ...resetFields,
+        competitorSources: competitor.competitorSources.filter((source) => !removedSources.has(source)),
+        mergedFrom: Prisma.DbNull,
+        mergeLocked: true,
+      },
+    }),
+    ...snapshots.map(({ competitor: snapshot }) => {
+      const { id, ...fields } = snapshot;
+      return prisma.competitor.create({
+        data: {
+          ...(fields as Omit<Prisma.CompetitorUncheckedCreateInput, "dealId">),
+          dealId: competitor.dealId,
+          mergeLocked: true,
+        },
+      });
+    }),
+  ]);
+}
+
+type StaleCandidate = Pick<MergeCandidate, "id" | "competitorSource" | "competitorSources"> & {
+  editedFields: string[];
+  hidden: boolean;
+  scoreOverride: string | null;
+  categoryOverride: string | null;
+};
+
+// Works out what happens to results of earlier runs that a competitor type no longer returns: they
+// lose that type's tag, and records left without any tag are removed unless an analyst has edited,
+// overridden or hidden them. foundByType holds the ids each finished type returned.
+export function staleCompetitorChanges(competitors: StaleCandidate[], foundByType: Record<string, string[]>) {
+  const deleteIds: string[] = [];
+  const updates: Array<{ id: string; competitorSources: string[]; competitorSource?: string }> = [];
+
+  for (const c of competitors) {
+    const sources = competitorSourcesOf(c);
+    const remainingSources = sources.filter((source) => !foundByType[source] || foundByType[source].includes(c.id));
+    if (remainingSources.length === sources.length) continue;
+
+    const keptByAnalyst = c.editedFields.length > 0 || c.hidden || c.scoreOverride || c.categoryOverride;
+    if (remainingSources.length === 0) {
+      if (!keptByAnalyst) deleteIds.push(c.id);
+      continue;
+    }
+    updates.push({
+      id: c.id,
+      competitorSources: remainingSources,
+      ...(c.competitorSource && !remainingSources.includes(c.competitorSource) && { competitorSource: remainingSources[0] }),
+    });
+  }
+
+  return { deleteIds, updates };
+}
+
+// Runs once every competitor type of an analysis has finished, so no search is still matching
+// against the rows it changes. Returns how many stale records were removed.
+export async function removeStaleCompetitors(dealId: string, foundByType: Record<string, string[]>): Promise<number> {
+  const competitors = await prisma.competitor.findMany({ where: { dealId } });
+  const { deleteIds, updates } = staleCompetitorChanges(competitors, foundByType);
+
+  await prisma.$transaction([
+    ...updates.map(({ id, ...data }) => prisma.competitor.update({ where: { id }, data })),
+    prisma.competitor.deleteMany({ where: { id: { in: deleteIds } } }),
+  ]);
+  return deleteIds.length;
+}
@@ -0,0 +1,15 @@
+import { prisma } from "../../lib/prisma";
+
+export function listCompetitorTypes(options: { includeInactive?: boolean } = {}) {
+  return prisma.competitorTypeConfig.findMany({
+    where: options.includeInactive ? {} : { active: true },
+    orderBy: [{ sortOrder: "asc" }, { createdAt: "asc" }],
+  });
+}
+
+// Slugs of the competitor searches a deal runs: the types chosen at upload that are still active,
+// or every active type when the deal predates the choice
+export async function selectedCompetitorTypes(selection: string[]): Promise<string[]> {
+  const active = (await listCompetitorTypes()).map((type) => type.slug);
+  return selection.length > 0 ? active.filter((slug) => selection.includes(slug)) : active;
+}
@@ -0,0 +1,35 @@
+// Legal suffixes that should not make two names look like different companies
+const COMPANY_SUFFIX = /[\s,]+(inc|incorporated|llc|ltd|limited|corp|corporation|co|gmbh|s\.?r\.?o|a\.?s|sa|ag|plc|bv|oy|ab)\.?$/;
+
+export function normalizeCompetitorName(name?: string | null): string {
+  if (!name) return "";
+  return name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .replace(COMPANY_SUFFIX, "")
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+export function websiteDomain(website?: string | null): string | null {
+  if (!website) return null;
+  try {
+    const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+    const host = url.hostname.toLowerCase().replace(/^www\./, "");
+    return host || null;
+  } catch {
+    return null;
+  }
+}
+
+type CompetitorIdentity = { name?: string | null; website?: string | null };
+
+export function isSameCompetitor(a: CompetitorIdentity, b: CompetitorIdentity): boolean {
+  const domainA = websiteDomain(a.website);
+  const domainB = websiteDomain(b.website);
+  if (domainA && domainB && domainA === domainB) return true;
+
+  const nameA = normalizeCompetitorName(a.name);
+  return nameA.length > 0 && nameA === normalizeCompetitorName(b.name);
+}
@@ -0,0 +1,139 @@
+import PDFDocument from "pdfkit";
+import mammoth from "mammoth";
+import ExcelJS from "exceljs";
+import JSZip from "jszip";
+import { FileFormat } from "../config/fileFormats";
+import { pdfFonts } from "../../lib/pdfFonts";
+
+// The analysis tasks attach files as OpenAI `input_file`, which reads PDFs,
+// so every other format is turned into a PDF before it is uploaded.
+
+type Section = { heading?: string; text: string };
+
+function decodeXmlEntities(text: string): string {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, "&");
+}
+
+// Text runs of a DrawingML part, one line per paragraph
+function extractDrawingText(xml: string): string {
+  return xml
+    .split("</a:p>")
+    .map((paragraph) =>
+      Array.from(paragraph.matchAll(/<a:t>([\s\S]*?)<\/a:t>/g))
+        .map((match) => decodeXmlEntities(match[1]))
+        .join("")
+    )
+    .filter((line) => line.trim().length > 0)
+    .join("\n");
+}
+
+async function extractDocx(buffer: Buffer): Promise<Section[]> {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return [{ text: value }];
+}
+
+async function extractPptx(buffer: Buffer): Promise<Section[]> {
+  const zip = await JSZip.loadAsync(buffer);
+  const slideNumber = (path: string) => parseInt(path.match(/(\d+)\.xml$/)?.[1] || "0", 10);
+  const slidePaths = Object.keys(zip.files)
+    .filter((path) => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+
+  const sections: Section[] = [];
+  for (const slidePath of slidePaths) {
+    const slideXml = await zip.file(slidePath)!.async("string");
+    let text = extractDrawingText(slideXml);
+
+    // Speaker notes are linked from the slide's relationships file
+    const relsXml = await zip.file(slidePath.replace("slides/", "slides/_rels/") + ".rels")?.async("string");
+    const notesTarget = relsXml?.match(/Target="\.\.\/notesSlides\/(notesSlide\d+\.xml)"/)?.[1];
+    if (notesTarget) {
+      const notesXml = await zip.file(`ppt/notesSlides/${notesTarget}`)?.async("string");
+      const notes = notesXml ? extractDrawingText(notesXml) : "";
+      if (notes) text += `\n\nSpeaker notes:\n${notes}`;
+    }
+
+    sections.push({ heading: `Slide ${slideNumber(slidePath)}`, text });
+  }
+  return sections;
+}
+
+async function extractXlsx(buffer: Buffer): Promise<Section[]> {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer as any);
+
+  const sections: Section[] = [];
+  workbook.eachSheet((worksheet) => {
+    const rows: string[] = [];
+    worksheet.eachRow((row) => {
+      const cells: string[] = [];
+      row.eachCell({ includeEmpty: true }, (cell) => {
+        cells.push(cell.text ?? "");
+      });
+      rows.push(cells.join(" | "));
+    });
+    sections.push({ heading: `Sheet: ${worksheet.name}`, text: rows.join("\n") });
+  });
+  return sections;
+}
+
+function createPdf(render: (doc: PDFKit.PDFDocument) => void): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50 });
+    const chunks: Buffer[] = [];
+    doc.on("data", (chunk: Buffer) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font(pdfFonts().regular);
+
+    render(doc);
+    doc.end();
+  });
+}
+
+export function sectionsToPdf(title: string, sections: Section[]): Promise<Buffer> {
+  return createPdf((doc) => {
+    doc.fontSize(16).text(title);
+    doc.moveDown();
+    for (const section of sections) {
+      if (section.heading) {
+        doc.fontSize(13).text(section.heading);
+        doc.moveDown(0.5);
+      }
+      doc.fontSize(10).text(section.text || "(empty)");
+      doc.moveDown();
+    }
+  });
+}
+
+function imageToPdf(title: string, buffer: Buffer): Promise<Buffer> {
+  return createPdf((doc) => {
+    doc.fontSize(12).text(title);
+    doc.moveDown();
+    doc.image(buffer, { fit: [doc.page.width - 100, doc.page.height - 150], align: "center" });
+  });
+}
+
+export async function convertToPdf(format: FileFormat, filename: string, buffer: Buffer): Promise<Buffer> {
+  switch (format) {
+    case FileFormat.DOCX:
+      return sectionsToPdf(filename, await extractDocx(buffer));
+    case FileFormat.PPTX:
+      return sectionsToPdf(filename, await extractPptx(buffer));
+    case FileFormat.XLSX:
+      return sectionsToPdf(filename, await extractXlsx(buffer));
+    case FileFormat.TEXT:
+      return sectionsToPdf(filename, [{ text: buffer.toString("utf-8") }]);
+    case FileFormat.IMAGE:
+      return imageToPdf(filename, buffer);
+    default:
+      throw new Error(`No converter for format: ${format}`);
+  }
+}
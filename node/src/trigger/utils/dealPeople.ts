@@ -0,0 +1,66 @@
+import { prisma } from "../../lib/prisma";
+import { normalizeCompetitorName } from "./competitors";
+
+// DealPerson.source of founders linked by deal analysis; every other link is manual
+export const DEAL_PERSON_ANALYSIS_SOURCE = "analysis";
+
+type PersonCandidate = { id: string; companyName: string | null };
+
+// Named members of the extracted founding team; the model answers "Unknown" when it found no name
+export function founderNames(foundingTeam: unknown): string[] {
+  if (!Array.isArray(foundingTeam)) return [];
+  const names = foundingTeam
+    .map((member) => (typeof member?.name === "string" ? member.name.trim() : ""))
+    .filter((name) => name && name.toLowerCase() !== "unknown");
+  return [...new Set(names)];
+}
+
+// People sharing the founder's full name are narrowed to those at the deal's company.
+// A name that still fits several people is left unlinked rather than guessed.
+export function pickFounderMatch<T extends PersonCandidate>(people: T[], dealCompanyName: string | null): T | null {
+  if (people.length === 1) return people[0];
+  const company = normalizeCompetitorName(dealCompanyName);
+  const atCompany = company ? people.filter((person) => normalizeCompetitorName(person.companyName) === company) : [];
+  return atCompany.length === 1 ? atCompany[0] : null;
+}
+
+// Links the deal's founding team to existing people. Analysis links follow the latest founding
+// team; links an analyst added or changed are left alone. Returns how many founders are linked.
+export async function linkFoundersToPeople(dealId: string): Promise<number> {
+  const deal = await prisma.deal.findUnique({
+    where: { id: dealId },
+    select: { companyName: true, foundingTeam: true, people: { select: { personId: true } } },
+  });
+  if (!deal) return 0;
+
+  const matches = new Map<string, string>(); // personId -> founder name
+  for (const name of founderNames(deal.foundingTeam)) {
+    const people = await prisma.person.findMany({
+      where: { fullName: { equals: name, mode: "insensitive" } },
+      select: { id: true, companyName: true },
+    });
+    const person = pickFounderMatch(people, deal.companyName);
+    if (person && !matches.has(person.id)) matches.set(person.id, name);
+  }
+
+  const linkedIds = new Set(deal.people.map((link) => link.personId));
+  await prisma.$transaction([
+    prisma.dealPerson.deleteMany({
+      where: { dealId, source: DEAL_PERSON_ANALYSIS_SOURCE, personId: { notIn: [...matches.keys()] } },
+    }),
+    prisma.dealPerson.createMany({
+      data: [...matches]
+        .filter(([personId]) => !linkedIds.has(personId))
+        .map(([personId, founderName]) => ({
+          dealId,
+          personId,
+          founderName,
+          role: "founder",
+          source: DEAL_PERSON_ANALYSIS_SOURCE,
+        })),
+      skipDuplicates: true,
+    }),
+  ]);
+
+  return matches.size;
+}
@@ -0,0 +1,39 @@
+export type FileToUpload = {
+  s3Url: string; // Original upload, identifies the DealFile row
+  originalFilename: string;
+};
+
+export type UploadResult = {
+  originalFilename: string;
+  openaiFileId: string | null; // null when that file's upload failed
+};
+
+export type FileIdMatch = {
+  s3Url: string;
+  originalFilename: string;
+  openaiFileId: string;
+};
+
+// Pairs upload results with the files they came from. Results come back in upload order,
+// so a result is taken from the same position when its filename agrees; otherwise the first
+// unused result with that filename is used. Each result is used at most once and failed
+// uploads produce no match, which leaves the file without an OpenAI ID.
+export function matchUploadedFileIds(files: FileToUpload[], results: UploadResult[]): FileIdMatch[] {
+  const used = new Set<number>();
+  const matches: FileIdMatch[] = [];
+
+  files.forEach((file, index) => {
+    const resultIndex = results[index]?.originalFilename === file.originalFilename && !used.has(index)
+      ? index
+      : results.findIndex((result, i) => !used.has(i) && result.originalFilename === file.originalFilename);
+    if (resultIndex === -1) return;
+
+    used.add(resultIndex);
+    const openaiFileId = results[resultIndex].openaiFileId;
+    if (openaiFileId) {
+      matches.push({ s3Url: file.s3Url, originalFilename: file.originalFilename, openaiFileId });
+    }
+  });
+
+  return matches;
+}
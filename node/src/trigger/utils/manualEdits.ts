@@ -0,0 +1,19 @@
+// Drop any field an analyst has corrected by hand so AI output never overwrites it
+export function withoutEditedFields<T extends Record<string, unknown>>(
+  data: T,
+  editedFields?: string[] | null
+): Partial<T> {
+  if (!editedFields || editedFields.length === 0) return data;
+
+  return Object.fromEntries(
+    Object.entries(data).filter(([field]) => !editedFields.includes(field))
+  ) as Partial<T>;
+}
+
+// Union of previously edited fields and the ones changed in this update
+export function mergeEditedFields(
+  editedFields: string[] | null | undefined,
+  changedFields: string[]
+): string[] {
+  return Array.from(new Set([...(editedFields || []), ...changedFields]));
+}
@@ -0,0 +1,323 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "../../lib/prisma";
+
+// Person fields a Leadspicker profile fills in
+export const PERSON_PROFILE_FIELDS = [
+  "fullName",
+  "firstName",
+  "lastName",
+  "email",
+  "position",
+  "linkedinUrl",
+  "followersCount",
+  "companyName",
+  "companyLinkedinUrl",
+  "companyWebsiteUrl",
+  "companyEmployeeCount",
+  "companyDescription",
+  "websiteTextSummary",
+  "pastExperiences",
+  "educationSummary",
+  "country",
+  "sourceRobot",
+] as const;
+type PersonProfileField = (typeof PERSON_PROFILE_FIELDS)[number];
+
+type NumericProfileField = "followersCount" | "companyEmployeeCount";
+
+export type PersonProfile = { leadspickerId: number } & Record<NumericProfileField, number | null> &
+  Record<Exclude<PersonProfileField, NumericProfileField>, string | null>;
+
+// What we know matches or contradicts between two people
+export type PersonMatchReason =
+  | "leadspicker-id"
+  | "email"
+  | "linkedin"
+  | "name-company"
+  | "email-differs"
+  | "linkedin-differs";
+
+type IdentityRecord = {
+  leadspickerIds: number[];
+  normalizedEmail: string | null;
+  normalizedLinkedinUrl: string | null;
+  fullName?: string | null;
+  companyName?: string | null;
+};
+
+function intValue(value: unknown): number | null {
+  const parsed = parseInt(String(value ?? ""), 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Maps the Leadspicker person API response onto Person fields
+export function personProfileFromLeadspicker(details: any): PersonProfile {
+  const contact = details?.contact_data || {};
+  const text = (key: string): string | null => contact[key]?.value || null;
+
+  return {
+    leadspickerId: details.id,
+    fullName: text("full_name"),
+    firstName: text("first_name"),
+    lastName: text("last_name"),
+    email: text("email"),
+    position: text("position"),
+    linkedinUrl: text("linkedin"),
+    followersCount: intValue(contact.followers_count?.value),
+    companyName: text("company_name"),
+    companyLinkedinUrl: text("company_linkedin"),
+    companyWebsiteUrl: text("company_website"),
+    companyEmployeeCount: intValue(contact.company_employee_count?.value),
+    companyDescription: text("linkedin_company_description"),
+    websiteTextSummary: text("website_text_summary"),
+    pastExperiences: text("past_experiences"),
+    educationSummary: text("education_summary"),
+    country: text("country"),
+    sourceRobot: text("source_robot"),
+  };
+}
+
+export function normalizeEmail(email: string | null | undefined): string | null {
+  return email?.trim().toLowerCase() || null;
+}
+
+// https://cz.linkedin.com/in/Jana-Novak/?trk=x and linkedin.com/in/jana-novak are the same profile.
+// The migration that added normalizedLinkedinUrl backfills it with the same rules in SQL.
+export function normalizeLinkedinUrl(url: string | null | undefined): string | null {
+  if (!url) return null;
+  return (
+    url
+      .trim()
+      .replace(/^https?:\/\//i, "")
+      .replace(/^([a-z]{2,3}\.|www\.)?linkedin\.com/i, "linkedin.com")
+      .replace(/[?#].*$/, "")
+      .replace(/\/+$/, "")
+      .toLowerCase() || null
+  );
+}
+
+export function personKeys(person: { email?: string | null; linkedinUrl?: string | null }) {
+  return {
+    normalizedEmail: normalizeEmail(person.email),
+    normalizedLinkedinUrl: normalizeLinkedinUrl(person.linkedinUrl),
+  };
+}
+
+function sameText(a?: string | null, b?: string | null): boolean {
+  return Boolean(a && b && a.trim().toLowerCase() === b.trim().toLowerCase());
+}
+
+// The same Leadspicker record is always the same person. A shared email or LinkedIn profile is too,
+// unless the other key contradicts it. Everything else that overlaps goes to review.
+export function comparePeople(incoming: IdentityRecord, existing: IdentityRecord) {
+  const reasons: PersonMatchReason[] = [];
+  const sameLeadspickerRecord = incoming.leadspickerIds.some((id) => existing.leadspickerIds.includes(id));
+  if (sameLeadspickerRecord) reasons.push("leadspicker-id");
+
+  for (const [key, reason] of [
+    ["normalizedEmail", "email"],
+    ["normalizedLinkedinUrl", "linkedin"],
+  ] as const) {
+    if (!incoming[key] || !existing[key]) continue;
+    reasons.push(incoming[key] === existing[key] ? reason : (`${reason}-differs` as PersonMatchReason));
+  }
+
+  const sharedKey = reasons.includes("email") || reasons.includes("linkedin");
+  if (!sameLeadspickerRecord && !sharedKey && sameText(incoming.fullName, existing.fullName) && sameText(incoming.companyName, existing.companyName)) {
+    reasons.push("name-company");
+  }
+
+  const conflicting = reasons.some((reason) => reason.endsWith("-differs"));
+  return {
+    reasons,
+    matches: reasons.some((reason) => !reason.endsWith("-differs")),
+    certain: sameLeadspickerRecord || (sharedKey && !conflicting),
+  };
+}
+
+function profileData(profile: PersonProfile) {
+  return Object.fromEntries(PERSON_PROFILE_FIELDS.map((field) => [field, profile[field]]));
+}
+
+// Queues a pair for review. The newer record is the one a merge removes; a pair that was
+// already reviewed is not raised again.
+async function flagPossibleDuplicate(
+  db: Prisma.TransactionClient,
+  a: { id: string; createdAt: Date },
+  b: { id: string; createdAt: Date },
+  reasons: PersonMatchReason[]
+) {
+  const [older, newer] = a.createdAt <= b.createdAt ? [a, b] : [b, a];
+  await db.personMatch.createMany({
+    data: [{ personId: newer.id, candidateId: older.id, reasons }],
+    skipDuplicates: true,
+  });
+}
+
+// Saves a scraped profile. A certain match updates the existing person with the fresh values;
+// otherwise a new person is created and any possible duplicates are queued for review.
+// Either way the scrape is recorded as a source record.
+export async function resolvePerson(profile: PersonProfile) {
+  const keys = personKeys(profile);
+  const incoming = { ...keys, leadspickerIds: [profile.leadspickerId], fullName: profile.fullName, companyName: profile.companyName };
+
+  // Imports of the same person can run at once, e.g. two webhooks. Each takes a lock per identity key
+  // it could be matched on, so the second waits and then finds the person the first one saved. Keys
+  // are locked in order so two imports sharing several keys cannot deadlock.
+  const lockKeys = [
+    `person:leadspicker:${profile.leadspickerId}`,
+    ...(keys.normalizedEmail ? [`person:email:${keys.normalizedEmail}`] : []),
+    ...(keys.normalizedLinkedinUrl ? [`person:linkedin:${keys.normalizedLinkedinUrl}`] : []),
+  ].sort();
+
+  return prisma.$transaction(async (tx) => {
+    for (const key of lockKeys) {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${key}))`;
+    }
+
+    const people = await tx.person.findMany({
+      where: {
+        OR: [
+          { leadspickerId: profile.leadspickerId },
+          { sourceRecords: { some: { leadspickerId: profile.leadspickerId } } },
+          ...(keys.normalizedEmail ? [{ normalizedEmail: keys.normalizedEmail }] : []),
+          ...(keys.normalizedLinkedinUrl ? [{ normalizedLinkedinUrl: keys.normalizedLinkedinUrl }] : []),
+          ...(incoming.fullName && incoming.companyName
+            ? [{
+              fullName: { equals: incoming.fullName, mode: "insensitive" as const },
+              companyName: { equals: incoming.companyName, mode: "insensitive" as const },
+            }]
+            : []),
+        ],
+      },
+      include: { sourceRecords: { select: { leadspickerId: true } } },
+      orderBy: { createdAt: "asc" },
+    });
+
+    const candidates = people
+      .map((person) => ({
+        person,
+        ...comparePeople(incoming, {
+          ...person,
+          leadspickerIds: [person.leadspickerId, ...person.sourceRecords.map((record) => record.leadspickerId)],
+        }),
+      }))
+      .filter((candidate) => candidate.matches);
+    const certain = candidates.filter((candidate) => candidate.certain);
+
+    // Blank values in a fresh scrape do not erase what earlier scrapes found
+    const fresh = Object.fromEntries(Object.entries(profileData(profile)).filter(([, value]) => value !== null));
+    const sourceRecord = {
+      leadspickerId: profile.leadspickerId,
+      sourceRobot: profile.sourceRobot,
+      profile: profile as unknown as Prisma.InputJsonValue,
+    };
+
+    // Several certain matches are themselves duplicates; the oldest takes the scrape and the rest go to review
+    let person;
+    let outcome: "created" | "updated";
+    if (certain.length > 0) {
+      const existing = certain[0].person;
+      person = await tx.person.update({
+        where: { id: existing.id },
+        data: {
+          ...fresh,
+          ...personKeys({ email: profile.email ?? existing.email, linkedinUrl: profile.linkedinUrl ?? existing.linkedinUrl }),
+          sourceRecords: { create: sourceRecord },
+        },
+      });
+      outcome = "updated";
+    } else {
+      person = await tx.person.create({
+        data: {
+          leadspickerId: profile.leadspickerId,
+          ...profileData(profile),
+          ...keys,
+          sourceRecords: { create: sourceRecord },
+        },
+      });
+      outcome = "created";
+    }
+
+    const possibleDuplicates = candidates.filter((candidate) => candidate.person.id !== person.id);
+    for (const candidate of possibleDuplicates) {
+      await flagPossibleDuplicate(tx, person, candidate.person, candidate.reasons);
+    }
+
+    return { person, outcome, possibleDuplicates: possibleDuplicates.length };
+  });
+}
+
+// Folds the newer person of a reviewed match into the older one. The kept record fills its blanks
+// from the duplicate and takes over its source records, deal links and other open matches; the match
+// itself stays as the record of the merge. Returns null when the match was already resolved.
+export async function mergePersonMatch(matchId: string, resolvedById: string) {
+  const result = await prisma.$transaction(async (tx) => {
+    // Claiming the match first makes a concurrent merge of the same pair wait and then find it resolved
+    const claimed = await tx.personMatch.updateMany({
+      where: { id: matchId, status: "pending" },
+      data: { status: "merged", resolvedById, resolvedAt: new Date() },
+    });
+    if (claimed.count === 0) return null;
+
+    const match = await tx.personMatch.findUniqueOrThrow({
+      where: { id: matchId },
+      include: {
+        person: { include: { matches: true, candidateMatches: true } },
+        candidate: { include: { dealLinks: { select: { dealId: true } } } },
+      },
+    });
+    const { person: duplicate, candidate: kept } = match;
+    if (!duplicate || !kept) throw new Error(`Person match has lost one of its people: ${matchId}`);
+
+    const filled = Object.fromEntries(
+      PERSON_PROFILE_FIELDS.filter((field) => kept[field] === null && duplicate[field] !== null).map((field) => [field, duplicate[field]])
+    );
+    // A screening belongs to the profile it was made from, so it only carries over whole
+    const fit = kept.fitScore === null && duplicate.fitScore !== null
+      ? { fitScore: duplicate.fitScore, fitRationale: duplicate.fitRationale, fitScoredAt: duplicate.fitScoredAt }
+      : {};
+    const otherMatches = [...duplicate.matches, ...duplicate.candidateMatches].filter(
+      (other) => other.id !== match.id && other.status === "pending"
+    );
+
+    const merged = await tx.person.update({
+      where: { id: kept.id },
+      data: {
+        ...filled,
+        ...fit,
+        ...personKeys({ email: kept.email ?? duplicate.email, linkedinUrl: kept.linkedinUrl ?? duplicate.linkedinUrl }),
+      },
+    });
+    await tx.personSourceRecord.updateMany({ where: { personId: duplicate.id }, data: { personId: kept.id } });
+    // Deals both were linked to keep the kept person's link
+    await tx.dealPerson.deleteMany({
+      where: { personId: duplicate.id, dealId: { in: kept.dealLinks.map((link) => link.dealId) } },
+    });
+    await tx.dealPerson.updateMany({ where: { personId: duplicate.id }, data: { personId: kept.id } });
+    // Open matches are raised again against the kept person below; resolved ones lose the duplicate
+    // with the delete but stay in the history
+    await tx.personMatch.deleteMany({ where: { id: { in: otherMatches.map((other) => other.id) } } });
+    await tx.person.delete({ where: { id: duplicate.id } });
+
+    return { merged, duplicateId: duplicate.id, otherMatches };
+  });
+  if (!result) return null;
+  const { merged, duplicateId, otherMatches } = result;
+
+  for (const other of otherMatches) {
+    const otherId = other.personId === duplicateId ? other.candidateId : other.personId;
+    if (!otherId || otherId === merged.id) continue;
+    const otherPerson = await prisma.person.findUnique({ where: { id: otherId } });
+    if (otherPerson) await flagPossibleDuplicate(prisma, merged, otherPerson, other.reasons as PersonMatchReason[]);
+  }
+
+  return merged;
+}
+
+export async function dismissPersonMatch(matchId: string, resolvedById: string) {
+  return prisma.personMatch.update({
+    where: { id: matchId },
+    data: { status: "dismissed", resolvedById, resolvedAt: new Date() },
+  });
+}
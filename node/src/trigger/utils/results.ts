@@ -0,0 +1,33 @@
+// Analysis tasks report an expected failure (model error, unparseable response, nothing to read)
+// as a result instead of a placeholder value, so the orchestrator never saves a fallback as data
+export type StageSuccess<T> = { status: "success"; data: T };
+export type StageFailure = { status: "failed"; error: string };
+export type StageResult<T> = StageSuccess<T> | StageFailure;
+
+// Child run errors arrive serialized as plain objects, not Error instances
+export function errorMessage(error: unknown): string {
+  if (error instanceof Error) return error.message;
+  if (error && typeof error === "object" && "message" in error) return String((error as { message: unknown }).message);
+  return String(error);
+}
+
+export function stageSuccess<T>(data: T): StageSuccess<T> {
+  return { status: "success", data };
+}
+
+export function stageFailure(error: unknown): StageFailure {
+  return { status: "failed", error: errorMessage(error) };
+}
+
+export function isStageFailure<T>(result: StageResult<T> | undefined | null): result is StageFailure {
+  return !result || result.status === "failed";
+}
+
+// Failure message of a child run from a batch: either the run itself failed or it reported a failed result
+export function childRunFailure(run: { ok: boolean; output?: unknown; error?: unknown }): string | null {
+  if (!run.ok) {
+    return errorMessage(run.error);
+  }
+  const output = run.output as StageResult<unknown> | undefined;
+  return isStageFailure(output) ? output?.error || "Task returned no result" : null;
+}
@@ -0,0 +1,48 @@
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+
+const s3Client = new S3Client({
+  region: process.env.AWS_REGION,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID as string,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY as string,
+  },
+});
+
+export function s3UrlForKey(key: string): string {
+  return `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+}
+
+// Inverse of s3UrlForKey; keys were not URL-encoded when the URL was built
+export function s3KeyFromUrl(url: string): string {
+  const path = new URL(url).pathname.slice(1);
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path; // A literal "%" in the original filename
+  }
+}
+
+export async function uploadBufferToS3(filename: string, body: Buffer, contentType: string): Promise<string> {
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  const key = `${uniqueSuffix}-${filename}`;
+
+  await s3Client.send(
+    new PutObjectCommand({
+      Bucket: process.env.S3_BUCKET_NAME,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    })
+  );
+
+  return s3UrlForKey(key);
+}
+
+export async function deleteS3Object(url: string): Promise<void> {
+  await s3Client.send(
+    new DeleteObjectCommand({
+      Bucket: process.env.S3_BUCKET_NAME,
+      Key: s3KeyFromUrl(url),
+    })
+  );
+}
@@ -20,8 +20,3 @@ export function sanitizeCitations(input?: string | null): string | null {
 
   return text.length > 0 ? text : null;
 }
-
-// Re-export the new competitor types
-export { CompetitorType, ALL_COMPETITOR_TYPES, COMPETITOR_TYPE_CONFIGS } from "../config/competitorTypes";
-
-
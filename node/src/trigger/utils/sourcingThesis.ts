@@ -0,0 +1,11 @@
+import { prisma } from "../../lib/prisma";
+import { DEFAULT_SOURCING_THESIS, SourcingThesisFields } from "../config/sourcingThesis";
+
+export const SOURCING_THESIS_ID = "default";
+
+export async function getSourcingThesis(): Promise<SourcingThesisFields & { updatedAt: Date | null }> {
+  const thesis = await prisma.sourcingThesis.findUnique({ where: { id: SOURCING_THESIS_ID } });
+  if (!thesis) return { ...DEFAULT_SOURCING_THESIS, updatedAt: null };
+  const { stages, geographies, sectors, backgroundSignals, updatedAt } = thesis;
+  return { stages, geographies, sectors, backgroundSignals, updatedAt };
+}
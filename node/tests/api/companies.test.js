@@ -0,0 +1,68 @@
+import { beforeEach, expect, it, vi } from 'vitest'
+import { describeWithDatabase, prisma, resetDatabase, createUser, createDeal } from '../support/db'
+import { callHandler, signInAs } from '../support/http'
+import companiesHandler from '../../src/pages/api/companies/index'
+import companyHandler from '../../src/pages/api/companies/[id]'
+
+vi.mock('next-auth/next', () => ({ getServerSession: vi.fn() }))
+
+describeWithDatabase('company routes', () => {
+  let owner
+  let colleague
+  let company
+
+  beforeEach(async () => {
+    await resetDatabase()
+    owner = await createUser()
+    colleague = await createUser()
+    company = await prisma.company.create({
+      data: { name: 'Amplitude', normalizedName: 'amplitude', domain: 'amplitude.com', website: 'https://amplitude.com' }
+    })
+
+    const privateDeal = await createDeal(owner.id, { companyName: 'Private Co' })
+    const teamDeal = await createDeal(owner.id, { companyName: 'Team Co', visibility: 'team' })
+    await prisma.competitor.createMany({
+      data: [
+        { dealId: privateDeal.id, companyId: company.id, name: 'Amplitude', score: '8' },
+        { dealId: teamDeal.id, companyId: company.id, name: 'Amplitude', score: '5' }
+      ]
+    })
+  })
+
+  it('lists only the deals a user can see', async () => {
+    signInAs(owner)
+    let res = await callHandler(companyHandler, { query: { id: company.id } })
+    expect(res.statusCode).toBe(200)
+    expect(res.body.competitors.map(c => c.deal.companyName).sort()).toEqual(['Private Co', 'Team Co'])
+
+    signInAs(colleague)
+    res = await callHandler(companyHandler, { query: { id: company.id } })
+    expect(res.body.competitors.map(c => [c.deal.companyName, c.score])).toEqual([['Team Co', '5']])
+
+    const list = await callHandler(companiesHandler, { query: { q: 'ampli' } })
+    expect(list.body.companies).toEqual([expect.objectContaining({ id: company.id, _count: { competitors: 1 } })])
+  })
+
+  it('lets deal editors update the shared profile', async () => {
+    signInAs(colleague)
+    let res = await callHandler(companyHandler, {
+      method: 'PATCH',
+      query: { id: company.id },
+      body: { totalFunding: '$400M' }
+    })
+    expect(res.statusCode).toBe(403)
+
+    signInAs(owner)
+    res = await callHandler(companyHandler, {
+      method: 'PATCH',
+      query: { id: company.id },
+      body: { totalFunding: '$400M', website: 'https://www.amplitude.com/' }
+    })
+    expect(res.statusCode).toBe(200)
+    expect(res.body).toEqual(expect.objectContaining({
+      totalFunding: '$400M',
+      domain: 'amplitude.com',
+      editedFields: ['website', 'totalFunding']
+    }))
+  })
+})
@@ -0,0 +1,89 @@
+import { beforeEach, expect, it, vi } from 'vitest'
+import { describeWithDatabase, prisma, resetDatabase, createUser, createDeal } from '../support/db'
+import { callHandler, signInAs } from '../support/http'
+import competitorTypesHandler from '../../src/pages/api/competitor-types/index'
+import competitorTypeHandler from '../../src/pages/api/competitor-types/[id]'
+import reanalyzeHandler from '../../src/pages/api/deals/[id]/reanalyze'
+
+vi.mock('next-auth/next', () => ({ getServerSession: vi.fn() }))
+
+describeWithDatabase('competitor type routes', () => {
+  let admin
+  let partner
+
+  beforeEach(async () => {
+    await resetDatabase()
+    admin = await createUser({ role: 'admin' })
+    partner = await createUser({ role: 'partner' })
+  })
+
+  it('lists the seeded types to every user', async () => {
+    signInAs(partner)
+
+    const res = await callHandler(competitorTypesHandler)
+    expect(res.statusCode).toBe(200)
+    expect(res.body.map(type => type.slug)).toEqual([
+      'yc-companies', 'open-source', 'early-stage-vc', 'well-funded-vc', 'incumbents'
+    ])
+  })
+
+  it('lets only admins add and change types', async () => {
+    signInAs(partner)
+    const denied = await callHandler(competitorTypesHandler, {
+      method: 'POST',
+      body: { name: 'EU only', description: 'Companies headquartered in the EU' }
+    })
+    expect(denied.statusCode).toBe(403)
+
+    signInAs(admin)
+    const created = await callHandler(competitorTypesHandler, {
+      method: 'POST',
+      body: { name: 'EU only', description: 'Companies headquartered in the EU', promptGuidance: 'Skip US companies.' }
+    })
+    expect(created.statusCode).toBe(201)
+    expect(created.body).toMatchObject({ slug: 'eu-only', active: true, sortOrder: 5 })
+
+    const duplicate = await callHandler(competitorTypesHandler, {
+      method: 'POST',
+      body: { name: 'EU-only', description: 'Again' }
+    })
+    expect(duplicate.statusCode).toBe(409)
+
+    const updated = await callHandler(competitorTypeHandler, {
+      method: 'PATCH',
+      query: { id: created.body.id },
+      body: { active: false, promptGuidance: null }
+    })
+    expect(updated.statusCode).toBe(200)
+    expect(updated.body).toMatchObject({ slug: 'eu-only', active: false, promptGuidance: null })
+
+    const renamed = await callHandler(competitorTypeHandler, {
+      method: 'PATCH',
+      query: { id: created.body.id },
+      body: { slug: 'eu' }
+    })
+    expect(renamed.statusCode).toBe(400)
+  })
+
+  it('adds a type run by hand to the deal selection and refuses inactive ones', async () => {
+    const deal = await createDeal(partner.id, { competitorTypes: ['incumbents'] })
+    await prisma.competitorTypeConfig.update({ where: { slug: 'early-stage-vc' }, data: { active: false } })
+    signInAs(partner)
+
+    const inactive = await callHandler(reanalyzeHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { stage: 'competitors', competitorType: 'early-stage-vc' }
+    })
+    expect(inactive.statusCode).toBe(400)
+
+    const res = await callHandler(reanalyzeHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { stage: 'competitors', competitorType: 'open-source' }
+    })
+    expect(res.statusCode).toBe(202)
+    const saved = await prisma.deal.findUniqueOrThrow({ where: { id: deal.id } })
+    expect(saved.competitorTypes).toEqual(['incumbents', 'open-source'])
+  })
+})
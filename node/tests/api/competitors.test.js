@@ -0,0 +1,105 @@
+import { beforeEach, expect, it, vi } from 'vitest'
+import { describeWithDatabase, prisma, resetDatabase, createUser, createDeal } from '../support/db'
+import { callHandler, signInAs } from '../support/http'
+import competitorsHandler from '../../src/pages/api/deals/[id]/competitors/index'
+import competitorHandler from '../../src/pages/api/deals/[id]/competitors/[competitorId]/index'
+import dealsHandler from '../../src/pages/api/deals/index'
+import { evaluateCompetitorTask } from '../../src/trigger/evaluateCompetitor'
+
+vi.mock('next-auth/next', () => ({ getServerSession: vi.fn() }))
+
+describeWithDatabase('competitor routes', () => {
+  let owner
+  let deal
+  let competitor
+
+  beforeEach(async () => {
+    await resetDatabase()
+    vi.mocked(evaluateCompetitorTask.trigger).mockClear()
+    owner = await createUser()
+    deal = await createDeal(owner.id, { companyName: 'Fixture Analytics' })
+    competitor = await prisma.competitor.create({
+      data: { dealId: deal.id, name: 'Mixpanel', website: 'https://mixpanel.com', score: '7', competitorCategory: 'well-funded' }
+    })
+    signInAs(owner)
+  })
+
+  it('adds a competitor by hand and queues its evaluation', async () => {
+    const res = await callHandler(competitorsHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { name: 'Heap', website: 'heap.io' }
+    })
+
+    expect(res.statusCode).toBe(201)
+    expect(res.body.competitor).toMatchObject({
+      name: 'Heap',
+      competitorSources: ['manual'],
+      editedFields: ['name', 'website']
+    })
+    expect(res.body.competitor.company.domain).toBe('heap.io')
+    expect(evaluateCompetitorTask.trigger).toHaveBeenCalledWith(
+      { competitorId: res.body.competitor.id },
+      { tags: [`deal:${deal.id}`] }
+    )
+  })
+
+  it('refuses a competitor that is already on the deal', async () => {
+    const res = await callHandler(competitorsHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { name: 'Mixpanel Inc.' }
+    })
+    expect(res.statusCode).toBe(409)
+    expect(res.body.competitorId).toBe(competitor.id)
+    expect(evaluateCompetitorTask.trigger).not.toHaveBeenCalled()
+  })
+
+  it('keeps the AI values next to an override', async () => {
+    let res = await callHandler(competitorHandler, {
+      method: 'PATCH',
+      query: { id: deal.id, competitorId: competitor.id },
+      body: { scoreOverride: 9 }
+    })
+    expect(res.statusCode).toBe(400)
+
+    res = await callHandler(competitorHandler, {
+      method: 'PATCH',
+      query: { id: deal.id, competitorId: competitor.id },
+      body: { scoreOverride: 9, categoryOverride: 'incumbent', overrideNote: 'Owned by a public company since 2024' }
+    })
+    expect(res.statusCode).toBe(200)
+    expect(res.body.competitor).toMatchObject({
+      score: '7',
+      competitorCategory: 'well-funded',
+      scoreOverride: '9',
+      categoryOverride: 'incumbent',
+      overriddenById: owner.id
+    })
+
+    res = await callHandler(competitorHandler, {
+      method: 'PATCH',
+      query: { id: deal.id, competitorId: competitor.id },
+      body: { scoreOverride: null, categoryOverride: null }
+    })
+    expect(res.body.competitor).toMatchObject({ scoreOverride: null, overrideNote: null, overriddenById: null })
+  })
+
+  it('leaves hidden competitors out of deal counts and deletes on request', async () => {
+    await callHandler(competitorHandler, {
+      method: 'PATCH',
+      query: { id: deal.id, competitorId: competitor.id },
+      body: { hidden: true }
+    })
+
+    const list = await callHandler(dealsHandler, { query: {} })
+    expect(list.body.deals[0]._count.competitors).toBe(0)
+
+    const res = await callHandler(competitorHandler, {
+      method: 'DELETE',
+      query: { id: deal.id, competitorId: competitor.id }
+    })
+    expect(res.statusCode).toBe(200)
+    expect(await prisma.competitor.count({ where: { dealId: deal.id } })).toBe(0)
+  })
+})
@@ -0,0 +1,118 @@
+import { beforeEach, expect, it, vi } from 'vitest'
+import { describeWithDatabase, prisma, resetDatabase, createUser, createDeal } from '../support/db'
+import { callHandler, signInAs } from '../support/http'
+import dealPeopleHandler from '../../src/pages/api/deals/[id]/people/index'
+import dealPersonHandler from '../../src/pages/api/deals/[id]/people/[linkId]'
+import personHandler from '../../src/pages/api/people/[id]'
+
+vi.mock('next-auth/next', () => ({ getServerSession: vi.fn() }))
+
+describeWithDatabase('deal people routes', () => {
+  let partner
+  let deal
+  let person
+
+  beforeEach(async () => {
+    await resetDatabase()
+    partner = await createUser({ role: 'partner' })
+    deal = await createDeal(partner.id, { companyName: 'Acme' })
+    person = await prisma.person.create({ data: { leadspickerId: 1, fullName: 'Jana Novak', companyName: 'Acme' } })
+  })
+
+  it('links a person once', async () => {
+    signInAs(partner)
+    const res = await callHandler(dealPeopleHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { personId: person.id, role: 'founder' }
+    })
+    expect(res.statusCode).toBe(201)
+    expect(res.body.link).toMatchObject({ role: 'founder', source: 'manual', addedById: partner.id, person: { fullName: 'Jana Novak' } })
+
+    const again = await callHandler(dealPeopleHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { personId: person.id, role: 'referrer' }
+    })
+    expect(again.statusCode).toBe(409)
+  })
+
+  it('rejects unknown roles and people', async () => {
+    signInAs(partner)
+    const badRole = await callHandler(dealPeopleHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { personId: person.id, role: 'investor' }
+    })
+    expect(badRole.statusCode).toBe(400)
+
+    const unknown = await callHandler(dealPeopleHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { personId: 'missing', role: 'founder' }
+    })
+    expect(unknown.statusCode).toBe(400)
+  })
+
+  it('requires edit access and the people directory to link someone', async () => {
+    const analyst = await createUser({ role: 'analyst' })
+    await prisma.dealCollaborator.create({ data: { dealId: deal.id, userId: analyst.id, role: 'editor' } })
+    signInAs(analyst)
+    const analystRes = await callHandler(dealPeopleHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { personId: person.id, role: 'founder' }
+    })
+    expect(analystRes.statusCode).toBe(403)
+
+    const viewer = await createUser({ role: 'partner' })
+    await prisma.dealCollaborator.create({ data: { dealId: deal.id, userId: viewer.id, role: 'viewer' } })
+    signInAs(viewer)
+    const viewerRes = await callHandler(dealPeopleHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { personId: person.id, role: 'founder' }
+    })
+    expect(viewerRes.statusCode).toBe(403)
+  })
+
+  it('makes a corrected analysis link manual and removes links', async () => {
+    const link = await prisma.dealPerson.create({
+      data: { dealId: deal.id, personId: person.id, role: 'founder', source: 'analysis', founderName: 'Jana Novak' }
+    })
+    signInAs(partner)
+
+    const updated = await callHandler(dealPersonHandler, {
+      method: 'PATCH',
+      query: { id: deal.id, linkId: link.id },
+      body: { role: 'executive' }
+    })
+    expect(updated.statusCode).toBe(200)
+    expect(updated.body.link).toMatchObject({ role: 'executive', source: 'manual' })
+
+    const removed = await callHandler(dealPersonHandler, { method: 'DELETE', query: { id: deal.id, linkId: link.id } })
+    expect(removed.statusCode).toBe(200)
+    expect(await prisma.dealPerson.count()).toBe(0)
+
+    const missing = await callHandler(dealPersonHandler, { method: 'DELETE', query: { id: deal.id, linkId: link.id } })
+    expect(missing.statusCode).toBe(404)
+  })
+
+  it('shows a person only the deals the user can open', async () => {
+    const otherPartner = await createUser({ role: 'partner' })
+    const privateDeal = await createDeal(otherPartner.id, { companyName: 'Globex' })
+    await prisma.dealPerson.createMany({
+      data: [
+        { dealId: deal.id, personId: person.id, role: 'founder' },
+        { dealId: privateDeal.id, personId: person.id, role: 'referrer' }
+      ]
+    })
+
+    signInAs(partner)
+    const res = await callHandler(personHandler, { query: { id: person.id } })
+    expect(res.statusCode).toBe(200)
+    expect(res.body.dealLinks).toEqual([
+      expect.objectContaining({ role: 'founder', deal: expect.objectContaining({ id: deal.id, companyName: 'Acme' }) })
+    ])
+  })
+})
@@ -0,0 +1,187 @@
+import { beforeEach, expect, it, vi } from 'vitest'
+import { describeWithDatabase, prisma, resetDatabase, createUser, createDeal } from '../support/db'
+import { callHandler, signInAs } from '../support/http'
+import dealsHandler from '../../src/pages/api/deals/index'
+import dealHandler from '../../src/pages/api/deals/[id]'
+import reanalyzeHandler from '../../src/pages/api/deals/[id]/reanalyze'
+import sharingHandler from '../../src/pages/api/deals/[id]/sharing'
+import memoHandler from '../../src/pages/api/deals/[id]/memo'
+import publicTokenHandler from '../../src/pages/api/trigger/public-token'
+import { uploadOrchestratorTask } from '../../src/trigger/uploadOrchestrator'
+
+vi.mock('next-auth/next', () => ({ getServerSession: vi.fn() }))
+
+describeWithDatabase('deal routes', () => {
+  let owner
+  let colleague
+  let deal
+
+  beforeEach(async () => {
+    await resetDatabase()
+    owner = await createUser({ role: 'partner' })
+    colleague = await createUser({ role: 'partner' })
+    deal = await createDeal(owner.id, { companyName: 'Private Co' })
+  })
+
+  it('requires a session', async () => {
+    signInAs(null)
+    const res = await callHandler(dealHandler, { query: { id: deal.id } })
+    expect(res.statusCode).toBe(401)
+  })
+
+  it('searches and pages through only the deals the user can see', async () => {
+    await createDeal(owner.id, { companyName: 'Acme Robotics' })
+    await createDeal(owner.id, { companyName: 'Acme Foods' })
+    await createDeal(colleague.id, { companyName: 'Acme Secret' })
+    signInAs(owner)
+
+    const first = await callHandler(dealsHandler, { query: { scope: 'team', q: 'acme', sort: 'companyName', order: 'asc', limit: '1' } })
+    expect(first.statusCode).toBe(200)
+    expect(first.body.deals.map(d => d.companyName)).toEqual(['Acme Foods'])
+
+    const second = await callHandler(dealsHandler, {
+      query: { scope: 'team', q: 'acme', sort: 'companyName', order: 'asc', limit: '1', cursor: first.body.nextCursor }
+    })
+    expect(second.body.deals.map(d => d.companyName)).toEqual(['Acme Robotics'])
+    expect(second.body.nextCursor).toBeNull()
+  })
+
+  it('rejects memo formats that are not exported', async () => {
+    signInAs(owner)
+    for (const format of ['toString', ['md', 'pdf'], 'html']) {
+      const res = await callHandler(memoHandler, { query: { id: deal.id, format } })
+      expect(res.statusCode).toBe(400)
+    }
+  })
+
+  it('hides a private deal from other users', async () => {
+    signInAs(colleague)
+
+    const res = await callHandler(dealHandler, { query: { id: deal.id } })
+    expect(res.statusCode).toBe(404)
+
+    const list = await callHandler(dealsHandler, { query: { scope: 'team' } })
+    expect(list.statusCode).toBe(200)
+    expect(list.body.deals.map(d => d.id)).not.toContain(deal.id)
+  })
+
+  it('refuses edits, re-analysis, sharing and deletion from outsiders', async () => {
+    signInAs(colleague)
+
+    const patch = await callHandler(dealHandler, {
+      method: 'PATCH',
+      query: { id: deal.id },
+      body: { companyName: 'Hijacked' },
+    })
+    expect(patch.statusCode).toBe(404)
+
+    const reanalyze = await callHandler(reanalyzeHandler, { method: 'POST', query: { id: deal.id }, body: {} })
+    expect(reanalyze.statusCode).toBe(404)
+
+    const sharing = await callHandler(sharingHandler, {
+      method: 'PATCH',
+      query: { id: deal.id },
+      body: { visibility: 'team' },
+    })
+    expect(sharing.statusCode).toBe(404)
+
+    const remove = await callHandler(dealsHandler, { method: 'DELETE', query: { id: deal.id } })
+    expect(remove.statusCode).toBe(404)
+
+    const unchanged = await prisma.deal.findUnique({ where: { id: deal.id } })
+    expect(unchanged.companyName).toBe('Private Co')
+    expect(unchanged.visibility).toBe('private')
+    expect(unchanged.deleted).toBe(false)
+  })
+
+  it('lets team members view a team deal but not edit it', async () => {
+    await prisma.deal.update({ where: { id: deal.id }, data: { visibility: 'team' } })
+    signInAs(colleague)
+
+    const res = await callHandler(dealHandler, { query: { id: deal.id } })
+    expect(res.statusCode).toBe(200)
+    expect(res.body.accessRole).toBe('viewer')
+
+    const patch = await callHandler(dealHandler, {
+      method: 'PATCH',
+      query: { id: deal.id },
+      body: { companyName: 'Hijacked' },
+    })
+    expect(patch.statusCode).toBe(403)
+  })
+
+  it('gives editor collaborators edit access but not ownership actions', async () => {
+    await prisma.dealCollaborator.create({ data: { dealId: deal.id, userId: colleague.id, role: 'editor' } })
+    signInAs(colleague)
+
+    const patch = await callHandler(dealHandler, {
+      method: 'PATCH',
+      query: { id: deal.id },
+      body: { companyName: 'Renamed' },
+    })
+    expect(patch.statusCode).toBe(200)
+    expect(patch.body.editedFields).toContain('companyName')
+
+    const remove = await callHandler(dealsHandler, { method: 'DELETE', query: { id: deal.id } })
+    expect(remove.statusCode).toBe(403)
+
+    const shared = await callHandler(dealsHandler, { query: { scope: 'shared' } })
+    expect(shared.body.deals.map(d => d.id)).toEqual([deal.id])
+  })
+
+  it('keeps re-analysis to roles that allow it', async () => {
+    const analyst = await createUser({ role: 'analyst' })
+    await prisma.deal.update({ where: { id: deal.id }, data: { assignedToId: analyst.id } })
+    signInAs(analyst)
+
+    const res = await callHandler(reanalyzeHandler, { method: 'POST', query: { id: deal.id }, body: {} })
+    expect(res.statusCode).toBe(403)
+    expect(uploadOrchestratorTask.trigger).not.toHaveBeenCalled()
+  })
+
+  it('queues a re-analysis for the owner', async () => {
+    signInAs(owner)
+
+    const res = await callHandler(reanalyzeHandler, {
+      method: 'POST',
+      query: { id: deal.id },
+      body: { stage: 'competitors', competitorType: 'incumbents' },
+    })
+    expect(res.statusCode).toBe(202)
+    expect(uploadOrchestratorTask.trigger).toHaveBeenCalledWith(
+      expect.objectContaining({ dealId: deal.id, userId: owner.id, stage: 'competitors', competitorType: 'incumbents' }),
+      { tags: [`deal:${deal.id}`] }
+    )
+
+    const run = await prisma.analysisRun.findUnique({ where: { triggerRunId: res.body.taskId } })
+    expect(run).toMatchObject({ dealId: deal.id, status: 'queued', stage: 'competitors', competitorType: 'incumbents' })
+  })
+
+  it('removes one named collaborator at a time', async () => {
+    await prisma.dealCollaborator.create({ data: { dealId: deal.id, userId: colleague.id, role: 'viewer' } })
+    signInAs(owner)
+
+    const missing = await callHandler(sharingHandler, { method: 'DELETE', query: { id: deal.id } })
+    expect(missing.statusCode).toBe(400)
+    const unknown = await callHandler(sharingHandler, { method: 'DELETE', query: { id: deal.id, userId: 'nobody' } })
+    expect(unknown.statusCode).toBe(404)
+    expect(await prisma.dealCollaborator.count()).toBe(1)
+
+    const removed = await callHandler(sharingHandler, { method: 'DELETE', query: { id: deal.id, userId: colleague.id } })
+    expect(removed.statusCode).toBe(200)
+    expect(removed.body.collaborators).toEqual([])
+  })
+
+  it('issues run tokens only for runs of the deal', async () => {
+    const teamDeal = await createDeal(colleague.id, { companyName: 'Team Co', visibility: 'team' })
+    await prisma.analysisRun.create({ data: { triggerRunId: 'run_private', dealId: deal.id, stage: 'all' } })
+    signInAs(owner)
+
+    const ownRun = await callHandler(publicTokenHandler, { query: { dealId: deal.id, runId: 'run_private' } })
+    expect(ownRun.statusCode).toBe(200)
+
+    signInAs(colleague)
+    const otherRun = await callHandler(publicTokenHandler, { query: { dealId: teamDeal.id, runId: 'run_private' } })
+    expect(otherRun.statusCode).toBe(404)
+  })
+})
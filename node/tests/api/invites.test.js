@@ -0,0 +1,27 @@
+import { beforeEach, expect, it, vi } from 'vitest'
+import { describeWithDatabase, prisma, resetDatabase, createUser } from '../support/db'
+import { callHandler, signInAs } from '../support/http'
+import invitesHandler from '../../src/pages/api/admin/invites'
+
+vi.mock('next-auth/next', () => ({ getServerSession: vi.fn() }))
+
+describeWithDatabase('admin invite routes', () => {
+  let admin
+
+  beforeEach(async () => {
+    await resetDatabase()
+    admin = await createUser({ role: 'admin' })
+  })
+
+  it('removes an invite once', async () => {
+    const invite = await prisma.invite.create({ data: { email: 'jana@example.com', invitedById: admin.id } })
+    signInAs(admin)
+
+    const removed = await callHandler(invitesHandler, { method: 'DELETE', query: { id: invite.id } })
+    expect(removed.statusCode).toBe(200)
+    expect(await prisma.invite.count()).toBe(0)
+
+    const missing = await callHandler(invitesHandler, { method: 'DELETE', query: { id: invite.id } })
+    expect(missing.statusCode).toBe(404)
+  })
+})
@@ -0,0 +1,236 @@
+import { beforeEach, expect, it, vi } from 'vitest'
+import { describeWithDatabase, prisma, resetDatabase, createUser } from '../support/db'
+import { callHandler, signInAs } from '../support/http'
+import matchesHandler from '../../src/pages/api/people/matches/index'
+import matchHandler from '../../src/pages/api/people/matches/[id]'
+import peopleHandler from '../../src/pages/api/people/index'
+import personHandler from '../../src/pages/api/people/[id]'
+import exportHandler from '../../src/pages/api/people/export'
+import personDealHandler from '../../src/pages/api/people/[id]/deal'
+import sourcingThesisHandler from '../../src/pages/api/sourcing-thesis'
+import { personProfileFromLeadspicker, resolvePerson } from '../../src/trigger/utils/people'
+
+vi.mock('next-auth/next', () => ({ getServerSession: vi.fn() }))
+
+function scrape(id, contact) {
+  return resolvePerson(personProfileFromLeadspicker({
+    id,
+    contact_data: Object.fromEntries(Object.entries(contact).map(([key, value]) => [key, { value }]))
+  }))
+}
+
+describeWithDatabase('person match review routes', () => {
+  let partner
+  let match
+
+  beforeEach(async () => {
+    await resetDatabase()
+    partner = await createUser({ role: 'partner' })
+    await scrape(1, { full_name: 'Jana Novak', company_name: 'Acme', email: 'jana@acme.com' })
+    await scrape(2, { full_name: 'Jana Novak', company_name: 'Acme', email: 'jnovak@gmail.com' })
+    match = await prisma.personMatch.findFirstOrThrow()
+  })
+
+  it('lists pending matches to partners only', async () => {
+    signInAs(await createUser({ role: 'analyst' }))
+    expect((await callHandler(matchesHandler)).statusCode).toBe(403)
+
+    signInAs(partner)
+    const res = await callHandler(matchesHandler)
+    expect(res.statusCode).toBe(200)
+    expect(res.body.total).toBe(1)
+    expect(res.body.matches[0]).toMatchObject({
+      reasons: ['email-differs', 'name-company'],
+      candidate: { email: 'jana@acme.com', sourceRecords: [{ leadspickerId: 1 }] },
+      person: { email: 'jnovak@gmail.com', sourceRecords: [{ leadspickerId: 2 }] }
+    })
+  })
+
+  it('keeps both people when dismissed', async () => {
+    signInAs(partner)
+    const res = await callHandler(matchHandler, { method: 'POST', query: { id: match.id }, body: { action: 'dismiss' } })
+    expect(res.statusCode).toBe(200)
+    expect(res.body.match).toMatchObject({ status: 'dismissed', resolvedById: partner.id })
+    expect(await prisma.person.count()).toBe(2)
+
+    const again = await callHandler(matchHandler, { method: 'POST', query: { id: match.id }, body: { action: 'merge' } })
+    expect(again.statusCode).toBe(409)
+  })
+
+  it('merges the newer person into the existing one', async () => {
+    signInAs(partner)
+    const res = await callHandler(matchHandler, { method: 'POST', query: { id: match.id }, body: { action: 'merge' } })
+    expect(res.statusCode).toBe(200)
+    expect(res.body.person).toMatchObject({ id: match.candidateId, email: 'jana@acme.com' })
+    expect(await prisma.person.count()).toBe(1)
+
+    const again = await callHandler(matchHandler, { method: 'POST', query: { id: match.id }, body: { action: 'merge' } })
+    expect(again.statusCode).toBe(409)
+  })
+
+  it('rejects unknown actions', async () => {
+    signInAs(partner)
+    const res = await callHandler(matchHandler, { method: 'POST', query: { id: match.id }, body: { action: 'delete' } })
+    expect(res.statusCode).toBe(400)
+  })
+})
+
+describeWithDatabase('people directory routes', () => {
+  let partner
+
+  beforeEach(async () => {
+    await resetDatabase()
+    partner = await createUser({ role: 'partner' })
+    await scrape(1, { full_name: 'Jana Novak', country: 'Czechia', source_robot: 'fintech', company_employee_count: '12', followers_count: '800' })
+    await scrape(2, { full_name: 'Piotr Zielinski', country: 'Poland', source_robot: 'ai', company_employee_count: '150', followers_count: '4000' })
+    // Jana found again by another robot
+    await scrape(1, { full_name: 'Jana Novak', source_robot: 'ai', past_experiences: 'CTO at Fixture Analytics' })
+  })
+
+  it('is limited to partners and admins', async () => {
+    signInAs(await createUser({ role: 'analyst' }))
+    expect((await callHandler(peopleHandler)).statusCode).toBe(403)
+    expect((await callHandler(exportHandler)).statusCode).toBe(403)
+  })
+
+  it('filters by country, robot history and company size', async () => {
+    signInAs(partner)
+
+    const all = await callHandler(peopleHandler)
+    expect(all.body.people.map(person => person.fullName)).toEqual(['Jana Novak', 'Piotr Zielinski'])
+    expect(all.body.filterOptions).toEqual({ countries: ['Czechia', 'Poland'], sourceRobots: ['ai', 'fintech'], pendingMatches: 0 })
+
+    const byRobot = await callHandler(peopleHandler, { query: { sourceRobot: 'ai' } })
+    expect(byRobot.body.people).toHaveLength(2)
+
+    const small = await callHandler(peopleHandler, { query: { maxEmployees: '50', country: 'czechia' } })
+    expect(small.body.people.map(person => person.fullName)).toEqual(['Jana Novak'])
+
+    const invalid = await callHandler(peopleHandler, { query: { minFollowers: 'many' } })
+    expect(invalid.statusCode).toBe(400)
+  })
+
+  it('shows a person with their background and source history', async () => {
+    signInAs(partner)
+    const jana = await prisma.person.findFirstOrThrow({ where: { fullName: 'Jana Novak' } })
+
+    const res = await callHandler(personHandler, { query: { id: jana.id } })
+    expect(res.statusCode).toBe(200)
+    expect(res.body).toMatchObject({ pastExperiences: 'CTO at Fixture Analytics', pendingMatches: 0 })
+    expect(res.body.sourceRecords.map(record => record.sourceRobot).sort()).toEqual(['ai', 'fintech'])
+  })
+
+  it('exports the filtered people as CSV', async () => {
+    signInAs(partner)
+    const res = await callHandler(exportHandler, { query: { country: 'Poland' } })
+
+    expect(res.statusCode).toBe(200)
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8')
+    const lines = res.body.trim().split('\r\n')
+    expect(lines).toHaveLength(2)
+    expect(lines[1]).toContain('Piotr Zielinski')
+  })
+
+  it('refuses to export more people than the limit instead of cutting the file short', async () => {
+    signInAs(partner)
+    vi.spyOn(prisma.person, 'count').mockResolvedValueOnce(10001)
+
+    const res = await callHandler(exportHandler)
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error).toContain('10001 people match')
+  })
+})
+
+describeWithDatabase('founder fit screening routes', () => {
+  let partner
+
+  beforeEach(async () => {
+    await resetDatabase()
+    partner = await createUser({ role: 'partner' })
+  })
+
+  it('filters people by founder fit', async () => {
+    await prisma.person.createMany({
+      data: [
+        { leadspickerId: 1, fullName: 'Jana Novak', fitScore: 8 },
+        { leadspickerId: 2, fullName: 'Piotr Zielinski', fitScore: 3 },
+        { leadspickerId: 3, fullName: 'Eva Svoboda' }
+      ]
+    })
+    signInAs(partner)
+
+    const res = await callHandler(peopleHandler, { query: { minFit: '6' } })
+    expect(res.body.people).toEqual([expect.objectContaining({ fullName: 'Jana Novak', fitScore: 8 })])
+  })
+
+  it('creates a deal from a lead with the person as its founder', async () => {
+    const person = await prisma.person.create({
+      data: {
+        leadspickerId: 1,
+        fullName: 'Jana Novak',
+        position: 'CEO',
+        companyName: 'Acme',
+        companyDescription: 'Product analytics for B2B SaaS',
+        fitScore: 8,
+        fitRationale: 'Repeat founder in our sectors.'
+      }
+    })
+    signInAs(partner)
+
+    const res = await callHandler(personDealHandler, { method: 'POST', query: { id: person.id } })
+    expect(res.statusCode).toBe(201)
+    expect(res.body.deal).toMatchObject({
+      companyName: 'Acme',
+      description: 'Product analytics for B2B SaaS',
+      assignedToId: partner.id,
+      stage: 'sourced'
+    })
+    const link = await prisma.dealPerson.findFirstOrThrow({ where: { dealId: res.body.deal.id } })
+    expect(link).toMatchObject({ personId: person.id, role: 'founder', source: 'manual' })
+
+    const transition = await prisma.dealStageTransition.findFirstOrThrow({ where: { dealId: res.body.deal.id } })
+    expect(transition).toMatchObject({ fromStage: null, toStage: 'sourced', changedById: partner.id })
+
+    const again = await callHandler(personDealHandler, { method: 'POST', query: { id: person.id } })
+    expect(again.statusCode).toBe(409)
+  })
+
+  it('starts one deal when a lead is submitted twice at once', async () => {
+    const person = await prisma.person.create({ data: { leadspickerId: 1, fullName: 'Jana Novak', companyName: 'Acme' } })
+    signInAs(partner)
+
+    const responses = await Promise.all([
+      callHandler(personDealHandler, { method: 'POST', query: { id: person.id } }),
+      callHandler(personDealHandler, { method: 'POST', query: { id: person.id } })
+    ])
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([201, 409])
+    expect(await prisma.deal.count()).toBe(1)
+  })
+
+  it('needs a company to start a deal and access to people', async () => {
+    const person = await prisma.person.create({ data: { leadspickerId: 1, fullName: 'Jana Novak' } })
+
+    signInAs(await createUser({ role: 'analyst' }))
+    expect((await callHandler(personDealHandler, { method: 'POST', query: { id: person.id } })).statusCode).toBe(403)
+
+    signInAs(partner)
+    expect((await callHandler(personDealHandler, { method: 'POST', query: { id: person.id } })).statusCode).toBe(400)
+    expect(await prisma.deal.count()).toBe(0)
+  })
+
+  it('lets only admins change the sourcing thesis', async () => {
+    const thesis = { stages: 'Seed', geographies: 'Baltics', sectors: 'Climate', backgroundSignals: 'Repeat founders' }
+
+    signInAs(partner)
+    expect((await callHandler(sourcingThesisHandler)).body.updatedAt).toBeNull()
+    expect((await callHandler(sourcingThesisHandler, { method: 'PUT', body: thesis })).statusCode).toBe(403)
+
+    signInAs(await createUser({ role: 'admin' }))
+    expect((await callHandler(sourcingThesisHandler, { method: 'PUT', body: { ...thesis, sectors: ' ' } })).statusCode).toBe(400)
+    const saved = await callHandler(sourcingThesisHandler, { method: 'PUT', body: thesis })
+    expect(saved.statusCode).toBe(200)
+    expect((await callHandler(sourcingThesisHandler)).body).toMatchObject(thesis)
+  })
+})
@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, expect, it, vi } from 'vitest'
+import { describeWithDatabase, prisma, resetDatabase } from '../support/db'
+import { callHandler } from '../support/http'
+import { signWebhook } from '../../src/lib/webhooks'
+import webhookHandler from '../../src/pages/api/webhook/register-new-person'
+import { addPersonOrchestrator } from '../../src/trigger/addPersonOrchestrator'
+
+function deliver(body, { id, secret = process.env.LEADSPICKER_WEBHOOK_SECRET } = {}) {
+  const rawBody = JSON.stringify(body)
+  const timestamp = String(Math.floor(Date.now() / 1000))
+  return callHandler(webhookHandler, {
+    method: 'POST',
+    rawBody,
+    headers: {
+      'content-type': 'application/json',
+      'x-webhook-timestamp': timestamp,
+      'x-webhook-signature': signWebhook(secret, timestamp, rawBody, id),
+      ...(id ? { 'x-webhook-id': id } : {})
+    }
+  })
+}
+
+describeWithDatabase('leadspicker webhook', () => {
+  beforeEach(async () => {
+    await resetDatabase()
+    addPersonOrchestrator.trigger.mockClear()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('rejects calls without a valid signature', async () => {
+    const res = await deliver({ person: { id: 42 } }, { secret: 'wrong' })
+    expect(res.statusCode).toBe(401)
+    expect(addPersonOrchestrator.trigger).not.toHaveBeenCalled()
+    expect(await prisma.webhookDelivery.count()).toBe(0)
+  })
+
+  it('starts the person orchestrator once per delivery', async () => {
+    const first = await deliver({ person: { id: 42 } }, { id: 'evt_1' })
+    expect(first.statusCode).toBe(202)
+    expect(first.body).toMatchObject({ success: true, duplicate: false })
+    expect(first.body).not.toHaveProperty('triggerResult')
+
+    const redelivered = await deliver({ person: { id: 42 } }, { id: 'evt_1' })
+    expect(redelivered.statusCode).toBe(200)
+    expect(redelivered.body).toMatchObject({ deliveryId: first.body.deliveryId, duplicate: true })
+
+    expect(addPersonOrchestrator.trigger).toHaveBeenCalledTimes(1)
+    expect(addPersonOrchestrator.trigger).toHaveBeenCalledWith(
+      { personId: 42 },
+      { idempotencyKey: 'leadspicker:evt_1' }
+    )
+    const delivery = await prisma.webhookDelivery.findUnique({ where: { id: first.body.deliveryId } })
+    expect(delivery).toMatchObject({ status: 'triggered', externalId: '42' })
+  })
+
+  it('treats identical unnamed bodies as the same delivery', async () => {
+    await deliver({ person: { id: 7 } })
+    const again = await deliver({ person: { id: 7 } })
+    expect(again.body.duplicate).toBe(true)
+    expect(addPersonOrchestrator.trigger).toHaveBeenCalledTimes(1)
+  })
+
+  it('answers a concurrent redelivery as a duplicate', async () => {
+    const first = await deliver({ person: { id: 42 } }, { id: 'evt_1' })
+    // The redelivery's lookup ran before the first delivery was recorded
+    vi.spyOn(prisma.webhookDelivery, 'findUnique').mockResolvedValueOnce(null)
+
+    const racing = await deliver({ person: { id: 42 } }, { id: 'evt_1' })
+    expect(racing.statusCode).toBe(200)
+    expect(racing.body).toMatchObject({ deliveryId: first.body.deliveryId, duplicate: true })
+    expect(addPersonOrchestrator.trigger).toHaveBeenCalledTimes(1)
+  })
+
+  it('retries a delivery whose trigger failed', async () => {
+    addPersonOrchestrator.trigger.mockRejectedValueOnce(new Error('Trigger.dev unavailable'))
+    const failed = await deliver({ person: { id: 9 } }, { id: 'evt_9' })
+    expect(failed.statusCode).toBe(500)
+
+    const retried = await deliver({ person: { id: 9 } }, { id: 'evt_9' })
+    expect(retried.statusCode).toBe(202)
+    expect(await prisma.webhookDelivery.findMany()).toEqual([
+      expect.objectContaining({ idempotencyKey: 'evt_9', status: 'triggered', error: null })
+    ])
+  })
+
+  it('retries a delivery that never reached Trigger.dev', async () => {
+    const delivery = await prisma.webhookDelivery.create({
+      data: { source: 'leadspicker', idempotencyKey: 'evt_5', externalId: '5' }
+    })
+
+    const recent = await deliver({ person: { id: 5 } }, { id: 'evt_5' })
+    expect(recent.body.duplicate).toBe(true)
+
+    await prisma.$executeRaw`UPDATE "webhook_deliveries" SET "updatedAt" = NOW() - INTERVAL '10 minutes' WHERE "id" = ${delivery.id}`
+    const retried = await deliver({ person: { id: 5 } }, { id: 'evt_5' })
+    expect(retried.statusCode).toBe(202)
+    expect(retried.body).toMatchObject({ deliveryId: delivery.id, duplicate: false })
+    expect(addPersonOrchestrator.trigger).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not start another run for a replay under a new delivery id', async () => {
+    const rawBody = JSON.stringify({ person: { id: 42 } })
+    const timestamp = String(Math.floor(Date.now() / 1000))
+    const res = await callHandler(webhookHandler, {
+      method: 'POST',
+      rawBody,
+      headers: {
+        'x-webhook-timestamp': timestamp,
+        'x-webhook-signature': signWebhook(process.env.LEADSPICKER_WEBHOOK_SECRET, timestamp, rawBody, 'evt_1'),
+        'x-webhook-id': 'evt_2'
+      }
+    })
+    expect(res.statusCode).toBe(401)
+    expect(addPersonOrchestrator.trigger).not.toHaveBeenCalled()
+  })
+
+  it('rejects payloads without a person id', async () => {
+    const res = await deliver({ event: 'ping' })
+    expect(res.statusCode).toBe(400)
+  })
+})
@@ -0,0 +1,59 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { dealRoleFor, hasDealRole } from '../../src/lib/dealAccess'
+import { can, isEmailDomainAllowed } from '../../src/lib/roles'
+
+describe('dealRoleFor', () => {
+  const deal = {
+    assignedToId: 'owner',
+    visibility: 'private',
+    collaborators: [{ userId: 'editor', role: 'editor' }, { userId: 'viewer', role: 'viewer' }],
+  }
+
+  it('resolves owners and collaborators', () => {
+    expect(dealRoleFor(deal, 'owner')).toBe('owner')
+    expect(dealRoleFor(deal, 'editor')).toBe('editor')
+    expect(dealRoleFor(deal, 'viewer')).toBe('viewer')
+  })
+
+  it('denies everyone else on a private deal', () => {
+    expect(dealRoleFor(deal, 'stranger')).toBeNull()
+  })
+
+  it('makes everyone a viewer of a team deal', () => {
+    expect(dealRoleFor({ ...deal, visibility: 'team' }, 'stranger')).toBe('viewer')
+  })
+})
+
+describe('hasDealRole', () => {
+  it('orders roles from viewer to owner', () => {
+    expect(hasDealRole('owner', 'editor')).toBe(true)
+    expect(hasDealRole('editor', 'editor')).toBe(true)
+    expect(hasDealRole('viewer', 'editor')).toBe(false)
+  })
+})
+
+describe('can', () => {
+  it('gates actions by firm role', () => {
+    expect(can('partner', 'deals:reanalyze')).toBe(true)
+    expect(can('analyst', 'deals:reanalyze')).toBe(false)
+    expect(can('partner', 'users:manage')).toBe(false)
+    expect(can(undefined, 'deals:delete')).toBe(false)
+  })
+})
+
+describe('isEmailDomainAllowed', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it('matches configured domains regardless of case', () => {
+    vi.stubEnv('ALLOWED_EMAIL_DOMAINS', 'credoventures.com, example.org')
+    expect(isEmailDomainAllowed('Jana@CredoVentures.com')).toBe(true)
+    expect(isEmailDomainAllowed('jana@gmail.com')).toBe(false)
+  })
+
+  it('lets nobody in by domain when no domains are configured', () => {
+    vi.stubEnv('ALLOWED_EMAIL_DOMAINS', '')
+    expect(isEmailDomainAllowed('jana@credoventures.com')).toBe(false)
+  })
+})
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest'
+import { analysisStageLabel, retryRequestForStage } from '../../src/lib/analysisStages'
+
+describe('retryRequestForStage', () => {
+  it('re-runs a single competitor type', () => {
+    expect(retryRequestForStage('competitors:open-source')).toEqual({ stage: 'competitors', competitorType: 'open-source' })
+  })
+
+  it('re-runs deal extraction and scoring on their own', () => {
+    expect(retryRequestForStage('deal')).toEqual({ stage: 'deal' })
+    expect(retryRequestForStage('evaluation')).toEqual({ stage: 'evaluation' })
+  })
+
+  it('falls back to a full analysis for document stages', () => {
+    expect(retryRequestForStage('ingest')).toEqual({ stage: 'all' })
+    expect(retryRequestForStage('upload')).toEqual({ stage: 'all' })
+  })
+})
+
+describe('analysisStageLabel', () => {
+  it('names competitor stages after their type', () => {
+    expect(analysisStageLabel('competitors:incumbents')).toBe('Incumbent Companies')
+    expect(analysisStageLabel('deal')).toBe('Deal extraction')
+  })
+})
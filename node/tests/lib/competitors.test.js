@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest'
+import {
+  competitorSourceLabel,
+  competitorTypeName,
+  effectiveCategory,
+  effectiveScore,
+  fundingStageBucket,
+  isOverridden,
+  landscapePoints
+} from '../../src/lib/competitors'
+import { competitorTypeSlug } from '../../src/lib/competitorTypeValidation'
+
+describe('competitor overrides', () => {
+  it('prefers the analyst override over the AI value', () => {
+    const competitor = { score: '6', competitorCategory: 'well-funded', scoreOverride: '9', categoryOverride: null }
+    expect(effectiveScore(competitor)).toBe('9')
+    expect(effectiveCategory(competitor)).toBe('well-funded')
+    expect(isOverridden(competitor)).toBe(true)
+  })
+
+  it('falls back to the AI values', () => {
+    const competitor = { score: '6', competitorCategory: 'incumbent' }
+    expect(effectiveScore(competitor)).toBe('6')
+    expect(effectiveCategory(competitor)).toBe('incumbent')
+    expect(isOverridden(competitor)).toBe(false)
+  })
+
+  it('labels manual and searched sources', () => {
+    expect(competitorSourceLabel('manual')).toBe('Added manually')
+    expect(competitorSourceLabel('open-source')).toBe('Open Source Solutions')
+  })
+})
+
+describe('competitive landscape', () => {
+  const competitors = [
+    { id: 'a', score: '8', competitorCategory: 'incumbent', competitorSources: ['open-source'], company: { fundingStage: 'Series C' } },
+    { id: 'b', score: 'uncertain', competitorCategory: null, competitorSource: 'startups' },
+    { id: 'c', score: '3', competitorCategory: 'incumbent', scoreOverride: '5', categoryOverride: 'early-stage', competitorSources: ['manual'] },
+    { id: 'd', score: '9', competitorCategory: 'incumbent', hidden: true, competitorSources: ['open-source'] },
+  ]
+
+  it('buckets free-text funding stages', () => {
+    expect(fundingStageBucket('Pre-Seed')).toBe('seed')
+    expect(fundingStageBucket('Series A')).toBe('series-a')
+    expect(fundingStageBucket('Series D, $400M')).toBe('growth')
+    expect(fundingStageBucket('Public (NASDAQ)')).toBe('public')
+    expect(fundingStageBucket('unknown')).toBeNull()
+    expect(fundingStageBucket(null)).toBeNull()
+  })
+
+  it('places visible competitors by effective category and score', () => {
+    const points = landscapePoints(competitors)
+    expect(points.map(p => p.competitor.id)).toEqual(['a', 'b', 'c'])
+    expect(points.find(p => p.competitor.id === 'c').score).toBe(5)
+    // An uncertain score has no position on the axis, and no category lands in the last row
+    expect(points.find(p => p.competitor.id === 'b')).toMatchObject({ score: null, row: 3 })
+    expect(points.find(p => p.competitor.id === 'a').row).not.toBe(points.find(p => p.competitor.id === 'c').row)
+  })
+
+  it('uses funding stage rows and filters by source', () => {
+    const points = landscapePoints(competitors, { axis: 'funding', sources: ['open-source', 'startups'] })
+    expect(points.map(p => p.competitor.id)).toEqual(['a', 'b'])
+    expect(points[0].row).toBe(1) // Series C+ sits below public companies
+    expect(points[1].row).toBe(5) // Unknown
+  })
+})
+
+describe('competitor type names', () => {
+  it('prefers the loaded names, then the seeded ones, then the slug', () => {
+    expect(competitorTypeName('eu-only', { 'eu-only': 'EU-only competitors' })).toBe('EU-only competitors')
+    expect(competitorTypeName('incumbents')).toBe('Incumbent Companies')
+    expect(competitorTypeName('eu-only')).toBe('eu-only')
+    expect(competitorSourceLabel('manual', { manual: 'Ignored' })).toBe('Added manually')
+  })
+
+  it('derives slugs from names', () => {
+    expect(competitorTypeSlug('  EU-only Competitors ')).toBe('eu-only-competitors')
+    expect(competitorTypeSlug('Crème & Café')).toBe('creme-cafe')
+  })
+})
@@ -0,0 +1,12 @@
+import { describe, expect, it } from 'vitest'
+import { renderMemoPdf } from '../../src/lib/memo'
+
+describe('renderMemoPdf', () => {
+  it('sets the memo in the bundled Unicode font', async () => {
+    const pdf = await renderMemoPdf('# Kůň s.r.o.\n\n- **Jiří Dvořák** (CEO)\n')
+
+    const source = pdf.toString('latin1')
+    expect(source).toContain('DejaVuSans-Bold')
+    expect(source).not.toContain('/Helvetica')
+  })
+})
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest'
+import { peopleCsv, peopleWhere } from '../../src/lib/peopleSearch'
+import { PeopleListQuerySchema } from '../../src/lib/peopleValidation'
+
+describe('peopleWhere', () => {
+  it('combines the list filters', () => {
+    const filters = PeopleListQuerySchema.parse({
+      country: 'Czechia',
+      sourceRobot: 'fintech-founders',
+      minEmployees: '10',
+      maxFollowers: '5000'
+    })
+
+    expect(peopleWhere(filters).AND).toEqual([
+      { country: { equals: 'Czechia', mode: 'insensitive' } },
+      { sourceRecords: { some: { sourceRobot: 'fintech-founders' } } },
+      { companyEmployeeCount: { gte: 10 } },
+      { followersCount: { lte: 5000 } }
+    ])
+  })
+
+  it('has no conditions without filters', () => {
+    expect(peopleWhere(PeopleListQuerySchema.parse({}))).toEqual({ AND: [] })
+  })
+})
+
+describe('peopleCsv', () => {
+  it('quotes cells that need it and defuses formulas', () => {
+    const csv = peopleCsv([{
+      fullName: 'Novak, Jana',
+      position: '=HYPERLINK("http://evil")',
+      followersCount: 1200,
+      createdAt: new Date('2025-09-01T00:00:00Z')
+    }])
+    const [header, row] = csv.trim().split('\r\n')
+
+    expect(header.startsWith('Name,Position,Email,')).toBe(true)
+    expect(row).toBe('"Novak, Jana","\'=HYPERLINK(""http://evil"")",,,1200,,,,,,,,,2025-09-01T00:00:00.000Z')
+  })
+})
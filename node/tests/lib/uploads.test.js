@@ -0,0 +1,14 @@
+import { describe, expect, it } from 'vitest'
+import { unsupportedFilenames } from '../../src/lib/uploads'
+
+describe('unsupportedFilenames', () => {
+  it('names every file in the batch that cannot be processed', () => {
+    const files = [
+      { originalFilename: 'deck.pdf', mimetype: 'application/pdf' },
+      { originalFilename: 'setup.exe', mimetype: 'application/octet-stream' },
+      { originalFilename: 'notes.txt', mimetype: 'text/plain' },
+      { originalFilename: 'archive.zip', mimetype: 'application/zip' },
+    ]
+    expect(unsupportedFilenames(files)).toEqual(['setup.exe', 'archive.zip'])
+  })
+})
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest'
+import {
+  WEBHOOK_TOLERANCE_SECONDS,
+  redactHeaders,
+  signWebhook,
+  webhookIdempotencyKey,
+  webhookRejection
+} from '../../src/lib/webhooks'
+
+const secret = 'shh'
+const rawBody = '{"person":{"id":42}}'
+const now = Date.UTC(2025, 8, 24, 12)
+const timestamp = String(now / 1000)
+
+function signedHeaders(overrides = {}) {
+  return {
+    'x-webhook-timestamp': timestamp,
+    'x-webhook-signature': signWebhook(secret, timestamp, rawBody),
+    ...overrides
+  }
+}
+
+describe('webhookRejection', () => {
+  it('accepts a fresh call signed with the shared secret', () => {
+    expect(webhookRejection({ secret, headers: signedHeaders(), rawBody, now })).toBeNull()
+  })
+
+  it('rejects unsigned calls and other secrets', () => {
+    expect(webhookRejection({ secret, headers: {}, rawBody, now })).toBe('Missing signature headers')
+    const forged = signedHeaders({ 'x-webhook-signature': signWebhook('guess', timestamp, rawBody) })
+    expect(webhookRejection({ secret, headers: forged, rawBody, now })).toBe('Invalid signature')
+  })
+
+  it('rejects a body changed after signing', () => {
+    expect(webhookRejection({ secret, headers: signedHeaders(), rawBody: '{"person":{"id":43}}', now }))
+      .toBe('Invalid signature')
+  })
+
+  it('rejects a delivery id changed after signing', () => {
+    const named = signedHeaders({
+      'x-webhook-id': 'evt_1',
+      'x-webhook-signature': signWebhook(secret, timestamp, rawBody, 'evt_1')
+    })
+    expect(webhookRejection({ secret, headers: named, rawBody, now })).toBeNull()
+    expect(webhookRejection({ secret, headers: { ...named, 'x-webhook-id': 'evt_2' }, rawBody, now }))
+      .toBe('Invalid signature')
+    expect(webhookRejection({ secret, headers: signedHeaders({ 'x-webhook-id': 'evt_2' }), rawBody, now }))
+      .toBe('Invalid signature')
+  })
+
+  it('rejects replays outside the tolerance window', () => {
+    const later = now + (WEBHOOK_TOLERANCE_SECONDS + 1) * 1000
+    expect(webhookRejection({ secret, headers: signedHeaders(), rawBody, now: later }))
+      .toBe('Timestamp outside the accepted window')
+  })
+})
+
+describe('webhookIdempotencyKey', () => {
+  it('prefers the sender delivery id and falls back to the body hash', () => {
+    expect(webhookIdempotencyKey({ 'x-webhook-id': 'evt_1' }, rawBody)).toBe('evt_1')
+    expect(webhookIdempotencyKey({}, rawBody)).toBe(webhookIdempotencyKey({}, rawBody))
+    expect(webhookIdempotencyKey({}, rawBody)).not.toBe(webhookIdempotencyKey({}, '{"person":{"id":43}}'))
+  })
+})
+
+it('redacts credentials from logged headers', () => {
+  expect(redactHeaders({ Authorization: 'Bearer x', 'x-webhook-signature': 'sha256=abc', 'user-agent': 'lp' }))
+    .toEqual({ Authorization: '[REDACTED]', 'x-webhook-signature': '[REDACTED]', 'user-agent': 'lp' })
+})
@@ -0,0 +1,69 @@
+import { describe } from "vitest";
+import { prisma } from "../../src/lib/prisma";
+import { DEFAULT_COMPETITOR_TYPES } from "../../src/trigger/config/competitorTypes";
+
+export { prisma };
+
+export const hasTestDatabase = Boolean(process.env.TEST_DATABASE_URL);
+
+// Suites that read or write Postgres; skipped unless TEST_DATABASE_URL is set
+export const describeWithDatabase = describe.skipIf(!hasTestDatabase);
+
+export async function resetDatabase(): Promise<void> {
+  const tables = await prisma.$queryRaw<Array<{ tablename: string }>>`
+    SELECT tablename FROM pg_tables
+    WHERE schemaname = 'public' AND tablename <> '_prisma_migrations'
+  `;
+  if (tables.length === 0) return;
+  const names = tables.map(({ tablename }) => `"public"."${tablename}"`).join(", ");
+  await prisma.$executeRawUnsafe(`TRUNCATE TABLE ${names} CASCADE`);
+  // Reference data the migrations seed
+  await prisma.competitorTypeConfig.createMany({
+    data: DEFAULT_COMPETITOR_TYPES.map((type, index) => ({ ...type, sortOrder: index })),
+  });
+}
+
+let userCounter = 0;
+
+export async function createUser(data: { role?: string; name?: string } = {}) {
+  userCounter += 1;
+  return prisma.user.create({
+    data: {
+      email: `user${userCounter}@example.com`,
+      name: data.name || `User ${userCounter}`,
+      role: data.role || "analyst",
+    },
+  });
+}
+
+export async function createDeal(ownerId: string, data: Record<string, unknown> = {}) {
+  return prisma.deal.create({
+    data: {
+      companyName: "Processing...",
+      assignedToId: ownerId,
+      ...data,
+    },
+  });
+}
+
+// DealFile rows as the upload API creates them, before any task has run
+export async function createDealFiles(dealId: string, filenames: string[]) {
+  const files = filenames.map((filename) => ({
+    s3Url: `https://test-bucket.s3.eu-central-1.amazonaws.com/${filename}`,
+    originalFilename: filename,
+    mimetype: "application/pdf",
+    size: 1024,
+  }));
+  await prisma.dealFile.createMany({
+    data: files.map((file) => ({
+      dealId,
+      filename: file.originalFilename,
+      originalName: file.originalFilename,
+      mimeType: file.mimetype,
+      size: file.size,
+      url: file.s3Url,
+      conversionStatus: "pending",
+    })),
+  });
+  return files;
+}
@@ -0,0 +1,60 @@
+import { Readable } from "stream";
+import { vi } from "vitest";
+import { getServerSession } from "next-auth/next";
+
+// Minimal req/res pair for calling a pages-router API handler directly
+
+export function mockRequest({ method = "GET", query = {}, body, rawBody, headers = {} }: {
+  method?: string;
+  query?: Record<string, string | string[]>;
+  body?: unknown;
+  rawBody?: string; // For routes that read the stream themselves (bodyParser: false)
+  headers?: Record<string, string>;
+} = {}) {
+  if (rawBody !== undefined) {
+    return Object.assign(Readable.from([Buffer.from(rawBody)]), { method, query, headers }) as any;
+  }
+  return { method, query, body, headers } as any;
+}
+
+export function mockResponse() {
+  const res: any = {
+    statusCode: 200,
+    headers: {} as Record<string, unknown>,
+    body: undefined as unknown,
+  };
+  res.status = (code: number) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body: unknown) => {
+    res.body = body;
+    return res;
+  };
+  res.send = (body: unknown) => {
+    res.body = body;
+    return res;
+  };
+  res.setHeader = (name: string, value: unknown) => {
+    res.headers[name.toLowerCase()] = value;
+    return res;
+  };
+  res.end = () => res;
+  return res;
+}
+
+export async function callHandler(
+  handler: (req: any, res: any) => Promise<unknown>,
+  request: Parameters<typeof mockRequest>[0] = {}
+) {
+  const res = mockResponse();
+  await handler(mockRequest(request), res);
+  return res;
+}
+
+// Requires vi.mock("next-auth/next") in the test file
+export function signInAs(user: { id: string; email: string; role: string } | null) {
+  vi.mocked(getServerSession).mockResolvedValue(
+    user ? { user: { id: user.id, email: user.email, role: user.role }, expires: "2999-01-01" } : null
+  );
+}
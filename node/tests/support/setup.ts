@@ -0,0 +1,8 @@
+// Point Prisma at the throwaway database before any module creates a client. Without one,
+// use an address that cannot connect so nothing reaches the database from .env.
+process.env.DATABASE_URL = process.env.TEST_DATABASE_URL || "postgresql://test@127.0.0.1:1/no_test_database";
+process.env.OPENAI_API_KEY = "test-key";
+process.env.LEADSPICKER_API_KEY = "test-leadspicker-key";
+process.env.S3_BUCKET_NAME = "test-bucket";
+process.env.AWS_REGION = "eu-central-1";
+process.env.LEADSPICKER_WEBHOOK_SECRET = "test-webhook-secret";
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import {
+  citationsPerItem,
+  cleanCitationUrl,
+  mergeCompetitorSources,
+  sourcesFromCitations,
+} from "../../src/trigger/utils/citations";
+
+const outputText = JSON.stringify({
+  competitors: [
+    { name: "Matomo", description: "Self-hosted analytics", relevance: "Privacy-focused \"name\": buyers" },
+    { name: "Plausible", description: "Lightweight analytics", relevance: "Small teams" },
+  ],
+});
+
+function citationOf(quote: string, url: string) {
+  const startIndex = outputText.indexOf(quote);
+  return { url, title: null, startIndex, endIndex: startIndex + quote.length };
+}
+
+describe("citationsPerItem", () => {
+  it("attributes each citation to the list item it appears in", () => {
+    const citations = [
+      citationOf("Lightweight analytics", "https://plausible.io"),
+      citationOf("Self-hosted analytics", "https://matomo.org"),
+      citationOf("Privacy-focused", "https://matomo.org/privacy"),
+    ];
+    const items = citationsPerItem(outputText, citations, "name", 2);
+    expect(items[0].map((c) => c.url)).toEqual(["https://matomo.org", "https://matomo.org/privacy"]);
+    expect(items[1].map((c) => c.url)).toEqual(["https://plausible.io"]);
+  });
+
+  it("drops citations outside any item", () => {
+    const items = citationsPerItem(outputText, [{ url: "https://x.com", title: null, startIndex: 0, endIndex: 5 }], "name", 2);
+    expect(items).toEqual([[], []]);
+  });
+});
+
+describe("competitor sources", () => {
+  it("strips the tracking parameter added by web search", () => {
+    expect(cleanCitationUrl("https://matomo.org/features/?utm_source=openai")).toBe("https://matomo.org/features/");
+    expect(cleanCitationUrl("https://example.com/?page=2&utm_source=openai")).toBe("https://example.com/?page=2");
+    expect(cleanCitationUrl("not a url")).toBe("not a url");
+  });
+
+  it("keeps each cited page once", () => {
+    const sources = sourcesFromCitations(
+      [
+        { url: "https://matomo.org/?utm_source=openai", title: "Matomo", startIndex: 0, endIndex: 1 },
+        { url: "https://matomo.org/", title: "Matomo again", startIndex: 2, endIndex: 3 },
+      ],
+      "discovery"
+    );
+    expect(sources).toEqual([{ url: "https://matomo.org/", title: "Matomo", stage: "discovery" }]);
+  });
+
+  it("accumulates discovery sources and replaces evaluation sources", () => {
+    const existing = [
+      { url: "https://a.com/", title: null, stage: "discovery" },
+      { url: "https://b.com/", title: null, stage: "evaluation" },
+    ];
+    const discovered = mergeCompetitorSources(
+      existing,
+      [
+        { url: "https://a.com/", title: null, stage: "discovery" },
+        { url: "https://c.com/", title: null, stage: "discovery" },
+      ],
+      "discovery"
+    );
+    expect(discovered.map((s) => s.url)).toEqual(["https://a.com/", "https://b.com/", "https://c.com/"]);
+
+    const evaluated = mergeCompetitorSources(existing, [{ url: "https://d.com/", title: null, stage: "evaluation" }], "evaluation");
+    expect(evaluated.map((s) => s.url)).toEqual(["https://a.com/", "https://d.com/"]);
+    expect(mergeCompetitorSources(null, [], "evaluation")).toEqual([]);
+  });
+});
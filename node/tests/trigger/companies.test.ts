@@ -0,0 +1,64 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { describeWithDatabase, prisma, resetDatabase } from "../support/db";
+import { companyKeys, findOrCreateCompany, updateCompanyFacts } from "../../src/trigger/utils/companies";
+
+describe("company keys", () => {
+  it("derives the match keys from name and website", () => {
+    expect(companyKeys({ name: "PostHog, Inc.", website: "https://www.posthog.com/pricing" })).toEqual({
+      normalizedName: "posthog",
+      domain: "posthog.com",
+    });
+    expect(companyKeys({ name: "PostHog", website: null }).domain).toBeNull();
+  });
+});
+
+describeWithDatabase("shared companies", () => {
+  beforeEach(async () => {
+    await resetDatabase();
+  });
+
+  it("reuses a company by domain and completes its profile", async () => {
+    const first = await findOrCreateCompany({ name: "Amplitude", website: "https://amplitude.com", description: null });
+    const second = await findOrCreateCompany({
+      name: "Amplitude Inc",
+      website: "www.amplitude.com",
+      description: "Digital analytics platform.",
+    });
+
+    expect(second?.id).toBe(first?.id);
+    expect(second?.name).toBe("Amplitude");
+    expect(second?.description).toBe("Digital analytics platform.");
+    expect(await prisma.company.count()).toBe(1);
+  });
+
+  it("matches by name only when a website is missing on one side", async () => {
+    const withoutWebsite = await findOrCreateCompany({ name: "Heap" });
+    const claimed = await findOrCreateCompany({ name: "Heap", website: "https://heap.io" });
+    expect(claimed?.id).toBe(withoutWebsite?.id);
+    expect(claimed?.domain).toBe("heap.io");
+
+    // Same name, different website: a different company
+    const other = await findOrCreateCompany({ name: "Heap", website: "https://heap.example" });
+    expect(other?.id).not.toBe(claimed?.id);
+  });
+
+  it("creates one company when parallel searches find it without a website", async () => {
+    const [first, second] = await Promise.all([
+      findOrCreateCompany({ name: "Pendo" }),
+      findOrCreateCompany({ name: "Pendo, Inc." }),
+    ]);
+
+    expect(second?.id).toBe(first?.id);
+    expect(await prisma.company.count()).toBe(1);
+  });
+
+  it("updates funding facts but keeps hand edits", async () => {
+    const company = await prisma.company.create({
+      data: { name: "Mixpanel", normalizedName: "mixpanel", totalFunding: "$277M", editedFields: ["totalFunding"] },
+    });
+
+    const updated = await updateCompanyFacts(company.id, { fundingStage: "Series C", totalFunding: "$65M" });
+    expect(updated?.fundingStage).toBe("Series C");
+    expect(updated?.totalFunding).toBe("$277M");
+  });
+});
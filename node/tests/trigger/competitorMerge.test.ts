@@ -0,0 +1,114 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { describeWithDatabase, prisma, resetDatabase, createUser, createDeal } from "../support/db";
+import {
+  groupDuplicateCompetitors,
+  mergeCompetitorFields,
+  mergeDuplicateCompetitors,
+  pickPrimaryCompetitor,
+  splitCompetitor,
+  staleCompetitorChanges,
+} from "../../src/trigger/utils/competitorMerge";
+
+describe("competitor merging", () => {
+  it("groups duplicates transitively and leaves locked records alone", () => {
+    const groups = groupDuplicateCompetitors([
+      { id: "a", name: "PostHog", website: "https://posthog.com" },
+      { id: "b", name: "PostHog Inc.", website: null },
+      { id: "c", name: "Posthog Cloud", website: "www.posthog.com/pricing" },
+      { id: "d", name: "Mixpanel", website: "mixpanel.com" },
+      { id: "e", name: "PostHog", website: null, mergeLocked: true },
+    ]);
+    expect(groups.map((group) => group.map((c) => c.id))).toEqual([["a", "b", "c"]]);
+  });
+
+  it("keeps edited, then evaluated, then the oldest record", () => {
+    const base = { name: "Acme", createdAt: new Date("2025-01-01") };
+    expect(pickPrimaryCompetitor([
+      { ...base, id: "old" },
+      { ...base, id: "scored", score: "7", createdAt: new Date("2025-02-01") },
+    ]).id).toBe("scored");
+    expect(pickPrimaryCompetitor([
+      { ...base, id: "scored", score: "7" },
+      { ...base, id: "edited", editedFields: ["description"], createdAt: new Date("2025-02-01") },
+    ]).id).toBe("edited");
+  });
+
+  it("fills gaps from duplicates and prefers hand edits", () => {
+    const { data, filledFields, addedSources } = mergeCompetitorFields(
+      { id: "p", name: "Acme", description: "AI description", website: null, competitorSources: ["yc-companies"] },
+      [
+        { id: "d1", name: "Acme Inc", description: "Analyst description", website: "acme.com", editedFields: ["description"], competitorSource: "open-source" },
+        { id: "d2", name: "ACME", competitorSources: ["yc-companies", "incumbents"] },
+      ]
+    );
+    expect(data.description).toBe("Analyst description");
+    expect(data.website).toBe("acme.com");
+    expect(data.name).toBeUndefined();
+    expect(data.editedFields).toEqual(["description"]);
+    expect(data.competitorSources).toEqual(["yc-companies", "open-source", "incumbents"]);
+    expect(filledFields).toEqual({ d1: ["description", "website"], d2: [] });
+    expect(addedSources).toEqual({ d1: ["open-source"], d2: ["incumbents"] });
+  });
+});
+
+describe("stale competitor cleanup", () => {
+  const base = { editedFields: [], hidden: false, scoreOverride: null, categoryOverride: null };
+
+  it("drops a type's tag from results it no longer returns and removes untagged records", () => {
+    const { deleteIds, updates } = staleCompetitorChanges(
+      [
+        { ...base, id: "kept", competitorSources: ["yc-companies"] },
+        { ...base, id: "shared", competitorSource: "yc-companies", competitorSources: ["yc-companies", "open-source"] },
+        { ...base, id: "gone", competitorSources: ["yc-companies"] },
+        { ...base, id: "hidden", competitorSources: ["yc-companies"], hidden: true },
+        { ...base, id: "untouched", competitorSources: ["incumbents"] },
+        { ...base, id: "manual", competitorSource: "manual", competitorSources: ["manual"] },
+      ],
+      { "yc-companies": ["kept"], "open-source": ["shared"] }
+    );
+    expect(deleteIds).toEqual(["gone"]);
+    expect(updates).toEqual([{ id: "shared", competitorSources: ["open-source"], competitorSource: "open-source" }]);
+  });
+});
+
+describeWithDatabase("competitor merge and split", () => {
+  beforeEach(async () => {
+    await resetDatabase();
+  });
+
+  it("merges duplicates on a deal and splits them back", async () => {
+    const user = await createUser();
+    const deal = await createDeal(user.id);
+    const kept = await prisma.competitor.create({
+      data: { dealId: deal.id, name: "PostHog", competitorSource: "yc-companies", competitorSources: ["yc-companies"] },
+    });
+    const duplicate = await prisma.competitor.create({
+      data: {
+        dealId: deal.id,
+        name: "PostHog Inc.",
+        website: "https://posthog.com",
+        competitorSource: "open-source",
+        competitorSources: ["open-source"],
+      },
+    });
+
+    const mergedInto = await mergeDuplicateCompetitors(deal.id);
+    expect(Object.fromEntries(mergedInto)).toEqual({ [duplicate.id]: kept.id });
+
+    const merged = await prisma.competitor.findUniqueOrThrow({ where: { id: kept.id } });
+    expect(merged.website).toBe("https://posthog.com");
+    expect(merged.competitorSources).toEqual(["yc-companies", "open-source"]);
+    expect(await prisma.competitor.count({ where: { dealId: deal.id } })).toBe(1);
+
+    await splitCompetitor(kept.id);
+
+    const split = await prisma.competitor.findMany({ where: { dealId: deal.id }, orderBy: { createdAt: "asc" } });
+    expect(split.map((c) => [c.name, c.website, c.competitorSources, c.mergeLocked])).toEqual([
+      ["PostHog", null, ["yc-companies"], true],
+      ["PostHog Inc.", "https://posthog.com", ["open-source"], true],
+    ]);
+
+    // An analyst has separated them, so the next analysis run leaves them apart
+    expect((await mergeDuplicateCompetitors(deal.id)).size).toBe(0);
+  });
+});
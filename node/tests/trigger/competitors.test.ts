@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+import { isSameCompetitor, normalizeCompetitorName, websiteDomain } from "../../src/trigger/utils/competitors";
+
+describe("competitor identity", () => {
+  it("normalizes legal suffixes, case and punctuation", () => {
+    expect(normalizeCompetitorName("Acme, Inc.")).toBe("acme");
+    expect(normalizeCompetitorName("Škoda s.r.o.")).toBe("skoda");
+  });
+
+  it("compares websites by domain", () => {
+    expect(websiteDomain("https://www.acme.com/pricing")).toBe("acme.com");
+    expect(websiteDomain("acme.com")).toBe("acme.com");
+    expect(websiteDomain("not a url")).toBeNull();
+  });
+
+  it("matches on domain or normalized name", () => {
+    expect(isSameCompetitor({ name: "Acme", website: "acme.com" }, { name: "Acme Labs", website: "https://www.acme.com" })).toBe(true);
+    expect(isSameCompetitor({ name: "Acme Inc" }, { name: "ACME" })).toBe(true);
+    expect(isSameCompetitor({ name: "Acme", website: "acme.com" }, { name: "Beta", website: "beta.io" })).toBe(false);
+  });
+});
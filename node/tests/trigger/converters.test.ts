@@ -0,0 +1,12 @@
+import { describe, expect, it } from "vitest";
+import { sectionsToPdf } from "../../src/trigger/utils/converters";
+
+describe("sectionsToPdf", () => {
+  it("embeds a Unicode font so Czech text survives", async () => {
+    const pdf = await sectionsToPdf("Pitch deck", [{ text: "Příliš žluťoučký kůň" }]);
+
+    const source = pdf.toString("latin1");
+    expect(source).toContain("DejaVuSans");
+    expect(source).not.toContain("/Helvetica");
+  });
+});
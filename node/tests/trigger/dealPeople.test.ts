@@ -0,0 +1,59 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { createDeal, createUser, describeWithDatabase, prisma, resetDatabase } from "../support/db";
+import { founderNames, linkFoundersToPeople, pickFounderMatch } from "../../src/trigger/utils/dealPeople";
+
+describe("founder matching", () => {
+  it("ignores unnamed and repeated founders", () => {
+    expect(founderNames([{ name: " Jana Novak " }, { name: "Unknown" }, { role: "CTO" }, { name: "Jana Novak" }]))
+      .toEqual(["Jana Novak"]);
+    expect(founderNames(null)).toEqual([]);
+  });
+
+  it("narrows namesakes to the deal's company and gives up when that is not enough", () => {
+    const atAcme = { id: "1", companyName: "Acme s.r.o." };
+    const elsewhere = { id: "2", companyName: "Globex" };
+
+    expect(pickFounderMatch([elsewhere], "Acme")).toBe(elsewhere);
+    expect(pickFounderMatch([atAcme, elsewhere], "ACME")).toBe(atAcme);
+    expect(pickFounderMatch([atAcme, { id: "3", companyName: "Acme" }], "Acme")).toBeNull();
+    expect(pickFounderMatch([atAcme, elsewhere], null)).toBeNull();
+  });
+});
+
+describeWithDatabase("linkFoundersToPeople", () => {
+  beforeEach(async () => {
+    await resetDatabase();
+  });
+
+  it("links founders to known people and follows the latest founding team", async () => {
+    const owner = await createUser();
+    const jana = await prisma.person.create({ data: { leadspickerId: 1, fullName: "Jana Novak", companyName: "Acme" } });
+    const petr = await prisma.person.create({ data: { leadspickerId: 2, fullName: "Petr Dvorak", companyName: "Acme" } });
+    await prisma.person.createMany({
+      data: [
+        { leadspickerId: 3, fullName: "Eva Svoboda", companyName: "Globex" },
+        { leadspickerId: 4, fullName: "Eva Svoboda", companyName: "Initech" },
+      ],
+    });
+    const deal = await createDeal(owner.id, {
+      companyName: "Acme",
+      foundingTeam: [{ name: "jana novak" }, { name: "Petr Dvorak" }, { name: "Eva Svoboda" }],
+    });
+
+    expect(await linkFoundersToPeople(deal.id)).toBe(2);
+    const links = await prisma.dealPerson.findMany({ where: { dealId: deal.id } });
+    expect(links.map((link) => link.personId).sort()).toEqual([jana.id, petr.id].sort());
+    expect(links[0]).toMatchObject({ role: "founder", source: "analysis" });
+
+    // Jana's link was corrected by hand, so it stays after she drops out of the team
+    await prisma.dealPerson.update({
+      where: { dealId_personId: { dealId: deal.id, personId: jana.id } },
+      data: { role: "executive", source: "manual" },
+    });
+    await prisma.deal.update({ where: { id: deal.id }, data: { foundingTeam: [{ name: "Eva Svoboda" }] } });
+
+    expect(await linkFoundersToPeople(deal.id)).toBe(0);
+    const remaining = await prisma.dealPerson.findMany({ where: { dealId: deal.id } });
+    expect(remaining).toEqual([expect.objectContaining({ personId: jana.id, role: "executive" })]);
+  });
+});
@@ -0,0 +1,60 @@
+import { afterEach, beforeEach, expect, it, vi } from "vitest";
+import { describeWithDatabase, prisma, resetDatabase } from "../support/db";
+import { runTask } from "../support/triggerSdk";
+import { fetchPersonDetails } from "../../src/trigger/fetchPersonDetails";
+
+const leadspickerPerson = {
+  id: 4242,
+  contact_data: {
+    full_name: { value: "Jana Novak" },
+    email: { value: "jana@example.com" },
+    linkedin: { value: "https://www.linkedin.com/in/jana-novak" },
+    company_name: { value: "Fixture Analytics" },
+    followers_count: { value: "1200" },
+  },
+};
+
+describeWithDatabase("fetchPersonDetails", () => {
+  beforeEach(async () => {
+    await resetDatabase();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("saves the person returned by Leadspicker", async () => {
+    const fetchMock = vi.fn(async () => Response.json(leadspickerPerson));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const output = await runTask(fetchPersonDetails, { personId: 4242 });
+
+    expect(fetchMock).toHaveBeenCalledWith(
+      "https://app.leadspicker.com/app/sb/api/persons/4242",
+      expect.objectContaining({ method: "GET" })
+    );
+    expect(output.savedPerson?.fullName).toBe("Jana Novak");
+
+    const person = await prisma.person.findFirstOrThrow({ where: { leadspickerId: 4242 } });
+    expect(person.email).toBe("jana@example.com");
+    expect(person.followersCount).toBe(1200);
+  });
+
+  it("updates the person instead of adding a row when they are fetched again", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => Response.json(leadspickerPerson)));
+
+    await runTask(fetchPersonDetails, { personId: 4242 });
+    const output = await runTask(fetchPersonDetails, { personId: 4242 });
+
+    expect(output.outcome).toBe("updated");
+    expect(await prisma.person.count()).toBe(1);
+    expect(await prisma.personSourceRecord.count()).toBe(2);
+  });
+
+  it("fails when Leadspicker rejects the request", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response("not found", { status: 404 })));
+
+    await expect(runTask(fetchPersonDetails, { personId: 1 })).rejects.toThrow("status 404");
+    expect(await prisma.person.count()).toBe(0);
+  });
+});
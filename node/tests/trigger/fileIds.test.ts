@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { matchUploadedFileIds } from "../../src/trigger/utils/fileIds";
+
+const file = (name: string) => ({ s3Url: `https://bucket/${name}`, originalFilename: name });
+const result = (name: string, openaiFileId: string | null) => ({ originalFilename: name, openaiFileId });
+
+describe("matchUploadedFileIds", () => {
+  it("pairs results with files in upload order", () => {
+    const matches = matchUploadedFileIds(
+      [file("deck.pdf"), file("model.xlsx")],
+      [result("deck.pdf", "file-1"), result("model.xlsx", "file-2")]
+    );
+
+    expect(matches).toEqual([
+      { s3Url: "https://bucket/deck.pdf", originalFilename: "deck.pdf", openaiFileId: "file-1" },
+      { s3Url: "https://bucket/model.xlsx", originalFilename: "model.xlsx", openaiFileId: "file-2" },
+    ]);
+  });
+
+  it("leaves files whose upload failed without an ID", () => {
+    const matches = matchUploadedFileIds(
+      [file("deck.pdf"), file("broken.pdf"), file("notes.pdf")],
+      [result("deck.pdf", "file-1"), result("broken.pdf", null), result("notes.pdf", "file-3")]
+    );
+
+    expect(matches.map((m) => [m.originalFilename, m.openaiFileId])).toEqual([
+      ["deck.pdf", "file-1"],
+      ["notes.pdf", "file-3"],
+    ]);
+  });
+
+  it("falls back to the filename when results are out of order", () => {
+    const matches = matchUploadedFileIds(
+      [file("a.pdf"), file("b.pdf")],
+      [result("b.pdf", "file-b"), result("a.pdf", "file-a")]
+    );
+
+    expect(matches.map((m) => [m.originalFilename, m.openaiFileId])).toEqual([
+      ["a.pdf", "file-a"],
+      ["b.pdf", "file-b"],
+    ]);
+  });
+
+  it("uses each result once when filenames repeat", () => {
+    const first = { s3Url: "https://bucket/1-deck.pdf", originalFilename: "deck.pdf" };
+    const second = { s3Url: "https://bucket/2-deck.pdf", originalFilename: "deck.pdf" };
+
+    const matches = matchUploadedFileIds(
+      [first, second],
+      [result("deck.pdf", "file-1"), result("deck.pdf", "file-2")]
+    );
+
+    expect(matches.map((m) => [m.s3Url, m.openaiFileId])).toEqual([
+      ["https://bucket/1-deck.pdf", "file-1"],
+      ["https://bucket/2-deck.pdf", "file-2"],
+    ]);
+  });
+
+  it("ignores files without a result", () => {
+    expect(matchUploadedFileIds([file("a.pdf"), file("b.pdf")], [result("a.pdf", "file-a")])).toHaveLength(1);
+    expect(matchUploadedFileIds([file("a.pdf")], [])).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import { z } from "zod";
+import { FixtureProvider } from "../../src/trigger/llm/fixture";
+import { LlmTask, llmTaskConfig } from "../../src/trigger/config/llm";
+import { DealAnalysisSchema } from "../../src/trigger/analyzeDeal";
+import { CompetitorsSchema } from "../../src/trigger/analyzeCompetitors";
+
+const request = { system: "system", prompt: "prompt", schemaName: "test" };
+
+describe("FixtureProvider", () => {
+  const provider = new FixtureProvider();
+
+  it("answers from the shipped fixtures", async () => {
+    const { parsed } = await provider.parse({ ...request, task: LlmTask.DEAL_ANALYSIS, schema: DealAnalysisSchema });
+    expect(parsed?.deal_name).toBe("Fixture Analytics");
+  });
+
+  it("prefers the variant for the fixture key", async () => {
+    const { parsed } = await provider.parse({
+      ...request,
+      task: LlmTask.COMPETITOR_DISCOVERY,
+      schema: CompetitorsSchema,
+      fixtureKey: "incumbents",
+    });
+    expect(parsed?.competitors.map((c) => c.name)).toEqual(["Google Analytics"]);
+  });
+
+  it("locates fixture citations in the output text", async () => {
+    const { parsed, outputText, citations } = await provider.parse({
+      ...request,
+      task: LlmTask.COMPETITOR_DISCOVERY,
+      schema: CompetitorsSchema,
+      fixtureKey: "open-source",
+    });
+    expect(parsed?.competitors).toHaveLength(3);
+    expect(outputText).not.toContain("$citations");
+    expect(outputText.slice(citations[0].startIndex, citations[0].endIndex)).toBe(
+      "Self-hosted open source web and product analytics."
+    );
+  });
+
+  it("falls back to the task fixture for unknown keys", async () => {
+    const { parsed } = await provider.parse({
+      ...request,
+      task: LlmTask.COMPETITOR_DISCOVERY,
+      schema: CompetitorsSchema,
+      fixtureKey: "no-such-type",
+    });
+    expect(parsed?.competitors).toEqual([]);
+  });
+
+  it("returns null when the fixture does not match the schema", async () => {
+    const { parsed } = await provider.parse({
+      ...request,
+      task: LlmTask.DEAL_ANALYSIS,
+      schema: z.object({ unrelated: z.string() }),
+    });
+    expect(parsed).toBeNull();
+  });
+
+  it("hands out stable file IDs", async () => {
+    const body = new Response("pdf");
+    const first = await provider.uploadFile({ body, filename: "deck.pdf" });
+    const second = await provider.uploadFile({ body, filename: "deck.pdf" });
+    expect(first.id).toBe(second.id);
+    expect(await provider.deleteFile(first.id)).toBe(true);
+  });
+
+  describe("with a custom fixture directory", () => {
+    let dir: string;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), "llm-fixtures-"));
+      await fs.writeFile(path.join(dir, "deal-analysis.json"), JSON.stringify({ $error: "rate limited" }));
+    });
+
+    it("throws for an $error fixture", async () => {
+      const failing = new FixtureProvider(dir);
+      await expect(
+        failing.parse({ ...request, task: LlmTask.DEAL_ANALYSIS, schema: DealAnalysisSchema })
+      ).rejects.toThrow("rate limited");
+    });
+
+    it("throws when no fixture exists", async () => {
+      const empty = new FixtureProvider(dir);
+      await expect(
+        empty.parse({ ...request, task: LlmTask.COMPETITOR_EVALUATION, schema: DealAnalysisSchema })
+      ).rejects.toThrow("No LLM fixture for competitor-evaluation");
+    });
+  });
+});
+
+describe("llmTaskConfig", () => {
+  afterEach(() => {
+    delete process.env.LLM_MODEL_COMPETITOR_EVALUATION;
+  });
+
+  it("uses the configured defaults", () => {
+    expect(llmTaskConfig(LlmTask.COMPETITOR_DISCOVERY)).toMatchObject({ model: "gpt-5", webSearch: true });
+    expect(llmTaskConfig(LlmTask.DEAL_ANALYSIS).webSearch).toBe(false);
+  });
+
+  it("lets the environment override the model per task", () => {
+    process.env.LLM_MODEL_COMPETITOR_EVALUATION = "gpt-5-mini";
+    expect(llmTaskConfig(LlmTask.COMPETITOR_EVALUATION).model).toBe("gpt-5-mini");
+    expect(llmTaskConfig(LlmTask.DEAL_ANALYSIS).model).toBe("gpt-5");
+  });
+});
@@ -0,0 +1,151 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { createUser, describeWithDatabase, prisma, resetDatabase } from "../support/db";
+import {
+  PersonProfile,
+  comparePeople,
+  mergePersonMatch,
+  normalizeLinkedinUrl,
+  personProfileFromLeadspicker,
+  resolvePerson,
+} from "../../src/trigger/utils/people";
+
+function profile(overrides: Partial<PersonProfile> = {}): PersonProfile {
+  return {
+    ...personProfileFromLeadspicker({ id: 100, contact_data: {} }),
+    fullName: "Jana Novak",
+    email: "jana@example.com",
+    linkedinUrl: "https://www.linkedin.com/in/jana-novak",
+    companyName: "Fixture Analytics",
+    sourceRobot: "fintech-founders",
+    ...overrides,
+  };
+}
+
+describe("person identity keys", () => {
+  it("normalizes LinkedIn profile URLs", () => {
+    expect(normalizeLinkedinUrl("https://cz.linkedin.com/in/Jana-Novak/?trk=public")).toBe("linkedin.com/in/jana-novak");
+    expect(normalizeLinkedinUrl("www.linkedin.com/in/jana-novak")).toBe("linkedin.com/in/jana-novak");
+    expect(normalizeLinkedinUrl("  ")).toBeNull();
+  });
+
+  it("is certain about a shared key only when nothing contradicts it", () => {
+    const jana = { leadspickerIds: [1], normalizedEmail: "jana@example.com", normalizedLinkedinUrl: "linkedin.com/in/jana" };
+
+    expect(comparePeople({ ...jana, leadspickerIds: [2] }, jana)).toMatchObject({ certain: true, reasons: ["email", "linkedin"] });
+    expect(comparePeople({ ...jana, leadspickerIds: [2], normalizedLinkedinUrl: "linkedin.com/in/other" }, jana))
+      .toMatchObject({ certain: false, matches: true, reasons: ["email", "linkedin-differs"] });
+    expect(comparePeople({ ...jana, normalizedEmail: "new@example.com" }, jana))
+      .toMatchObject({ certain: true, reasons: ["leadspicker-id", "email-differs", "linkedin"] });
+  });
+
+  it("only suggests people who share a name and company", () => {
+    const result = comparePeople(
+      { leadspickerIds: [2], normalizedEmail: null, normalizedLinkedinUrl: null, fullName: "Jana Novak", companyName: "Acme" },
+      { leadspickerIds: [1], normalizedEmail: "jana@acme.com", normalizedLinkedinUrl: null, fullName: "jana novak", companyName: "ACME" }
+    );
+    expect(result).toMatchObject({ certain: false, matches: true, reasons: ["name-company"] });
+  });
+});
+
+describeWithDatabase("resolvePerson", () => {
+  beforeEach(async () => {
+    await resetDatabase();
+  });
+
+  it("updates the existing person when the same contact is scraped again", async () => {
+    const first = await resolvePerson(profile());
+    const second = await resolvePerson(profile({ leadspickerId: 200, position: "CEO", sourceRobot: "ai-founders", email: null }));
+
+    expect(second).toMatchObject({ outcome: "updated", possibleDuplicates: 0 });
+    expect(second.person.id).toBe(first.person.id);
+
+    const person = await prisma.person.findUniqueOrThrow({
+      where: { id: first.person.id },
+      include: { sourceRecords: { orderBy: { createdAt: "asc" } } },
+    });
+    expect(person).toMatchObject({ leadspickerId: 100, position: "CEO", email: "jana@example.com", sourceRobot: "ai-founders" });
+    expect(person.sourceRecords.map((record) => [record.leadspickerId, record.sourceRobot])).toEqual([
+      [100, "fintech-founders"],
+      [200, "ai-founders"],
+    ]);
+    expect(await prisma.person.count()).toBe(1);
+  });
+
+  it("queues contradicting matches for review instead of merging", async () => {
+    const first = await resolvePerson(profile());
+    const second = await resolvePerson(profile({ leadspickerId: 200, linkedinUrl: "https://linkedin.com/in/someone-else" }));
+
+    expect(second).toMatchObject({ outcome: "created", possibleDuplicates: 1 });
+    const match = await prisma.personMatch.findFirstOrThrow();
+    expect(match).toMatchObject({
+      personId: second.person.id,
+      candidateId: first.person.id,
+      status: "pending",
+      reasons: ["email", "linkedin-differs"],
+    });
+
+    // Scraping the newer record again does not raise the pair twice
+    await resolvePerson(profile({ leadspickerId: 200, linkedinUrl: "https://linkedin.com/in/someone-else" }));
+    expect(await prisma.personMatch.count()).toBe(1);
+  });
+
+  it("saves one person when two imports of the same scrape run at once", async () => {
+    const results = await Promise.all([resolvePerson(profile()), resolvePerson(profile())]);
+
+    expect(results.map((result) => result.outcome).sort()).toEqual(["created", "updated"]);
+    expect(await prisma.person.count()).toBe(1);
+    expect(await prisma.personSourceRecord.count()).toBe(2);
+  });
+
+  it("merges a reviewed match into the older person", async () => {
+    const first = await resolvePerson(profile({ position: null }));
+    const second = await resolvePerson(profile({
+      leadspickerId: 200,
+      email: "jana.novak@example.com",
+      linkedinUrl: null,
+      position: "CTO",
+    }));
+    const match = await prisma.personMatch.findFirstOrThrow();
+    expect(match.reasons).toEqual(["email-differs", "name-company"]);
+
+    const reviewer = await createUser({ role: "partner" });
+    const merged = await mergePersonMatch(match.id, reviewer.id);
+
+    expect(merged).toMatchObject({ id: first.person.id, email: "jana@example.com", position: "CTO" });
+    expect(await prisma.person.findUnique({ where: { id: second.person.id } })).toBeNull();
+    expect(await prisma.personSourceRecord.count({ where: { personId: first.person.id } })).toBe(2);
+    expect(await prisma.personMatch.findUniqueOrThrow({ where: { id: match.id } })).toMatchObject({
+      status: "merged",
+      personId: null,
+      candidateId: first.person.id,
+      resolvedById: reviewer.id,
+      resolvedAt: expect.any(Date),
+    });
+  });
+
+  it("keeps the duplicate's founder-fit screening when the kept person has none", async () => {
+    const first = await resolvePerson(profile());
+    const second = await resolvePerson(profile({ leadspickerId: 200, email: "jana.novak@example.com", linkedinUrl: null }));
+    await prisma.person.update({
+      where: { id: second.person.id },
+      data: { fitScore: 8, fitRationale: "Repeat founder", fitScoredAt: new Date() },
+    });
+    const match = await prisma.personMatch.findFirstOrThrow();
+
+    const merged = await mergePersonMatch(match.id, (await createUser()).id);
+
+    expect(merged).toMatchObject({ id: first.person.id, fitScore: 8, fitRationale: "Repeat founder" });
+  });
+
+  it("merges a pair once when two reviewers merge it at the same time", async () => {
+    await resolvePerson(profile());
+    await resolvePerson(profile({ leadspickerId: 200, email: "jana.novak@example.com", linkedinUrl: null }));
+    const match = await prisma.personMatch.findFirstOrThrow();
+    const reviewer = await createUser();
+
+    const results = await Promise.all([mergePersonMatch(match.id, reviewer.id), mergePersonMatch(match.id, reviewer.id)]);
+
+    expect(results.filter((result) => result === null)).toHaveLength(1);
+    expect(await prisma.person.count()).toBe(1);
+  });
+});
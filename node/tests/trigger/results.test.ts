@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { childRunFailure, errorMessage, stageFailure, stageSuccess } from "../../src/trigger/utils/results";
+
+describe("errorMessage", () => {
+  it("reads Error instances and serialized child run errors", () => {
+    expect(errorMessage(new Error("boom"))).toBe("boom");
+    expect(errorMessage({ type: "BUILT_IN_ERROR", message: "timeout" })).toBe("timeout");
+    expect(errorMessage("plain")).toBe("plain");
+  });
+});
+
+describe("childRunFailure", () => {
+  it("is null for a successful result", () => {
+    expect(childRunFailure({ ok: true, output: stageSuccess({ value: 1 }) })).toBeNull();
+  });
+
+  it("reports a run that reported a failed result", () => {
+    expect(childRunFailure({ ok: true, output: stageFailure(new Error("no documents")) })).toBe("no documents");
+  });
+
+  it("reports a run that threw", () => {
+    expect(childRunFailure({ ok: false, error: { message: "crashed" } })).toBe("crashed");
+  });
+
+  it("treats a missing result as a failure", () => {
+    expect(childRunFailure({ ok: true, output: undefined })).toBe("Task returned no result");
+  });
+});
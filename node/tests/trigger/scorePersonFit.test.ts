@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { describeWithDatabase, prisma, resetDatabase } from "../support/db";
+import { runTask } from "../support/triggerSdk";
+import { clampFitScore, scorePersonFitTask } from "../../src/trigger/scorePersonFit";
+import { addPersonOrchestrator } from "../../src/trigger/addPersonOrchestrator";
+import { FixtureProvider } from "../../src/trigger/llm/fixture";
+import { setLlmProvider, StructuredRequest } from "../../src/trigger/llm";
+
+// Fixture answers, keeping the prompts so tests can check what the model was told
+class RecordingProvider extends FixtureProvider {
+  prompts: string[] = [];
+
+  async parse(request: StructuredRequest<any>) {
+    this.prompts.push(request.prompt);
+    return super.parse(request);
+  }
+}
+
+describe("clampFitScore", () => {
+  it("keeps scores whole and within 1-10", () => {
+    expect(clampFitScore(7.4)).toBe(7);
+    expect(clampFitScore(0)).toBe(1);
+    expect(clampFitScore(12)).toBe(10);
+  });
+});
+
+describeWithDatabase("scorePersonFitTask", () => {
+  let provider: RecordingProvider;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    provider = new RecordingProvider();
+    setLlmProvider(provider);
+  });
+
+  afterEach(() => {
+    setLlmProvider(null);
+    vi.unstubAllGlobals();
+  });
+
+  it("scores a person against the saved thesis", async () => {
+    await prisma.sourcingThesis.create({
+      data: { stages: "Seed", geographies: "Baltics", sectors: "Climate", backgroundSignals: "Repeat founders" },
+    });
+    const person = await prisma.person.create({
+      data: { leadspickerId: 1, fullName: "Jana Novak", pastExperiences: "Founded and sold Acme Analytics" },
+    });
+
+    const output = await runTask(scorePersonFitTask, { personId: person.id });
+
+    expect(output.status).toBe("success");
+    expect(provider.prompts[0]).toContain("Geography: Baltics");
+    expect(provider.prompts[0]).toContain("Founded and sold Acme Analytics");
+    const saved = await prisma.person.findUniqueOrThrow({ where: { id: person.id } });
+    expect(saved.fitScore).toBe(7);
+    expect(saved.fitRationale).toContain("Second-time founder");
+    expect(saved.fitScoredAt).not.toBeNull();
+  });
+
+  it("leaves a person without background or company information unscored", async () => {
+    const person = await prisma.person.create({ data: { leadspickerId: 1, fullName: "Jana Novak" } });
+
+    const output = await runTask(scorePersonFitTask, { personId: person.id });
+
+    expect(output).toMatchObject({ status: "failed" });
+    expect(provider.prompts).toHaveLength(0);
+    expect((await prisma.person.findUniqueOrThrow({ where: { id: person.id } })).fitScore).toBeNull();
+  });
+
+  it("screens people after the orchestrator imports them", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => Response.json({
+      id: 4242,
+      contact_data: {
+        full_name: { value: "Jana Novak" },
+        linkedin_company_description: { value: "Product analytics for B2B SaaS" },
+      },
+    })));
+
+    const output = await runTask(addPersonOrchestrator, { personId: 4242 });
+
+    expect(output.success).toBe(true);
+    expect(output.steps.map((step: { step: string; status: string }) => `${step.step}:${step.status}`)).toEqual([
+      "wait_1_minute:completed",
+      "fetch_person_details:completed",
+      "score_founder_fit:completed",
+    ]);
+    const person = await prisma.person.findFirstOrThrow({ where: { leadspickerId: 4242 } });
+    expect(person.fitScore).toBe(7);
+  });
+});
@@ -0,0 +1,210 @@
+import { afterEach, beforeEach, expect, it, vi } from "vitest";
+import { describeWithDatabase, prisma, resetDatabase, createUser, createDeal, createDealFiles } from "../support/db";
+import { runTask, testContext } from "../support/triggerSdk";
+import { uploadOrchestratorTask } from "../../src/trigger/uploadOrchestrator";
+import { FixtureProvider } from "../../src/trigger/llm/fixture";
+import { setLlmProvider, StructuredRequest } from "../../src/trigger/llm";
+import { LlmTask } from "../../src/trigger/config/llm";
+import { DEFAULT_COMPETITOR_TYPES } from "../../src/trigger/config/competitorTypes";
+
+vi.mock("../../src/trigger/utils/s3", () => ({
+  uploadBufferToS3: vi.fn(async (filename: string) => `https://test-bucket.s3.eu-central-1.amazonaws.com/converted-${filename}`),
+  deleteS3Object: vi.fn(async () => {}),
+}));
+
+// Fixture answers, except for the calls a test wants to fail
+class FailingProvider extends FixtureProvider {
+  constructor(private failures: { uploads?: string[]; parse?: (request: StructuredRequest<any>) => boolean }) {
+    super();
+  }
+
+  async uploadFile(file: { body: Response; filename: string }) {
+    if (this.failures.uploads?.includes(file.filename)) {
+      throw new Error(`Upload rejected: ${file.filename}`);
+    }
+    return super.uploadFile(file);
+  }
+
+  async parse(request: StructuredRequest<any>) {
+    if (this.failures.parse?.(request)) {
+      throw new Error(`Model unavailable for ${request.task}`);
+    }
+    return super.parse(request);
+  }
+}
+
+async function runOrchestrator(payload: Record<string, unknown>) {
+  const context = testContext();
+  const output = await runTask(uploadOrchestratorTask, payload as any, context);
+  return { output, triggerRunId: context.ctx.run.id as string };
+}
+
+describeWithDatabase("uploadOrchestratorTask", () => {
+  let user: Awaited<ReturnType<typeof createUser>>;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    user = await createUser();
+    // S3 downloads of the uploaded PDFs
+    vi.stubGlobal("fetch", vi.fn(async () => new Response(Buffer.from("%PDF-1.4 test"))));
+  });
+
+  afterEach(() => {
+    setLlmProvider(null);
+    vi.unstubAllGlobals();
+  });
+
+  it("analyzes a new deal end to end", async () => {
+    const deal = await createDeal(user.id);
+    const s3Files = await createDealFiles(deal.id, ["deck.pdf", "financials.pdf"]);
+
+    const { output, triggerRunId } = await runOrchestrator({ dealId: deal.id, userId: user.id, s3Files });
+    expect(output.success).toBe(true);
+
+    const saved = await prisma.deal.findUniqueOrThrow({
+      where: { id: deal.id },
+      include: { files: true, competitors: true },
+    });
+    expect(saved.companyName).toBe("Fixture Analytics");
+    expect(saved.analysisStatus).toBe("complete");
+    expect(saved.analysisFailures).toEqual([]);
+    expect(saved.files.every((file) => file.openaiFileId?.startsWith("fixture-file-"))).toBe(true);
+    expect(saved.files.every((file) => file.conversionStatus === "not-needed")).toBe(true);
+    expect(new Set(saved.competitors.map((c) => c.competitorSource))).toEqual(new Set(DEFAULT_COMPETITOR_TYPES.map((type) => type.slug)));
+    expect(saved.competitors.every((c) => c.score === "6")).toBe(true);
+    // PostHog is found by both the YC and the open source search
+    const posthog = saved.competitors.filter((c) => c.name.startsWith("PostHog"));
+    expect(posthog).toHaveLength(1);
+    expect(new Set(posthog[0].competitorSources)).toEqual(new Set(["yc-companies", "open-source"]));
+
+    // Cited pages are kept per competitor, from discovery and from evaluation
+    const matomo = saved.competitors.find((c) => c.name === "Matomo");
+    expect(matomo?.sources).toEqual([
+      { url: "https://matomo.org/features/", title: "Matomo features", stage: "discovery" },
+      { url: "https://www.crunchbase.com/organization/fixture-competitor", title: "Funding rounds", stage: "evaluation" },
+    ]);
+
+    // Every competitor is backed by a shared company carrying the researched funding facts
+    const companies = await prisma.company.findMany();
+    expect(companies).toHaveLength(saved.competitors.length);
+    expect(saved.competitors.every((c) => c.companyId)).toBe(true);
+    expect(companies.every((company) => company.totalFunding === "$150M")).toBe(true);
+
+    const run = await prisma.analysisRun.findUniqueOrThrow({
+      where: { triggerRunId },
+      include: { stages: true },
+    });
+    expect(run.status).toBe("completed");
+    expect(run.stages.every((stage) => stage.status === "completed")).toBe(true);
+  });
+
+  it("reuses companies across deals", async () => {
+    for (const name of ["First deal", "Second deal"]) {
+      const deal = await createDeal(user.id, { companyName: name });
+      const s3Files = await createDealFiles(deal.id, ["deck.pdf"]);
+      await runOrchestrator({ dealId: deal.id, userId: user.id, s3Files });
+    }
+
+    const amplitude = await prisma.company.findUniqueOrThrow({
+      where: { domain: "amplitude.com" },
+      include: { competitors: true },
+    });
+    expect(amplitude.competitors).toHaveLength(2);
+    expect(new Set(amplitude.competitors.map((c) => c.dealId)).size).toBe(2);
+  });
+
+  it("keeps going when one file fails to upload", async () => {
+    setLlmProvider(new FailingProvider({ uploads: ["broken.pdf"] }));
+    const deal = await createDeal(user.id);
+    const s3Files = await createDealFiles(deal.id, ["deck.pdf", "broken.pdf", "notes.pdf"]);
+
+    await runOrchestrator({ dealId: deal.id, userId: user.id, s3Files });
+
+    const files = await prisma.dealFile.findMany({ where: { dealId: deal.id } });
+    const fileIds = Object.fromEntries(files.map((file) => [file.originalName, file.openaiFileId]));
+    expect(fileIds["broken.pdf"]).toBeNull();
+    expect(fileIds["deck.pdf"]).toMatch(/^fixture-file-/);
+    expect(fileIds["notes.pdf"]).toMatch(/^fixture-file-/);
+    expect(fileIds["deck.pdf"]).not.toBe(fileIds["notes.pdf"]);
+
+    const saved = await prisma.deal.findUniqueOrThrow({ where: { id: deal.id } });
+    expect(saved.companyName).toBe("Fixture Analytics");
+  });
+
+  it("records a failed competitor type and clears it on a targeted retry", async () => {
+    setLlmProvider(new FailingProvider({
+      parse: (request) => request.task === LlmTask.COMPETITOR_DISCOVERY && request.fixtureKey === "open-source",
+    }));
+    const deal = await createDeal(user.id);
+    const s3Files = await createDealFiles(deal.id, ["deck.pdf"]);
+
+    const { output, triggerRunId } = await runOrchestrator({ dealId: deal.id, userId: user.id, s3Files });
+    expect(output.success).toBe(false);
+    expect(output.failedStages).toEqual(["competitors:open-source"]);
+
+    let saved = await prisma.deal.findUniqueOrThrow({ where: { id: deal.id }, include: { competitors: true } });
+    expect(saved.analysisStatus).toBe("incomplete");
+    expect(saved.analysisFailures).toEqual([
+      expect.objectContaining({ stage: "competitors:open-source", error: expect.stringContaining("Model unavailable") }),
+    ]);
+    expect(saved.competitors.some((c) => c.competitorSource === "open-source")).toBe(false);
+    expect(saved.competitors.length).toBeGreaterThan(0);
+
+    const failedStage = await prisma.analysisRunStage.findFirstOrThrow({
+      where: { run: { triggerRunId }, name: "competitors:open-source" },
+    });
+    expect(failedStage.status).toBe("failed");
+
+    setLlmProvider(null);
+    await runOrchestrator({ dealId: deal.id, userId: user.id, s3Files: [], stage: "competitors", competitorType: "open-source" });
+
+    saved = await prisma.deal.findUniqueOrThrow({ where: { id: deal.id }, include: { competitors: true } });
+    expect(saved.analysisStatus).toBe("complete");
+    expect(saved.analysisFailures).toEqual([]);
+    expect(saved.competitors.some((c) => c.competitorSource === "open-source")).toBe(true);
+  });
+
+  it("runs only the active competitor types chosen for the deal", async () => {
+    await prisma.competitorTypeConfig.create({
+      data: {
+        slug: "eu-only",
+        name: "EU-only",
+        description: "Companies headquartered in the European Union",
+        promptGuidance: "Skip companies without an EU headquarters.",
+      },
+    });
+    await prisma.competitorTypeConfig.update({ where: { slug: "open-source" }, data: { active: false } });
+    const requests: StructuredRequest<any>[] = [];
+    setLlmProvider(new FailingProvider({
+      parse: (request) => {
+        requests.push(request);
+        return false;
+      },
+    }));
+    const deal = await createDeal(user.id, { competitorTypes: ["incumbents", "eu-only", "open-source"] });
+    const s3Files = await createDealFiles(deal.id, ["deck.pdf"]);
+
+    const { output } = await runOrchestrator({ dealId: deal.id, userId: user.id, s3Files });
+    expect(output.success).toBe(true);
+
+    const searches = requests.filter((request) => request.task === LlmTask.COMPETITOR_DISCOVERY);
+    expect(searches.map((request) => request.fixtureKey).sort()).toEqual(["eu-only", "incumbents"]);
+    expect(searches.find((request) => request.fixtureKey === "eu-only")?.system).toContain(
+      "Skip companies without an EU headquarters."
+    );
+  });
+
+  it("keeps the deal's values when deal extraction fails", async () => {
+    setLlmProvider(new FailingProvider({ parse: (request) => request.task === LlmTask.DEAL_ANALYSIS }));
+    const deal = await createDeal(user.id, { companyName: "Hand-entered name", description: "Existing description" });
+    const s3Files = await createDealFiles(deal.id, ["deck.pdf"]);
+
+    await runOrchestrator({ dealId: deal.id, userId: user.id, s3Files });
+
+    const saved = await prisma.deal.findUniqueOrThrow({ where: { id: deal.id } });
+    expect(saved.companyName).toBe("Hand-entered name");
+    expect(saved.description).toBe("Existing description");
+    expect(saved.analysisStatus).toBe("incomplete");
+    expect((saved.analysisFailures as any[]).map((failure) => failure.stage)).toEqual(["deal"]);
+  });
+});
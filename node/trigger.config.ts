@@ -1,5 +1,6 @@
 import { defineConfig } from "@trigger.dev/sdk/v3";
 import { prismaExtension } from "@trigger.dev/build/extensions/prisma";
+import { additionalFiles } from "@trigger.dev/build/extensions/core";
 
 export default defineConfig({
   project: "proj_zyoaixcahxfwvwvwsomq",
@@ -21,10 +22,14 @@ export default defineConfig({
   },
   dirs: ["./src/trigger"],
   build: {
+    // pdfkit loads its font metrics from disk at runtime, so it cannot be bundled
+    external: ["pdfkit"],
     extensions: [
       prismaExtension({
         schema: "prisma/schema.prisma",
       }),
+      // Converted documents are drawn in these fonts (see src/lib/pdfFonts.js)
+      additionalFiles({ files: ["./fonts/**"] }),
     ],
   },
 });
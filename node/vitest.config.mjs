@@ -0,0 +1,22 @@
+import { fileURLToPath } from 'url'
+import { defineConfig } from 'vitest/config'
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      // Tasks run in-process: run() is called directly and batches run their children inline
+      '@trigger.dev/sdk/v3': fileURLToPath(new URL('./tests/support/triggerSdk.ts', import.meta.url)),
+    },
+  },
+  test: {
+    environment: 'node',
+    include: ['tests/**/*.test.{js,ts}'],
+    globalSetup: ['tests/support/globalSetup.ts'],
+    setupFiles: ['tests/support/setup.ts'],
+    // Database tests share one throwaway Postgres
+    fileParallelism: false,
+    env: {
+      LLM_PROVIDER: 'fixture',
+    },
+  },
+})